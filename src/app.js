@@ -0,0 +1,66 @@
+/**
+ * Express application: body parsing, logging, routes and error handlers
+ * Kept apart from server.js so tests can mount the app without starting the server.
+ */
+
+const express = require('express');
+const morgan = require('morgan');
+const routes = require('./routes/routes');
+const { XML_CONTENT_TYPES } = require('./middleware/junit.middleware');
+const { captureBodySize, recordRequestMetrics } = require('./middleware/metrics.middleware');
+const { sendError } = require('./utils/response.util');
+
+const app = express();
+
+// Largest accepted request body: room for a 5000-case ingest batch or a large JUnit report
+const BODY_LIMIT = '10mb';
+
+// Request counters and latency for /metrics (registered first so timings cover the whole pipeline)
+app.use(recordRequestMetrics);
+
+// Middleware
+app.use(express.json({ limit: BODY_LIMIT, verify: captureBodySize }));
+// JUnit XML reports for /ingest
+app.use(express.text({ type: XML_CONTENT_TYPES, limit: BODY_LIMIT, verify: captureBodySize }));
+
+// Rate limits are applied per route after authentication (see rateLimit.middleware),
+// so they are keyed by token, project or admin key rather than by client IP
+
+// HTTP request logging with timing
+app.use(morgan(':method :url :status :res[content-length] - :response-time ms'));
+
+// Error handling for invalid JSON and oversized bodies
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'Payload Too Large', `Request body exceeds the ${BODY_LIMIT} limit`);
+  }
+  if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid JSON payload'
+    });
+  }
+  next(err);
+});
+
+// Routes
+app.use('/', routes);
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    error: 'Not Found',
+    message: `Route ${req.method} ${req.path} not found`
+  });
+});
+
+// Global error handler
+app.use((err, req, res, next) => {
+  console.error('[UNHANDLED_ERROR]', err);
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message: 'An unexpected error occurred'
+  });
+});
+
+module.exports = app;
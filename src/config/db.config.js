@@ -38,11 +38,73 @@ async function createIndexes() {
     await db.collection('api_tokens').createIndex({ token_hash: 1 }, { unique: true });
     await db.collection('api_tokens').createIndex({ project_id: 1 });
 
+    // API tokens: authentication lookups (prefix for new tokens, recorded key for legacy ones)
+    await db.collection('api_tokens').createIndex({ token_prefix: 1 }, { unique: true, sparse: true });
+    await db.collection('api_tokens').createIndex({ legacy_lookup: 1 }, { unique: true, sparse: true });
+
+    // Admin keys: unique lookup prefix, index on org_id
+    await db.collection('admin_keys').createIndex({ key_prefix: 1 }, { unique: true });
+    await db.collection('admin_keys').createIndex({ org_id: 1 });
+
     // Test runs: unique (project_id, run_id) for idempotency, index on timestamp
     await db.collection('test_runs').createIndex({ project_id: 1, run_id: 1 }, { unique: true });
     await db.collection('test_runs').createIndex({ timestamp: 1 });
     await db.collection('test_runs').createIndex({ project_id: 1 });
 
+    // Test runs: one run per Idempotency-Key and project
+    await db.collection('test_runs').createIndex(
+      { project_id: 1, idempotency_key: 1 },
+      { unique: true, partialFilterExpression: { idempotency_key: { $type: 'string' } } }
+    );
+
+    // Test runs: listing newest first, optionally filtered by environment
+    await db.collection('test_runs').createIndex({ project_id: 1, timestamp: -1, _id: -1 });
+    await db.collection('test_runs').createIndex({ project_id: 1, environment: 1, timestamp: -1 });
+
+    // Test runs: filtering by branch and looking up the runs of a commit
+    await db.collection('test_runs').createIndex({ project_id: 1, 'metadata.branch': 1, timestamp: -1 });
+    await db.collection('test_runs').createIndex({ project_id: 1, 'metadata.commit_sha': 1 });
+
+    // Test cases: one document per case; unique position within a run, indexes for per-case history
+    await db.collection('test_cases').createIndex({ project_id: 1, run_id: 1, suite_index: 1, case_index: 1 }, { unique: true });
+    await db.collection('test_cases').createIndex({ project_id: 1, run_id: 1, suite_name: 1, name: 1 });
+    await db.collection('test_cases').createIndex({ project_id: 1, suite_name: 1, name: 1, environment: 1, timestamp: -1 });
+
+    // Test cases: failure clustering over a time range
+    await db.collection('test_cases').createIndex({ project_id: 1, status: 1, timestamp: -1 });
+
+    // Ingest sessions: one per (project_id, run_id); unfinished uploads expire
+    await db.collection('ingest_sessions').createIndex({ project_id: 1, run_id: 1 }, { unique: true });
+    await db.collection('ingest_sessions').createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+    // Ingest batches: unique batch_id per session for retry-safe appends
+    await db.collection('ingest_batches').createIndex({ session_id: 1, batch_id: 1 }, { unique: true });
+    await db.collection('ingest_batches').createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+    // Ingest jobs: polled by due time, one job per Idempotency-Key and project, kept for 7 days
+    await db.collection('ingest_jobs').createIndex({ status: 1, next_attempt_at: 1 });
+    await db.collection('ingest_jobs').createIndex(
+      { project_id: 1, idempotency_key: 1 },
+      { unique: true, partialFilterExpression: { idempotency_key: { $type: 'string' } } }
+    );
+    await db.collection('ingest_jobs').createIndex({ created_at: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+    // Metric counters: one document per (name, project, token) series
+    await db.collection('metric_counters').createIndex({ name: 1, project_id: 1, token_id: 1 }, { unique: true });
+
+    // Ingest usage: one document per (project, UTC day), kept for 7 days
+    await db.collection('ingest_usage').createIndex({ project_id: 1, day: 1 }, { unique: true });
+    await db.collection('ingest_usage').createIndex({ created_at: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+    // Webhooks: lookup by project; deliveries polled by due time, listed per webhook, kept for 30 days
+    await db.collection('webhooks').createIndex({ project_id: 1 });
+    await db.collection('webhook_deliveries').createIndex({ status: 1, next_attempt_at: 1 });
+    await db.collection('webhook_deliveries').createIndex({ webhook_id: 1, created_at: -1 });
+    await db.collection('webhook_deliveries').createIndex({ created_at: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+    // Quality gates: lookup by project
+    await db.collection('quality_gates').createIndex({ project_id: 1 });
+
   } catch (error) {
     // Indexes may already exist, ignore duplicate key errors
     if (error.code !== 11000) {
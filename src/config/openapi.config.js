@@ -0,0 +1,340 @@
+// OpenAPI document settings
+// Paths, parameters, request bodies, credentials and error responses are read off the routes
+// (see utils/openapi.util.js); this file only adds what a route cannot tell: titles, tags and
+// the success responses of each operation. `npm run check:openapi` fails when the two disagree.
+
+const { version } = require('../../package.json');
+
+const INFO = {
+  title: 'Test Analytics Ingestion Service',
+  version,
+  description: 'Ingest automated test results and query runs, cases, trends, failure clusters and quality gates.'
+};
+
+const SECURITY_SCHEMES = {
+  apiToken: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'Project API token (scopes: runs:write, runs:read, stats:read, admin)'
+  },
+  adminKey: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'Root admin key (ADMIN_API_KEY) or an organization admin key'
+  }
+};
+
+const TAGS = [
+  { name: 'Organizations', description: 'Organizations and their admin keys' },
+  { name: 'Projects', description: 'Projects, stats and ingest quotas' },
+  { name: 'Tokens', description: 'Project API tokens' },
+  { name: 'Ingestion', description: 'Test run uploads' },
+  { name: 'Runs', description: 'Ingested test runs' },
+  { name: 'Test cases', description: 'Case history, flakiness and failure clusters' },
+  { name: 'Webhooks', description: 'Run event subscriptions' },
+  { name: 'Quality gates', description: 'Pass/fail rules evaluated on every run' },
+  { name: 'Service', description: 'Health, metrics and API descriptions' }
+];
+
+// Keyed by "<method> <Express path>"; responses lists success statuses and errors raised by
+// the controller (credential, validation, rate limit and 404 responses are added from the route).
+// content lists the success media types when they are not just application/json; schemas names
+// the JSON Schema of a success body by status (see schemas/response.schema.js).
+const OPERATIONS = {
+  'post /orgs': {
+    tag: 'Organizations',
+    summary: 'Create an organization and its first admin key',
+    responses: { 201: 'Organization created; the admin key is only returned once', 409: 'Organization name already taken' },
+    schemas: { 201: 'created-organization' }
+  },
+  'get /orgs': {
+    tag: 'Organizations',
+    summary: 'List organizations (the root key sees all, org admin keys their own)',
+    responses: { 200: 'Organizations' }
+  },
+  'get /orgs/:id': {
+    tag: 'Organizations',
+    summary: 'Get an organization',
+    responses: { 200: 'Organization' }
+  },
+  'patch /orgs/:id': {
+    tag: 'Organizations',
+    summary: 'Rename an organization',
+    responses: { 200: 'Updated organization', 409: 'Organization name already taken or organization deleted' }
+  },
+  'delete /orgs/:id': {
+    tag: 'Organizations',
+    summary: 'Soft-delete an organization, or purge a soft-deleted one with ?confirm=true',
+    responses: { 200: 'Organization deleted', 409: 'Organization must be soft-deleted before it is purged' }
+  },
+  'post /orgs/:id/restore': {
+    tag: 'Organizations',
+    summary: 'Restore a soft-deleted organization',
+    responses: { 200: 'Restored organization', 409: 'Organization is not deleted' }
+  },
+  'get /orgs/:id/projects': {
+    tag: 'Organizations',
+    summary: 'List the projects of an organization',
+    responses: { 200: 'Projects' }
+  },
+  'post /orgs/:id/admin-keys': {
+    tag: 'Organizations',
+    summary: 'Create an organization admin key',
+    responses: { 201: 'Admin key created; the key is only returned once' }
+  },
+  'get /orgs/:id/admin-keys': {
+    tag: 'Organizations',
+    summary: 'List admin key metadata of an organization',
+    responses: { 200: 'Admin keys' }
+  },
+  'delete /orgs/:id/admin-keys/:keyId': {
+    tag: 'Organizations',
+    summary: 'Delete an organization admin key',
+    responses: { 200: 'Admin key deleted' }
+  },
+  'post /projects': {
+    tag: 'Projects',
+    summary: "Create a project in the admin key's organization",
+    responses: { 201: 'Project created', 409: 'Project name already taken in the organization' },
+    schemas: { 201: 'created-project' }
+  },
+  'get /projects/:id': {
+    tag: 'Projects',
+    summary: 'Get a project',
+    responses: { 200: 'Project' }
+  },
+  'patch /projects/:id': {
+    tag: 'Projects',
+    summary: 'Rename a project or change its daily ingest quota',
+    responses: { 200: 'Updated project', 409: 'Project name already taken or project deleted' }
+  },
+  'delete /projects/:id': {
+    tag: 'Projects',
+    summary: 'Soft-delete a project, or purge a soft-deleted one with ?confirm=true',
+    responses: { 200: 'Project deleted', 409: 'Project must be soft-deleted before it is purged' }
+  },
+  'post /projects/:id/restore': {
+    tag: 'Projects',
+    summary: 'Restore a soft-deleted project',
+    responses: { 200: 'Restored project', 409: 'Project is not deleted' }
+  },
+  'get /projects/:id/stats': {
+    tag: 'Projects',
+    summary: 'Run totals and pass-rate/duration trends',
+    responses: { 200: 'Project stats' },
+    schemas: { 200: 'project-stats' }
+  },
+  'get /projects/:id/failures': {
+    tag: 'Test cases',
+    summary: 'Failed cases clustered by failure signature',
+    responses: { 200: 'Failure clusters' }
+  },
+  'post /tokens': {
+    tag: 'Tokens',
+    summary: "Create an API token for a project of the admin key's organization",
+    responses: { 201: 'Token created; the token is only returned once', 409: 'Project is deleted' },
+    schemas: { 201: 'created-token' }
+  },
+  'get /projects/:id/tokens': {
+    tag: 'Tokens',
+    summary: 'List token metadata of a project',
+    responses: { 200: 'Tokens' }
+  },
+  'delete /tokens/:id': {
+    tag: 'Tokens',
+    summary: "Revoke a token of the caller's project",
+    responses: { 200: 'Token revoked' }
+  },
+  'post /tokens/:id/rotate': {
+    tag: 'Tokens',
+    summary: 'Issue a replacement token; the old one expires after a grace period',
+    responses: { 201: 'Replacement token; it is only returned once', 409: 'Token was already rotated or has expired' }
+  },
+  'post /projects/:id/webhooks': {
+    tag: 'Webhooks',
+    summary: 'Subscribe a URL to run events',
+    responses: { 201: 'Webhook created; the signing secret is only returned once' }
+  },
+  'get /projects/:id/webhooks': {
+    tag: 'Webhooks',
+    summary: "List a project's webhooks",
+    responses: { 200: 'Webhooks' }
+  },
+  'get /projects/:id/webhooks/:webhookId': {
+    tag: 'Webhooks',
+    summary: 'Get a webhook',
+    responses: { 200: 'Webhook' }
+  },
+  'patch /projects/:id/webhooks/:webhookId': {
+    tag: 'Webhooks',
+    summary: 'Change the URL, events or threshold of a webhook, or pause it',
+    responses: { 200: 'Updated webhook' }
+  },
+  'delete /projects/:id/webhooks/:webhookId': {
+    tag: 'Webhooks',
+    summary: 'Delete a webhook and its delivery log',
+    responses: { 200: 'Webhook deleted' }
+  },
+  'get /projects/:id/webhooks/:webhookId/deliveries': {
+    tag: 'Webhooks',
+    summary: 'Recent deliveries with their attempt log',
+    responses: { 200: 'Deliveries' }
+  },
+  'post /projects/:id/gates': {
+    tag: 'Quality gates',
+    summary: 'Add a quality gate rule evaluated on every ingested run',
+    responses: { 201: 'Quality gate created' }
+  },
+  'get /projects/:id/gates': {
+    tag: 'Quality gates',
+    summary: "List a project's quality gates",
+    responses: { 200: 'Quality gates' }
+  },
+  'patch /projects/:id/gates/:gateId': {
+    tag: 'Quality gates',
+    summary: "Change a gate's name, threshold or environments",
+    responses: { 200: 'Updated quality gate' }
+  },
+  'delete /projects/:id/gates/:gateId': {
+    tag: 'Quality gates',
+    summary: 'Delete a quality gate',
+    responses: { 200: 'Quality gate deleted' }
+  },
+  'post /ingest': {
+    tag: 'Ingestion',
+    summary: 'Ingest a test run (JSON or JUnit XML)',
+    parameters: [
+      {
+        name: 'Idempotency-Key',
+        in: 'header',
+        required: false,
+        schema: { type: 'string', minLength: 1, maxLength: 255 },
+        description: 'Retries with the same key and request replay the first outcome'
+      }
+    ],
+    responses: {
+      201: 'Test run ingested',
+      200: 'Same run already stored, or Idempotency-Key replayed (idempotent)',
+      202: 'Upload queued (?async=true); poll the job at the Location header',
+      409: 'run_id already stored with different content; details in differences',
+      422: 'Idempotency-Key already used for a different request'
+    },
+    schemas: { 201: 'ingested-run' }
+  },
+  'get /ingest/jobs/:id': {
+    tag: 'Ingestion',
+    summary: 'Status and errors of an upload queued with ?async=true',
+    responses: { 200: 'Ingest job' }
+  },
+  'post /ingest/sessions': {
+    tag: 'Ingestion',
+    summary: 'Open a chunked ingest session for a large run',
+    responses: { 201: 'Ingest session opened', 200: 'Session already open, or the run already exists (idempotent)' }
+  },
+  'get /ingest/sessions/:run_id': {
+    tag: 'Ingestion',
+    summary: 'Get the state of an ingest session',
+    responses: { 200: 'Ingest session' }
+  },
+  'post /ingest/sessions/:run_id/batches': {
+    tag: 'Ingestion',
+    summary: 'Append suites and cases to an ingest session',
+    responses: { 201: 'Batch appended', 200: 'Batch already appended (idempotent)', 409: 'Session is no longer open, or batch_id was appended with different content' }
+  },
+  'post /ingest/sessions/:run_id/finalize': {
+    tag: 'Ingestion',
+    summary: 'Merge the batches of a session into the stored run',
+    responses: { 201: 'Test run ingested', 200: 'Session already finalized, or the run already exists (idempotent)', 409: 'Session is already being finalized, a batch is still being appended, or run_id is stored with different content' }
+  },
+  'get /runs': {
+    tag: 'Runs',
+    summary: "List the test runs of the token's project",
+    responses: { 200: 'A page of runs with next_cursor' },
+    schemas: { 200: 'run-page' }
+  },
+  'get /runs/:run_id': {
+    tag: 'Runs',
+    summary: 'Get a test run with its suites and cases',
+    responses: { 200: 'Test run' },
+    schemas: { 200: 'run' }
+  },
+  'patch /runs/:run_id': {
+    tag: 'Runs',
+    summary: 'Append retried and late test cases to a run',
+    responses: {
+      200: 'Test run amended, or amendment already applied (idempotent)',
+      409: 'amendment_id used for different content, concurrent amendment, or run stored without all of its cases'
+    }
+  },
+  'get /runs/:run_id/diff': {
+    tag: 'Runs',
+    summary: 'Case-level comparison with a base run',
+    responses: { 200: 'Newly failing, newly passing, added, removed and slower cases' }
+  },
+  'get /runs/:run_id/gate': {
+    tag: 'Runs',
+    summary: 'Quality gate verdict of a run',
+    responses: { 200: 'Gate verdict' }
+  },
+  'get /cases/history': {
+    tag: 'Test cases',
+    summary: 'Execution history of one test case',
+    responses: { 200: 'Case history' }
+  },
+  'get /cases/flaky': {
+    tag: 'Test cases',
+    summary: 'Test cases ranked by flakiness score',
+    responses: { 200: 'Flaky cases' }
+  },
+  'get /schemas': {
+    tag: 'Service',
+    summary: 'List the request body JSON Schemas',
+    responses: { 200: 'Schema names and ingest schema versions' }
+  },
+  'get /schemas/:name': {
+    tag: 'Service',
+    summary: 'Get a request body JSON Schema',
+    content: ['application/schema+json'],
+    parameters: [
+      { name: 'version', in: 'query', required: false, schema: { type: 'integer' }, description: 'Ingest schema version (defaults to the latest)' }
+    ],
+    responses: { 200: 'JSON Schema document', 400: 'Unknown version' }
+  },
+  'get /openapi.json': {
+    tag: 'Service',
+    summary: 'This OpenAPI document',
+    responses: { 200: 'OpenAPI 3.1 document' }
+  },
+  'get /docs': {
+    tag: 'Service',
+    summary: 'Browsable API reference',
+    content: ['text/html'],
+    responses: { 200: 'HTML page' }
+  },
+  'get /health': {
+    tag: 'Service',
+    summary: 'Health check',
+    operationId: 'getHealth',
+    responses: { 200: 'Service is healthy' },
+    schemas: { 200: 'health' }
+  },
+  'get /metrics': {
+    tag: 'Service',
+    summary: 'API usage metrics (JSON, or Prometheus text with ?format=prometheus)',
+    content: ['application/json', 'text/plain'],
+    responses: { 200: 'Metrics' }
+  },
+  'get /metrics/ingestion': {
+    tag: 'Service',
+    summary: 'Ingest counters per project and per token (JSON, or Prometheus text with ?format=prometheus)',
+    content: ['application/json', 'text/plain'],
+    responses: { 200: 'Ingest counters' }
+  }
+};
+
+module.exports = {
+  INFO,
+  SECURITY_SCHEMES,
+  TAGS,
+  OPERATIONS
+};
@@ -0,0 +1,81 @@
+/**
+ * Admin Key Controller
+ * Handles HTTP requests for organization admin key operations
+ */
+
+const adminKeyService = require('../services/adminKey.service');
+const { sendSuccess, sendError } = require('../utils/response.util');
+
+/**
+ * Create an admin key for an organization
+ * POST /orgs/:id/admin-keys
+ */
+const createAdminKey = async (req, res) => {
+    try {
+        const { name } = req.body;
+
+        const result = await adminKeyService.createAdminKey(req.params.id, name);
+
+        console.log(`[ADMIN_KEY_CREATED] key_id=${result.id} org_id=${result.org_id} name="${name}"`);
+
+        sendSuccess(res, 201, {
+            id: result.id,
+            org_id: result.org_id,
+            name: result.name,
+            key: result.key,
+            message: 'Admin key created successfully. Save this key - it will not be shown again!'
+        });
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[ADMIN_KEY_CREATE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to create admin key');
+    }
+};
+
+/**
+ * List admin key metadata for an organization
+ * GET /orgs/:id/admin-keys
+ */
+const listAdminKeys = async (req, res) => {
+    try {
+        const keys = await adminKeyService.listAdminKeys(req.params.id);
+
+        sendSuccess(res, 200, { admin_keys: keys });
+    } catch (error) {
+        console.error('[ADMIN_KEY_LIST_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to list admin keys');
+    }
+};
+
+/**
+ * Delete an admin key
+ * DELETE /orgs/:id/admin-keys/:keyId
+ */
+const deleteAdminKey = async (req, res) => {
+    try {
+        await adminKeyService.deleteAdminKey(req.params.id, req.params.keyId);
+
+        console.log(`[ADMIN_KEY_DELETED] key_id=${req.params.keyId} org_id=${req.params.id}`);
+
+        sendSuccess(res, 200, {
+            id: req.params.keyId,
+            message: 'Admin key deleted successfully'
+        });
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[ADMIN_KEY_DELETE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to delete admin key');
+    }
+};
+
+module.exports = {
+    createAdminKey,
+    listAdminKeys,
+    deleteAdminKey
+};
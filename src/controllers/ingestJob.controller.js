@@ -0,0 +1,85 @@
+/**
+ * Ingest Job Controller
+ * Handles HTTP requests for asynchronous test run ingestion
+ */
+
+const ingestJobService = require('../services/ingestJob.service');
+const { XML_CONTENT_TYPES } = require('../middleware/junit.middleware');
+const { sendSuccess, sendError } = require('../utils/response.util');
+
+/**
+ * Queue a test run upload for the ingest worker
+ * POST /ingest?async=true (see asyncIngest.middleware)
+ * The raw payload is stored as is; it is validated when the worker processes it.
+ */
+const queueTestRun = async (req, res) => {
+    try {
+        const { projectId, tokenId } = req.auth;
+        const format = req.is(XML_CONTENT_TYPES) ? 'junit' : 'json';
+        const query = { ...req.query };
+        delete query.async;
+        const runId = format === 'junit' ? req.query.run_id : req.body && req.body.run_id;
+
+        const { job, duplicate } = await ingestJobService.queueTestRun({
+            projectId,
+            tokenId,
+            format,
+            payload: format === 'junit' ? String(req.body) : JSON.stringify(req.body),
+            query,
+            bodySize: req.bodySize || 0,
+            runId: typeof runId === 'string' ? runId : null,
+            idempotency: req.idempotency
+        });
+
+        const statusUrl = `/ingest/jobs/${job.job_id}`;
+        res.location(statusUrl);
+
+        if (duplicate) {
+            // Return 200 (not 202) so the client knows nothing new was queued
+            return sendSuccess(res, 200, {
+                message: 'Upload already queued (idempotent)',
+                status_url: statusUrl,
+                duplicate: true,
+                ...job
+            });
+        }
+
+        console.log(`[INGEST_JOB_QUEUED] project_id=${projectId} job_id=${job.job_id} run_id=${job.run_id} format=${format}`);
+
+        sendSuccess(res, 202, {
+            message: 'Test run queued for ingestion',
+            status_url: statusUrl,
+            ...job
+        });
+    } catch (error) {
+        if (error.statusCode === 422) {
+            return sendError(res, 422, 'Unprocessable Entity', error.message);
+        }
+
+        console.error('[INGEST_JOB_QUEUE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to queue test run');
+    }
+};
+
+/**
+ * Get the status of an ingest job
+ * GET /ingest/jobs/:id
+ */
+const getJob = async (req, res) => {
+    try {
+        const job = await ingestJobService.getJob(req.auth.projectId, req.params.id);
+        sendSuccess(res, 200, job);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[INGEST_JOB_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to get ingest job');
+    }
+};
+
+module.exports = {
+    queueTestRun,
+    getJob
+};
@@ -0,0 +1,177 @@
+/**
+ * Ingest Session Controller
+ * Handles HTTP requests for chunked test run ingestion
+ */
+
+const ingestSessionService = require('../services/ingestSession.service');
+const ingestQuotaService = require('../services/ingestQuota.service');
+const { sendSuccess, sendError } = require('../utils/response.util');
+const metricsController = require('./metrics.controller');
+
+/**
+ * Open a chunked ingest session
+ * POST /ingest/sessions
+ */
+const openSession = async (req, res) => {
+    try {
+        const { run_id, environment, timestamp, metadata } = req.body;
+        const { projectId } = req.auth;
+
+        const result = await ingestSessionService.openSession({
+            projectId,
+            runId: run_id,
+            environment,
+            timestamp,
+            metadata
+        });
+
+        if (result.duplicate) {
+            metricsController.increment('duplicate_runs_rejected', { projectId, tokenId: req.auth.tokenId });
+            console.log(`[DUPLICATE_RUN_REJECTED] project_id=${projectId} run_id=${run_id} via=session`);
+
+            return sendSuccess(res, 200, {
+                message: 'Test run already exists (idempotent)',
+                run_id,
+                duplicate: true
+            });
+        }
+
+        if (result.created) {
+            console.log(`[INGEST_SESSION_OPENED] project_id=${projectId} run_id=${run_id}`);
+        }
+
+        sendSuccess(res, result.created ? 201 : 200, {
+            message: result.created ? 'Ingest session opened' : 'Ingest session already open',
+            ...result.session
+        });
+    } catch (error) {
+        console.error('[INGEST_SESSION_OPEN_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to open ingest session');
+    }
+};
+
+/**
+ * Get the state of an ingest session
+ * GET /ingest/sessions/:run_id
+ */
+const getSession = async (req, res) => {
+    try {
+        const session = await ingestSessionService.getSession(req.auth.projectId, req.params.run_id);
+
+        sendSuccess(res, 200, session);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[INGEST_SESSION_GET_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to fetch ingest session');
+    }
+};
+
+/**
+ * Append a batch of suites/cases to an ingest session
+ * POST /ingest/sessions/:run_id/batches
+ */
+const appendBatch = async (req, res) => {
+    try {
+        const { batch_id, test_suites } = req.body;
+        const { projectId } = req.auth;
+
+        const result = await ingestSessionService.appendBatch(projectId, req.params.run_id, {
+            batchId: batch_id,
+            testSuites: test_suites
+        });
+
+        if (!result.duplicate) {
+            ingestQuotaService.trackUsage(projectId, { bytes: req.bodySize || 0 });
+        }
+
+        sendSuccess(res, result.duplicate ? 200 : 201, {
+            message: result.duplicate ? 'Batch already appended (idempotent)' : 'Batch appended',
+            batch_id,
+            duplicate: result.duplicate,
+            ...result.session
+        });
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+        if (error.statusCode === 409) {
+            return sendError(res, 409, 'Conflict', error.message);
+        }
+
+        console.error('[INGEST_BATCH_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to append batch');
+    }
+};
+
+/**
+ * Finalize an ingest session into a stored test run
+ * POST /ingest/sessions/:run_id/finalize
+ */
+const finalizeSession = async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const { duration_ms } = req.body || {};
+        const { projectId } = req.auth;
+        const runId = req.params.run_id;
+
+        const { session, result, alreadyFinalized } = await ingestSessionService.finalizeSession(projectId, runId, {
+            durationMs: duration_ms
+        });
+
+        const duration = Date.now() - startTime;
+
+        if (result.duplicate) {
+            if (!alreadyFinalized) {
+                metricsController.increment('duplicate_runs_rejected', { projectId, tokenId: req.auth.tokenId });
+                console.log(`[DUPLICATE_RUN_REJECTED] project_id=${projectId} run_id=${runId} via=session duration=${duration}ms`);
+            }
+
+            return sendSuccess(res, 200, {
+                message: 'Test run already exists (idempotent)',
+                run_id: runId,
+                duplicate: true,
+                gate: result.gate || null
+            });
+        }
+
+        if (!alreadyFinalized) {
+            metricsController.increment('test_runs_ingested', { projectId, tokenId: req.auth.tokenId });
+            ingestQuotaService.trackUsage(projectId, { runs: 1 });
+            console.log(`[TEST_RUN_INGESTED] project_id=${projectId} run_id=${runId} environment=${session.environment} total_cases=${result.summary.total_test_cases} batches=${session.batch_count} duration=${duration}ms`);
+        }
+
+        sendSuccess(res, alreadyFinalized ? 200 : 201, {
+            message: alreadyFinalized ? 'Ingest session already finalized' : 'Test run ingested successfully',
+            run_id: runId,
+            environment: session.environment,
+            summary: result.summary,
+            batch_count: session.batch_count,
+            gate: result.gate || null
+        });
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+        if (error.statusCode === 409) {
+            // run_id already stored with different content
+            if (error.differences) {
+                return sendError(res, 409, 'Conflict', error.message, { run_id: req.params.run_id, differences: error.differences });
+            }
+            return sendError(res, 409, 'Conflict', error.message);
+        }
+
+        console.error('[INGEST_FINALIZE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to finalize ingest session');
+    }
+};
+
+module.exports = {
+    openSession,
+    getSession,
+    appendBatch,
+    finalizeSession
+};
@@ -1,53 +1,299 @@
 /**
  * Metrics Controller
- * Simple in-memory metrics tracking
+ * Operational metrics, served as JSON or in the Prometheus text format
+ * GET /metrics is public and only reports totals; the per-project and per-token breakdown
+ * (which names projects and tokens) is served to the root admin key by GET /metrics/ingestion.
+ * Business counters are stored in MongoDB and shared by all instances; request, error and
+ * auth-failure series are kept in memory per instance (Prometheus labels them by scrape target).
  */
 
-// In-memory counters (resets on server restart)
+const { MetricCounter } = require('../models/index.model');
+const { sendError } = require('../utils/response.util');
+const {
+    PROMETHEUS_CONTENT_TYPE,
+    createCounter,
+    incrementCounter,
+    createHistogram,
+    observeHistogram,
+    renderSamples,
+    renderCounter,
+    renderHistogram
+} = require('../utils/prometheus.util');
+
+// Request latency buckets in seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// Ingest payload buckets in bytes (1 KB to the 10 MB body limit)
+const PAYLOAD_BUCKETS = [1024, 10240, 102400, 1048576, 5242880, 10485760];
+
+// Durable counters (stored in MongoDB, survive restarts)
+const DURABLE_COUNTERS = {
+    orgs_created: 'Organizations created',
+    projects_created: 'Projects created',
+    tokens_created: 'API tokens created',
+    test_runs_ingested: 'Test runs ingested',
+    duplicate_runs_rejected: 'Duplicate test run submissions'
+};
+
+// Durable counters also broken down per project and per token
+const INGEST_COUNTERS = ['test_runs_ingested', 'duplicate_runs_rejected'];
+
+// In-memory counters (per instance, resets on server restart)
 const metrics = {
     requests_total: 0,
-    orgs_created: 0,
-    projects_created: 0,
-    tokens_created: 0,
-    test_runs_ingested: 0,
-    duplicate_runs_rejected: 0,
+    auth_failures: 0,
     errors: 0,
     startTime: Date.now()
 };
 
+// In-memory counters exposed to Prometheus without labels (auth_failures is exposed with labels instead)
+const INSTANCE_COUNTERS = {
+    requests_total: 'HTTP requests handled by this instance',
+    errors: 'Requests answered with a 5xx status by this instance'
+};
+
+// Labelled series for the Prometheus format
+const httpRequests = createCounter();
+const httpDurations = createHistogram(LATENCY_BUCKETS);
+const ingestPayloads = createHistogram(PAYLOAD_BUCKETS);
+const authFailures = createCounter();
+
 /**
- * GET /metrics
- * Returns current metrics
- */
-const getMetrics = (req, res) => {
-    const uptime = Math.floor((Date.now() - metrics.startTime) / 1000);
-
-    res.json({
-        uptime_seconds: uptime,
-        counters: {
-            requests_total: metrics.requests_total,
-            orgs_created: metrics.orgs_created,
-            projects_created: metrics.projects_created,
-            tokens_created: metrics.tokens_created,
-            test_runs_ingested: metrics.test_runs_ingested,
-            duplicate_runs_rejected: metrics.duplicate_runs_rejected,
-            errors: metrics.errors
-        },
-        timestamp: new Date().toISOString()
+ * Load the global totals of the durable counters
+ * @returns {Promise<Object>} Counter name -> value
+ */
+const loadDurableCounters = async () => {
+    const stored = await MetricCounter.getTotals();
+
+    const totals = {};
+    Object.keys(DURABLE_COUNTERS).forEach((name) => {
+        totals[name] = stored[name] || 0;
+    });
+
+    return totals;
+};
+
+/**
+ * Load the per-project and per-token ingest breakdown of the durable counters
+ * @returns {Promise<Object>} { projects, tokens }
+ */
+const loadIngestSeries = async () => {
+    const [projects, tokens] = await Promise.all([
+        MetricCounter.findSeries(INGEST_COUNTERS),
+        MetricCounter.findSeries(INGEST_COUNTERS, { byToken: true })
+    ]);
+
+    return { projects, tokens };
+};
+
+/**
+ * Pick the response format of a metrics request
+ * @param {Object} req - Express request
+ * @returns {string} 'json' or 'prometheus'
+ */
+const responseFormat = (req) => {
+    // Prometheus scrapers send Accept: text/plain;version=0.0.4, which only matches a type with the same parameter
+    const preferred = req.accepts(['application/json', 'text/plain;version=0.0.4', 'text/plain']);
+    return req.query.format || (preferred && preferred.startsWith('text/plain') ? 'prometheus' : 'json');
+};
+
+/**
+ * Group per-series counter documents into one entry per project or token
+ * @param {Array} series - { name, project_id, token_id, value }
+ * @param {boolean} byToken - Group by token as well as project
+ * @returns {Array} { project_id, [token_id], test_runs_ingested, duplicate_runs_rejected }
+ */
+const groupSeries = (series, byToken) => {
+    const grouped = new Map();
+
+    series.forEach(({ name, project_id, token_id, value }) => {
+        const key = byToken ? `${project_id}/${token_id}` : project_id;
+        if (!grouped.has(key)) {
+            const entry = byToken ? { project_id, token_id } : { project_id };
+            INGEST_COUNTERS.forEach((counter) => {
+                entry[counter] = 0;
+            });
+            grouped.set(key, entry);
+        }
+        grouped.get(key)[name] = value;
+    });
+
+    return [...grouped.values()];
+};
+
+/**
+ * Render per-project or per-token ingest series as Prometheus samples
+ * @param {Array} series - { name, project_id, token_id, value }
+ * @param {string} name - Counter name to select
+ * @param {boolean} byToken - Include the token_id label
+ * @returns {Array<Object>} { labels, value }
+ */
+const seriesSamples = (series, name, byToken) => {
+    return series
+        .filter((entry) => entry.name === name)
+        .map((entry) => ({
+            labels: byToken ? { project_id: entry.project_id, token_id: entry.token_id } : { project_id: entry.project_id },
+            value: entry.value
+        }));
+};
+
+/**
+ * Render the public metrics in the Prometheus text exposition format
+ * @param {number} uptime - Uptime in seconds
+ * @param {Object} totals - Durable counters from loadDurableCounters
+ * @returns {string}
+ */
+const renderPrometheus = (uptime, totals) => {
+    const durableCounters = Object.entries(DURABLE_COUNTERS).map(([name, help]) => {
+        return renderSamples(`${name}_total`, help, 'counter', [{ labels: {}, value: totals[name] }]);
+    });
+
+    const instanceCounters = Object.entries(INSTANCE_COUNTERS).map(([name, help]) => {
+        const metricName = name.endsWith('_total') ? name : `${name}_total`;
+        return renderSamples(metricName, help, 'counter', [{ labels: {}, value: metrics[name] }]);
     });
+
+    return [
+        renderSamples('uptime_seconds', 'Seconds since this instance started', 'gauge', [{ labels: {}, value: uptime }]),
+        ...durableCounters,
+        ...instanceCounters,
+        renderCounter('http_requests_total', 'HTTP requests by method, route and status', httpRequests),
+        renderHistogram('http_request_duration_seconds', 'HTTP request latency by method, route and status', httpDurations),
+        renderHistogram('ingest_payload_bytes', 'Request body size of ingestion requests by route', ingestPayloads),
+        renderCounter('auth_failures_total', 'Rejected authentication and authorization attempts by credential type and reason', authFailures)
+    ].join('\n') + '\n';
+};
+
+/**
+ * Render the per-project and per-token ingest breakdown in the Prometheus text exposition format
+ * @param {Object} series - Series from loadIngestSeries
+ * @returns {string}
+ */
+const renderIngestPrometheus = ({ projects, tokens }) => {
+    return INGEST_COUNTERS.flatMap((name) => [
+        renderSamples(`project_${name}_total`, `${DURABLE_COUNTERS[name]} per project`, 'counter', seriesSamples(projects, name, false)),
+        renderSamples(`token_${name}_total`, `${DURABLE_COUNTERS[name]} per token`, 'counter', seriesSamples(tokens, name, true))
+    ]).join('\n') + '\n';
+};
+
+/**
+ * GET /metrics
+ * Returns current metrics as JSON, or in the Prometheus text format when
+ * ?format=prometheus is given or the Accept header prefers text/plain
+ */
+const getMetrics = async (req, res) => {
+    try {
+        const uptime = Math.floor((Date.now() - metrics.startTime) / 1000);
+        const totals = await loadDurableCounters();
+
+        if (responseFormat(req) === 'prometheus') {
+            return res.type(PROMETHEUS_CONTENT_TYPE).send(renderPrometheus(uptime, totals));
+        }
+
+        res.json({
+            uptime_seconds: uptime,
+            counters: {
+                requests_total: metrics.requests_total,
+                ...totals,
+                auth_failures: metrics.auth_failures,
+                errors: metrics.errors
+            },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('[METRICS_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to load metrics');
+    }
+};
+
+/**
+ * GET /metrics/ingestion
+ * Returns ingest counters per project and per token (root admin key), as JSON or in the
+ * Prometheus text format, negotiated like GET /metrics
+ */
+const getIngestionMetrics = async (req, res) => {
+    try {
+        const series = await loadIngestSeries();
+
+        if (responseFormat(req) === 'prometheus') {
+            return res.type(PROMETHEUS_CONTENT_TYPE).send(renderIngestPrometheus(series));
+        }
+
+        res.json({
+            projects: groupSeries(series.projects, false),
+            tokens: groupSeries(series.tokens, true),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('[METRICS_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to load metrics');
+    }
 };
 
 /**
  * Increment a counter
+ * Durable counters are written in the background; a failed write is logged and never fails the request.
  * @param {string} counter - Counter name
+ * @param {Object} [context] - Project/token the event belongs to, for per-project and per-token counts
+ * @param {string} [context.projectId] - Project ID
+ * @param {string} [context.tokenId] - Token ID
  */
-const increment = (counter) => {
+const increment = (counter, context = {}) => {
+    if (DURABLE_COUNTERS.hasOwnProperty(counter)) {
+        MetricCounter.increment(counter, context).catch((error) => {
+            console.error('[METRICS_ERROR]', error);
+        });
+        return;
+    }
+
     if (metrics.hasOwnProperty(counter)) {
         metrics[counter]++;
     }
 };
 
+/**
+ * Record a completed HTTP request
+ * @param {Object} request - Request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.route - Matched route pattern (e.g. /runs/:run_id)
+ * @param {number} request.status - Response status code
+ * @param {number} request.durationSeconds - Time from arrival to response finish
+ */
+const recordRequest = ({ method, route, status, durationSeconds }) => {
+    const labels = { method, route, status: String(status) };
+
+    metrics.requests_total++;
+    if (status >= 500) {
+        metrics.errors++;
+    }
+
+    incrementCounter(httpRequests, labels);
+    observeHistogram(httpDurations, labels, durationSeconds);
+};
+
+/**
+ * Record the body size of an ingestion request
+ * @param {string} route - Matched route pattern
+ * @param {number} bytes - Body size in bytes
+ */
+const recordIngestPayload = (route, bytes) => {
+    observeHistogram(ingestPayloads, { route }, bytes);
+};
+
+/**
+ * Record a rejected authentication or authorization attempt
+ * @param {string} type - Credential type ('token' or 'admin_key')
+ * @param {string} reason - Why it was rejected (e.g. 'invalid', 'missing_scope')
+ */
+const recordAuthFailure = (type, reason) => {
+    metrics.auth_failures++;
+    incrementCounter(authFailures, { type, reason });
+};
+
 module.exports = {
     getMetrics,
-    increment
+    getIngestionMetrics,
+    increment,
+    recordRequest,
+    recordIngestPayload,
+    recordAuthFailure
 };
@@ -0,0 +1,58 @@
+/**
+ * OpenAPI Controller
+ * Serves the OpenAPI document generated from the routes and a browsable reference page
+ */
+
+const { buildOpenApiDocument } = require('../utils/openapi.util');
+
+const SWAGGER_UI_VERSION = '5.17.14';
+
+let openApiDocument = null;
+
+/**
+ * Build the document on first use
+ * The router is required here rather than at load time because it requires this controller.
+ */
+const getDocument = () => {
+    if (!openApiDocument) {
+        openApiDocument = buildOpenApiDocument(require('../routes/routes'));
+    }
+    return openApiDocument;
+};
+
+/**
+ * Get the OpenAPI document
+ * GET /openapi.json
+ */
+const getOpenApiDocument = (req, res) => {
+    res.json(getDocument());
+};
+
+/**
+ * Get the API reference page (Swagger UI rendering /openapi.json)
+ * GET /docs
+ */
+const getDocsPage = (req, res) => {
+    const { title } = getDocument().info;
+
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>`);
+};
+
+module.exports = {
+    getOpenApiDocument,
+    getDocsPage
+};
@@ -17,7 +17,7 @@ const createOrganization = async (req, res) => {
     try {
         const { name } = req.body;
 
-        const organization = await organizationService.createOrganization(name);
+        const { organization, adminKey } = await organizationService.createOrganization(name);
         metricsController.increment('orgs_created');
 
         const duration = Date.now() - startTime;
@@ -26,7 +26,12 @@ const createOrganization = async (req, res) => {
         sendSuccess(res, 201, {
             id: organization._id,
             name: organization.name,
-            message: 'Organization created successfully'
+            admin_key: {
+                id: adminKey.id,
+                name: adminKey.name,
+                key: adminKey.key
+            },
+            message: 'Organization created successfully. Save the admin key - it will not be shown again!'
         });
     } catch (error) {
         if (error.message.includes('already exists')) {
@@ -38,6 +43,148 @@ const createOrganization = async (req, res) => {
     }
 };
 
+/**
+ * List organizations visible to the admin key
+ * GET /orgs
+ */
+const listOrganizations = async (req, res) => {
+    try {
+        const organizations = await organizationService.listOrganizations(req.admin.orgId);
+
+        sendSuccess(res, 200, { organizations });
+    } catch (error) {
+        console.error('[ORG_LIST_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to list organizations');
+    }
+};
+
+/**
+ * Get an organization
+ * GET /orgs/:id
+ */
+const getOrganization = async (req, res) => {
+    try {
+        const organization = await organizationService.getOrganization(req.params.id);
+
+        sendSuccess(res, 200, organization);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[ORG_GET_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to fetch organization');
+    }
+};
+
+/**
+ * Rename an organization
+ * PATCH /orgs/:id
+ */
+const updateOrganization = async (req, res) => {
+    try {
+        const organization = await organizationService.updateOrganization(req.params.id, req.body.name);
+
+        console.log(`[ORG_UPDATED] org_id=${organization.id} name="${organization.name}"`);
+
+        sendSuccess(res, 200, organization);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+        if (error.statusCode === 409 || error.message.includes('already exists')) {
+            return sendError(res, 409, 'Conflict', error.message);
+        }
+
+        console.error('[ORG_UPDATE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to update organization');
+    }
+};
+
+/**
+ * List the projects of an organization
+ * GET /orgs/:id/projects
+ */
+const listOrganizationProjects = async (req, res) => {
+    try {
+        const projects = await organizationService.listProjects(req.params.id, req.query.include_deleted === 'true');
+
+        sendSuccess(res, 200, { projects });
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[ORG_PROJECTS_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to list projects');
+    }
+};
+
+/**
+ * Soft-delete an organization, or permanently delete it with ?confirm=true
+ * DELETE /orgs/:id
+ */
+const deleteOrganization = async (req, res) => {
+    try {
+        const confirm = req.query.confirm === 'true';
+        const result = await organizationService.deleteOrganization(req.params.id, confirm);
+
+        if (result.permanently_deleted) {
+            console.log(`[ORG_PURGED] org_id=${req.params.id} projects=${result.projects_deleted} runs=${result.test_runs_deleted}`);
+            return sendSuccess(res, 200, {
+                ...result,
+                message: 'Organization permanently deleted'
+            });
+        }
+
+        console.log(`[ORG_SOFT_DELETED] org_id=${req.params.id}`);
+        sendSuccess(res, 200, {
+            ...result,
+            message: `Organization marked for deletion and its project tokens suspended. Send DELETE /orgs/${req.params.id}?confirm=true to permanently delete it with ${result.projects} project(s), or POST /orgs/${req.params.id}/restore to undo.`
+        });
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+        if (error.statusCode === 409) {
+            return sendError(res, 409, 'Conflict', error.message);
+        }
+
+        console.error('[ORG_DELETE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to delete organization');
+    }
+};
+
+/**
+ * Restore a soft-deleted organization
+ * POST /orgs/:id/restore
+ */
+const restoreOrganization = async (req, res) => {
+    try {
+        const organization = await organizationService.restoreOrganization(req.params.id);
+
+        console.log(`[ORG_RESTORED] org_id=${req.params.id} projects=${organization.projects_restored}`);
+
+        sendSuccess(res, 200, organization);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+        if (error.statusCode === 409) {
+            return sendError(res, 409, 'Conflict', error.message);
+        }
+
+        console.error('[ORG_RESTORE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to restore organization');
+    }
+};
+
 module.exports = {
-    createOrganization
+    createOrganization,
+    listOrganizations,
+    getOrganization,
+    updateOrganization,
+    listOrganizationProjects,
+    deleteOrganization,
+    restoreOrganization
 };
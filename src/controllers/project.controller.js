@@ -4,6 +4,7 @@
  */
 
 const projectService = require('../services/project.service');
+const testRunService = require('../services/testRun.service');
 const { sendSuccess, sendError } = require('../utils/response.util');
 const metricsController = require('./metrics.controller');
 
@@ -18,7 +19,7 @@ const createProject = async (req, res) => {
         const { org_id, name } = req.body;
 
         const project = await projectService.createProject(org_id, name);
-        metricsController.increment('projects_created');
+        metricsController.increment('projects_created', { projectId: project._id });
 
         const duration = Date.now() - startTime;
         console.log(`[PROJECT_CREATED] project_id=${project._id} org_id=${org_id} name="${name}" duration=${duration}ms`);
@@ -34,7 +35,7 @@ const createProject = async (req, res) => {
             return sendError(res, 404, 'Not Found', error.message);
         }
 
-        if (error.message.includes('already exists')) {
+        if (error.statusCode === 409 || error.message.includes('already exists')) {
             return sendError(res, 409, 'Conflict', error.message);
         }
 
@@ -43,6 +44,154 @@ const createProject = async (req, res) => {
     }
 };
 
+/**
+ * Get test run statistics and trends for a project
+ * GET /projects/:id/stats
+ */
+const getProjectStats = async (req, res) => {
+    try {
+        const { environment, from, to, interval, group_by, branch, commit, ci_provider, pr_number, label } = req.query;
+
+        const stats = await testRunService.getProjectStats(req.params.id, {
+            environment,
+            from,
+            to,
+            interval,
+            groupBy: group_by,
+            branch,
+            commit,
+            ciProvider: ci_provider,
+            prNumber: pr_number !== undefined ? Number(pr_number) : undefined,
+            label
+        });
+
+        sendSuccess(res, 200, stats);
+    } catch (error) {
+        console.error('[PROJECT_STATS_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to compute project stats');
+    }
+};
+
+/**
+ * Get a project
+ * GET /projects/:id
+ */
+const getProject = async (req, res) => {
+    try {
+        const project = await projectService.getProject(req.params.id, req.admin.orgId);
+
+        sendSuccess(res, 200, project);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+        if (error.statusCode === 403) {
+            return sendError(res, 403, 'Forbidden', error.message);
+        }
+
+        console.error('[PROJECT_GET_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to fetch project');
+    }
+};
+
+/**
+ * Rename a project
+ * PATCH /projects/:id
+ */
+const updateProject = async (req, res) => {
+    try {
+        const { name, ingest_quota } = req.body;
+        const project = await projectService.updateProject(req.params.id, { name, ingestQuota: ingest_quota }, req.admin.orgId);
+
+        console.log(`[PROJECT_UPDATED] project_id=${project.id} name="${project.name}" daily_runs=${project.ingest_quota.daily_runs} daily_bytes=${project.ingest_quota.daily_bytes}`);
+
+        sendSuccess(res, 200, project);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+        if (error.statusCode === 403) {
+            return sendError(res, 403, 'Forbidden', error.message);
+        }
+        if (error.statusCode === 409 || error.message.includes('already exists')) {
+            return sendError(res, 409, 'Conflict', error.message);
+        }
+
+        console.error('[PROJECT_UPDATE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to update project');
+    }
+};
+
+/**
+ * Soft-delete a project, or permanently delete it with ?confirm=true
+ * DELETE /projects/:id
+ */
+const deleteProject = async (req, res) => {
+    try {
+        const confirm = req.query.confirm === 'true';
+        const result = await projectService.deleteProject(req.params.id, confirm, req.admin.orgId);
+
+        if (result.permanently_deleted) {
+            console.log(`[PROJECT_PURGED] project_id=${req.params.id} tokens=${result.tokens_deleted} runs=${result.test_runs_deleted}`);
+            return sendSuccess(res, 200, {
+                ...result,
+                message: 'Project permanently deleted'
+            });
+        }
+
+        console.log(`[PROJECT_SOFT_DELETED] project_id=${req.params.id}`);
+        sendSuccess(res, 200, {
+            ...result,
+            message: `Project marked for deletion and its tokens suspended. Send DELETE /projects/${req.params.id}?confirm=true to permanently delete it with ${result.tokens} token(s) and ${result.test_runs} test run(s), or POST /projects/${req.params.id}/restore to undo.`
+        });
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+        if (error.statusCode === 403) {
+            return sendError(res, 403, 'Forbidden', error.message);
+        }
+        if (error.statusCode === 409) {
+            return sendError(res, 409, 'Conflict', error.message);
+        }
+
+        console.error('[PROJECT_DELETE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to delete project');
+    }
+};
+
+/**
+ * Restore a soft-deleted project
+ * POST /projects/:id/restore
+ */
+const restoreProject = async (req, res) => {
+    try {
+        const project = await projectService.restoreProject(req.params.id, req.admin.orgId);
+
+        console.log(`[PROJECT_RESTORED] project_id=${req.params.id}`);
+
+        sendSuccess(res, 200, project);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+        if (error.statusCode === 403) {
+            return sendError(res, 403, 'Forbidden', error.message);
+        }
+        if (error.statusCode === 409) {
+            return sendError(res, 409, 'Conflict', error.message);
+        }
+
+        console.error('[PROJECT_RESTORE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to restore project');
+    }
+};
+
 module.exports = {
-    createProject
+    createProject,
+    getProjectStats,
+    getProject,
+    updateProject,
+    deleteProject,
+    restoreProject
 };
@@ -0,0 +1,99 @@
+/**
+ * Quality Gate Controller
+ * Handles HTTP requests for project quality gate rules
+ */
+
+const qualityGateService = require('../services/qualityGate.service');
+const { sendSuccess, sendError } = require('../utils/response.util');
+
+/**
+ * Create a quality gate
+ * POST /projects/:id/gates
+ */
+const createGate = async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const gate = await qualityGateService.createGate(projectId, req.body);
+
+        console.log(`[GATE_CREATED] gate_id=${gate.id} project_id=${projectId} type=${gate.type} threshold=${gate.threshold}`);
+
+        sendSuccess(res, 201, gate);
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return sendError(res, 400, 'Bad Request', error.message);
+        }
+
+        console.error('[GATE_CREATE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to create quality gate');
+    }
+};
+
+/**
+ * List the quality gates of a project
+ * GET /projects/:id/gates
+ */
+const listGates = async (req, res) => {
+    try {
+        const gates = await qualityGateService.listGates(req.params.id);
+
+        sendSuccess(res, 200, { gates });
+    } catch (error) {
+        console.error('[GATE_LIST_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to list quality gates');
+    }
+};
+
+/**
+ * Update a quality gate
+ * PATCH /projects/:id/gates/:gateId
+ */
+const updateGate = async (req, res) => {
+    try {
+        const gate = await qualityGateService.updateGate(req.params.id, req.params.gateId, req.body);
+
+        console.log(`[GATE_UPDATED] gate_id=${gate.id} project_id=${gate.project_id} threshold=${gate.threshold}`);
+
+        sendSuccess(res, 200, gate);
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return sendError(res, 400, 'Bad Request', error.message);
+        }
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[GATE_UPDATE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to update quality gate');
+    }
+};
+
+/**
+ * Delete a quality gate
+ * DELETE /projects/:id/gates/:gateId
+ */
+const deleteGate = async (req, res) => {
+    try {
+        await qualityGateService.deleteGate(req.params.id, req.params.gateId);
+
+        console.log(`[GATE_DELETED] gate_id=${req.params.gateId} project_id=${req.params.id}`);
+
+        sendSuccess(res, 200, {
+            id: req.params.gateId,
+            message: 'Quality gate deleted successfully'
+        });
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[GATE_DELETE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to delete quality gate');
+    }
+};
+
+module.exports = {
+    createGate,
+    listGates,
+    updateGate,
+    deleteGate
+};
@@ -0,0 +1,64 @@
+/**
+ * Schema Controller
+ * Serves the request body JSON Schemas so clients can validate payloads before uploading
+ */
+
+const {
+    JSON_SCHEMA_DIALECT,
+    INGEST_SCHEMA_VERSIONS,
+    DEFAULT_INGEST_SCHEMA_VERSION,
+    LATEST_INGEST_SCHEMA_VERSION,
+    SCHEMA_NAMES,
+    isVersioned,
+    getSchema
+} = require('../schemas');
+const { sendSuccess, sendError } = require('../utils/response.util');
+
+/**
+ * List the available schemas
+ * GET /schemas
+ */
+const listSchemas = (req, res) => {
+    sendSuccess(res, 200, {
+        schemas: SCHEMA_NAMES.map((name) => ({
+            name,
+            url: `/schemas/${name}`,
+            ...(isVersioned(name) && {
+                versions: INGEST_SCHEMA_VERSIONS,
+                default_version: DEFAULT_INGEST_SCHEMA_VERSION,
+                latest_version: LATEST_INGEST_SCHEMA_VERSION
+            })
+        }))
+    });
+};
+
+/**
+ * Get one schema as a JSON Schema document
+ * GET /schemas/:name
+ * Ingest schemas default to the latest version; ?version=1 returns an older one.
+ */
+const getSchemaDocument = (req, res) => {
+    const { name } = req.params;
+
+    if (!SCHEMA_NAMES.includes(name)) {
+        return sendError(res, 404, 'Not Found', `Unknown schema "${name}" (available: ${SCHEMA_NAMES.join(', ')})`);
+    }
+
+    let version = LATEST_INGEST_SCHEMA_VERSION;
+    if (req.query.version !== undefined) {
+        version = Number(req.query.version);
+        if (!isVersioned(name) || !INGEST_SCHEMA_VERSIONS.includes(version)) {
+            return sendError(res, 400, 'Bad Request', isVersioned(name)
+                ? `version must be one of: ${INGEST_SCHEMA_VERSIONS.join(', ')}`
+                : `The ${name} schema is not versioned`);
+        }
+    }
+
+    res.type('application/schema+json');
+    sendSuccess(res, 200, { $schema: JSON_SCHEMA_DIALECT, ...getSchema(name, version) });
+};
+
+module.exports = {
+    listSchemas,
+    getSchemaDocument
+};
@@ -0,0 +1,83 @@
+/**
+ * Test Case Controller
+ * Handles HTTP requests for per-case history, flakiness and failure clusters
+ */
+
+const testCaseService = require('../services/testCase.service');
+const { sendSuccess, sendError } = require('../utils/response.util');
+
+/**
+ * Get the execution history of a single test case
+ * GET /cases/history
+ */
+const getCaseHistory = async (req, res) => {
+    try {
+        const { suite, name, environment, limit } = req.query;
+        const { projectId } = req.auth;
+
+        const result = await testCaseService.getCaseHistory(projectId, {
+            suiteName: suite,
+            caseName: name,
+            environment,
+            limit: limit !== undefined ? Number(limit) : undefined
+        });
+
+        sendSuccess(res, 200, result);
+    } catch (error) {
+        console.error('[CASE_HISTORY_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to fetch test case history');
+    }
+};
+
+/**
+ * Rank test cases by flakiness score
+ * GET /cases/flaky
+ */
+const getFlakyCases = async (req, res) => {
+    try {
+        const { environment, window, min_runs, limit } = req.query;
+        const { projectId } = req.auth;
+
+        const result = await testCaseService.getFlakyCases(projectId, {
+            environment,
+            windowRuns: window !== undefined ? Number(window) : undefined,
+            minRuns: min_runs !== undefined ? Number(min_runs) : undefined,
+            limit: limit !== undefined ? Number(limit) : undefined
+        });
+
+        sendSuccess(res, 200, result);
+    } catch (error) {
+        console.error('[FLAKY_CASES_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to compute flaky test cases');
+    }
+};
+
+/**
+ * Rank the failure clusters of a project
+ * GET /projects/:id/failures
+ */
+const getFailureClusters = async (req, res) => {
+    try {
+        const { environment, from, to, failure_type, sort, limit } = req.query;
+
+        const result = await testCaseService.getFailureClusters(req.params.id, {
+            environment,
+            from,
+            to,
+            failureType: failure_type,
+            sort,
+            limit: limit !== undefined ? Number(limit) : undefined
+        });
+
+        sendSuccess(res, 200, result);
+    } catch (error) {
+        console.error('[FAILURE_CLUSTERS_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to compute failure clusters');
+    }
+};
+
+module.exports = {
+    getCaseHistory,
+    getFlakyCases,
+    getFailureClusters
+};
@@ -1,9 +1,11 @@
 /**
  * Test Run Controller
- * Handles HTTP requests for test run ingestion
+ * Handles HTTP requests for test run ingestion and retrieval
  */
 
 const testRunService = require('../services/testRun.service');
+const qualityGateService = require('../services/qualityGate.service');
+const ingestQuotaService = require('../services/ingestQuota.service');
 const { sendSuccess, sendError } = require('../utils/response.util');
 const metricsController = require('./metrics.controller');
 
@@ -15,7 +17,7 @@ const ingestTestRun = async (req, res) => {
     const startTime = Date.now();
 
     try {
-        const { run_id, environment, timestamp, summary, test_suites } = req.body;
+        const { run_id, environment, timestamp, summary, test_suites, metadata } = req.body;
         const { projectId } = req.auth;
 
         const result = await testRunService.ingestTestRun({
@@ -24,24 +26,29 @@ const ingestTestRun = async (req, res) => {
             environment,
             timestamp,
             summary,
-            testSuites: test_suites
+            testSuites: test_suites,
+            metadata,
+            idempotency: req.idempotency,
+            datedByUpload: req.datedByUpload === true
         });
 
         const duration = Date.now() - startTime;
 
         if (result.duplicate) {
-            metricsController.increment('duplicate_runs_rejected');
+            metricsController.increment('duplicate_runs_rejected', { projectId, tokenId: req.auth.tokenId });
             console.log(`[DUPLICATE_RUN_REJECTED] project_id=${projectId} run_id=${run_id} duration=${duration}ms`);
 
             // Return 200 (not 409) to make retry safe
             return sendSuccess(res, 200, {
                 message: 'Test run already exists (idempotent)',
-                run_id,
-                duplicate: true
+                run_id: result.runId,
+                duplicate: true,
+                gate: result.gate
             });
         }
 
-        metricsController.increment('test_runs_ingested');
+        metricsController.increment('test_runs_ingested', { projectId, tokenId: req.auth.tokenId });
+        ingestQuotaService.trackUsage(projectId, { runs: 1, bytes: req.bodySize || 0 });
         console.log(`[TEST_RUN_INGESTED] project_id=${projectId} run_id=${run_id} environment=${environment} total_cases=${summary.total_test_cases} duration=${duration}ms`);
 
         sendSuccess(res, 201, {
@@ -49,14 +56,186 @@ const ingestTestRun = async (req, res) => {
             run_id,
             environment,
             summary: result.summary,
-            test_suites: test_suites || []
+            test_suites: test_suites || [],
+            metadata: result.metadata,
+            gate: result.gate
         });
     } catch (error) {
+        if (error.statusCode === 409) {
+            console.log(`[RUN_CONFLICT_REJECTED] project_id=${req.auth.projectId} run_id=${req.body.run_id} fields=${error.differences.fields.join(',')}`);
+            return sendError(res, 409, 'Conflict', error.message, { run_id: req.body.run_id, differences: error.differences });
+        }
+        if (error.statusCode === 422) {
+            return sendError(res, 422, 'Unprocessable Entity', error.message);
+        }
+
         console.error('[INGEST_ERROR]', error);
         sendError(res, 500, 'Internal Server Error', 'Failed to ingest test run');
     }
 };
 
+/**
+ * List test runs for the authenticated project
+ * GET /runs
+ */
+const listTestRuns = async (req, res) => {
+    try {
+        const { environment, from, to, status, min_failed, branch, commit, ci_provider, pr_number, label, cursor, limit } = req.query;
+        const { projectId } = req.auth;
+
+        const result = await testRunService.listTestRuns(projectId, {
+            environment,
+            from,
+            to,
+            status,
+            minFailed: min_failed !== undefined ? Number(min_failed) : undefined,
+            branch,
+            commit,
+            ciProvider: ci_provider,
+            prNumber: pr_number !== undefined ? Number(pr_number) : undefined,
+            label,
+            cursor,
+            limit: limit !== undefined ? Number(limit) : undefined
+        });
+
+        sendSuccess(res, 200, result);
+    } catch (error) {
+        console.error('[RUN_LIST_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to list test runs');
+    }
+};
+
+/**
+ * Get a single test run with suites and cases
+ * GET /runs/:run_id
+ */
+const getTestRun = async (req, res) => {
+    try {
+        const { projectId } = req.auth;
+
+        const testRun = await testRunService.getTestRun(projectId, req.params.run_id);
+
+        sendSuccess(res, 200, testRun);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[RUN_GET_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to fetch test run');
+    }
+};
+
+/**
+ * Append retries and late results to a test run
+ * PATCH /runs/:run_id
+ */
+const amendTestRun = async (req, res) => {
+    try {
+        const { amendment_id, test_suites, duration_ms } = req.body;
+        const { projectId } = req.auth;
+        const runId = req.params.run_id;
+
+        const result = await testRunService.amendTestRun(projectId, runId, {
+            amendmentId: amendment_id,
+            testSuites: test_suites,
+            durationMs: duration_ms
+        });
+        const { amendment } = result;
+
+        if (result.duplicate) {
+            return sendSuccess(res, 200, {
+                message: 'Amendment already applied (idempotent)',
+                run_id: runId,
+                amendment_id: amendment.amendment_id,
+                duplicate: true,
+                changes: amendment.changes,
+                summary: result.summary,
+                gate: result.gate
+            });
+        }
+
+        ingestQuotaService.trackUsage(projectId, { bytes: req.bodySize || 0 });
+        console.log(`[TEST_RUN_AMENDED] project_id=${projectId} run_id=${runId} amendment_id=${amendment.amendment_id} retried=${amendment.changes.retried} added=${amendment.changes.added} flaky=${amendment.changes.flaky}`);
+
+        sendSuccess(res, 200, {
+            message: 'Test run amended',
+            run_id: runId,
+            amendment_id: amendment.amendment_id,
+            duplicate: false,
+            changes: amendment.changes,
+            summary: result.summary,
+            gate: result.gate
+        });
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+        if (error.statusCode === 409) {
+            return sendError(res, 409, 'Conflict', error.message);
+        }
+
+        console.error('[RUN_AMEND_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to amend test run');
+    }
+};
+
+/**
+ * Compare a test run with a base run
+ * GET /runs/:run_id/diff
+ */
+const compareTestRuns = async (req, res) => {
+    try {
+        const { base, baseline_environment, baseline_branch, slower_than, min_delta_ms } = req.query;
+        const { projectId } = req.auth;
+
+        const diff = await testRunService.compareTestRuns(projectId, req.params.run_id, {
+            baseRunId: base,
+            baselineEnvironment: baseline_environment,
+            baselineBranch: baseline_branch,
+            slowerRatio: slower_than !== undefined ? Number(slower_than) : undefined,
+            minDeltaMs: min_delta_ms !== undefined ? Number(min_delta_ms) : undefined
+        });
+
+        sendSuccess(res, 200, diff);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[RUN_DIFF_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to compare test runs');
+    }
+};
+
+/**
+ * Get the quality gate verdict of a test run
+ * GET /runs/:run_id/gate
+ */
+const getTestRunGate = async (req, res) => {
+    try {
+        const { projectId } = req.auth;
+
+        const gate = await qualityGateService.getRunGate(projectId, req.params.run_id, {
+            refresh: req.query.refresh === 'true'
+        });
+
+        sendSuccess(res, 200, gate);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[RUN_GATE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to evaluate quality gates');
+    }
+};
+
 module.exports = {
-    ingestTestRun
+    ingestTestRun,
+    listTestRuns,
+    getTestRun,
+    amendTestRun,
+    compareTestRuns,
+    getTestRunGate
 };
@@ -15,29 +15,35 @@ const createToken = async (req, res) => {
     const startTime = Date.now();
 
     try {
-        const { project_id, name } = req.body;
+        const { project_id, name, expires_at, scopes } = req.body;
 
-        if (!name) {
-            return sendError(res, 400, 'Bad Request', 'Token name is required');
-        }
-
-        const result = await tokenService.createToken(project_id, name);
-        metricsController.increment('tokens_created');
+        const result = await tokenService.createToken(project_id, name, {
+            expiresAt: expires_at,
+            scopes,
+            orgId: req.admin.orgId
+        });
+        metricsController.increment('tokens_created', { projectId: project_id });
 
         const duration = Date.now() - startTime;
         console.log(`[TOKEN_CREATED] token_id=${result.id} project_id=${project_id} name="${name}" duration=${duration}ms`);
 
         sendSuccess(res, 201, {
+            id: result.id,
             project_id: result.project_id,
             name: result.name,
             token: result.token,
+            scopes: result.scopes,
+            expires_at: result.expires_at,
             message: 'API token created successfully. Save this token - it will not be shown again!'
         });
     } catch (error) {
         if (error.statusCode === 404) {
             return sendError(res, 404, 'Not Found', error.message);
         }
-        if (error.message.includes('already exists')) {
+        if (error.statusCode === 403) {
+            return sendError(res, 403, 'Forbidden', error.message);
+        }
+        if (error.statusCode === 409 || error.message.includes('already exists')) {
             return sendError(res, 409, 'Conflict', error.message);
         }
 
@@ -46,6 +52,91 @@ const createToken = async (req, res) => {
     }
 };
 
+/**
+ * List token metadata for a project
+ * GET /projects/:id/tokens
+ */
+const listTokens = async (req, res) => {
+    try {
+        const tokens = await tokenService.listTokens(req.params.id);
+
+        sendSuccess(res, 200, { tokens });
+    } catch (error) {
+        console.error('[TOKEN_LIST_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to list tokens');
+    }
+};
+
+/**
+ * Revoke an API token
+ * DELETE /tokens/:id
+ */
+const revokeToken = async (req, res) => {
+    try {
+        const { projectId } = req.auth;
+
+        await tokenService.revokeToken(projectId, req.params.id);
+
+        console.log(`[TOKEN_REVOKED] token_id=${req.params.id} project_id=${projectId}`);
+
+        sendSuccess(res, 200, {
+            id: req.params.id,
+            message: 'API token revoked successfully'
+        });
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[TOKEN_REVOKE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to revoke token');
+    }
+};
+
+/**
+ * Rotate an API token
+ * POST /tokens/:id/rotate
+ */
+const rotateToken = async (req, res) => {
+    try {
+        const { projectId } = req.auth;
+        const { grace_period_seconds, expires_at } = req.body || {};
+
+        const result = await tokenService.rotateToken(projectId, req.params.id, {
+            gracePeriodSeconds: grace_period_seconds,
+            expiresAt: expires_at
+        });
+        metricsController.increment('tokens_created', { projectId });
+
+        console.log(`[TOKEN_ROTATED] token_id=${req.params.id} replaced_by=${result.id} project_id=${projectId}`);
+
+        sendSuccess(res, 201, {
+            id: result.id,
+            project_id: result.project_id,
+            name: result.name,
+            token: result.token,
+            scopes: result.scopes,
+            expires_at: result.expires_at,
+            previous_token_id: req.params.id,
+            previous_token_expires_at: result.previous_token_expires_at,
+            message: 'API token rotated successfully. Save this token - it will not be shown again!'
+        });
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+        if (error.statusCode === 409) {
+            return sendError(res, 409, 'Conflict', error.message);
+        }
+
+        console.error('[TOKEN_ROTATE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to rotate token');
+    }
+};
+
 module.exports = {
-    createToken
+    createToken,
+    listTokens,
+    revokeToken,
+    rotateToken
 };
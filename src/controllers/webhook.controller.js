@@ -0,0 +1,147 @@
+/**
+ * Webhook Controller
+ * Handles HTTP requests for project webhook subscriptions and their delivery logs
+ */
+
+const webhookService = require('../services/webhook.service');
+const { sendSuccess, sendError } = require('../utils/response.util');
+
+/**
+ * Create a webhook
+ * POST /projects/:id/webhooks
+ */
+const createWebhook = async (req, res) => {
+    try {
+        const projectId = req.params.id;
+        const webhook = await webhookService.createWebhook(projectId, req.body);
+
+        console.log(`[WEBHOOK_CREATED] webhook_id=${webhook.id} project_id=${projectId} events=${webhook.events.join(',')}`);
+
+        sendSuccess(res, 201, {
+            ...webhook,
+            message: 'Webhook created successfully. Save the secret - it will not be shown again!'
+        });
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return sendError(res, 400, 'Bad Request', error.message);
+        }
+
+        console.error('[WEBHOOK_CREATE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to create webhook');
+    }
+};
+
+/**
+ * List the webhooks of a project
+ * GET /projects/:id/webhooks
+ */
+const listWebhooks = async (req, res) => {
+    try {
+        const webhooks = await webhookService.listWebhooks(req.params.id);
+
+        sendSuccess(res, 200, { webhooks });
+    } catch (error) {
+        console.error('[WEBHOOK_LIST_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to list webhooks');
+    }
+};
+
+/**
+ * Get a webhook
+ * GET /projects/:id/webhooks/:webhookId
+ */
+const getWebhook = async (req, res) => {
+    try {
+        const webhook = await webhookService.getWebhook(req.params.id, req.params.webhookId);
+
+        sendSuccess(res, 200, webhook);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[WEBHOOK_GET_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to retrieve webhook');
+    }
+};
+
+/**
+ * Update a webhook
+ * PATCH /projects/:id/webhooks/:webhookId
+ */
+const updateWebhook = async (req, res) => {
+    try {
+        const webhook = await webhookService.updateWebhook(req.params.id, req.params.webhookId, req.body);
+
+        console.log(`[WEBHOOK_UPDATED] webhook_id=${webhook.id} project_id=${webhook.project_id} active=${webhook.active}`);
+
+        sendSuccess(res, 200, webhook);
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return sendError(res, 400, 'Bad Request', error.message);
+        }
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[WEBHOOK_UPDATE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to update webhook');
+    }
+};
+
+/**
+ * Delete a webhook
+ * DELETE /projects/:id/webhooks/:webhookId
+ */
+const deleteWebhook = async (req, res) => {
+    try {
+        await webhookService.deleteWebhook(req.params.id, req.params.webhookId);
+
+        console.log(`[WEBHOOK_DELETED] webhook_id=${req.params.webhookId} project_id=${req.params.id}`);
+
+        sendSuccess(res, 200, {
+            id: req.params.webhookId,
+            message: 'Webhook deleted successfully'
+        });
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[WEBHOOK_DELETE_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to delete webhook');
+    }
+};
+
+/**
+ * List recent deliveries of a webhook
+ * GET /projects/:id/webhooks/:webhookId/deliveries
+ */
+const listDeliveries = async (req, res) => {
+    try {
+        const { status, limit } = req.query;
+
+        const deliveries = await webhookService.listDeliveries(req.params.id, req.params.webhookId, {
+            status,
+            limit: limit !== undefined ? Number(limit) : undefined
+        });
+
+        sendSuccess(res, 200, { deliveries });
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return sendError(res, 404, 'Not Found', error.message);
+        }
+
+        console.error('[WEBHOOK_DELIVERIES_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to list webhook deliveries');
+    }
+};
+
+module.exports = {
+    createWebhook,
+    listWebhooks,
+    getWebhook,
+    updateWebhook,
+    deleteWebhook,
+    listDeliveries
+};
@@ -0,0 +1,33 @@
+/**
+ * Async Ingest Middleware
+ * Hands POST /ingest?async=true uploads to the ingest queue instead of storing them within the request
+ */
+
+const { sendValidationError } = require('../utils/response.util');
+const { queryErrors } = require('../utils/schema.util');
+const { enforceIngestQuota } = require('./rateLimit.middleware');
+const ingestJobController = require('../controllers/ingestJob.controller');
+
+const checkIngestQuota = enforceIngestQuota({ runs: true, bytes: true });
+
+/**
+ * Middleware to queue an upload when ?async=true
+ * Other requests continue to the synchronous ingest chain. The query string and the daily quota
+ * are checked before the upload is accepted; the body is checked by the worker.
+ */
+const queueAsyncIngest = (req, res, next) => {
+    if (req.query.async !== 'true') {
+        return next();
+    }
+
+    const errors = queryErrors('ingest', req.query);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
+
+    return checkIngestQuota(req, res, () => ingestJobController.queueTestRun(req, res));
+};
+
+module.exports = {
+    queueAsyncIngest
+};
@@ -1,43 +1,72 @@
-const { ApiToken } = require('../models/index.model');
+const crypto = require('crypto');
+const { ApiToken, AdminKey } = require('../models/index.model');
+const metricsController = require('../controllers/metrics.controller');
+const { authFailureRateLimit, clientIpKey } = require('./rateLimit.middleware');
+const { documented } = require('../utils/openapi.util');
+
+/**
+ * Compare a presented key with the root admin key in constant time
+ * @param {string} key - Presented key
+ * @returns {boolean}
+ */
+function isRootAdminKey(key) {
+  const rootKey = process.env.ADMIN_API_KEY;
+  if (!rootKey) {
+    return false;
+  }
+
+  const presented = crypto.createHash('sha256').update(key).digest();
+  const expected = crypto.createHash('sha256').update(rootKey).digest();
+  return crypto.timingSafeEqual(presented, expected);
+}
+
+/**
+ * Reject a request whose credentials could not be verified
+ * Failures are counted per client IP; past the limit the client gets 429 instead of 401.
+ * @param {string} type - Credential type ('token' or 'admin_key')
+ * @param {string} reason - Failure reason for metrics
+ * @param {string} message - Error message
+ */
+function rejectCredentials(req, res, type, reason, message) {
+  metricsController.recordAuthFailure(type, reason);
+  return authFailureRateLimit(req, res, () => {
+    res.status(401).json({
+      error: 'Unauthorized',
+      message
+    });
+  });
+}
 
 /**
  * Middleware to authenticate requests using Bearer token
- * Attaches projectId to req.auth if successful
+ * Attaches tokenId, projectId and scopes to req.auth if successful
  */
 async function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Missing or invalid Authorization header. Expected: Bearer <token>'
-    });
+    return rejectCredentials(req, res, 'token', 'missing_header', 'Missing or invalid Authorization header. Expected: Bearer <token>');
   }
 
   const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
   if (!token) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Token is empty'
-    });
+    return rejectCredentials(req, res, 'token', 'empty_credential', 'Token is empty');
   }
 
   try {
-    // Use ApiToken model to authenticate
-    const auth = await ApiToken.authenticate(token);
+    // Use ApiToken model to authenticate; legacy token scans are budgeted per client IP
+    const auth = await ApiToken.authenticate(token, { client: clientIpKey(req) });
 
     if (!auth) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Invalid token'
-      });
+      return rejectCredentials(req, res, 'token', 'invalid', 'Invalid or expired token');
     }
 
-    // Attach project context to request
+    // Attach project and permission context to request
     req.auth = {
       tokenId: auth.tokenId,
-      projectId: auth.projectId
+      projectId: auth.projectId,
+      scopes: auth.scopes
     };
 
     return next();
@@ -51,6 +80,140 @@ async function authenticateToken(req, res, next) {
   }
 }
 
+/**
+ * Middleware to restrict project-scoped routes to the token's own project
+ * Must run after authenticateToken
+ * @param {string} param - Route parameter holding the project ID
+ */
+function authorizeProject(param = 'id') {
+  return documented((req, res, next) => {
+    if (req.params[param] !== req.auth.projectId) {
+      metricsController.recordAuthFailure('token', 'project_forbidden');
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Token does not grant access to this project'
+      });
+    }
+
+    return next();
+  }, { responses: { 403: 'Token does not grant access to this project' } });
+}
+
+/**
+ * Middleware to require a token scope on a route
+ * Must run after authenticateToken; the 'admin' scope satisfies any requirement
+ * @param {string} scope - Required scope (e.g. 'runs:write')
+ */
+function requireScope(scope) {
+  return documented((req, res, next) => {
+    if (!ApiToken.hasScope(req.auth.scopes, scope)) {
+      metricsController.recordAuthFailure('token', 'missing_scope');
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Token is missing required scope: ${scope}`
+      });
+    }
+
+    return next();
+  }, { scope, responses: { 403: `Token is missing required scope: ${scope}` } });
+}
+
+/**
+ * Middleware to authenticate management requests using an admin key
+ * Accepts the root key (ADMIN_API_KEY) or an organization admin key.
+ * Attaches { role: 'root' | 'org', orgId, keyId } to req.admin if successful
+ */
+async function authenticateAdmin(req, res, next) {
+  const authHeader = req.headers['authorization'];
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return rejectCredentials(req, res, 'admin_key', 'missing_header', 'Missing or invalid Authorization header. Expected: Bearer <admin key>');
+  }
+
+  const key = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+  if (!key) {
+    return rejectCredentials(req, res, 'admin_key', 'empty_credential', 'Admin key is empty');
+  }
+
+  try {
+    if (isRootAdminKey(key)) {
+      req.admin = { role: 'root', orgId: null, keyId: null };
+      return next();
+    }
+
+    const auth = await AdminKey.authenticate(key);
+
+    if (!auth) {
+      return rejectCredentials(req, res, 'admin_key', 'invalid', 'Invalid admin key');
+    }
+
+    req.admin = { role: 'org', orgId: auth.orgId, keyId: auth.keyId };
+
+    return next();
+
+  } catch (error) {
+    console.error('Admin authentication error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Authentication failed'
+    });
+  }
+}
+
+/**
+ * Middleware to restrict a route to the root admin key
+ * Must run after authenticateAdmin
+ */
+function requireRootAdmin(req, res, next) {
+  if (req.admin.role !== 'root') {
+    metricsController.recordAuthFailure('admin_key', 'root_required');
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'This operation requires the root admin key'
+    });
+  }
+
+  return next();
+}
+
+/**
+ * Middleware to restrict organization-scoped routes to that organization's admins
+ * Must run after authenticateAdmin; the root admin key passes for every organization
+ * @param {Function} getOrgId - Reads the target organization ID from the request
+ */
+function authorizeOrgAdmin(getOrgId = (req) => req.params.id) {
+  return documented((req, res, next) => {
+    if (req.admin.role !== 'root' && getOrgId(req) !== req.admin.orgId) {
+      metricsController.recordAuthFailure('admin_key', 'org_forbidden');
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin key does not grant access to this organization'
+      });
+    }
+
+    return next();
+  }, { responses: { 403: 'Admin key does not grant access to this organization' } });
+}
+
+// What each middleware adds to the OpenAPI document
+documented(authenticateToken, {
+  security: 'apiToken',
+  responses: { 401: 'Missing, invalid, expired or revoked API token' }
+});
+documented(authenticateAdmin, {
+  security: 'adminKey',
+  responses: { 401: 'Missing or invalid admin key' }
+});
+documented(requireRootAdmin, {
+  responses: { 403: 'This operation requires the root admin key' }
+});
+
 module.exports = {
-  authenticateToken
+  authenticateToken,
+  authorizeProject,
+  requireScope,
+  authenticateAdmin,
+  requireRootAdmin,
+  authorizeOrgAdmin
 };
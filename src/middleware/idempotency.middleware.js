@@ -0,0 +1,52 @@
+/**
+ * Idempotency Middleware
+ * Reads the optional Idempotency-Key header of ingest requests
+ */
+
+const { sendValidationError } = require('../utils/response.util');
+const { requestFingerprint } = require('../utils/contentHash.util');
+const { XML_CONTENT_TYPES } = require('./junit.middleware');
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Printable ASCII without spaces; the key may be sent quoted ("...") as in the IETF draft
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]+$/;
+
+/**
+ * Middleware to read the Idempotency-Key header
+ * Sets req.idempotency = { key, fingerprint }, where fingerprint hashes the request as received
+ * (before JUnit conversion) so a retry can be told from a different request reusing the key.
+ * Must run before parseJUnitInput.
+ */
+const readIdempotencyKey = (req, res, next) => {
+    const header = req.get('Idempotency-Key');
+    if (header === undefined) {
+        req.idempotency = null;
+        return next();
+    }
+
+    const key = header.trim().replace(/^"(.*)"$/, '$1');
+    if (key.length === 0 || key.length > MAX_IDEMPOTENCY_KEY_LENGTH || !IDEMPOTENCY_KEY_PATTERN.test(key)) {
+        return sendValidationError(res, [
+            `Idempotency-Key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} printable ASCII characters without spaces`
+        ]);
+    }
+
+    const query = { ...req.query };
+    delete query.async;
+
+    req.idempotency = {
+        key,
+        fingerprint: requestFingerprint({
+            format: req.is(XML_CONTENT_TYPES) ? 'junit' : 'json',
+            payload: req.body,
+            query
+        })
+    };
+    next();
+};
+
+module.exports = {
+    MAX_IDEMPOTENCY_KEY_LENGTH,
+    readIdempotencyKey
+};
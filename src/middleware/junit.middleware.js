@@ -0,0 +1,37 @@
+/**
+ * JUnit Middleware
+ * Converts JUnit XML request bodies into the JSON test run shape
+ */
+
+const { sendError } = require('../utils/response.util');
+const { junitTestRun } = require('../utils/junit.util');
+const { documented } = require('../utils/openapi.util');
+
+const XML_CONTENT_TYPES = ['application/xml', 'text/xml'];
+
+/**
+ * Middleware to accept JUnit XML on /ingest
+ * JSON requests pass through untouched; XML reports are converted with junitTestRun
+ * (run_id, environment and metadata come from the query string).
+ * Sets req.datedByUpload when neither the query nor the report gives a timestamp.
+ */
+const parseJUnitInput = documented((req, res, next) => {
+    if (!req.is(XML_CONTENT_TYPES)) {
+        return next();
+    }
+
+    try {
+        const uploadedAt = new Date();
+        req.body = junitTestRun(req.body, req.query, uploadedAt);
+        req.datedByUpload = req.body.timestamp === uploadedAt.toISOString();
+    } catch (error) {
+        return sendError(res, 400, 'Bad Request', `Invalid JUnit XML payload: ${error.message}`);
+    }
+
+    next();
+}, { xml: true });
+
+module.exports = {
+    XML_CONTENT_TYPES,
+    parseJUnitInput
+};
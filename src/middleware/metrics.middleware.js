@@ -0,0 +1,44 @@
+/**
+ * Metrics Middleware
+ * Records request counts, latency and ingestion payload sizes for /metrics
+ */
+
+const metricsController = require('../controllers/metrics.controller');
+
+/**
+ * Body parser `verify` hook that remembers the raw body size
+ * Passed to express.json/express.text so sizes are known even without Content-Length
+ */
+const captureBodySize = (req, res, buf) => {
+    req.bodySize = buf.length;
+};
+
+/**
+ * Middleware to time every request and record it once the response is sent
+ * Requests that match no route are labelled "unmatched" to keep label cardinality bounded.
+ */
+const recordRequestMetrics = (req, res, next) => {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+
+        metricsController.recordRequest({
+            method: req.method,
+            route,
+            status: res.statusCode,
+            durationSeconds: Number(process.hrtime.bigint() - start) / 1e9
+        });
+
+        if (route.startsWith('/ingest') && req.bodySize !== undefined) {
+            metricsController.recordIngestPayload(route, req.bodySize);
+        }
+    });
+
+    next();
+};
+
+module.exports = {
+    captureBodySize,
+    recordRequestMetrics
+};
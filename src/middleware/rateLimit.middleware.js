@@ -0,0 +1,154 @@
+/**
+ * Rate Limit Middleware
+ * Request rate limits keyed by credential (or by client IP on public routes) and daily ingest quotas per project
+ * Limits are reported in the IETF RateLimit / RateLimit-Policy headers, one named policy per limit.
+ */
+
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const ingestQuotaService = require('../services/ingestQuota.service');
+const { sendError } = require('../utils/response.util');
+const { documented } = require('../utils/openapi.util');
+
+const MINUTE_MS = 60 * 1000;
+const AUTH_FAILURE_WINDOW_MS = 15 * MINUTE_MS;
+
+/**
+ * Read a positive integer setting from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+const envInteger = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Rate limit key of an authenticated request
+ * Tokens are limited individually, or per project with RATE_LIMIT_KEY=project (so a project's
+ * tokens share one budget). Admin keys are limited per key; the root key shares one budget.
+ */
+const credentialKey = (req) => {
+    if (req.auth) {
+        return process.env.RATE_LIMIT_KEY === 'project'
+            ? `project:${req.auth.projectId}`
+            : `token:${req.auth.tokenId}`;
+    }
+    if (req.admin) {
+        return `admin:${req.admin.keyId || 'root'}`;
+    }
+    return clientIpKey(req);
+};
+
+/**
+ * Rate limit key of an unauthenticated request (IPv6 clients are grouped by /56 subnet)
+ */
+const clientIpKey = (req) => `ip:${ipKeyGenerator(req.ip)}`;
+
+/**
+ * Create a per-minute limiter
+ * @param {string} name - Policy name reported in the headers
+ * @param {number} limit - Requests per minute
+ * @param {Function} [keyGenerator] - Request key; defaults to the credential (must run after authentication)
+ * @returns {Function} Express middleware
+ */
+const createLimiter = (name, limit, keyGenerator = credentialKey) => documented(rateLimit({
+    windowMs: MINUTE_MS,
+    limit,
+    identifier: name,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    keyGenerator,
+    handler: (req, res, next, options) => {
+        sendError(res, options.statusCode, 'Too Many Requests', `Rate limit of ${limit} ${name} requests per minute exceeded, please retry later`);
+    }
+}), { responses: { 429: `Rate limit of ${limit} ${name} requests per minute exceeded` } });
+
+// POST /ingest and chunked ingest sessions
+const ingestRateLimit = createLimiter('ingest', envInteger('RATE_LIMIT_INGEST_PER_MINUTE', 120));
+
+// Runs, cases, stats and failure clusters
+const readRateLimit = createLimiter('read', envInteger('RATE_LIMIT_READ_PER_MINUTE', 300));
+
+// Organizations, projects, keys, tokens, webhooks and quality gates
+const managementRateLimit = createLimiter('management', envInteger('RATE_LIMIT_MANAGEMENT_PER_MINUTE', 60));
+
+// Unauthenticated routes (schemas, OpenAPI document, docs, metrics), keyed by client IP; /health is not limited
+const publicRateLimit = createLimiter('public', envInteger('RATE_LIMIT_PUBLIC_PER_MINUTE', 120), clientIpKey);
+
+/**
+ * Limiter for rejected credentials, keyed by client IP
+ * Only called when authentication fails, so clients with valid credentials behind a shared
+ * NAT are never throttled by someone else's bad key.
+ */
+const authFailureRateLimit = rateLimit({
+    windowMs: AUTH_FAILURE_WINDOW_MS,
+    limit: envInteger('RATE_LIMIT_AUTH_FAILURES', 100),
+    identifier: 'auth-failures',
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    keyGenerator: (req) => ipKeyGenerator(req.ip),
+    handler: (req, res, next, options) => {
+        sendError(res, options.statusCode, 'Too Many Requests', 'Too many failed authentication attempts from this IP, please try again after 15 minutes');
+    }
+});
+
+/**
+ * Append a daily quota policy to the RateLimit headers
+ * @param {Object} res - Express response object
+ * @param {string} name - Policy name
+ * @param {number} limit - Daily limit
+ * @param {number} used - Amount used today
+ * @param {number} resetSeconds - Seconds until the quota resets
+ */
+const setQuotaHeaders = (res, name, limit, used, resetSeconds) => {
+    res.append('RateLimit', `"${name}"; r=${Math.max(limit - used, 0)}; t=${resetSeconds}`);
+    res.append('RateLimit-Policy', `"${name}"; q=${limit}; w=${ingestQuotaService.DAY_SECONDS}`);
+};
+
+/**
+ * Middleware factory enforcing the project's daily ingest quota
+ * Must run after authenticateToken and body validation, so rejected payloads do not count.
+ * @param {Object} options - What the route stores
+ * @param {boolean} [options.runs=false] - The request stores a run
+ * @param {boolean} [options.bytes=false] - The request body counts toward the byte quota
+ */
+const enforceIngestQuota = ({ runs = false, bytes = false } = {}) => documented(async (req, res, next) => {
+    try {
+        const check = await ingestQuotaService.checkQuota(req.auth.projectId, {
+            runs: runs ? 1 : 0,
+            bytes: bytes ? req.bodySize || 0 : 0
+        });
+        const { quota, usage, reset_seconds: resetSeconds } = check;
+
+        if (usage && quota.daily_runs !== null) {
+            setQuotaHeaders(res, 'daily-runs', quota.daily_runs, usage.runs, resetSeconds);
+        }
+        if (usage && quota.daily_bytes !== null) {
+            setQuotaHeaders(res, 'daily-bytes', quota.daily_bytes, usage.bytes, resetSeconds);
+        }
+
+        if (check.exceeded) {
+            const limit = check.exceeded === 'runs' ? `${quota.daily_runs} runs` : `${quota.daily_bytes} bytes`;
+            console.log(`[INGEST_QUOTA_EXCEEDED] project_id=${req.auth.projectId} quota=${check.exceeded} limit=${limit}`);
+
+            res.set('Retry-After', String(resetSeconds));
+            return sendError(res, 429, 'Too Many Requests', `Daily ingest quota of ${limit} exceeded for this project; it resets at 00:00 UTC`);
+        }
+
+        next();
+    } catch (error) {
+        console.error('[INGEST_QUOTA_ERROR]', error);
+        sendError(res, 500, 'Internal Server Error', 'Failed to check ingest quota');
+    }
+}, { responses: { 429: 'Rate limit or daily ingest quota exceeded' } });
+
+module.exports = {
+    ingestRateLimit,
+    readRateLimit,
+    managementRateLimit,
+    publicRateLimit,
+    authFailureRateLimit,
+    enforceIngestQuota,
+    clientIpKey
+};
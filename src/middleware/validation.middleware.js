@@ -1,159 +1,255 @@
 /**
  * Validation Middleware
  * Express middleware for request validation with built-in validation logic
+ * Request bodies and query strings are checked against the JSON Schemas in src/schemas (served by
+ * GET /schemas and described in the OpenAPI document); rules a schema cannot express (dates, counter
+ * consistency) are checked here afterwards.
  */
 
+const { ObjectId } = require('mongodb');
+const { QualityGate } = require('../models/index.model');
 const { sendValidationError } = require('../utils/response.util');
+const { decodeCursor } = require('../utils/pagination.util');
+const { reconcileTestRun, checkConsistency } = require('../utils/summary.util');
+const { schemaErrors, queryErrors } = require('../utils/schema.util');
+const { documented } = require('../utils/openapi.util');
+const { INGEST_SCHEMA_VERSIONS, DEFAULT_INGEST_SCHEMA_VERSION } = require('../schemas');
+
+const MAX_BATCH_CASES = 5000;
 
 /**
- * Validation function for organization data
+ * Check a request body against a schema
+ * A missing or non-JSON body is checked as an empty object.
  */
-function validateOrganization(data) {
-    const errors = [];
+function validateBody(name, data) {
+    return schemaErrors(name, data || {});
+}
 
-    if (!data.name || typeof data.name !== 'string') {
-        errors.push('name is required and must be a string');
-    } else if (data.name.trim().length === 0) {
-        errors.push('name cannot be empty');
-    } else if (data.name.length > 255) {
-        errors.push('name must be less than 255 characters');
+/**
+ * Check an ingest body against the schema version it declares
+ * Bodies without schema_version are checked against version 1, which drops unknown fields.
+ */
+function validateIngestBody(name, data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['request body must be an object'];
     }
-    return errors;
+
+    const version = data.schema_version === undefined ? DEFAULT_INGEST_SCHEMA_VERSION : data.schema_version;
+    if (!INGEST_SCHEMA_VERSIONS.includes(version)) {
+        return [`schema_version must be one of: ${INGEST_SCHEMA_VERSIONS.join(', ')}`];
+    }
+
+    return schemaErrors(name, data, version);
+}
+
+/**
+ * Validation function for organization data
+ */
+function validateOrganization(data) {
+    return validateBody('organization', data);
 }
 
 /**
  * Validation function for project data
  */
 function validateProject(data) {
-    const errors = [];
+    return validateBody('project', data);
+}
+
+/**
+ * Validation function for project update data
+ */
+function validateProjectUpdate(data) {
+    return validateBody('project-update', data);
+}
+
+/**
+ * Validation function for admin key data
+ */
+function validateAdminKey(data) {
+    return validateBody('admin-key', data);
+}
+
+/**
+ * Validation function for token data
+ */
+function validateToken(data) {
+    const errors = validateBody('token', data);
 
-    if (!data.name || typeof data.name !== 'string') {
-        errors.push('name is required and must be a string');
-    } else if (data.name.trim().length === 0) {
-        errors.push('name cannot be empty');
-    } else if (data.name.length > 255) {
-        errors.push('name must be less than 255 characters');
+    if (errors.length === 0) {
+        validateExpiresAt(data, errors);
     }
 
-    if (!data.org_id || typeof data.org_id !== 'string') {
-        errors.push('org_id is required and must be a string');
+    return errors;
+}
+
+/**
+ * Validation function for token rotation data
+ */
+function validateTokenRotation(data) {
+    const errors = validateBody('token-rotation', data);
+
+    if (errors.length === 0) {
+        validateExpiresAt(data, errors);
     }
 
     return errors;
 }
 
 /**
- * Validation function for token data
+ * Validation function for webhook data
  */
-function validateToken(data) {
-    const errors = [];
+function validateWebhook(data) {
+    return validateBody('webhook', data);
+}
+
+/**
+ * Validation function for webhook update data
+ */
+function validateWebhookUpdate(data) {
+    return validateBody('webhook-update', data);
+}
+
+/**
+ * Validation function for quality gate data
+ * Type-specific threshold rules are checked by the quality gate service
+ */
+function validateQualityGate(data) {
+    const errors = validateBody('quality-gate', data);
 
-    if (!data.project_id || typeof data.project_id !== 'string') {
-        errors.push('project_id is required and must be a string');
+    if (errors.length === 0 && data.baseline_environment && !QualityGate.BASELINE_TYPES.includes(data.type)) {
+        errors.push(`baseline_environment only applies to ${QualityGate.BASELINE_TYPES.join(', ')} gates`);
     }
 
     return errors;
 }
 
+/**
+ * Validation function for quality gate update data
+ */
+function validateQualityGateUpdate(data) {
+    return validateBody('quality-gate-update', data);
+}
+
+/**
+ * Check the optional token expires_at field is a future date
+ */
+function validateExpiresAt(data, errors) {
+    if (data.expires_at === undefined || data.expires_at === null) {
+        return;
+    }
+
+    if (isNaN(new Date(data.expires_at).getTime())) {
+        errors.push('expires_at must be a valid ISO 8601 date string');
+    } else if (new Date(data.expires_at) <= new Date()) {
+        errors.push('expires_at must be in the future');
+    }
+}
+
+/**
+ * Check the run timestamp shared by /ingest and chunked ingest sessions
+ */
+function validateTimestamp(data, errors) {
+    if (isNaN(new Date(data.timestamp).getTime())) {
+        errors.push('timestamp must be a valid ISO 8601 date string');
+    }
+}
+
 /**
  * Validation function for test run data
  */
 function validateTestRun(data) {
-    const errors = [];
-
-    // Validate run_id
-    if (!data.run_id || typeof data.run_id !== 'string') {
-        errors.push('run_id is required and must be a string');
-    } else if (data.run_id.trim().length === 0) {
-        errors.push('run_id cannot be empty');
-    } else if (!data.run_id.startsWith('tr_')) {
-        errors.push('run_id must start with "tr_" prefix (e.g., tr_my_test_run_123)');
-    } else if (data.run_id.length < 4) {
-        errors.push('run_id must have at least one character after "tr_" prefix');
-    }
-
-    // Validate environment
-    if (!data.environment || typeof data.environment !== 'string') {
-        errors.push('environment is required and must be a string (e.g., "staging", "production")');
-    }
-
-    // Validate timestamp
-    if (!data.timestamp || typeof data.timestamp !== 'string') {
-        errors.push('timestamp is required and must be a string');
-    } else {
-        const date = new Date(data.timestamp);
-        if (isNaN(date.getTime())) {
-            errors.push('timestamp must be a valid ISO 8601 date string');
-        }
+    const errors = validateIngestBody('ingest', data);
+
+    // Cross-check counters only once every field has the right shape
+    if (errors.length === 0) {
+        validateTimestamp(data, errors);
+        errors.push(...checkConsistency(data));
     }
 
-    // Validate summary
-    if (!data.summary || typeof data.summary !== 'object') {
-        errors.push('summary is required and must be an object');
-    } else {
-        const summary = data.summary;
+    return errors;
+}
 
-        if (typeof summary.total_test_cases !== 'number' || summary.total_test_cases < 0) {
-            errors.push('summary.total_test_cases must be a non-negative number');
-        }
-        if (typeof summary.passed !== 'number' || summary.passed < 0) {
-            errors.push('summary.passed must be a non-negative number');
-        }
-        if (typeof summary.failed !== 'number' || summary.failed < 0) {
-            errors.push('summary.failed must be a non-negative number');
-        }
-        if (typeof summary.flaky !== 'number' || summary.flaky < 0) {
-            errors.push('summary.flaky must be a non-negative number');
+/**
+ * Validation function for opening a chunked ingest session
+ */
+function validateIngestSession(data) {
+    const errors = validateIngestBody('ingest-session', data);
+
+    if (errors.length === 0) {
+        validateTimestamp(data, errors);
+    }
+
+    return errors;
+}
+
+/**
+ * Validation function for a chunked ingest batch
+ * A batch carries suites (or parts of suites) with their cases; counters are derived at finalize
+ */
+function validateIngestBatch(data) {
+    const errors = validateIngestBody('ingest-batch', data);
+
+    if (errors.length === 0) {
+        const caseCount = data.test_suites.reduce((sum, suite) => sum + suite.test_cases.length, 0);
+        if (caseCount > MAX_BATCH_CASES) {
+            errors.push(`a batch may contain at most ${MAX_BATCH_CASES} test cases`);
         }
-        if (typeof summary.skipped !== 'number' || summary.skipped < 0) {
-            errors.push('summary.skipped must be a non-negative number');
+    }
+
+    return errors;
+}
+
+/**
+ * Validation function for finalizing a chunked ingest session
+ */
+function validateIngestFinalize(data) {
+    return validateIngestBody('ingest-finalize', data);
+}
+
+/**
+ * Validation function for amending a stored test run
+ */
+function validateRunAmendment(data) {
+    const errors = validateIngestBody('run-amendment', data);
+
+    if (errors.length === 0) {
+        const caseCount = data.test_suites.reduce((sum, suite) => sum + suite.test_cases.length, 0);
+        if (caseCount > MAX_BATCH_CASES) {
+            errors.push(`an amendment may contain at most ${MAX_BATCH_CASES} test cases`);
         }
-        if (typeof summary.duration_ms !== 'number' || summary.duration_ms < 0) {
-            errors.push('summary.duration_ms must be a non-negative number');
+    }
+
+    return errors;
+}
+
+/**
+ * Check the optional from/to query parameters form a valid date range
+ */
+function validateDateRangeParams(query, errors) {
+    ['from', 'to'].forEach((field) => {
+        if (typeof query[field] === 'string' && isNaN(new Date(query[field]).getTime())) {
+            errors.push(`${field} must be a valid ISO 8601 date string`);
         }
+    });
+
+    if (query.from && query.to && new Date(query.from) > new Date(query.to)) {
+        errors.push('from must be before to');
     }
+}
+
+/**
+ * Validation function for test run listing query parameters
+ */
+function validateListRunsQuery(query) {
+    const errors = queryErrors('list-runs', query);
+
+    validateDateRangeParams(query, errors);
 
-    // Validate test_suites (optional but must be array if provided)
-    if (data.test_suites !== undefined) {
-        if (!Array.isArray(data.test_suites)) {
-            errors.push('test_suites must be an array');
-        } else {
-            data.test_suites.forEach((suite, suiteIndex) => {
-                if (!suite.suite_name || typeof suite.suite_name !== 'string') {
-                    errors.push(`test_suites[${suiteIndex}].suite_name is required and must be a string`);
-                }
-                if (typeof suite.total_cases !== 'number' || suite.total_cases < 0) {
-                    errors.push(`test_suites[${suiteIndex}].total_cases must be a non-negative number`);
-                }
-                if (typeof suite.passed !== 'number' || suite.passed < 0) {
-                    errors.push(`test_suites[${suiteIndex}].passed must be a non-negative number`);
-                }
-                if (typeof suite.failed !== 'number' || suite.failed < 0) {
-                    errors.push(`test_suites[${suiteIndex}].failed must be a non-negative number`);
-                }
-                if (typeof suite.duration_ms !== 'number' || suite.duration_ms < 0) {
-                    errors.push(`test_suites[${suiteIndex}].duration_ms must be a non-negative number`);
-                }
-
-                // Validate test_cases within suite
-                if (suite.test_cases !== undefined) {
-                    if (!Array.isArray(suite.test_cases)) {
-                        errors.push(`test_suites[${suiteIndex}].test_cases must be an array`);
-                    } else {
-                        suite.test_cases.forEach((testCase, caseIndex) => {
-                            if (!testCase.name || typeof testCase.name !== 'string') {
-                                errors.push(`test_suites[${suiteIndex}].test_cases[${caseIndex}].name is required`);
-                            }
-                            if (!['passed', 'failed', 'flaky', 'skipped'].includes(testCase.status)) {
-                                errors.push(`test_suites[${suiteIndex}].test_cases[${caseIndex}].status must be one of: passed, failed, flaky, skipped`);
-                            }
-                            if (typeof testCase.duration_ms !== 'number' || testCase.duration_ms < 0) {
-                                errors.push(`test_suites[${suiteIndex}].test_cases[${caseIndex}].duration_ms must be a non-negative number`);
-                            }
-                        });
-                    }
-                }
-            });
+    if (typeof query.cursor === 'string') {
+        const after = decodeCursor(query.cursor);
+        if (!after || typeof after.timestamp !== 'string' || !ObjectId.isValid(after.id)) {
+            errors.push('cursor is invalid');
         }
     }
 
@@ -161,52 +257,245 @@ function validateTestRun(data) {
 }
 
 /**
- * Middleware to validate organization input
+ * Validation function for run diff query parameters
  */
-const validateOrganizationInput = (req, res, next) => {
-    const errors = validateOrganization(req.body);
-    if (errors.length > 0) {
-        return sendValidationError(res, errors);
+function validateRunDiffQuery(query) {
+    const errors = queryErrors('run-diff', query);
+
+    if (query.base !== undefined && (query.baseline_environment !== undefined || query.baseline_branch !== undefined)) {
+        errors.push('use either base or baseline_environment/baseline_branch, not both');
     }
-    next();
-};
+
+    return errors;
+}
+
+/**
+ * Validation function for project stats query parameters
+ */
+function validateStatsQuery(query) {
+    const errors = queryErrors('stats', query);
+
+    validateDateRangeParams(query, errors);
+
+    return errors;
+}
+
+/**
+ * Validation function for failure cluster query parameters
+ */
+function validateFailureClustersQuery(query) {
+    const errors = queryErrors('failure-clusters', query);
+
+    validateDateRangeParams(query, errors);
+
+    return errors;
+}
+
+/**
+ * Create a middleware validating the request body
+ * @param {string} schema - Body schema name, documented in the OpenAPI spec
+ * @param {Function} validate - Validation function returning error messages
+ */
+function bodyValidator(schema, validate) {
+    return documented((req, res, next) => {
+        const errors = validate(req.body || {});
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        next();
+    }, { body: schema, responses: { 400: 'Invalid request body' } });
+}
+
+/**
+ * Create a middleware validating the query string
+ * @param {string} schema - Query schema name, documented in the OpenAPI spec
+ * @param {Function} [validate] - Validation function returning error messages (defaults to the schema alone)
+ */
+function queryValidator(schema, validate = (query) => queryErrors(schema, query)) {
+    return documented((req, res, next) => {
+        const errors = validate(req.query);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        next();
+    }, { query: schema, responses: { 400: 'Invalid query parameters' } });
+}
+
+/**
+ * Middleware to validate organization input
+ */
+const validateOrganizationInput = bodyValidator('organization', validateOrganization);
 
 /**
  * Middleware to validate project input
  */
-const validateProjectInput = (req, res, next) => {
-    const errors = validateProject(req.body);
-    if (errors.length > 0) {
-        return sendValidationError(res, errors);
-    }
-    next();
-};
+const validateProjectInput = bodyValidator('project', validateProject);
+
+/**
+ * Middleware to validate project update input
+ */
+const validateProjectUpdateInput = bodyValidator('project-update', validateProjectUpdate);
+
+/**
+ * Middleware to validate admin key input
+ */
+const validateAdminKeyInput = bodyValidator('admin-key', validateAdminKey);
 
 /**
  * Middleware to validate token input
  */
-const validateTokenInput = (req, res, next) => {
-    const errors = validateToken(req.body);
-    if (errors.length > 0) {
-        return sendValidationError(res, errors);
-    }
-    next();
-};
+const validateTokenInput = bodyValidator('token', validateToken);
+
+/**
+ * Middleware to validate token rotation input
+ */
+const validateTokenRotationInput = bodyValidator('token-rotation', validateTokenRotation);
+
+/**
+ * Check a test run body the way POST /ingest does
+ * With ?reconcile=true, suite and summary counters are recomputed from test_cases first.
+ * Also used by the ingest worker for uploads accepted with ?async=true.
+ * @param {Object} body - Test run body
+ * @param {Object} query - Query string of the upload
+ * @returns {Object} { testRun, errors } - testRun is the body as it will be stored
+ */
+function prepareTestRun(body, query) {
+    const testRun = query.reconcile === 'true' && body ? reconcileTestRun(body) : body;
+    return { testRun, errors: validateTestRun(testRun) };
+}
 
 /**
  * Middleware to validate test run input
  */
-const validateTestRunInput = (req, res, next) => {
-    const errors = validateTestRun(req.body);
+const validateTestRunInput = documented((req, res, next) => {
+    const queryProblems = queryErrors('ingest', req.query);
+    if (queryProblems.length > 0) {
+        return sendValidationError(res, queryProblems);
+    }
+
+    const { testRun, errors } = prepareTestRun(req.body, req.query);
     if (errors.length > 0) {
         return sendValidationError(res, errors);
     }
+    req.body = testRun;
     next();
-};
+}, { body: 'ingest', query: 'ingest', responses: { 400: 'Invalid test run' } });
+
+/**
+ * Middleware to validate chunked ingest session input
+ */
+const validateIngestSessionInput = bodyValidator('ingest-session', validateIngestSession);
+
+/**
+ * Middleware to validate chunked ingest batch input
+ */
+const validateIngestBatchInput = bodyValidator('ingest-batch', validateIngestBatch);
+
+/**
+ * Middleware to validate chunked ingest finalize input
+ */
+const validateIngestFinalizeInput = bodyValidator('ingest-finalize', validateIngestFinalize);
+
+/**
+ * Middleware to validate run amendment input
+ */
+const validateRunAmendmentInput = bodyValidator('run-amendment', validateRunAmendment);
+
+/**
+ * Middleware to validate ?confirm on organization and project deletion
+ */
+const validateDeleteQueryInput = queryValidator('delete');
+
+/**
+ * Middleware to validate test run listing query
+ */
+const validateListRunsQueryInput = queryValidator('list-runs', validateListRunsQuery);
+
+/**
+ * Middleware to validate test case history query
+ */
+const validateCaseHistoryQueryInput = queryValidator('case-history');
+
+/**
+ * Middleware to validate run diff query
+ */
+const validateRunDiffQueryInput = queryValidator('run-diff', validateRunDiffQuery);
+
+/**
+ * Middleware to validate run gate query
+ */
+const validateRunGateQueryInput = queryValidator('run-gate');
+
+/**
+ * Middleware to validate flakiness ranking query
+ */
+const validateFlakinessQueryInput = queryValidator('flakiness');
+
+/**
+ * Middleware to validate failure cluster query
+ */
+const validateFailureClustersQueryInput = queryValidator('failure-clusters', validateFailureClustersQuery);
+
+/**
+ * Middleware to validate project stats query
+ */
+const validateStatsQueryInput = queryValidator('stats', validateStatsQuery);
+
+/**
+ * Middleware to validate webhook input
+ */
+const validateWebhookInput = bodyValidator('webhook', validateWebhook);
+
+/**
+ * Middleware to validate webhook update input
+ */
+const validateWebhookUpdateInput = bodyValidator('webhook-update', validateWebhookUpdate);
+
+/**
+ * Middleware to validate quality gate input
+ */
+const validateQualityGateInput = bodyValidator('quality-gate', validateQualityGate);
+
+/**
+ * Middleware to validate quality gate update input
+ */
+const validateQualityGateUpdateInput = bodyValidator('quality-gate-update', validateQualityGateUpdate);
+
+/**
+ * Middleware to validate webhook delivery log query
+ */
+const validateDeliveriesQueryInput = queryValidator('deliveries');
+
+/**
+ * Middleware to validate metrics query
+ */
+const validateMetricsQueryInput = queryValidator('metrics');
 
 module.exports = {
     validateOrganizationInput,
     validateProjectInput,
+    validateProjectUpdateInput,
+    validateAdminKeyInput,
     validateTokenInput,
-    validateTestRunInput
+    validateTokenRotationInput,
+    validateTestRunInput,
+    prepareTestRun,
+    validateIngestSessionInput,
+    validateIngestBatchInput,
+    validateIngestFinalizeInput,
+    validateRunAmendmentInput,
+    validateDeleteQueryInput,
+    validateListRunsQueryInput,
+    validateCaseHistoryQueryInput,
+    validateRunDiffQueryInput,
+    validateRunGateQueryInput,
+    validateFlakinessQueryInput,
+    validateFailureClustersQueryInput,
+    validateStatsQueryInput,
+    validateMetricsQueryInput,
+    validateWebhookInput,
+    validateWebhookUpdateInput,
+    validateDeliveriesQueryInput,
+    validateQualityGateInput,
+    validateQualityGateUpdateInput
 };
@@ -0,0 +1,159 @@
+const { getDb } = require('../config/db.config');
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+const SALT_ROUNDS = 10;
+
+// oak_<12 hex lookup prefix>_<32 hex secret>
+const KEY_PATTERN = /^oak_([0-9a-f]{12})_[0-9a-f]{32}$/;
+
+/**
+ * AdminKey Model
+ * Represents organization-level admin credentials for management endpoints
+ */
+class AdminKey {
+  /**
+   * Get collection name
+   */
+  static get collectionName() {
+    return 'admin_keys';
+  }
+
+  /**
+   * Get the MongoDB collection
+   */
+  static getCollection() {
+    return getDb().collection(this.collectionName);
+  }
+
+  /**
+   * Generate a secure random admin key with a public lookup prefix
+   * @returns {Object} { prefix, key } where key is oak_<prefix>_<secret>
+   */
+  static generateKey() {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(16).toString('hex');
+    return { prefix, key: `oak_${prefix}_${secret}` };
+  }
+
+  /**
+   * Extract the lookup prefix from a raw admin key
+   * @param {string} key - Raw admin key
+   * @returns {string|null} Prefix, or null if the key is malformed
+   */
+  static parsePrefix(key) {
+    const match = KEY_PATTERN.exec(key);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Create a new admin key for an organization
+   * @param {string} orgId - Organization ID
+   * @param {string} name - Key name
+   * @returns {Promise<Object>} { id, org_id, name, key, key_prefix }
+   */
+  static async create(orgId, name) {
+    const keyId = uuidv4();
+    const { prefix, key } = this.generateKey();
+    const keyHash = await bcrypt.hash(key, SALT_ROUNDS);
+
+    const adminKey = {
+      _id: keyId,
+      org_id: orgId,
+      name,
+      key_prefix: prefix,
+      key_hash: keyHash,
+      last_used_at: null,
+      created_at: new Date()
+    };
+
+    await this.getCollection().insertOne(adminKey);
+
+    return {
+      id: keyId,
+      org_id: orgId,
+      name,
+      key, // Raw key returned only once!
+      key_prefix: prefix
+    };
+  }
+
+  /**
+   * Find admin key by ID
+   * @param {string} id - Admin key ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    return await this.getCollection().findOne({ _id: id });
+  }
+
+  /**
+   * Find admin keys of an organization (without hashes)
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Array>}
+   */
+  static async findByOrgId(orgId) {
+    return await this.getCollection()
+      .find({ org_id: orgId }, { projection: { key_hash: 0 } })
+      .sort({ created_at: -1 })
+      .toArray();
+  }
+
+  /**
+   * Verify an admin key and get the organization it belongs to
+   * @param {string} key - Raw admin key
+   * @returns {Promise<Object|null>} { keyId, orgId } or null
+   */
+  static async authenticate(key) {
+    const prefix = this.parsePrefix(key);
+    if (!prefix) {
+      return null;
+    }
+
+    const storedKey = await this.getCollection().findOne({ key_prefix: prefix });
+    if (!storedKey || !(await bcrypt.compare(key, storedKey.key_hash))) {
+      return null;
+    }
+
+    this.getCollection()
+      .updateOne({ _id: storedKey._id }, { $set: { last_used_at: new Date() } })
+      .catch((error) => console.error('[ADMIN_KEY_LAST_USED_ERROR]', error));
+
+    return {
+      keyId: storedKey._id,
+      orgId: storedKey.org_id
+    };
+  }
+
+  /**
+   * Delete admin key
+   * @param {string} id - Admin key ID
+   * @returns {Promise<boolean>}
+   */
+  static async delete(id) {
+    const result = await this.getCollection().deleteOne({ _id: id });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Delete all admin keys of an organization
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<number>} Number of deleted keys
+   */
+  static async deleteByOrg(orgId) {
+    const result = await this.getCollection().deleteMany({ org_id: orgId });
+    return result.deletedCount;
+  }
+
+  /**
+   * Count admin keys of an organization
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<number>}
+   */
+  static async countByOrg(orgId) {
+    return await this.getCollection().countDocuments({ org_id: orgId });
+  }
+}
+
+module.exports = AdminKey;
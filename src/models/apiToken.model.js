@@ -4,6 +4,28 @@ const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 
 const SALT_ROUNDS = 10;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Permissions a token can carry; 'admin' implies every other scope
+const SCOPES = ['runs:write', 'runs:read', 'stats:read', 'admin'];
+// Granted to tokens created without explicit scopes and to tokens issued before scopes existed
+const DEFAULT_SCOPES = ['runs:write', 'runs:read', 'stats:read'];
+
+// tap_<12 hex lookup prefix>_<32 hex secret>
+const TOKEN_PATTERN = /^tap_([0-9a-f]{12})_[0-9a-f]{32}$/;
+// Tokens issued before lookup prefixes existed: tap_<32 hex secret>
+const LEGACY_TOKEN_PATTERN = /^tap_[0-9a-f]{32}$/;
+
+// Unmigrated legacy tokens can only be found by bcrypt-comparing against each of them, so the
+// scan is bounded: at most LEGACY_SCAN_LIMIT tokens per attempt, LEGACY_SCANS_PER_MINUTE attempts
+// per client (IP) and process, and no scan at all after LEGACY_TOKEN_FALLBACK_UNTIL.
+// Per client, so a flood of bogus tokens from one address cannot lock out real legacy tokens.
+const LEGACY_SCAN_LIMIT = 50;
+const LEGACY_SCANS_PER_MINUTE = 10;
+const DEFAULT_LEGACY_FALLBACK_UNTIL = '2027-01-01T00:00:00Z';
+
+// Scan windows by client: { startedAt, count }
+const legacyScanWindows = new Map();
 
 /**
  * ApiToken Model
@@ -25,11 +47,65 @@ class ApiToken {
   }
 
   /**
-   * Generate a secure random token
-   * @returns {string} 64-character hex string
+   * All valid token scopes
+   */
+  static get SCOPES() {
+    return SCOPES;
+  }
+
+  /**
+   * Scopes granted when none are specified
+   */
+  static get DEFAULT_SCOPES() {
+    return DEFAULT_SCOPES;
+  }
+
+  /**
+   * Effective scopes of a stored token
+   * @param {Object} storedToken - Stored token document
+   * @returns {Array<string>}
+   */
+  static scopesOf(storedToken) {
+    return Array.isArray(storedToken.scopes) ? storedToken.scopes : DEFAULT_SCOPES;
+  }
+
+  /**
+   * Check whether a set of scopes grants a required scope
+   * @param {Array<string>} scopes - Scopes held
+   * @param {string} required - Scope required
+   * @returns {boolean}
+   */
+  static hasScope(scopes, required) {
+    return scopes.includes('admin') || scopes.includes(required);
+  }
+
+  /**
+   * Generate a secure random token with a public lookup prefix
+   * @returns {Object} { prefix, token } where token is tap_<prefix>_<secret>
    */
   static generateToken() {
-    return `tap_${crypto.randomBytes(16).toString('hex')}`;
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(16).toString('hex');
+    return { prefix, token: `tap_${prefix}_${secret}` };
+  }
+
+  /**
+   * Extract the lookup prefix from a raw token
+   * @param {string} token - Raw token
+   * @returns {string|null} Prefix, or null if the token is not in the prefixed format
+   */
+  static parsePrefix(token) {
+    const match = TOKEN_PATTERN.exec(token);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Derive the lookup key recorded for a legacy (unprefixed) token once it has authenticated
+   * @param {string} token - Raw token
+   * @returns {string} SHA-256 hex digest
+   */
+  static legacyLookupKey(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
   }
 
   /**
@@ -55,9 +131,14 @@ class ApiToken {
    * Create a new API token
    * @param {string} projectId - Project ID
    * @param {string} name - Token name
-   * @returns {Promise<Object>} { id, project_id, name, token, token_hash }
+   * @param {Object} options - Token options
+   * @param {Date|null} [options.expiresAt] - Expiry time, or null for a permanent token
+   * @param {Array<string>} [options.scopes] - Granted scopes (defaults to DEFAULT_SCOPES)
+   * @returns {Promise<Object>} { id, project_id, name, token, token_prefix, token_hash, expires_at, scopes }
    */
-  static async create(projectId, name) {
+  static async create(projectId, name, options = {}) {
+    const { expiresAt = null, scopes = DEFAULT_SCOPES } = options;
+
     // Check for duplicate name in project
     const existing = await this.findByNameAndProject(name, projectId);
     if (existing) {
@@ -65,15 +146,18 @@ class ApiToken {
     }
 
     const tokenId = uuidv4();
-    const rawToken = this.generateToken();
+    const { prefix, token: rawToken } = this.generateToken();
     const tokenHash = await this.hashToken(rawToken);
 
     const apiToken = {
       _id: tokenId,
       project_id: projectId,
       name,
+      token_prefix: prefix,
       token_hash: tokenHash,
-      token_hash: tokenHash,
+      scopes,
+      expires_at: expiresAt,
+      last_used_at: null,
       created_at: new Date()
     };
 
@@ -84,7 +168,10 @@ class ApiToken {
       project_id: projectId,
       name,
       token: rawToken, // Raw token returned only once!
-      token_hash: tokenHash
+      token_prefix: prefix,
+      token_hash: tokenHash,
+      expires_at: expiresAt,
+      scopes
     };
   }
 
@@ -99,11 +186,15 @@ class ApiToken {
 
   /**
    * Find tokens by project ID
+   * Secrets (hashes and lookup keys) are not returned
    * @param {string} projectId - Project ID
    * @returns {Promise<Array>}
    */
   static async findByProjectId(projectId) {
-    return await this.getCollection().find({ project_id: projectId }).toArray();
+    return await this.getCollection()
+      .find({ project_id: projectId }, { projection: { token_hash: 0, legacy_lookup: 0 } })
+      .sort({ created_at: -1 })
+      .toArray();
   }
 
   /**
@@ -116,35 +207,224 @@ class ApiToken {
 
   /**
    * Find token by name and project ID
+   * Tokens that have been rotated out no longer hold their name
    * @param {string} name - Token name
    * @param {string} projectId - Project ID
    * @returns {Promise<Object|null>}
    */
   static async findByNameAndProject(name, projectId) {
-    return await this.getCollection().findOne({ name, project_id: projectId });
+    return await this.getCollection().findOne({
+      name,
+      project_id: projectId,
+      rotated_at: { $exists: false }
+    });
   }
 
   /**
    * Verify token and get associated project ID
+   * Prefixed tokens are found by their indexed prefix and verified with a single bcrypt compare.
+   * Legacy tokens are found by their recorded lookup key; a legacy token that has never
+   * authenticated is matched by scanning the remaining unmigrated legacy tokens once, after
+   * which its lookup key is recorded. The scan is limited (see LEGACY_SCAN_LIMIT) and ends
+   * at the legacy fallback deadline.
    * @param {string} token - Raw token to verify
-   * @returns {Promise<Object|null>} { tokenId, projectId } or null
-   */
-  static async authenticate(token) {
-    const tokens = await this.findAll();
-
-    for (const storedToken of tokens) {
-      const isValid = await this.verifyToken(token, storedToken.token_hash);
-      if (isValid) {
-        return {
-          tokenId: storedToken._id,
-          projectId: storedToken.project_id
-        };
+   * @param {Object} [options] - Request context
+   * @param {string} [options.client] - Client the legacy scan budget is counted for (e.g. its IP)
+   * @returns {Promise<Object|null>} { tokenId, projectId, scopes } or null
+   */
+  static async authenticate(token, { client = 'unknown' } = {}) {
+    const prefix = this.parsePrefix(token);
+    if (prefix) {
+      const storedToken = await this.getCollection().findOne({ token_prefix: prefix });
+      return await this.verifyStoredToken(token, storedToken);
+    }
+
+    if (!LEGACY_TOKEN_PATTERN.test(token)) {
+      return null;
+    }
+
+    const lookupKey = this.legacyLookupKey(token);
+    const migratedToken = await this.getCollection().findOne({ legacy_lookup: lookupKey });
+    if (migratedToken) {
+      return await this.verifyStoredToken(token, migratedToken);
+    }
+
+    if (!this.takeLegacyScan(client)) {
+      return null;
+    }
+
+    // Most recently used first, so tokens still in use are found within the limit
+    const legacyTokens = await this.getCollection()
+      .find({ token_prefix: { $exists: false }, legacy_lookup: { $exists: false } })
+      .sort({ last_used_at: -1, created_at: -1 })
+      .limit(LEGACY_SCAN_LIMIT)
+      .toArray();
+
+    for (const storedToken of legacyTokens) {
+      const auth = await this.verifyStoredToken(token, storedToken);
+      if (auth) {
+        await this.getCollection().updateOne(
+          { _id: storedToken._id },
+          { $set: { legacy_lookup: lookupKey } }
+        );
+        return auth;
       }
     }
 
     return null;
   }
 
+  /**
+   * Deadline after which unmigrated legacy tokens are no longer scanned for
+   * Set with LEGACY_TOKEN_FALLBACK_UNTIL (ISO 8601 date).
+   * @returns {Date}
+   */
+  static legacyFallbackDeadline() {
+    const deadline = new Date(process.env.LEGACY_TOKEN_FALLBACK_UNTIL || DEFAULT_LEGACY_FALLBACK_UNTIL);
+    return isNaN(deadline.getTime()) ? new Date(DEFAULT_LEGACY_FALLBACK_UNTIL) : deadline;
+  }
+
+  /**
+   * Reserve one legacy token scan for a client in the current minute
+   * @param {string} client - Client the scan is counted for
+   * @returns {boolean} Whether a scan may run
+   */
+  static takeLegacyScan(client) {
+    const now = Date.now();
+    if (now >= this.legacyFallbackDeadline().getTime()) {
+      return false;
+    }
+
+    let window = legacyScanWindows.get(client);
+    if (!window || now - window.startedAt >= 60 * 1000) {
+      // Drop finished windows of other clients so the map only holds the last minute's clients
+      for (const [key, other] of legacyScanWindows) {
+        if (now - other.startedAt >= 60 * 1000) {
+          legacyScanWindows.delete(key);
+        }
+      }
+      window = { startedAt: now, count: 0 };
+      legacyScanWindows.set(client, window);
+    }
+    if (window.count >= LEGACY_SCANS_PER_MINUTE) {
+      console.log(`[LEGACY_TOKEN_SCAN_LIMITED] client=${client} limit=${LEGACY_SCANS_PER_MINUTE}/min`);
+      return false;
+    }
+
+    window.count++;
+    return true;
+  }
+
+  /**
+   * Verify a raw token against a stored token document
+   * Expired tokens and tokens of soft-deleted projects never verify
+   * @param {string} token - Raw token
+   * @param {Object|null} storedToken - Stored token document
+   * @returns {Promise<Object|null>} { tokenId, projectId, scopes } or null
+   */
+  static async verifyStoredToken(token, storedToken) {
+    if (!storedToken || this.isExpired(storedToken) || storedToken.suspended_at) {
+      return null;
+    }
+    if (!(await this.verifyToken(token, storedToken.token_hash))) {
+      return null;
+    }
+
+    this.touchLastUsed(storedToken._id);
+
+    return {
+      tokenId: storedToken._id,
+      projectId: storedToken.project_id,
+      scopes: this.scopesOf(storedToken)
+    };
+  }
+
+  /**
+   * Check whether a stored token is past its expiry
+   * @param {Object} storedToken - Stored token document
+   * @returns {boolean}
+   */
+  static isExpired(storedToken) {
+    return Boolean(storedToken.expires_at) && storedToken.expires_at <= new Date();
+  }
+
+  /**
+   * Record token usage without delaying the request
+   * Writes at most once per minute per token
+   * @param {string} id - Token ID
+   */
+  static touchLastUsed(id) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - LAST_USED_RESOLUTION_MS);
+
+    this.getCollection()
+      .updateOne(
+        { _id: id, $or: [{ last_used_at: null }, { last_used_at: { $lt: staleBefore } }] },
+        { $set: { last_used_at: now } }
+      )
+      .catch((error) => console.error('[TOKEN_LAST_USED_ERROR]', error));
+  }
+
+  /**
+   * Rotate a token: issue a replacement with the same name and scopes and let the old one
+   * keep working until the grace period ends
+   * @param {string} id - Token ID to rotate
+   * @param {Object} options - Rotation options
+   * @param {number} options.gracePeriodMs - How long the old token stays valid
+   * @param {Date|null} [options.expiresAt] - Expiry of the replacement token (defaults to the old token's expiry;
+   *   null for no expiry)
+   * @returns {Promise<Object|null>} Replacement token (see create), or null if not found
+   * @throws {Error} If the token was already rotated or has expired
+   */
+  static async rotate(id, { gracePeriodMs, expiresAt }) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    // An expired token is not renewed by rotating it; its replacement would inherit the past expiry
+    const now = new Date();
+    const previousExpiry = existing.expires_at || null;
+    if (previousExpiry && previousExpiry <= now) {
+      throw new Error('Token has expired; create a new token instead');
+    }
+
+    // The old token never outlives its original expiry
+    const graceExpiry = new Date(now.getTime() + gracePeriodMs);
+    const oldExpiry = previousExpiry && previousExpiry < graceExpiry ? previousExpiry : graceExpiry;
+
+    // Claim the rotation first so concurrent rotations cannot both issue a replacement
+    const claimed = await this.getCollection().updateOne(
+      { _id: id, rotated_at: { $exists: false } },
+      { $set: { rotated_at: now, expires_at: oldExpiry } }
+    );
+    if (claimed.matchedCount === 0) {
+      throw new Error('Token has already been rotated');
+    }
+
+    let replacement;
+    try {
+      replacement = await this.create(existing.project_id, existing.name, {
+        expiresAt: expiresAt === undefined ? previousExpiry : expiresAt,
+        scopes: this.scopesOf(existing)
+      });
+    } catch (error) {
+      // Give the old token back its name and expiry so the rotation can be retried
+      await this.getCollection().updateOne(
+        { _id: id },
+        { $set: { expires_at: previousExpiry }, $unset: { rotated_at: '' } }
+      );
+      throw error;
+    }
+
+    await this.getCollection().updateOne(
+      { _id: id },
+      { $set: { replaced_by: replacement.id } }
+    );
+
+    return { ...replacement, previous_token_expires_at: oldExpiry };
+  }
+
   /**
    * Delete token
    * @param {string} id - Token ID
@@ -155,6 +435,32 @@ class ApiToken {
     return result.deletedCount > 0;
   }
 
+  /**
+   * Suspend or reinstate every token of the given projects
+   * Used while a project is soft-deleted
+   * @param {Array<string>} projectIds - Project IDs
+   * @param {boolean} suspended - Whether tokens should be suspended
+   * @returns {Promise<number>} Number of tokens updated
+   */
+  static async setSuspendedForProjects(projectIds, suspended) {
+    const update = suspended
+      ? { $set: { suspended_at: new Date() } }
+      : { $unset: { suspended_at: '' } };
+
+    const result = await this.getCollection().updateMany({ project_id: { $in: projectIds } }, update);
+    return result.modifiedCount;
+  }
+
+  /**
+   * Delete all tokens for a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<number>} Number of deleted tokens
+   */
+  static async deleteByProject(projectId) {
+    const result = await this.getCollection().deleteMany({ project_id: projectId });
+    return result.deletedCount;
+  }
+
   /**
    * Count tokens for a project
    * @param {string} projectId - Project ID
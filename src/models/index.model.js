@@ -7,10 +7,30 @@ const Organization = require('./organization.model');
 const Project = require('./project.model');
 const ApiToken = require('./apiToken.model');
 const TestRun = require('./testRun.model');
+const TestCase = require('./testCase.model');
+const AdminKey = require('./adminKey.model');
+const IngestSession = require('./ingestSession.model');
+const IngestBatch = require('./ingestBatch.model');
+const MetricCounter = require('./metricCounter.model');
+const Webhook = require('./webhook.model');
+const WebhookDelivery = require('./webhookDelivery.model');
+const QualityGate = require('./qualityGate.model');
+const IngestUsage = require('./ingestUsage.model');
+const IngestJob = require('./ingestJob.model');
 
 module.exports = {
   Organization,
   Project,
   ApiToken,
-  TestRun
+  TestRun,
+  TestCase,
+  AdminKey,
+  IngestSession,
+  IngestBatch,
+  MetricCounter,
+  Webhook,
+  WebhookDelivery,
+  QualityGate,
+  IngestUsage,
+  IngestJob
 };
@@ -0,0 +1,100 @@
+const { getDb } = require('../config/db.config');
+
+/**
+ * IngestBatch Model
+ * Represents one chunk of suites/cases appended to an ingest session
+ */
+class IngestBatch {
+  /**
+   * Get collection name
+   */
+  static get collectionName() {
+    return 'ingest_batches';
+  }
+
+  /**
+   * Get the MongoDB collection
+   */
+  static getCollection() {
+    return getDb().collection(this.collectionName);
+  }
+
+  /**
+   * Store a batch
+   * @param {Object} data - Batch data
+   * @param {ObjectId} data.sessionId - Ingest session ID
+   * @param {string} data.batchId - Client-supplied batch ID (unique within the session)
+   * @param {Array} data.testSuites - Suites with the cases in this batch
+   * @param {string} data.contentHash - Hash of the suites, to recognize a re-sent batch
+   * @param {Date} data.expiresAt - When the batch is removed if never finalized
+   * @returns {Promise<Object>} Created batch
+   * @throws {Error} If a batch with this batch_id was already appended
+   */
+  static async create({ sessionId, batchId, testSuites, contentHash, expiresAt }) {
+    const batch = {
+      session_id: sessionId,
+      batch_id: batchId,
+      test_suites: testSuites,
+      content_hash: contentHash,
+      created_at: new Date(),
+      expires_at: expiresAt
+    };
+
+    try {
+      const result = await this.getCollection().insertOne(batch);
+      return { ...batch, _id: result.insertedId };
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Batch with this batch_id was already appended (duplicate)');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find a batch of a session by its batch ID
+   * @param {ObjectId} sessionId - Ingest session ID
+   * @param {string} batchId - Client-supplied batch ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findBySessionAndBatchId(sessionId, batchId) {
+    return await this.getCollection().findOne(
+      { session_id: sessionId, batch_id: batchId },
+      { projection: { test_suites: 0 } }
+    );
+  }
+
+  /**
+   * Find the batches of a session in the order they were appended
+   * @param {ObjectId} sessionId - Ingest session ID
+   * @returns {Promise<Array>}
+   */
+  static async findBySession(sessionId) {
+    return await this.getCollection().find({ session_id: sessionId }).sort({ _id: 1 }).toArray();
+  }
+
+  /**
+   * Delete the batches of a session
+   * @param {ObjectId} sessionId - Ingest session ID
+   * @returns {Promise<number>} Number of deleted batches
+   */
+  static async deleteBySession(sessionId) {
+    const result = await this.getCollection().deleteMany({ session_id: sessionId });
+    return result.deletedCount;
+  }
+
+  /**
+   * Delete the batches of several sessions
+   * @param {Array<ObjectId>} sessionIds - Ingest session IDs
+   * @returns {Promise<number>} Number of deleted batches
+   */
+  static async deleteBySessions(sessionIds) {
+    if (sessionIds.length === 0) {
+      return 0;
+    }
+    const result = await this.getCollection().deleteMany({ session_id: { $in: sessionIds } });
+    return result.deletedCount;
+  }
+}
+
+module.exports = IngestBatch;
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { getDb } = require('../config/db.config');
+
+/**
+ * IngestJob Model
+ * A test run upload accepted with POST /ingest?async=true and stored by the ingest worker
+ * Status moves from 'queued' to 'processing', then to 'succeeded' or 'failed'; a job whose
+ * write failed goes back to 'queued' until its retries are exhausted.
+ */
+class IngestJob {
+  /**
+   * Get collection name
+   */
+  static get collectionName() {
+    return 'ingest_jobs';
+  }
+
+  /**
+   * Get the MongoDB collection
+   */
+  static getCollection() {
+    return getDb().collection(this.collectionName);
+  }
+
+  /**
+   * Queue an upload for immediate processing
+   * @param {Object} data - Job data
+   * @param {string} data.projectId - Project ID
+   * @param {string} data.tokenId - Token that uploaded the run
+   * @param {string} data.format - 'json' or 'junit'
+   * @param {string} data.payload - Raw request body
+   * @param {Object} data.query - Query parameters of the upload (reconcile, JUnit run fields)
+   * @param {number} data.bodySize - Request body size in bytes
+   * @param {string|null} data.runId - Run ID, if the upload names one
+   * @param {Object|null} [data.idempotency] - Idempotency-Key of the upload { key, fingerprint }
+   * @param {string|null} [data.usageDay] - UTC day the upload's quota usage was reserved on
+   * @returns {Promise<Object>} Created job
+   */
+  static async create({ projectId, tokenId, format, payload, query, bodySize, runId, idempotency = null, usageDay = null }) {
+    const now = new Date();
+    const job = {
+      _id: `job_${crypto.randomBytes(8).toString('hex')}`,
+      project_id: projectId,
+      token_id: tokenId,
+      run_id: runId,
+      format,
+      payload,
+      query,
+      body_size: bodySize,
+      usage_day: usageDay,
+      ...(idempotency && {
+        idempotency_key: idempotency.key,
+        request_fingerprint: idempotency.fingerprint
+      }),
+      status: 'queued',
+      attempts: 0,
+      errors: [],
+      result: null,
+      next_attempt_at: now,
+      locked_until: null,
+      created_at: now,
+      updated_at: now,
+      completed_at: null
+    };
+
+    try {
+      await this.getCollection().insertOne(job);
+      return job;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Ingest job with this Idempotency-Key already exists (duplicate)');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find the job queued by an upload with this Idempotency-Key
+   * @param {string} projectId - Project ID
+   * @param {string} key - Idempotency-Key header value
+   * @returns {Promise<Object|null>}
+   */
+  static async findByIdempotencyKey(projectId, key) {
+    return await this.getCollection().findOne({ project_id: projectId, idempotency_key: key });
+  }
+
+  /**
+   * Find a job of a project
+   * @param {string} projectId - Project ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByProjectAndId(projectId, id) {
+    return await this.getCollection().findOne({ _id: id, project_id: projectId });
+  }
+
+  /**
+   * Claim the next due job so only one worker processes it
+   * A 'processing' job whose claim expired belongs to a worker that stopped, and is claimed again.
+   * Every claim counts as an attempt, so a job that keeps stopping its worker still runs out of attempts.
+   * @param {number} lockMs - How long the claim holds before another worker may take the job
+   * @returns {Promise<Object|null>} Claimed job (with this attempt counted), or null if none is due
+   */
+  static async claimDue(lockMs) {
+    const now = new Date();
+    return await this.getCollection().findOneAndUpdate(
+      {
+        status: { $in: ['queued', 'processing'] },
+        next_attempt_at: { $lte: now },
+        $or: [{ locked_until: null }, { locked_until: { $lte: now } }]
+      },
+      {
+        $set: { status: 'processing', locked_until: new Date(now.getTime() + lockMs), updated_at: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { next_attempt_at: 1 }, returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Record the outcome of the claimed attempt and schedule the next one or close the job
+   * The raw payload is dropped once the run is stored.
+   * @param {string} id - Job ID
+   * @param {Object} outcome - What happens next
+   * @param {string} outcome.status - 'queued' (retry), 'succeeded' or 'failed'
+   * @param {Array<string>} [outcome.errors] - Why the attempt failed
+   * @param {Object|null} [outcome.result] - Stored run (succeeded only)
+   * @param {string|null} [outcome.runId] - Run ID, once the payload is parsed
+   * @param {Date|null} [outcome.nextAttemptAt] - When to retry (queued only)
+   * @returns {Promise<void>}
+   */
+  static async recordAttempt(id, { status, errors = [], result = null, runId = null, nextAttemptAt = null }) {
+    const now = new Date();
+    const update = {
+      $set: {
+        status,
+        errors,
+        result,
+        next_attempt_at: nextAttemptAt,
+        locked_until: null,
+        updated_at: now,
+        completed_at: status === 'queued' ? null : now,
+        ...(runId && { run_id: runId })
+      }
+    };
+    if (status === 'succeeded') {
+      update.$unset = { payload: '' };
+    }
+
+    await this.getCollection().updateOne({ _id: id }, update);
+  }
+
+  /**
+   * Delete all jobs of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<number>} Number of deleted jobs
+   */
+  static async deleteByProject(projectId) {
+    const result = await this.getCollection().deleteMany({ project_id: projectId });
+    return result.deletedCount;
+  }
+}
+
+module.exports = IngestJob;
@@ -0,0 +1,184 @@
+const { getDb } = require('../config/db.config');
+
+// Sessions (and their batches) that are never finalized are removed this long after opening
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * IngestSession Model
+ * Represents a chunked upload of one test run that is assembled at finalize
+ */
+class IngestSession {
+  /**
+   * Get collection name
+   */
+  static get collectionName() {
+    return 'ingest_sessions';
+  }
+
+  /**
+   * Get the MongoDB collection
+   */
+  static getCollection() {
+    return getDb().collection(this.collectionName);
+  }
+
+  /**
+   * Open a new ingest session
+   * @param {Object} data - Session data
+   * @param {string} data.projectId - Project ID
+   * @param {string} data.runId - Run ID the session will produce
+   * @param {string} data.environment - Environment name
+   * @param {string} data.timestamp - ISO timestamp of the run
+   * @param {Object|null} [data.metadata] - Git/CI metadata applied to the run at finalize
+   * @returns {Promise<Object>} Created session
+   */
+  static async create({ projectId, runId, environment, timestamp, metadata = null }) {
+    const now = new Date();
+    const session = {
+      project_id: projectId,
+      run_id: runId,
+      environment,
+      timestamp,
+      metadata,
+      status: 'open',
+      // Appends in progress; finalize waits until there are none
+      pending_batches: 0,
+      batch_count: 0,
+      case_count: 0,
+      created_at: now,
+      updated_at: now,
+      expires_at: new Date(now.getTime() + SESSION_TTL_MS)
+    };
+
+    try {
+      const result = await this.getCollection().insertOne(session);
+      return { ...session, _id: result.insertedId };
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Ingest session for this run_id already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find session by project and run ID
+   * @param {string} projectId - Project ID
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByProjectAndRunId(projectId, runId) {
+    return await this.getCollection().findOne({ project_id: projectId, run_id: runId });
+  }
+
+  /**
+   * Atomically register an append on a session that is still open
+   * The session cannot be finalized until the append is ended with recordBatch or endAppend.
+   * @param {ObjectId} id - Session ID
+   * @returns {Promise<Object|null>} Session, or null if it was not open
+   */
+  static async beginAppend(id) {
+    return await this.getCollection().findOneAndUpdate(
+      { _id: id, status: 'open' },
+      { $inc: { pending_batches: 1 }, $set: { updated_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Record an appended batch and end its append
+   * @param {ObjectId} id - Session ID
+   * @param {number} caseCount - Number of cases in the batch
+   * @returns {Promise<Object|null>} Updated session
+   */
+  static async recordBatch(id, caseCount) {
+    return await this.getCollection().findOneAndUpdate(
+      { _id: id },
+      {
+        $inc: { pending_batches: -1, batch_count: 1, case_count: caseCount },
+        $set: { updated_at: new Date() }
+      },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * End an append that stored no batch
+   * @param {ObjectId} id - Session ID
+   * @returns {Promise<void>}
+   */
+  static async endAppend(id) {
+    await this.getCollection().updateOne({ _id: id }, { $inc: { pending_batches: -1 } });
+  }
+
+  /**
+   * Atomically move an open session with no append in progress to 'finalizing'
+   * Only one concurrent finalize call can win
+   * @param {ObjectId} id - Session ID
+   * @returns {Promise<Object|null>} Session, or null if it was not open or a batch is being appended
+   */
+  static async beginFinalize(id) {
+    return await this.getCollection().findOneAndUpdate(
+      { _id: id, status: 'open', pending_batches: { $not: { $gt: 0 } } },
+      { $set: { status: 'finalizing', updated_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Mark a session finalized and keep the outcome for retried finalize calls
+   * @param {ObjectId} id - Session ID
+   * @param {Object} result - Finalize outcome
+   * @returns {Promise<void>}
+   */
+  static async markFinalized(id, result) {
+    const now = new Date();
+    await this.getCollection().updateOne(
+      { _id: id },
+      {
+        $set: {
+          status: 'finalized',
+          result,
+          updated_at: now,
+          expires_at: new Date(now.getTime() + SESSION_TTL_MS)
+        }
+      }
+    );
+  }
+
+  /**
+   * Return a session to 'open' after a failed finalize
+   * @param {ObjectId} id - Session ID
+   * @returns {Promise<void>}
+   */
+  static async reopen(id) {
+    await this.getCollection().updateOne(
+      { _id: id, status: 'finalizing' },
+      { $set: { status: 'open', updated_at: new Date() } }
+    );
+  }
+
+  /**
+   * Find the IDs of all sessions of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array<ObjectId>>}
+   */
+  static async findIdsByProject(projectId) {
+    const sessions = await this.getCollection()
+      .find({ project_id: projectId }, { projection: { _id: 1 } })
+      .toArray();
+    return sessions.map((session) => session._id);
+  }
+
+  /**
+   * Delete all sessions of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  static async deleteByProject(projectId) {
+    const result = await this.getCollection().deleteMany({ project_id: projectId });
+    return result.deletedCount;
+  }
+}
+
+module.exports = IngestSession;
@@ -0,0 +1,79 @@
+const { getDb } = require('../config/db.config');
+
+/**
+ * IngestUsage Model
+ * Daily ingest totals of a project (runs stored and payload bytes), used for ingest quotas
+ * Days are UTC calendar days; documents expire once they are no longer needed.
+ */
+class IngestUsage {
+  /**
+   * Get collection name
+   */
+  static get collectionName() {
+    return 'ingest_usage';
+  }
+
+  /**
+   * Get the MongoDB collection
+   */
+  static getCollection() {
+    return getDb().collection(this.collectionName);
+  }
+
+  /**
+   * UTC day key of a date
+   * @param {Date} [date] - Date (defaults to now)
+   * @returns {string} YYYY-MM-DD
+   */
+  static dayOf(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get the usage of a project on one day
+   * @param {string} projectId - Project ID
+   * @param {string} day - UTC day (YYYY-MM-DD)
+   * @returns {Promise<Object>} { runs, bytes }
+   */
+  static async findByProjectAndDay(projectId, day) {
+    const usage = await this.getCollection().findOne(
+      { project_id: projectId, day },
+      { projection: { _id: 0, runs: 1, bytes: 1 } }
+    );
+    return { runs: 0, bytes: 0, ...usage };
+  }
+
+  /**
+   * Atomically add to the usage of a project on one day
+   * @param {string} projectId - Project ID
+   * @param {string} day - UTC day (YYYY-MM-DD)
+   * @param {Object} usage - Amounts to add
+   * @param {number} [usage.runs=0] - Runs stored
+   * @param {number} [usage.bytes=0] - Payload bytes stored
+   * @returns {Promise<void>}
+   */
+  static async add(projectId, day, { runs = 0, bytes = 0 }) {
+    const now = new Date();
+    await this.getCollection().updateOne(
+      { project_id: projectId, day },
+      {
+        $inc: { runs, bytes },
+        $set: { updated_at: now },
+        $setOnInsert: { created_at: now }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Delete the usage history of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<number>} Number of deleted documents
+   */
+  static async deleteByProject(projectId) {
+    const result = await this.getCollection().deleteMany({ project_id: projectId });
+    return result.deletedCount;
+  }
+}
+
+module.exports = IngestUsage;
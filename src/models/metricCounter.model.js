@@ -0,0 +1,102 @@
+const { getDb } = require('../config/db.config');
+
+/**
+ * MetricCounter Model
+ * Durable operational counters shared by every server instance
+ * Each increment updates the global series and, when given, the project and token series,
+ * so totals survive restarts and agree across replicas behind a load balancer.
+ */
+class MetricCounter {
+  /**
+   * Get collection name
+   */
+  static get collectionName() {
+    return 'metric_counters';
+  }
+
+  /**
+   * Get the MongoDB collection
+   */
+  static getCollection() {
+    return getDb().collection(this.collectionName);
+  }
+
+  /**
+   * Atomically increment a counter
+   * @param {string} name - Counter name (e.g. 'test_runs_ingested')
+   * @param {Object} context - Series to update in addition to the global one
+   * @param {string} [context.projectId] - Project the event belongs to
+   * @param {string} [context.tokenId] - Token that caused the event (requires projectId)
+   * @param {number} [by=1] - Amount to add
+   * @returns {Promise<void>}
+   */
+  static async increment(name, context = {}, by = 1) {
+    const { projectId = null, tokenId = null } = context;
+    const now = new Date();
+
+    const series = [{ project_id: null, token_id: null }];
+    if (projectId) {
+      series.push({ project_id: projectId, token_id: null });
+      if (tokenId) {
+        series.push({ project_id: projectId, token_id: tokenId });
+      }
+    }
+
+    await this.getCollection().bulkWrite(
+      series.map((keys) => ({
+        updateOne: {
+          filter: { name, ...keys },
+          update: { $inc: { value: by }, $set: { updated_at: now } },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+  }
+
+  /**
+   * Get global counter values
+   * @returns {Promise<Object>} Counter name to value
+   */
+  static async getTotals() {
+    const counters = await this.getCollection()
+      .find({ project_id: null, token_id: null }, { projection: { _id: 0, name: 1, value: 1 } })
+      .toArray();
+
+    return Object.fromEntries(counters.map((counter) => [counter.name, counter.value]));
+  }
+
+  /**
+   * Get per-project or per-token series of the given counters
+   * @param {Array<string>} names - Counter names
+   * @param {Object} options - Query options
+   * @param {boolean} [options.byToken=false] - Return per-token series instead of per-project ones
+   * @returns {Promise<Array>} { name, project_id, token_id, value }
+   */
+  static async findSeries(names, options = {}) {
+    const { byToken = false } = options;
+    const query = {
+      name: { $in: names },
+      project_id: { $ne: null },
+      token_id: byToken ? { $ne: null } : null
+    };
+
+    return await this.getCollection()
+      .find(query, { projection: { _id: 0, name: 1, project_id: 1, token_id: 1, value: 1 } })
+      .sort({ project_id: 1, token_id: 1, name: 1 })
+      .toArray();
+  }
+
+  /**
+   * Delete the per-project and per-token series of a project
+   * Global totals keep counting what the project contributed.
+   * @param {string} projectId - Project ID
+   * @returns {Promise<number>} Number of deleted counters
+   */
+  static async deleteByProject(projectId) {
+    const result = await this.getCollection().deleteMany({ project_id: projectId });
+    return result.deletedCount;
+  }
+}
+
+module.exports = MetricCounter;
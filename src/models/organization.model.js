@@ -74,15 +74,48 @@ class Organization {
    * Update organization
    * @param {string} id - Organization ID
    * @param {Object} updates - Fields to update
-   * @returns {Promise<Object>}
+   * @returns {Promise<Object|null>} Updated organization, or null if not found
    */
   static async update(id, updates) {
-    const result = await this.getCollection().findOneAndUpdate(
+    try {
+      const result = await this.getCollection().findOneAndUpdate(
+        { _id: id },
+        { $set: { ...updates, updated_at: new Date() } },
+        { returnDocument: 'after' }
+      );
+      return result;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Organization with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Soft-delete organization (marks it deleted without removing data)
+   * @param {string} id - Organization ID
+   * @returns {Promise<Object|null>} Updated organization
+   */
+  static async softDelete(id) {
+    return await this.getCollection().findOneAndUpdate(
+      { _id: id },
+      { $set: { deleted_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Restore a soft-deleted organization
+   * @param {string} id - Organization ID
+   * @returns {Promise<Object|null>} Updated organization
+   */
+  static async restore(id) {
+    return await this.getCollection().findOneAndUpdate(
       { _id: id },
-      { $set: { ...updates, updated_at: new Date() } },
+      { $unset: { deleted_at: '' } },
       { returnDocument: 'after' }
     );
-    return result.value;
   }
 
   /**
@@ -58,10 +58,18 @@ class Project {
   /**
    * Find projects by organization ID
    * @param {string} orgId - Organization ID
+   * @param {Object} options - Query options
+   * @param {boolean} [options.includeDeleted] - Include soft-deleted projects
    * @returns {Promise<Array>}
    */
-  static async findByOrgId(orgId) {
-    return await this.getCollection().find({ org_id: orgId }).toArray();
+  static async findByOrgId(orgId, options = {}) {
+    const { includeDeleted = true } = options;
+    const query = { org_id: orgId };
+    if (!includeDeleted) {
+      query.deleted_at = { $exists: false };
+    }
+
+    return await this.getCollection().find(query).sort({ created_at: 1 }).toArray();
   }
 
   /**
@@ -86,15 +94,87 @@ class Project {
    * Update project
    * @param {string} id - Project ID
    * @param {Object} updates - Fields to update
-   * @returns {Promise<Object>}
+   * @returns {Promise<Object|null>} Updated project, or null if not found
    */
   static async update(id, updates) {
-    const result = await this.getCollection().findOneAndUpdate(
+    try {
+      const result = await this.getCollection().findOneAndUpdate(
+        { _id: id },
+        { $set: { ...updates, updated_at: new Date() } },
+        { returnDocument: 'after' }
+      );
+      return result;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Project with this name already exists in the organization');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Soft-delete project (marks it deleted without removing data)
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} Updated project
+   */
+  static async softDelete(id) {
+    return await this.getCollection().findOneAndUpdate(
+      { _id: id },
+      { $set: { deleted_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Restore a soft-deleted project
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} Updated project
+   */
+  static async restore(id) {
+    return await this.getCollection().findOneAndUpdate(
       { _id: id },
-      { $set: { ...updates, updated_at: new Date() } },
+      { $unset: { deleted_at: '', deleted_with_org: '' } },
       { returnDocument: 'after' }
     );
-    return result.value;
+  }
+
+  /**
+   * Soft-delete every active project of an organization
+   * Projects are tagged so restoring the organization only restores these
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Array<string>>} IDs of the projects that were soft-deleted
+   */
+  static async softDeleteByOrg(orgId) {
+    const projects = await this.getCollection()
+      .find({ org_id: orgId, deleted_at: { $exists: false } }, { projection: { _id: 1 } })
+      .toArray();
+    const ids = projects.map((project) => project._id);
+
+    await this.getCollection().updateMany(
+      { _id: { $in: ids } },
+      { $set: { deleted_at: new Date(), deleted_with_org: true } }
+    );
+
+    return ids;
+  }
+
+  /**
+   * Restore the projects soft-deleted together with their organization
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Array<string>>} IDs of the projects that were restored
+   */
+  static async restoreByOrg(orgId) {
+    const projects = await this.getCollection()
+      .find({ org_id: orgId, deleted_with_org: true }, { projection: { _id: 1 } })
+      .toArray();
+    const ids = projects.map((project) => project._id);
+
+    await this.getCollection().updateMany(
+      { _id: { $in: ids } },
+      { $unset: { deleted_at: '', deleted_with_org: '' } }
+    );
+
+    return ids;
   }
 
   /**
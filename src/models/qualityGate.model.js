@@ -0,0 +1,129 @@
+const { getDb } = require('../config/db.config');
+const crypto = require('crypto');
+
+const TYPES = ['pass_rate', 'max_failed', 'no_new_failures', 'duration_regression'];
+
+// Gate types that compare a run with the previous run of a baseline environment (and branch)
+const BASELINE_TYPES = ['no_new_failures', 'duration_regression'];
+
+/**
+ * QualityGate Model
+ * Represents one pass/fail rule evaluated against every run ingested into a project
+ */
+class QualityGate {
+  /**
+   * Get collection name
+   */
+  static get collectionName() {
+    return 'quality_gates';
+  }
+
+  /**
+   * Get the MongoDB collection
+   */
+  static getCollection() {
+    return getDb().collection(this.collectionName);
+  }
+
+  /**
+   * Supported gate types
+   */
+  static get TYPES() {
+    return TYPES;
+  }
+
+  /**
+   * Gate types that need a baseline run
+   */
+  static get BASELINE_TYPES() {
+    return BASELINE_TYPES;
+  }
+
+  /**
+   * Create a gate rule
+   * @param {string} projectId - Project ID
+   * @param {Object} data - Gate settings
+   * @param {string} data.name - Display name
+   * @param {string} data.type - One of QualityGate.TYPES
+   * @param {number|null} [data.threshold] - Type-specific threshold
+   * @param {string|null} [data.environment] - Only evaluate runs of this environment (all when null)
+   * @param {string|null} [data.baselineEnvironment] - Environment of the baseline run (the run's own when null)
+   * @param {string|null} [data.baselineBranch] - Branch of the baseline run (any branch when null)
+   * @returns {Promise<Object>} Created gate
+   */
+  static async create(projectId, { name, type, threshold = null, environment = null, baselineEnvironment = null, baselineBranch = null }) {
+    const now = new Date();
+    const gate = {
+      _id: `gate_${crypto.randomBytes(8).toString('hex')}`,
+      project_id: projectId,
+      name,
+      type,
+      threshold,
+      environment,
+      baseline_environment: baselineEnvironment,
+      baseline_branch: baselineBranch,
+      created_at: now,
+      updated_at: now
+    };
+
+    await this.getCollection().insertOne(gate);
+    return gate;
+  }
+
+  /**
+   * Find a gate of a project
+   * @param {string} projectId - Project ID
+   * @param {string} id - Gate ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByProjectAndId(projectId, id) {
+    return await this.getCollection().findOne({ _id: id, project_id: projectId });
+  }
+
+  /**
+   * Find the gates of a project, oldest first
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>}
+   */
+  static async findByProjectId(projectId) {
+    return await this.getCollection().find({ project_id: projectId }).sort({ created_at: 1 }).toArray();
+  }
+
+  /**
+   * Update gate settings
+   * @param {string} projectId - Project ID
+   * @param {string} id - Gate ID
+   * @param {Object} updates - Fields to set (name, threshold, environment, baseline_environment, baseline_branch)
+   * @returns {Promise<Object|null>} Updated gate, or null if not found
+   */
+  static async update(projectId, id, updates) {
+    return await this.getCollection().findOneAndUpdate(
+      { _id: id, project_id: projectId },
+      { $set: { ...updates, updated_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Delete a gate
+   * @param {string} projectId - Project ID
+   * @param {string} id - Gate ID
+   * @returns {Promise<boolean>} True if a gate was deleted
+   */
+  static async delete(projectId, id) {
+    const result = await this.getCollection().deleteOne({ _id: id, project_id: projectId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Delete all gates of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<number>} Number of deleted gates
+   */
+  static async deleteByProject(projectId) {
+    const result = await this.getCollection().deleteMany({ project_id: projectId });
+    return result.deletedCount;
+  }
+}
+
+module.exports = QualityGate;
@@ -0,0 +1,399 @@
+const { getDb } = require('../config/db.config');
+
+// Fields added to stored cases; everything else is the submitted case payload
+const KEY_FIELDS = [
+  '_id',
+  'project_id',
+  'run_id',
+  'environment',
+  'timestamp',
+  'suite_name',
+  'suite_index',
+  'case_index',
+  'failure_signature',
+  'failure_pattern'
+];
+
+/**
+ * TestCase Model
+ * Represents one test case execution within a run, stored outside the run document
+ */
+class TestCase {
+  /**
+   * Get collection name
+   */
+  static get collectionName() {
+    return 'test_cases';
+  }
+
+  /**
+   * Get the MongoDB collection
+   */
+  static getCollection() {
+    return getDb().collection(this.collectionName);
+  }
+
+  /**
+   * Strip storage keys from a stored case, leaving the submitted payload
+   * @param {Object} storedCase - Stored case document
+   * @returns {Object} Test case as submitted
+   */
+  static toPayload(storedCase) {
+    const payload = { ...storedCase };
+    KEY_FIELDS.forEach((field) => delete payload[field]);
+    return payload;
+  }
+
+  /**
+   * Store every case of a run
+   * @param {Object} data - Run data
+   * @param {string} data.projectId - Project ID
+   * @param {string} data.runId - Run ID
+   * @param {string} data.environment - Environment name
+   * @param {string} data.timestamp - Normalized ISO timestamp of the run
+   * @param {Array} data.testSuites - Suites with their test_cases
+   * @returns {Promise<number>} Number of cases stored
+   */
+  static async createForRun({ projectId, runId, environment, timestamp, testSuites }) {
+    const cases = [];
+
+    (testSuites || []).forEach((suite, suiteIndex) => {
+      (suite.test_cases || []).forEach((testCase, caseIndex) => {
+        cases.push({
+          ...testCase,
+          project_id: projectId,
+          run_id: runId,
+          environment,
+          timestamp,
+          suite_name: suite.suite_name,
+          suite_index: suiteIndex,
+          case_index: caseIndex
+        });
+      });
+    });
+
+    if (cases.length === 0) {
+      return 0;
+    }
+
+    const result = await this.getCollection().insertMany(cases, { ordered: false });
+    return result.insertedCount;
+  }
+
+  /**
+   * Find the cases of a run in submission order
+   * @param {string} projectId - Project ID
+   * @param {string} runId - Run ID
+   * @returns {Promise<Array>}
+   */
+  static async findByRun(projectId, runId) {
+    return await this.getCollection()
+      .find({ project_id: projectId, run_id: runId })
+      .sort({ suite_index: 1, case_index: 1 })
+      .toArray();
+  }
+
+  /**
+   * Find the cases of a run with a given status
+   * @param {string} projectId - Project ID
+   * @param {string} runId - Run ID
+   * @param {string} status - Case status (e.g. 'failed')
+   * @returns {Promise<Array>} { suite_name, name, error_message }
+   */
+  static async findByRunAndStatus(projectId, runId, status) {
+    return await this.getCollection()
+      .find(
+        { project_id: projectId, run_id: runId, status },
+        { projection: { _id: 0, suite_name: 1, name: 1, error_message: 1 } }
+      )
+      .sort({ suite_index: 1, case_index: 1 })
+      .toArray();
+  }
+
+  /**
+   * Get the outcome of one test case across runs, newest first
+   * @param {string} projectId - Project ID
+   * @param {string} suiteName - Suite name
+   * @param {string} caseName - Test case name
+   * @param {Object} options - Query options
+   * @param {string} [options.environment] - Restrict to one environment
+   * @param {number} [options.limit] - Maximum number of executions to return
+   * @returns {Promise<Array>} { run_id, environment, timestamp, status, duration_ms, error_message }
+   */
+  static async findHistory(projectId, suiteName, caseName, options = {}) {
+    const { environment, limit = 50 } = options;
+    const query = { project_id: projectId, suite_name: suiteName, name: caseName };
+    if (environment) {
+      query.environment = environment;
+    }
+
+    const cases = await this.getCollection()
+      .find(query, {
+        projection: { _id: 0, run_id: 1, environment: 1, timestamp: 1, status: 1, duration_ms: 1, error_message: 1 }
+      })
+      .sort({ timestamp: -1, run_id: -1 })
+      .limit(limit)
+      .toArray();
+
+    return cases.map((testCase) => ({ error_message: null, ...testCase }));
+  }
+
+  /**
+   * Collect per-case status sequences over a set of runs
+   * Statuses are ordered oldest to newest so callers can count transitions
+   * @param {string} projectId - Project ID
+   * @param {Array<string>} runIds - Runs to consider
+   * @returns {Promise<Array>} { environment, suite_name, name, statuses }
+   */
+  static async getOutcomes(projectId, runIds) {
+    const pipeline = [
+      { $match: { project_id: projectId, run_id: { $in: runIds } } },
+      { $sort: { timestamp: 1, run_id: 1 } },
+      {
+        $group: {
+          _id: { environment: '$environment', suite_name: '$suite_name', name: '$name' },
+          statuses: { $push: '$status' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          environment: '$_id.environment',
+          suite_name: '$_id.suite_name',
+          name: '$_id.name',
+          statuses: 1
+        }
+      }
+    ];
+
+    return await this.getCollection().aggregate(pipeline, { allowDiskUse: true }).toArray();
+  }
+
+  /**
+   * Cursor over failed cases stored without a failure signature (ingested before signatures existed)
+   * @returns {Object} MongoDB cursor over failed cases
+   */
+  static findFailedWithoutSignature() {
+    return this.getCollection().find(
+      { status: 'failed', failure_signature: { $exists: false } },
+      { projection: { _id: 1, error_message: 1, stack_trace: 1, failure_type: 1 } }
+    );
+  }
+
+  /**
+   * Store failure signatures computed for existing cases
+   * @param {Array} updates - { id, signature, pattern }
+   * @returns {Promise<number>} Number of updated cases
+   */
+  static async setFailureSignatures(updates) {
+    if (updates.length === 0) {
+      return 0;
+    }
+
+    const result = await this.getCollection().bulkWrite(
+      updates.map(({ id, signature, pattern }) => ({
+        updateOne: {
+          filter: { _id: id },
+          update: { $set: { failure_signature: signature, failure_pattern: pattern } }
+        }
+      })),
+      { ordered: false }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Set the run timestamp copied onto every case of a run
+   * @param {string} projectId - Project ID
+   * @param {string} runId - Run ID
+   * @param {string} timestamp - Normalized ISO timestamp of the run
+   * @returns {Promise<number>} Number of updated cases
+   */
+  static async setRunTimestamp(projectId, runId, timestamp) {
+    const result = await this.getCollection().updateMany(
+      { project_id: projectId, run_id: runId },
+      { $set: { timestamp } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Group failed cases by failure signature
+   * Each cluster counts its failed executions, distinct tests and runs, and lists its most
+   * affected tests with a sample failure (the latest failure of the most affected test).
+   * @param {string} projectId - Project ID
+   * @param {Object} options - Query options
+   * @param {string} [options.environment] - Restrict to one environment
+   * @param {string} [options.from] - Inclusive lower bound on timestamp (ISO)
+   * @param {string} [options.to] - Inclusive upper bound on timestamp (ISO)
+   * @param {string} [options.failureType] - Restrict to one failure type
+   * @param {string} [options.sort] - 'occurrences' (default) or 'affected_tests'
+   * @param {number} [options.limit] - Maximum number of clusters
+   * @param {number} [options.testsPerCluster] - Maximum number of tests listed per cluster
+   * @returns {Promise<Array>} Clusters, highest ranked first
+   */
+  static async getFailureClusters(projectId, options = {}) {
+    const { environment, from, to, failureType, sort = 'occurrences', limit = 20, testsPerCluster = 10 } = options;
+    const match = { project_id: projectId, status: 'failed', failure_signature: { $exists: true } };
+    if (environment) {
+      match.environment = environment;
+    }
+    if (from || to) {
+      match.timestamp = {};
+      if (from) {
+        match.timestamp.$gte = from;
+      }
+      if (to) {
+        match.timestamp.$lte = to;
+      }
+    }
+    if (failureType) {
+      match.failure_type = failureType;
+    }
+
+    const rank = sort === 'affected_tests'
+      ? { affected_tests: -1, occurrences: -1, _id: 1 }
+      : { occurrences: -1, affected_tests: -1, _id: 1 };
+
+    const pipeline = [
+      { $match: match },
+      { $sort: { timestamp: 1, run_id: 1 } },
+      {
+        $group: {
+          _id: { signature: '$failure_signature', suite_name: '$suite_name', name: '$name' },
+          occurrences: { $sum: 1 },
+          runs: { $addToSet: '$run_id' },
+          first_seen: { $min: '$timestamp' },
+          last_seen: { $max: '$timestamp' },
+          failure_type: { $last: '$failure_type' },
+          pattern: { $last: '$failure_pattern' },
+          sample: {
+            $last: {
+              run_id: '$run_id',
+              environment: '$environment',
+              timestamp: '$timestamp',
+              error_message: '$error_message'
+            }
+          }
+        }
+      },
+      { $sort: { occurrences: -1, last_seen: -1 } },
+      {
+        $group: {
+          _id: '$_id.signature',
+          occurrences: { $sum: '$occurrences' },
+          affected_tests: { $sum: 1 },
+          runs: { $push: '$runs' },
+          first_seen: { $min: '$first_seen' },
+          last_seen: { $max: '$last_seen' },
+          failure_type: { $first: '$failure_type' },
+          pattern: { $first: '$pattern' },
+          sample: { $first: { $mergeObjects: ['$sample', { suite_name: '$_id.suite_name', name: '$_id.name' }] } },
+          tests: {
+            $push: {
+              suite_name: '$_id.suite_name',
+              name: '$_id.name',
+              occurrences: '$occurrences',
+              last_seen: '$last_seen'
+            }
+          }
+        }
+      },
+      { $sort: rank },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          signature: '$_id',
+          failure_type: { $ifNull: ['$failure_type', null] },
+          pattern: 1,
+          occurrences: 1,
+          affected_tests: 1,
+          affected_runs: {
+            $size: { $reduce: { input: '$runs', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } }
+          },
+          first_seen: 1,
+          last_seen: 1,
+          sample: 1,
+          tests: { $slice: ['$tests', testsPerCluster] }
+        }
+      }
+    ];
+
+    return await this.getCollection().aggregate(pipeline, { allowDiskUse: true }).toArray();
+  }
+
+  /**
+   * Store cases of a run at their positions, replacing what is stored there
+   * Used to write amended and appended cases of a run.
+   * @param {Object} data - Run data
+   * @param {string} data.projectId - Project ID
+   * @param {string} data.runId - Run ID
+   * @param {string} data.environment - Environment name
+   * @param {string} data.timestamp - Normalized ISO timestamp of the run
+   * @param {Array} data.cases - { suiteName, suiteIndex, caseIndex, testCase }
+   * @returns {Promise<void>}
+   */
+  static async replaceAtPositions({ projectId, runId, environment, timestamp, cases }) {
+    if (cases.length === 0) {
+      return;
+    }
+
+    await this.getCollection().bulkWrite(
+      cases.map(({ suiteName, suiteIndex, caseIndex, testCase }) => {
+        const position = { project_id: projectId, run_id: runId, suite_index: suiteIndex, case_index: caseIndex };
+        return {
+          replaceOne: {
+            filter: position,
+            replacement: { ...testCase, ...position, environment, timestamp, suite_name: suiteName },
+            upsert: true
+          }
+        };
+      }),
+      { ordered: false }
+    );
+  }
+
+  /**
+   * Delete cases of a run at given positions
+   * @param {string} projectId - Project ID
+   * @param {string} runId - Run ID
+   * @param {Array} positions - { suiteIndex, caseIndex }
+   * @returns {Promise<number>} Number of deleted cases
+   */
+  static async deleteAtPositions(projectId, runId, positions) {
+    if (positions.length === 0) {
+      return 0;
+    }
+
+    const result = await this.getCollection().deleteMany({
+      project_id: projectId,
+      run_id: runId,
+      $or: positions.map(({ suiteIndex, caseIndex }) => ({ suite_index: suiteIndex, case_index: caseIndex }))
+    });
+    return result.deletedCount;
+  }
+
+  /**
+   * Delete the cases of a run
+   * @param {string} projectId - Project ID
+   * @param {string} runId - Run ID
+   * @returns {Promise<number>} Number of deleted cases
+   */
+  static async deleteByRun(projectId, runId) {
+    const result = await this.getCollection().deleteMany({ project_id: projectId, run_id: runId });
+    return result.deletedCount;
+  }
+
+  /**
+   * Delete all cases of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<number>} Number of deleted cases
+   */
+  static async deleteByProject(projectId) {
+    const result = await this.getCollection().deleteMany({ project_id: projectId });
+    return result.deletedCount;
+  }
+}
+
+module.exports = TestCase;
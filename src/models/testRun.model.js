@@ -1,8 +1,13 @@
+const { ObjectId } = require('mongodb');
 const { getDb } = require('../config/db.config');
 
+// Form of Date#toISOString(), which every stored run timestamp is normalized to
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
 /**
  * TestRun Model
- * Represents a comprehensive test run execution with detailed test case data
+ * Represents a test run execution: summary and per-suite rollups
+ * (individual cases live in the test_cases collection, see TestCase)
  */
 class TestRun {
   /**
@@ -27,15 +32,19 @@ class TestRun {
    * @param {string} data.environment - Environment (e.g., 'staging', 'production')
    * @param {string} data.timestamp - ISO timestamp
    * @param {Object} data.summary - Test execution summary
-   * @param {Array} data.testSuites - Array of test suites with test cases
+   * @param {Array} data.testSuites - Array of suite rollups (cases are stored by the TestCase model)
+   * @param {Object|null} [data.metadata] - Normalized git/CI metadata
+   * @param {string} [data.contentHash] - Hash of the submitted content, to tell retries from conflicting re-ingests
+   * @param {Object|null} [data.idempotency] - Idempotency-Key of the request { key, fingerprint }
    * @returns {Promise<Object>} Created test run
    */
-  static async create({ projectId, runId, environment, timestamp, summary, testSuites }) {
+  static async create({ projectId, runId, environment, timestamp, summary, testSuites, metadata = null, contentHash = null, idempotency = null }) {
     const testRun = {
       project_id: projectId,
       run_id: runId,
       environment: environment || 'unknown',
-      timestamp,
+      // Normalized to UTC ISO strings so range filters and sorting compare correctly
+      timestamp: new Date(timestamp).toISOString(),
       summary: {
         total_test_cases: summary.total_test_cases || 0,
         passed: summary.passed || 0,
@@ -45,6 +54,12 @@ class TestRun {
         duration_ms: summary.duration_ms || 0
       },
       test_suites: testSuites || [],
+      metadata,
+      content_hash: contentHash,
+      ...(idempotency && {
+        idempotency_key: idempotency.key,
+        request_fingerprint: idempotency.fingerprint
+      }),
       created_at: new Date()
     };
 
@@ -53,7 +68,7 @@ class TestRun {
       return { ...testRun, _id: result.insertedId };
     } catch (error) {
       if (error.code === 11000) {
-        throw new Error('Test run with this run_id already exists (duplicate)');
+        throw new Error('Test run with this run_id or Idempotency-Key already exists (duplicate)');
       }
       throw error;
     }
@@ -81,6 +96,19 @@ class TestRun {
     });
   }
 
+  /**
+   * Find the test run created by a request with this Idempotency-Key
+   * @param {string} projectId - Project ID
+   * @param {string} key - Idempotency-Key header value
+   * @returns {Promise<Object|null>}
+   */
+  static async findByIdempotencyKey(projectId, key) {
+    return await this.getCollection().findOne({
+      project_id: projectId,
+      idempotency_key: key
+    });
+  }
+
   /**
    * Find test runs by project ID
    * @param {string} projectId - Project ID
@@ -98,6 +126,35 @@ class TestRun {
       .toArray();
   }
 
+  /**
+   * Find a page of test runs for a project, newest first
+   * Runs are ordered by (timestamp, _id) descending so the cursor is stable
+   * @param {string} projectId - Project ID
+   * @param {Object} filter - Additional query conditions
+   * @param {Object} options - Page options
+   * @param {Object} [options.after] - Position to continue after ({ timestamp, id })
+   * @param {number} [options.limit] - Maximum number of runs to return
+   * @returns {Promise<Array>} Test runs without test_suites
+   */
+  static async findPage(projectId, filter = {}, options = {}) {
+    const { after = null, limit = 20 } = options;
+    const query = { ...filter, project_id: projectId };
+
+    if (after) {
+      const afterId = new ObjectId(after.id);
+      query.$or = [
+        { timestamp: { $lt: after.timestamp } },
+        { timestamp: after.timestamp, _id: { $lt: afterId } }
+      ];
+    }
+
+    return await this.getCollection()
+      .find(query, { projection: { test_suites: 0 } })
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
   /**
    * Find test runs by environment
    * @param {string} projectId - Project ID
@@ -110,14 +167,156 @@ class TestRun {
       .toArray();
   }
 
+  /**
+   * Find the run that precedes a given time in an environment
+   * @param {string} projectId - Project ID
+   * @param {string} environment - Environment name
+   * @param {string} timestamp - ISO timestamp of the later run
+   * @param {Object} [options] - Query options
+   * @param {string} [options.branch] - Only consider runs of this branch
+   * @returns {Promise<Object|null>} Previous run without its suites, or null if there is none
+   */
+  static async findPrevious(projectId, environment, timestamp, options = {}) {
+    const query = { project_id: projectId, environment, timestamp: { $lt: timestamp } };
+    if (options.branch) {
+      query['metadata.branch'] = options.branch;
+    }
+
+    return await this.getCollection().findOne(
+      query,
+      { projection: { test_suites: 0 }, sort: { timestamp: -1, _id: -1 } }
+    );
+  }
+
+  /**
+   * Get the run IDs of the most recent runs of a project
+   * @param {string} projectId - Project ID
+   * @param {Object} options - Query options
+   * @param {string} [options.environment] - Restrict to one environment
+   * @param {number} [options.limit] - Number of runs
+   * @returns {Promise<Array<string>>} Run IDs, newest first
+   */
+  static async findRecentRunIds(projectId, options = {}) {
+    const { environment, limit = 50 } = options;
+    const query = { project_id: projectId };
+    if (environment) {
+      query.environment = environment;
+    }
+
+    const runs = await this.getCollection()
+      .find(query, { projection: { _id: 0, run_id: 1 } })
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit)
+      .toArray();
+
+    return runs.map((run) => run.run_id);
+  }
+
+  /**
+   * Find runs that still embed their test cases (stored before cases were normalized)
+   * @returns {Object} MongoDB cursor over legacy runs
+   */
+  static findWithEmbeddedCases() {
+    return this.getCollection().find({ 'test_suites.test_cases': { $exists: true } });
+  }
+
+  /**
+   * Find runs whose timestamp is not stored in the normalized ISO form (stored before timestamps were normalized)
+   * Such timestamps sort and compare wrongly against ISO strings and break date bucketing.
+   * @returns {Object} MongoDB cursor over { _id, project_id, run_id, timestamp }
+   */
+  static findWithUnnormalizedTimestamps() {
+    return this.getCollection().find(
+      { timestamp: { $not: ISO_TIMESTAMP_PATTERN } },
+      { projection: { _id: 1, project_id: 1, run_id: 1, timestamp: 1 } }
+    );
+  }
+
+  /**
+   * Replace the timestamp of a run
+   * @param {ObjectId} id - Test run document ID
+   * @param {string} timestamp - Normalized ISO timestamp
+   * @returns {Promise<void>}
+   */
+  static async setTimestamp(id, timestamp) {
+    await this.getCollection().updateOne({ _id: id }, { $set: { timestamp } });
+  }
+
+  /**
+   * Replace the suites of a run (e.g. with case-free rollups after migration)
+   * @param {ObjectId} id - Test run document ID
+   * @param {Array} testSuites - New suites
+   * @returns {Promise<void>}
+   */
+  static async setSuites(id, testSuites) {
+    await this.getCollection().updateOne({ _id: id }, { $set: { test_suites: testSuites } });
+  }
+
+  /**
+   * Store the quality gate verdict of a run
+   * @param {string} projectId - Project ID
+   * @param {string} runId - Run ID
+   * @param {Object} gate - Verdict from the quality gate service
+   * @returns {Promise<void>}
+   */
+  static async setGate(projectId, runId, gate) {
+    await this.getCollection().updateOne({ project_id: projectId, run_id: runId }, { $set: { gate } });
+  }
+
+  /**
+   * Store an amendment of a run: new summary and suite rollups, and the amendment record
+   * Only applies if no other amendment was stored since the run was read.
+   * @param {ObjectId} id - Test run document ID
+   * @param {number} amendmentCount - Number of amendments when the run was read
+   * @param {Object} update - New run content
+   * @param {Object} update.summary - Recomputed summary
+   * @param {Array} update.testSuites - Recomputed suite rollups
+   * @param {Object} update.amendment - { amendment_id, content_hash, changes, amended_at }
+   * @returns {Promise<boolean>} Whether the amendment was stored
+   */
+  static async applyAmendment(id, amendmentCount, { summary, testSuites, amendment }) {
+    const result = await this.getCollection().updateOne(
+      // Runs that were never amended have no amendment_count (null matches a missing field), and a
+      // reverted first amendment leaves it at 0; both read as 0
+      { _id: id, amendment_count: amendmentCount || { $in: [null, 0] } },
+      {
+        $set: { summary, test_suites: testSuites },
+        $push: { amendments: amendment },
+        $inc: { amendment_count: 1 }
+      }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Undo an amendment whose cases could not be stored
+   * @param {ObjectId} id - Test run document ID
+   * @param {Object} previous - Run content before the amendment
+   * @param {Object} previous.summary - Summary
+   * @param {Array} previous.testSuites - Suite rollups
+   * @param {string} previous.amendmentId - Amendment to remove
+   * @returns {Promise<void>}
+   */
+  static async revertAmendment(id, { summary, testSuites, amendmentId }) {
+    await this.getCollection().updateOne(
+      { _id: id },
+      {
+        $set: { summary, test_suites: testSuites },
+        $pull: { amendments: { amendment_id: amendmentId } },
+        $inc: { amendment_count: -1 }
+      }
+    );
+  }
+
   /**
    * Get test run statistics for a project
    * @param {string} projectId - Project ID
+   * @param {Object} filter - Additional query conditions (e.g. environment, timestamp range)
    * @returns {Promise<Object>}
    */
-  static async getStats(projectId) {
+  static async getStats(projectId, filter = {}) {
     const pipeline = [
-      { $match: { project_id: projectId } },
+      { $match: { ...filter, project_id: projectId } },
       {
         $group: {
           _id: null,
@@ -129,7 +328,8 @@ class TestRun {
           total_skipped: { $sum: '$summary.skipped' },
           avg_duration: { $avg: '$summary.duration_ms' }
         }
-      }
+      },
+      { $project: { _id: 0 } }
     ];
 
     const result = await this.getCollection().aggregate(pipeline).toArray();
@@ -149,6 +349,96 @@ class TestRun {
     return result[0];
   }
 
+  /**
+   * Get test run totals grouped by the value of one field
+   * @param {string} projectId - Project ID
+   * @param {Object} filter - Additional query conditions (e.g. environment, timestamp range)
+   * @param {string} field - Field path to group on (e.g. 'environment', 'metadata.branch')
+   * @returns {Promise<Array>} Groups with the most runs first; runs without the field are grouped under null
+   */
+  static async getGroupedStats(projectId, filter = {}, field) {
+    const pipeline = [
+      { $match: { ...filter, project_id: projectId } },
+      {
+        $group: {
+          _id: { $ifNull: [`$${field}`, null] },
+          runs: { $sum: 1 },
+          total_test_cases: { $sum: '$summary.total_test_cases' },
+          passed: { $sum: '$summary.passed' },
+          failed: { $sum: '$summary.failed' },
+          flaky: { $sum: '$summary.flaky' },
+          skipped: { $sum: '$summary.skipped' },
+          avg_duration: { $avg: '$summary.duration_ms' },
+          last_run_at: { $max: '$timestamp' }
+        }
+      },
+      { $sort: { runs: -1, _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          key: '$_id',
+          runs: 1,
+          total_test_cases: 1,
+          passed: 1,
+          failed: 1,
+          flaky: 1,
+          skipped: 1,
+          avg_duration: 1,
+          last_run_at: 1
+        }
+      }
+    ];
+
+    return await this.getCollection().aggregate(pipeline).toArray();
+  }
+
+  /**
+   * Get test run totals grouped into time buckets
+   * @param {string} projectId - Project ID
+   * @param {Object} filter - Additional query conditions (e.g. environment, timestamp range)
+   * @param {string} interval - Bucket size: 'day' or 'week' (weeks start on Monday, UTC)
+   * @returns {Promise<Array>} Buckets ordered oldest first, each with raw run durations
+   */
+  static async getTrends(projectId, filter = {}, interval = 'day') {
+    const pipeline = [
+      { $match: { ...filter, project_id: projectId } },
+      {
+        $group: {
+          _id: {
+            $dateTrunc: {
+              date: { $toDate: '$timestamp' },
+              unit: interval,
+              startOfWeek: 'monday'
+            }
+          },
+          runs: { $sum: 1 },
+          total_test_cases: { $sum: '$summary.total_test_cases' },
+          passed: { $sum: '$summary.passed' },
+          failed: { $sum: '$summary.failed' },
+          flaky: { $sum: '$summary.flaky' },
+          skipped: { $sum: '$summary.skipped' },
+          durations: { $push: '$summary.duration_ms' }
+        }
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          bucket_start: '$_id',
+          runs: 1,
+          total_test_cases: 1,
+          passed: 1,
+          failed: 1,
+          flaky: 1,
+          skipped: 1,
+          durations: 1
+        }
+      }
+    ];
+
+    return await this.getCollection().aggregate(pipeline).toArray();
+  }
+
   /**
    * Count test runs for a project
    * @param {string} projectId - Project ID
@@ -158,6 +448,17 @@ class TestRun {
     return await this.getCollection().countDocuments({ project_id: projectId });
   }
 
+  /**
+   * Delete one test run
+   * @param {string} projectId - Project ID
+   * @param {string} runId - Run ID
+   * @returns {Promise<boolean>}
+   */
+  static async deleteByProjectAndRunId(projectId, runId) {
+    const result = await this.getCollection().deleteOne({ project_id: projectId, run_id: runId });
+    return result.deletedCount > 0;
+  }
+
   /**
    * Delete all test runs for a project
    * @param {string} projectId - Project ID
@@ -0,0 +1,127 @@
+const { getDb } = require('../config/db.config');
+const crypto = require('crypto');
+
+const EVENTS = ['run.ingested', 'run.failed', 'run.failure_threshold', 'run.new_failures'];
+
+/**
+ * Webhook Model
+ * Represents a project's subscription to run events, delivered as signed HTTP POSTs
+ */
+class Webhook {
+  /**
+   * Get collection name
+   */
+  static get collectionName() {
+    return 'webhooks';
+  }
+
+  /**
+   * Get the MongoDB collection
+   */
+  static getCollection() {
+    return getDb().collection(this.collectionName);
+  }
+
+  /**
+   * Events a webhook can subscribe to
+   */
+  static get EVENTS() {
+    return EVENTS;
+  }
+
+  /**
+   * Create a new webhook with a fresh signing secret
+   * @param {string} projectId - Project ID
+   * @param {Object} data - Webhook settings
+   * @param {string} data.url - HTTP(S) endpoint receiving deliveries
+   * @param {Array<string>} data.events - Subscribed events
+   * @param {number|null} [data.failureThreshold] - Failed-case count that triggers run.failure_threshold
+   * @returns {Promise<Object>} Created webhook, including the secret
+   */
+  static async create(projectId, { url, events, failureThreshold = null }) {
+    const now = new Date();
+    const webhook = {
+      _id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+      project_id: projectId,
+      url,
+      events,
+      failure_threshold: failureThreshold,
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      active: true,
+      created_at: now,
+      updated_at: now
+    };
+
+    await this.getCollection().insertOne(webhook);
+    return webhook;
+  }
+
+  /**
+   * Find a webhook of a project
+   * @param {string} projectId - Project ID
+   * @param {string} id - Webhook ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByProjectAndId(projectId, id) {
+    return await this.getCollection().findOne({ _id: id, project_id: projectId });
+  }
+
+  /**
+   * Find webhooks of a project, oldest first
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>}
+   */
+  static async findByProjectId(projectId) {
+    return await this.getCollection().find({ project_id: projectId }).sort({ created_at: 1 }).toArray();
+  }
+
+  /**
+   * Find active webhooks of a project subscribed to any of the given events
+   * @param {string} projectId - Project ID
+   * @param {Array<string>} events - Event names
+   * @returns {Promise<Array>}
+   */
+  static async findSubscribers(projectId, events) {
+    return await this.getCollection()
+      .find({ project_id: projectId, active: true, events: { $in: events } })
+      .toArray();
+  }
+
+  /**
+   * Update webhook settings
+   * @param {string} projectId - Project ID
+   * @param {string} id - Webhook ID
+   * @param {Object} updates - Fields to set (url, events, failure_threshold, active)
+   * @returns {Promise<Object|null>} Updated webhook, or null if not found
+   */
+  static async update(projectId, id, updates) {
+    return await this.getCollection().findOneAndUpdate(
+      { _id: id, project_id: projectId },
+      { $set: { ...updates, updated_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Delete a webhook
+   * @param {string} projectId - Project ID
+   * @param {string} id - Webhook ID
+   * @returns {Promise<boolean>} True if a webhook was deleted
+   */
+  static async delete(projectId, id) {
+    const result = await this.getCollection().deleteOne({ _id: id, project_id: projectId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Delete all webhooks of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<number>} Number of deleted webhooks
+   */
+  static async deleteByProject(projectId) {
+    const result = await this.getCollection().deleteMany({ project_id: projectId });
+    return result.deletedCount;
+  }
+}
+
+module.exports = Webhook;
@@ -0,0 +1,137 @@
+const { getDb } = require('../config/db.config');
+
+/**
+ * WebhookDelivery Model
+ * One event sent to one webhook, with its attempt log
+ * Status moves from 'pending' to 'succeeded', or to 'failed' once retries are exhausted.
+ */
+class WebhookDelivery {
+  /**
+   * Get collection name
+   */
+  static get collectionName() {
+    return 'webhook_deliveries';
+  }
+
+  /**
+   * Get the MongoDB collection
+   */
+  static getCollection() {
+    return getDb().collection(this.collectionName);
+  }
+
+  /**
+   * Queue a delivery for immediate sending
+   * @param {Object} data - Delivery data
+   * @param {Object} data.webhook - Stored webhook
+   * @param {string} data.event - Event name
+   * @param {Object} data.payload - JSON body to send
+   * @returns {Promise<Object>} Created delivery
+   */
+  static async create({ webhook, event, payload }) {
+    const now = new Date();
+    const delivery = {
+      webhook_id: webhook._id,
+      project_id: webhook.project_id,
+      event,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      attempt_log: [],
+      next_attempt_at: now,
+      locked_until: null,
+      created_at: now,
+      completed_at: null
+    };
+
+    const result = await this.getCollection().insertOne(delivery);
+    return { ...delivery, _id: result.insertedId };
+  }
+
+  /**
+   * Claim the next due delivery so only one worker sends it
+   * @param {number} lockMs - How long the claim holds before another worker may retry it
+   * @returns {Promise<Object|null>} Claimed delivery, or null if none is due
+   */
+  static async claimDue(lockMs) {
+    const now = new Date();
+    return await this.getCollection().findOneAndUpdate(
+      {
+        status: 'pending',
+        next_attempt_at: { $lte: now },
+        $or: [{ locked_until: null }, { locked_until: { $lte: now } }]
+      },
+      { $set: { locked_until: new Date(now.getTime() + lockMs) } },
+      { sort: { next_attempt_at: 1 }, returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Record an attempt and schedule the next one or close the delivery
+   * @param {ObjectId} id - Delivery ID
+   * @param {Object} attempt - { at, status_code, error, duration_ms }
+   * @param {Object} outcome - What happens next
+   * @param {string} outcome.status - 'pending', 'succeeded' or 'failed'
+   * @param {Date|null} [outcome.nextAttemptAt] - When to retry (pending only)
+   * @returns {Promise<void>}
+   */
+  static async recordAttempt(id, attempt, { status, nextAttemptAt = null }) {
+    await this.getCollection().updateOne(
+      { _id: id },
+      {
+        $inc: { attempts: 1 },
+        $push: { attempt_log: attempt },
+        $set: {
+          status,
+          next_attempt_at: nextAttemptAt,
+          locked_until: null,
+          completed_at: status === 'pending' ? null : attempt.at
+        }
+      }
+    );
+  }
+
+  /**
+   * Find recent deliveries of a webhook, newest first
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} options - Query options
+   * @param {string} [options.status] - Restrict to one status
+   * @param {number} [options.limit] - Maximum number of deliveries
+   * @returns {Promise<Array>}
+   */
+  static async findByWebhook(webhookId, options = {}) {
+    const { status, limit = 50 } = options;
+    const query = { webhook_id: webhookId };
+    if (status) {
+      query.status = status;
+    }
+
+    return await this.getCollection()
+      .find(query)
+      .sort({ created_at: -1, _id: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Delete the deliveries of a webhook
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<number>} Number of deleted deliveries
+   */
+  static async deleteByWebhook(webhookId) {
+    const result = await this.getCollection().deleteMany({ webhook_id: webhookId });
+    return result.deletedCount;
+  }
+
+  /**
+   * Delete all deliveries of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<number>} Number of deleted deliveries
+   */
+  static async deleteByProject(projectId) {
+    const result = await this.getCollection().deleteMany({ project_id: projectId });
+    return result.deletedCount;
+  }
+}
+
+module.exports = WebhookDelivery;
@@ -1,38 +1,321 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth.middleware');
+const {
+  authenticateToken,
+  authorizeProject,
+  requireScope,
+  authenticateAdmin,
+  requireRootAdmin,
+  authorizeOrgAdmin
+} = require('../middleware/auth.middleware');
+const { parseJUnitInput } = require('../middleware/junit.middleware');
+const { queueAsyncIngest } = require('../middleware/asyncIngest.middleware');
+const { readIdempotencyKey } = require('../middleware/idempotency.middleware');
+const {
+  ingestRateLimit,
+  readRateLimit,
+  managementRateLimit,
+  publicRateLimit,
+  enforceIngestQuota
+} = require('../middleware/rateLimit.middleware');
 const organizationController = require('../controllers/organization.controller');
 const projectController = require('../controllers/project.controller');
 const tokenController = require('../controllers/token.controller');
+const adminKeyController = require('../controllers/adminKey.controller');
 const testRunController = require('../controllers/testRun.controller');
+const testCaseController = require('../controllers/testCase.controller');
+const ingestSessionController = require('../controllers/ingestSession.controller');
+const ingestJobController = require('../controllers/ingestJob.controller');
+const webhookController = require('../controllers/webhook.controller');
+const qualityGateController = require('../controllers/qualityGate.controller');
+const schemaController = require('../controllers/schema.controller');
+const openApiController = require('../controllers/openapi.controller');
 const {
   validateOrganizationInput,
   validateProjectInput,
+  validateProjectUpdateInput,
+  validateAdminKeyInput,
   validateTokenInput,
-  validateTestRunInput
+  validateTokenRotationInput,
+  validateTestRunInput,
+  validateIngestSessionInput,
+  validateIngestBatchInput,
+  validateIngestFinalizeInput,
+  validateRunAmendmentInput,
+  validateDeleteQueryInput,
+  validateListRunsQueryInput,
+  validateCaseHistoryQueryInput,
+  validateRunDiffQueryInput,
+  validateRunGateQueryInput,
+  validateFlakinessQueryInput,
+  validateFailureClustersQueryInput,
+  validateStatsQueryInput,
+  validateMetricsQueryInput,
+  validateWebhookInput,
+  validateWebhookUpdateInput,
+  validateDeliveriesQueryInput,
+  validateQualityGateInput,
+  validateQualityGateUpdateInput
 } = require('../middleware/validation.middleware');
 const metricsController = require('../controllers/metrics.controller');
 const router = express.Router();
 
 /**
- * POST /orgs - Create a new organization
+ * POST /orgs - Create a new organization (requires root admin key)
+ * Returns the organization's first admin key only once
+ */
+router.post('/orgs', authenticateAdmin, managementRateLimit, requireRootAdmin, validateOrganizationInput, organizationController.createOrganization);
+
+/**
+ * GET /orgs - List organizations (root admin key sees all, org admin keys their own)
+ */
+router.get('/orgs', authenticateAdmin, managementRateLimit, organizationController.listOrganizations);
+
+/**
+ * GET /orgs/:id - Get an organization (requires admin key)
+ */
+router.get('/orgs/:id', authenticateAdmin, managementRateLimit, authorizeOrgAdmin(), organizationController.getOrganization);
+
+/**
+ * PATCH /orgs/:id - Rename an organization (requires admin key)
+ */
+router.patch('/orgs/:id', authenticateAdmin, managementRateLimit, authorizeOrgAdmin(), validateOrganizationInput, organizationController.updateOrganization);
+
+/**
+ * DELETE /orgs/:id - Soft-delete an organization; ?confirm=true permanently deletes a
+ * soft-deleted organization with its projects, tokens and runs (requires admin key)
+ */
+router.delete('/orgs/:id', authenticateAdmin, managementRateLimit, authorizeOrgAdmin(), validateDeleteQueryInput, organizationController.deleteOrganization);
+
+/**
+ * POST /orgs/:id/restore - Restore a soft-deleted organization (requires admin key)
+ */
+router.post('/orgs/:id/restore', authenticateAdmin, managementRateLimit, authorizeOrgAdmin(), organizationController.restoreOrganization);
+
+/**
+ * GET /orgs/:id/projects - List projects of an organization (requires admin key)
+ */
+router.get('/orgs/:id/projects', authenticateAdmin, managementRateLimit, authorizeOrgAdmin(), organizationController.listOrganizationProjects);
+
+/**
+ * POST /orgs/:id/admin-keys - Create an admin key for an organization (requires admin key)
+ */
+router.post('/orgs/:id/admin-keys', authenticateAdmin, managementRateLimit, authorizeOrgAdmin(), validateAdminKeyInput, adminKeyController.createAdminKey);
+
+/**
+ * GET /orgs/:id/admin-keys - List admin key metadata for an organization (requires admin key)
+ */
+router.get('/orgs/:id/admin-keys', authenticateAdmin, managementRateLimit, authorizeOrgAdmin(), adminKeyController.listAdminKeys);
+
+/**
+ * DELETE /orgs/:id/admin-keys/:keyId - Delete an organization admin key (requires admin key)
+ */
+router.delete('/orgs/:id/admin-keys/:keyId', authenticateAdmin, managementRateLimit, authorizeOrgAdmin(), adminKeyController.deleteAdminKey);
+
+/**
+ * POST /projects - Create a new project in the admin key's organization (requires admin key)
+ */
+router.post('/projects', authenticateAdmin, managementRateLimit, validateProjectInput, authorizeOrgAdmin((req) => req.body.org_id), projectController.createProject);
+
+/**
+ * GET /projects/:id - Get a project (requires admin key)
  */
-router.post('/orgs', validateOrganizationInput, organizationController.createOrganization);
+router.get('/projects/:id', authenticateAdmin, managementRateLimit, projectController.getProject);
 
 /**
- * POST /projects - Create a new project
+ * PATCH /projects/:id - Rename a project (requires admin key)
  */
-router.post('/projects', validateProjectInput, projectController.createProject);
+router.patch('/projects/:id', authenticateAdmin, managementRateLimit, validateProjectUpdateInput, projectController.updateProject);
 
 /**
- * POST /tokens - Create a new API token
- * Returns the raw token only once
+ * DELETE /projects/:id - Soft-delete a project; ?confirm=true permanently deletes a
+ * soft-deleted project with its tokens and runs (requires admin key)
  */
-router.post('/tokens', validateTokenInput, tokenController.createToken);
+router.delete('/projects/:id', authenticateAdmin, managementRateLimit, validateDeleteQueryInput, projectController.deleteProject);
+
+/**
+ * POST /projects/:id/restore - Restore a soft-deleted project (requires admin key)
+ */
+router.post('/projects/:id/restore', authenticateAdmin, managementRateLimit, projectController.restoreProject);
+
+/**
+ * GET /projects/:id/stats - Run totals and pass-rate/duration trends (requires authentication)
+ * Supports environment, from/to and interval (day|week) filters
+ */
+router.get('/projects/:id/stats', authenticateToken, readRateLimit, requireScope('stats:read'), authorizeProject(), validateStatsQueryInput, projectController.getProjectStats);
+
+/**
+ * GET /projects/:id/failures - Failed cases clustered by failure signature (requires authentication)
+ * Supports environment, from/to, failure_type, sort (occurrences|affected_tests) and limit
+ */
+router.get('/projects/:id/failures', authenticateToken, readRateLimit, requireScope('runs:read'), authorizeProject(), validateFailureClustersQueryInput, testCaseController.getFailureClusters);
+
+/**
+ * POST /tokens - Create a new API token for a project of the admin key's organization
+ * (requires admin key). Returns the raw token only once
+ */
+router.post('/tokens', authenticateAdmin, managementRateLimit, validateTokenInput, tokenController.createToken);
+
+/**
+ * GET /projects/:id/tokens - List token metadata for a project (requires admin scope)
+ */
+router.get('/projects/:id/tokens', authenticateToken, managementRateLimit, requireScope('admin'), authorizeProject(), tokenController.listTokens);
+
+/**
+ * POST /projects/:id/webhooks - Subscribe a URL to run events (requires admin scope)
+ * Returns the signing secret only once
+ */
+router.post('/projects/:id/webhooks', authenticateToken, managementRateLimit, requireScope('admin'), authorizeProject(), validateWebhookInput, webhookController.createWebhook);
+
+/**
+ * GET /projects/:id/webhooks - List a project's webhooks (requires admin scope)
+ */
+router.get('/projects/:id/webhooks', authenticateToken, managementRateLimit, requireScope('admin'), authorizeProject(), webhookController.listWebhooks);
+
+/**
+ * GET /projects/:id/webhooks/:webhookId - Get a webhook (requires admin scope)
+ */
+router.get('/projects/:id/webhooks/:webhookId', authenticateToken, managementRateLimit, requireScope('admin'), authorizeProject(), webhookController.getWebhook);
+
+/**
+ * PATCH /projects/:id/webhooks/:webhookId - Change URL, events, threshold or pause a webhook (requires admin scope)
+ */
+router.patch('/projects/:id/webhooks/:webhookId', authenticateToken, managementRateLimit, requireScope('admin'), authorizeProject(), validateWebhookUpdateInput, webhookController.updateWebhook);
+
+/**
+ * DELETE /projects/:id/webhooks/:webhookId - Delete a webhook and its delivery log (requires admin scope)
+ */
+router.delete('/projects/:id/webhooks/:webhookId', authenticateToken, managementRateLimit, requireScope('admin'), authorizeProject(), webhookController.deleteWebhook);
+
+/**
+ * GET /projects/:id/webhooks/:webhookId/deliveries - Recent deliveries with their attempt log (requires admin scope)
+ */
+router.get('/projects/:id/webhooks/:webhookId/deliveries', authenticateToken, managementRateLimit, requireScope('admin'), authorizeProject(), validateDeliveriesQueryInput, webhookController.listDeliveries);
+
+/**
+ * POST /projects/:id/gates - Add a quality gate rule evaluated on every ingested run (requires admin scope)
+ */
+router.post('/projects/:id/gates', authenticateToken, managementRateLimit, requireScope('admin'), authorizeProject(), validateQualityGateInput, qualityGateController.createGate);
+
+/**
+ * GET /projects/:id/gates - List a project's quality gates (requires admin scope)
+ */
+router.get('/projects/:id/gates', authenticateToken, managementRateLimit, requireScope('admin'), authorizeProject(), qualityGateController.listGates);
+
+/**
+ * PATCH /projects/:id/gates/:gateId - Change a gate's name, threshold or environments (requires admin scope)
+ */
+router.patch('/projects/:id/gates/:gateId', authenticateToken, managementRateLimit, requireScope('admin'), authorizeProject(), validateQualityGateUpdateInput, qualityGateController.updateGate);
+
+/**
+ * DELETE /projects/:id/gates/:gateId - Delete a quality gate (requires admin scope)
+ */
+router.delete('/projects/:id/gates/:gateId', authenticateToken, managementRateLimit, requireScope('admin'), authorizeProject(), qualityGateController.deleteGate);
+
+/**
+ * DELETE /tokens/:id - Revoke a token of the caller's project (requires admin scope)
+ */
+router.delete('/tokens/:id', authenticateToken, managementRateLimit, requireScope('admin'), tokenController.revokeToken);
+
+/**
+ * POST /tokens/:id/rotate - Issue a replacement token; the old one expires after a grace period
+ * (requires admin scope)
+ */
+router.post('/tokens/:id/rotate', authenticateToken, managementRateLimit, requireScope('admin'), validateTokenRotationInput, tokenController.rotateToken);
 
 /**
  * POST /ingest - Ingest test results (requires authentication)
+ * Accepts the JSON run format or a JUnit XML report (Content-Type: application/xml)
+ * With ?async=true the upload is queued and answered with 202 and a job ID
+ * An optional Idempotency-Key header makes retries of the same request replay the first outcome
+ */
+router.post('/ingest', authenticateToken, ingestRateLimit, requireScope('runs:write'), readIdempotencyKey, queueAsyncIngest, parseJUnitInput, validateTestRunInput, enforceIngestQuota({ runs: true, bytes: true }), testRunController.ingestTestRun);
+
+/**
+ * GET /ingest/jobs/:id - Status and errors of an upload queued with ?async=true (requires authentication)
+ */
+router.get('/ingest/jobs/:id', authenticateToken, ingestRateLimit, requireScope('runs:write'), ingestJobController.getJob);
+
+/**
+ * POST /ingest/sessions - Open a chunked ingest session for a run (requires authentication)
+ * Large runs are uploaded as batches and assembled at finalize
+ */
+router.post('/ingest/sessions', authenticateToken, ingestRateLimit, requireScope('runs:write'), validateIngestSessionInput, enforceIngestQuota({ runs: true }), ingestSessionController.openSession);
+
+/**
+ * GET /ingest/sessions/:run_id - Get the state of an ingest session (requires authentication)
+ */
+router.get('/ingest/sessions/:run_id', authenticateToken, ingestRateLimit, requireScope('runs:write'), ingestSessionController.getSession);
+
+/**
+ * POST /ingest/sessions/:run_id/batches - Append suites/cases to a session (requires authentication)
+ */
+router.post('/ingest/sessions/:run_id/batches', authenticateToken, ingestRateLimit, requireScope('runs:write'), validateIngestBatchInput, enforceIngestQuota({ bytes: true }), ingestSessionController.appendBatch);
+
+/**
+ * POST /ingest/sessions/:run_id/finalize - Merge batches into the stored run (requires authentication)
+ */
+router.post('/ingest/sessions/:run_id/finalize', authenticateToken, ingestRateLimit, requireScope('runs:write'), validateIngestFinalizeInput, ingestSessionController.finalizeSession);
+
+/**
+ * GET /runs - List ingested test runs for the token's project (requires authentication)
+ * Supports environment, from/to, status and min_failed filters with cursor pagination
+ */
+router.get('/runs', authenticateToken, readRateLimit, requireScope('runs:read'), validateListRunsQueryInput, testRunController.listTestRuns);
+
+/**
+ * GET /runs/:run_id - Fetch a single test run with suites and cases (requires authentication)
+ */
+router.get('/runs/:run_id', authenticateToken, readRateLimit, requireScope('runs:read'), testRunController.getTestRun);
+
+/**
+ * PATCH /runs/:run_id - Append retried and late test cases to a run (requires authentication)
+ * Cases that failed and then passed become flaky; suite counters and the summary are recomputed
+ */
+router.patch('/runs/:run_id', authenticateToken, ingestRateLimit, requireScope('runs:write'), validateRunAmendmentInput, enforceIngestQuota({ bytes: true }), testRunController.amendTestRun);
+
+/**
+ * GET /runs/:run_id/diff - Case-level comparison with ?base=<run_id> or the latest earlier run of
+ * ?baseline_environment (default: the run's own environment) (requires authentication)
+ */
+router.get('/runs/:run_id/diff', authenticateToken, readRateLimit, requireScope('runs:read'), validateRunDiffQueryInput, testRunController.compareTestRuns);
+
+/**
+ * GET /runs/:run_id/gate - Quality gate verdict of a run; ?refresh=true re-evaluates
+ * against the current gates (requires authentication)
+ */
+router.get('/runs/:run_id/gate', authenticateToken, readRateLimit, requireScope('runs:read'), validateRunGateQueryInput, testRunController.getTestRunGate);
+
+/**
+ * GET /cases/history - Execution history of one test case (requires authentication)
+ * Identified by ?suite=<suite_name>&name=<case_name>, optionally per environment
+ */
+router.get('/cases/history', authenticateToken, readRateLimit, requireScope('runs:read'), validateCaseHistoryQueryInput, testCaseController.getCaseHistory);
+
+/**
+ * GET /cases/flaky - Test cases ranked by flakiness score (requires authentication)
+ */
+router.get('/cases/flaky', authenticateToken, readRateLimit, requireScope('runs:read'), validateFlakinessQueryInput, testCaseController.getFlakyCases);
+
+/**
+ * GET /schemas - List the request body JSON Schemas
  */
-router.post('/ingest', authenticateToken, validateTestRunInput, testRunController.ingestTestRun);
+router.get('/schemas', publicRateLimit, schemaController.listSchemas);
+
+/**
+ * GET /schemas/:name - Get a request body JSON Schema (e.g. /schemas/ingest)
+ * Ingest schemas take ?version= and default to the latest version
+ */
+router.get('/schemas/:name', publicRateLimit, schemaController.getSchemaDocument);
+
+/**
+ * GET /openapi.json - OpenAPI 3.1 document generated from these routes and the schemas
+ */
+router.get('/openapi.json', publicRateLimit, openApiController.getOpenApiDocument);
+
+/**
+ * GET /docs - Browsable API reference rendering /openapi.json
+ */
+router.get('/docs', publicRateLimit, openApiController.getDocsPage);
 
 /**
  * GET /health - Health check endpoint
@@ -46,8 +329,15 @@ router.get('/health', (req, res) => {
 
 /**
  * GET /metrics - API usage metrics
+ * JSON by default; Prometheus text format with ?format=prometheus or Accept: text/plain
  */
 
-router.get('/metrics', metricsController.getMetrics);
+router.get('/metrics', publicRateLimit, validateMetricsQueryInput, metricsController.getMetrics);
+
+/**
+ * GET /metrics/ingestion - Ingest counters per project and per token (requires root admin key)
+ * Same formats as /metrics
+ */
+router.get('/metrics/ingestion', authenticateAdmin, managementRateLimit, requireRootAdmin, validateMetricsQueryInput, metricsController.getIngestionMetrics);
 
 module.exports = router;
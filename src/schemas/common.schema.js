@@ -0,0 +1,51 @@
+/**
+ * Common Schemas
+ * Building blocks shared by the request body schemas
+ * "x-message" describes a pattern in words; validation errors use it instead of the regex.
+ */
+
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * String with at least one non-whitespace character
+ * @param {number} maxLength - Maximum length
+ * @returns {Object} JSON Schema
+ */
+const nonEmptyString = (maxLength) => ({
+    type: 'string',
+    minLength: 1,
+    maxLength,
+    pattern: '\\S',
+    'x-message': 'cannot be empty'
+});
+
+/**
+ * Number of at least zero (counts and durations)
+ * @returns {Object} JSON Schema
+ */
+const nonNegativeNumber = () => ({ type: 'number', minimum: 0 });
+
+/**
+ * Allow null in addition to the given type
+ * @param {Object} schema - Schema of a single type
+ * @returns {Object} JSON Schema
+ */
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+/**
+ * Absolute http or https URL
+ * @returns {Object} JSON Schema
+ */
+const httpUrl = () => ({
+    type: 'string',
+    maxLength: MAX_URL_LENGTH,
+    pattern: '^https?://[^\\s/?#]+[^\\s]*$',
+    'x-message': 'must be an absolute http or https URL'
+});
+
+module.exports = {
+    nonEmptyString,
+    nonNegativeNumber,
+    nullable,
+    httpUrl
+};
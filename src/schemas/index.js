@@ -0,0 +1,93 @@
+/**
+ * Schema Registry
+ * Request body and query schemas by name; the validation middleware, GET /schemas and the
+ * OpenAPI document all use the same definitions. Response schemas are only used by the document.
+ */
+
+const {
+    INGEST_SCHEMA_VERSIONS,
+    DEFAULT_INGEST_SCHEMA_VERSION,
+    LATEST_INGEST_SCHEMA_VERSION,
+    testRunSchema,
+    ingestSessionSchema,
+    ingestBatchSchema,
+    ingestFinalizeSchema,
+    runAmendmentSchema
+} = require('./ingest.schema');
+const management = require('./management.schema');
+const { QUERY_SCHEMAS } = require('./query.schema');
+const { RESPONSE_SCHEMAS } = require('./response.schema');
+
+const JSON_SCHEMA_DIALECT = 'http://json-schema.org/draft-07/schema#';
+
+// Ingest bodies take schema_version; the others have a single version
+const VERSIONED_SCHEMAS = {
+    'ingest': testRunSchema,
+    'ingest-session': ingestSessionSchema,
+    'ingest-batch': ingestBatchSchema,
+    'ingest-finalize': ingestFinalizeSchema,
+    'run-amendment': runAmendmentSchema
+};
+
+const SCHEMAS = {
+    'organization': management.organizationSchema,
+    'project': management.projectSchema,
+    'project-update': management.projectUpdateSchema,
+    'admin-key': management.adminKeySchema,
+    'token': management.tokenSchema,
+    'token-rotation': management.tokenRotationSchema,
+    'webhook': management.webhookSchema,
+    'webhook-update': management.webhookUpdateSchema,
+    'quality-gate': management.qualityGateSchema,
+    'quality-gate-update': management.qualityGateUpdateSchema
+};
+
+const SCHEMA_NAMES = [...Object.keys(VERSIONED_SCHEMAS), ...Object.keys(SCHEMAS)];
+const RESPONSE_SCHEMA_NAMES = Object.keys(RESPONSE_SCHEMAS);
+
+/**
+ * Whether a schema takes schema_version
+ * @param {string} name - Schema name
+ * @returns {boolean}
+ */
+const isVersioned = (name) => Object.prototype.hasOwnProperty.call(VERSIONED_SCHEMAS, name);
+
+/**
+ * Look up a request body schema
+ * @param {string} name - Schema name (see SCHEMA_NAMES)
+ * @param {number} [version] - Version of an ingest schema (defaults to the latest)
+ * @returns {Object|null} JSON Schema, or null if the name or version is unknown
+ */
+const getSchema = (name, version = LATEST_INGEST_SCHEMA_VERSION) => {
+    if (isVersioned(name)) {
+        return INGEST_SCHEMA_VERSIONS.includes(version) ? VERSIONED_SCHEMAS[name](version) : null;
+    }
+    return Object.prototype.hasOwnProperty.call(SCHEMAS, name) ? SCHEMAS[name] : null;
+};
+
+/**
+ * Look up a query string schema
+ * @param {string} name - Query schema name
+ * @returns {Object|null} JSON Schema, or null if the name is unknown
+ */
+const getQuerySchema = (name) => (Object.prototype.hasOwnProperty.call(QUERY_SCHEMAS, name) ? QUERY_SCHEMAS[name] : null);
+
+/**
+ * Look up a success response schema
+ * @param {string} name - Response schema name (see RESPONSE_SCHEMA_NAMES)
+ * @returns {Object|null} JSON Schema, or null if the name is unknown
+ */
+const getResponseSchema = (name) => (Object.prototype.hasOwnProperty.call(RESPONSE_SCHEMAS, name) ? RESPONSE_SCHEMAS[name] : null);
+
+module.exports = {
+    JSON_SCHEMA_DIALECT,
+    INGEST_SCHEMA_VERSIONS,
+    DEFAULT_INGEST_SCHEMA_VERSION,
+    LATEST_INGEST_SCHEMA_VERSION,
+    SCHEMA_NAMES,
+    RESPONSE_SCHEMA_NAMES,
+    isVersioned,
+    getSchema,
+    getQuerySchema,
+    getResponseSchema
+};
@@ -0,0 +1,250 @@
+/**
+ * Ingest Schemas
+ * JSON Schemas of the /ingest payload and of chunked ingest session bodies
+ * Every ingest body may carry schema_version. Version 1 (the default, so CI clients written
+ * before versioning keep working) drops unknown fields; version 2 rejects them.
+ */
+
+const {
+    MAX_ERROR_MESSAGE_LENGTH,
+    MAX_STACK_TRACE_LENGTH,
+    MAX_FAILURE_TYPE_LENGTH,
+    MAX_ATTACHMENTS
+} = require('../utils/failureSignature.util');
+const {
+    COMMIT_SHA_PATTERN,
+    CI_PROVIDER_PATTERN,
+    LABEL_KEY_PATTERN,
+    MAX_LABELS
+} = require('../utils/runMetadata.util');
+const { nonEmptyString, nonNegativeNumber, nullable, httpUrl } = require('./common.schema');
+
+const INGEST_SCHEMA_VERSIONS = [1, 2];
+const DEFAULT_INGEST_SCHEMA_VERSION = 1;
+const LATEST_INGEST_SCHEMA_VERSION = 2;
+
+const TEST_CASE_STATUSES = ['passed', 'failed', 'flaky', 'skipped'];
+const MAX_RUN_ID_LENGTH = 255;
+const MAX_ENVIRONMENT_LENGTH = 255;
+const MAX_TEST_NAME_LENGTH = 1024;
+const MAX_SUITE_NAME_LENGTH = 1024;
+const MAX_TEST_SUITES = 1000;
+const MAX_SUITE_CASES = 50000;
+
+const attachmentSchema = {
+    type: 'object',
+    description: 'Link to an artifact stored elsewhere (screenshot, video, log, trace...)',
+    required: ['name', 'url'],
+    properties: {
+        name: nonEmptyString(255),
+        url: httpUrl(),
+        content_type: { type: 'string', maxLength: 255 }
+    },
+    additionalProperties: false
+};
+
+const testCaseSchema = {
+    type: 'object',
+    required: ['name', 'status', 'duration_ms'],
+    properties: {
+        name: nonEmptyString(MAX_TEST_NAME_LENGTH),
+        status: { enum: TEST_CASE_STATUSES },
+        duration_ms: nonNegativeNumber(),
+        steps: { type: 'integer', minimum: 0 },
+        error_message: nullable({ type: 'string', maxLength: MAX_ERROR_MESSAGE_LENGTH }),
+        stack_trace: nullable({ type: 'string', maxLength: MAX_STACK_TRACE_LENGTH }),
+        failure_type: nullable({ type: 'string', maxLength: MAX_FAILURE_TYPE_LENGTH }),
+        attachments: { type: 'array', maxItems: MAX_ATTACHMENTS, items: attachmentSchema }
+    },
+    additionalProperties: false
+};
+
+const testCasesSchema = { type: 'array', maxItems: MAX_SUITE_CASES, items: testCaseSchema };
+
+const metadataSchema = {
+    type: 'object',
+    description: 'Git/CI context of the run',
+    properties: {
+        branch: nonEmptyString(255),
+        commit_sha: {
+            type: 'string',
+            pattern: COMMIT_SHA_PATTERN.source,
+            'x-message': 'must be a hexadecimal commit hash (7 to 64 characters)'
+        },
+        ci_provider: {
+            type: 'string',
+            pattern: CI_PROVIDER_PATTERN.source,
+            'x-message': 'must be a lowercase identifier (e.g. "github_actions", "gitlab", "jenkins")'
+        },
+        build_number: { ...nonEmptyString(100), type: ['integer', 'string'], minimum: 0 },
+        build_url: httpUrl(),
+        pr_number: { type: 'integer', minimum: 1 },
+        labels: {
+            type: 'object',
+            maxProperties: MAX_LABELS,
+            patternProperties: {
+                [LABEL_KEY_PATTERN.source]: { type: 'string', maxLength: 255 }
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false
+};
+
+const summarySchema = {
+    type: 'object',
+    required: ['total_test_cases', 'passed', 'failed', 'flaky', 'skipped', 'duration_ms'],
+    properties: {
+        total_test_cases: nonNegativeNumber(),
+        passed: nonNegativeNumber(),
+        failed: nonNegativeNumber(),
+        flaky: nonNegativeNumber(),
+        skipped: nonNegativeNumber(),
+        duration_ms: nonNegativeNumber()
+    },
+    additionalProperties: false
+};
+
+const testSuiteSchema = {
+    type: 'object',
+    required: ['suite_name', 'total_cases', 'passed', 'failed', 'duration_ms'],
+    properties: {
+        suite_name: nonEmptyString(MAX_SUITE_NAME_LENGTH),
+        total_cases: nonNegativeNumber(),
+        passed: nonNegativeNumber(),
+        failed: nonNegativeNumber(),
+        flaky: nonNegativeNumber(),
+        skipped: nonNegativeNumber(),
+        duration_ms: nonNegativeNumber(),
+        test_cases: testCasesSchema
+    },
+    additionalProperties: false
+};
+
+// A batch carries suites (or parts of suites) with their cases; counters are derived at finalize
+const batchSuiteSchema = {
+    type: 'object',
+    required: ['suite_name', 'test_cases'],
+    properties: {
+        suite_name: nonEmptyString(MAX_SUITE_NAME_LENGTH),
+        duration_ms: nonNegativeNumber(),
+        test_cases: testCasesSchema
+    },
+    additionalProperties: false
+};
+
+/**
+ * Fields identifying a run, shared by /ingest and chunked ingest sessions
+ * @param {number} version - Schema version
+ * @returns {Object} JSON Schema properties
+ */
+const runHeaderProperties = (version) => ({
+    schema_version: { const: version },
+    run_id: {
+        type: 'string',
+        maxLength: MAX_RUN_ID_LENGTH,
+        pattern: '^tr_\\S',
+        'x-message': 'must start with "tr_" followed by at least one character (e.g., tr_my_test_run_123)'
+    },
+    environment: { ...nonEmptyString(MAX_ENVIRONMENT_LENGTH), description: 'e.g. "staging", "production"' },
+    timestamp: { type: 'string', maxLength: 64, description: 'ISO 8601 date of the run' },
+    metadata: metadataSchema
+});
+
+/**
+ * Wrap the properties of an ingest body into a versioned schema document
+ * @param {string} title - Schema title
+ * @param {number} version - Schema version
+ * @param {Object} schema - required and properties
+ * @returns {Object} JSON Schema
+ */
+const versioned = (title, version, { required = [], properties }) => ({
+    title,
+    description: version === 1
+        ? 'Schema version 1 (default when schema_version is omitted): unknown fields are dropped'
+        : `Schema version ${version}: unknown fields are rejected`,
+    type: 'object',
+    required,
+    properties,
+    additionalProperties: false
+});
+
+/**
+ * POST /ingest body
+ * @param {number} version - Schema version
+ * @returns {Object} JSON Schema
+ */
+const testRunSchema = (version) => versioned('Test run', version, {
+    required: ['run_id', 'environment', 'timestamp', 'summary'],
+    properties: {
+        ...runHeaderProperties(version),
+        summary: summarySchema,
+        test_suites: { type: 'array', maxItems: MAX_TEST_SUITES, items: testSuiteSchema }
+    }
+});
+
+/**
+ * POST /ingest/sessions body
+ * @param {number} version - Schema version
+ * @returns {Object} JSON Schema
+ */
+const ingestSessionSchema = (version) => versioned('Ingest session', version, {
+    required: ['run_id', 'environment', 'timestamp'],
+    properties: runHeaderProperties(version)
+});
+
+/**
+ * POST /ingest/sessions/:run_id/batches body
+ * @param {number} version - Schema version
+ * @returns {Object} JSON Schema
+ */
+const ingestBatchSchema = (version) => versioned('Ingest batch', version, {
+    required: ['batch_id', 'test_suites'],
+    properties: {
+        schema_version: { const: version },
+        batch_id: { ...nonEmptyString(255), description: 'Makes retried appends safe' },
+        test_suites: { type: 'array', minItems: 1, maxItems: MAX_TEST_SUITES, items: batchSuiteSchema }
+    }
+});
+
+/**
+ * POST /ingest/sessions/:run_id/finalize body
+ * @param {number} version - Schema version
+ * @returns {Object} JSON Schema
+ */
+const ingestFinalizeSchema = (version) => versioned('Ingest finalize', version, {
+    properties: {
+        schema_version: { const: version },
+        duration_ms: nonNegativeNumber()
+    }
+});
+
+/**
+ * PATCH /runs/:run_id body
+ * Suites carry retried cases (matched by suite and case name) and late results; counters are derived.
+ * @param {number} version - Schema version
+ * @returns {Object} JSON Schema
+ */
+const runAmendmentSchema = (version) => versioned('Run amendment', version, {
+    required: ['test_suites'],
+    properties: {
+        schema_version: { const: version },
+        amendment_id: { ...nonEmptyString(255), description: 'Makes retried amendments safe (defaults to a hash of the body)' },
+        duration_ms: { ...nonNegativeNumber(), description: 'Wall-clock time added to the run (defaults to the sum of the suites)' },
+        test_suites: { type: 'array', minItems: 1, maxItems: MAX_TEST_SUITES, items: batchSuiteSchema }
+    }
+});
+
+module.exports = {
+    INGEST_SCHEMA_VERSIONS,
+    DEFAULT_INGEST_SCHEMA_VERSION,
+    LATEST_INGEST_SCHEMA_VERSION,
+    TEST_CASE_STATUSES,
+    MAX_TEST_NAME_LENGTH,
+    MAX_SUITE_NAME_LENGTH,
+    testRunSchema,
+    ingestSessionSchema,
+    ingestBatchSchema,
+    ingestFinalizeSchema,
+    runAmendmentSchema
+};
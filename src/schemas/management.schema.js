@@ -0,0 +1,167 @@
+/**
+ * Management Schemas
+ * JSON Schemas of the organization, project, key, token, webhook and quality gate request bodies
+ * Unknown fields are rejected.
+ */
+
+const { ApiToken, Webhook, QualityGate } = require('../models/index.model');
+const { nonEmptyString, nullable, httpUrl } = require('./common.schema');
+
+const MAX_NAME_LENGTH = 255;
+const MAX_ID_LENGTH = 64;
+const MAX_ROTATION_GRACE_SECONDS = 30 * 24 * 60 * 60;
+
+const nameSchema = nonEmptyString(MAX_NAME_LENGTH);
+const idSchema = nonEmptyString(MAX_ID_LENGTH);
+
+// Checked to be in the future by the validation middleware
+const expiresAtSchema = nullable({ type: 'string', maxLength: 64, description: 'ISO 8601 date, or null for no expiry' });
+
+const organizationSchema = {
+    title: 'Organization',
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: nameSchema
+    },
+    additionalProperties: false
+};
+
+const projectSchema = {
+    title: 'Project',
+    type: 'object',
+    required: ['name', 'org_id'],
+    properties: {
+        name: nameSchema,
+        org_id: idSchema
+    },
+    additionalProperties: false
+};
+
+const projectUpdateSchema = {
+    title: 'Project update',
+    type: 'object',
+    minProperties: 1,
+    properties: {
+        name: nameSchema,
+        ingest_quota: {
+            type: 'object',
+            description: 'Daily ingest limits; null falls back to the server default',
+            minProperties: 1,
+            properties: {
+                daily_runs: nullable({ type: 'integer', minimum: 1 }),
+                daily_bytes: nullable({ type: 'integer', minimum: 1 })
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false
+};
+
+const adminKeySchema = {
+    title: 'Admin key',
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: nameSchema
+    },
+    additionalProperties: false
+};
+
+const tokenSchema = {
+    title: 'API token',
+    type: 'object',
+    required: ['project_id', 'name'],
+    properties: {
+        project_id: idSchema,
+        name: nameSchema,
+        expires_at: expiresAtSchema,
+        scopes: {
+            type: 'array',
+            minItems: 1,
+            items: { enum: ApiToken.SCOPES }
+        }
+    },
+    additionalProperties: false
+};
+
+const tokenRotationSchema = {
+    title: 'API token rotation',
+    type: 'object',
+    properties: {
+        grace_period_seconds: { type: 'integer', minimum: 0, maximum: MAX_ROTATION_GRACE_SECONDS },
+        expires_at: expiresAtSchema
+    },
+    additionalProperties: false
+};
+
+const webhookProperties = {
+    url: httpUrl(),
+    events: {
+        type: 'array',
+        minItems: 1,
+        items: { enum: Webhook.EVENTS }
+    },
+    failure_threshold: nullable({ type: 'integer', minimum: 0 })
+};
+
+const webhookSchema = {
+    title: 'Webhook',
+    type: 'object',
+    required: ['url', 'events'],
+    properties: webhookProperties,
+    additionalProperties: false
+};
+
+const webhookUpdateSchema = {
+    title: 'Webhook update',
+    type: 'object',
+    minProperties: 1,
+    properties: {
+        ...webhookProperties,
+        active: { type: 'boolean' }
+    },
+    additionalProperties: false
+};
+
+// Type-specific threshold rules are checked by the quality gate service
+const qualityGateProperties = {
+    name: nameSchema,
+    threshold: nullable({ type: 'number' }),
+    environment: nullable(nonEmptyString(MAX_NAME_LENGTH)),
+    baseline_environment: nullable(nonEmptyString(MAX_NAME_LENGTH)),
+    baseline_branch: nullable(nonEmptyString(255))
+};
+
+const qualityGateSchema = {
+    title: 'Quality gate',
+    type: 'object',
+    required: ['name', 'type'],
+    properties: {
+        ...qualityGateProperties,
+        type: { enum: QualityGate.TYPES }
+    },
+    additionalProperties: false
+};
+
+// The type of a gate cannot be changed
+const qualityGateUpdateSchema = {
+    title: 'Quality gate update',
+    type: 'object',
+    minProperties: 1,
+    properties: qualityGateProperties,
+    additionalProperties: false
+};
+
+module.exports = {
+    organizationSchema,
+    projectSchema,
+    projectUpdateSchema,
+    adminKeySchema,
+    tokenSchema,
+    tokenRotationSchema,
+    webhookSchema,
+    webhookUpdateSchema,
+    qualityGateSchema,
+    qualityGateUpdateSchema
+};
@@ -0,0 +1,159 @@
+/**
+ * Query Schemas
+ * JSON Schemas of query strings; values arrive as strings and are coerced before checking
+ * Unknown query parameters are ignored.
+ */
+
+const {
+    COMMIT_SHA_PATTERN,
+    STATS_GROUPS,
+    LABEL_KEY_PATTERN
+} = require('../utils/runMetadata.util');
+const { TEST_CASE_STATUSES } = require('./ingest.schema');
+const { nonEmptyString } = require('./common.schema');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_HISTORY_SIZE = 500;
+const STATS_INTERVALS = ['day', 'week'];
+const METRICS_FORMATS = ['json', 'prometheus'];
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+const FAILURE_CLUSTER_SORTS = ['occurrences', 'affected_tests'];
+
+const labelKey = LABEL_KEY_PATTERN.source.slice(1, -1);
+
+/**
+ * Integer parameter within [minimum, maximum]
+ */
+const integer = (minimum, maximum, description) => ({
+    type: 'integer',
+    minimum,
+    ...(maximum !== undefined && { maximum }),
+    ...(description && { description })
+});
+
+const flag = (description) => ({ enum: ['true', 'false'], description });
+const text = (description) => ({ ...nonEmptyString(255), description });
+const date = (description) => ({ type: 'string', maxLength: 64, description });
+
+const environment = text('Only runs of this environment');
+const from = date('ISO 8601 start of the time range');
+const to = date('ISO 8601 end of the time range');
+const limit = (maximum, description = 'Maximum number of results') => integer(1, maximum, description);
+
+// Git/CI metadata filters shared by GET /runs and GET /projects/:id/stats
+const metadataFilters = {
+    branch: text('Only runs of this branch'),
+    commit: {
+        type: 'string',
+        pattern: COMMIT_SHA_PATTERN.source,
+        'x-message': 'must be a hexadecimal commit hash or prefix (at least 7 characters)',
+        description: 'Commit hash or prefix (at least 7 characters)'
+    },
+    ci_provider: text('Only runs reported by this CI provider'),
+    pr_number: integer(1, undefined, 'Only runs of this pull request'),
+    label: {
+        type: 'string',
+        pattern: `^${labelKey}:`,
+        'x-message': 'must be written key:value (e.g. label=team:checkout)',
+        description: 'Only runs with this label, written key:value'
+    }
+};
+
+const querySchema = (title, properties, required = []) => ({
+    title,
+    type: 'object',
+    required,
+    properties
+});
+
+const QUERY_SCHEMAS = {
+    'ingest': querySchema('Ingest query', {
+        reconcile: flag('Recompute suite and summary counters from test_cases instead of rejecting mismatches'),
+        async: flag('Queue the upload and answer 202 with a job ID; the run is validated and stored in the background'),
+        run_id: { type: 'string', description: 'JUnit XML only: run ID' },
+        environment: { type: 'string', description: 'JUnit XML only: environment' },
+        timestamp: { type: 'string', description: 'JUnit XML only: run date (defaults to the report or upload time)' },
+        branch: { type: 'string', description: 'JUnit XML only: run metadata' },
+        commit_sha: { type: 'string', description: 'JUnit XML only: run metadata' },
+        ci_provider: { type: 'string', description: 'JUnit XML only: run metadata' },
+        build_number: { type: 'string', description: 'JUnit XML only: run metadata' },
+        build_url: { type: 'string', description: 'JUnit XML only: run metadata' },
+        pr_number: { type: 'string', description: 'JUnit XML only: run metadata' },
+        labels: {
+            type: 'object',
+            description: 'JUnit XML only: run labels, written labels[key]=value',
+            additionalProperties: { type: 'string' }
+        }
+    }),
+    'delete': querySchema('Delete query', {
+        confirm: flag('Permanently delete a soft-deleted resource and everything it owns')
+    }),
+    'list-runs': querySchema('Run listing query', {
+        limit: limit(MAX_PAGE_SIZE),
+        cursor: { type: 'string', description: 'next_cursor of the previous page' },
+        environment,
+        status: { enum: TEST_CASE_STATUSES, description: 'passed: runs without failures; otherwise runs with at least one case of this status' },
+        from,
+        to,
+        min_failed: integer(0, undefined, 'Only runs with at least this many failed cases'),
+        ...metadataFilters
+    }),
+    'run-diff': querySchema('Run diff query', {
+        base: text('Run ID to compare with (defaults to the latest earlier run)'),
+        baseline_environment: text('Compare with the latest earlier run of this environment'),
+        baseline_branch: text('Compare with the latest earlier run of this branch'),
+        slower_than: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            description: 'Relative duration increase reported as slower (e.g. 0.5 for 50% slower)'
+        },
+        min_delta_ms: integer(0, undefined, 'Minimum absolute duration increase reported as slower')
+    }),
+    'run-gate': querySchema('Run gate query', {
+        refresh: flag('Re-evaluate the gates instead of returning the stored verdict')
+    }),
+    'case-history': querySchema('Case history query', {
+        suite: text('Suite name'),
+        name: text('Test case name'),
+        environment,
+        limit: limit(MAX_HISTORY_SIZE)
+    }, ['suite', 'name']),
+    'flakiness': querySchema('Flakiness query', {
+        environment,
+        window: integer(2, MAX_HISTORY_SIZE, 'Number of recent runs considered per case'),
+        min_runs: integer(1, MAX_HISTORY_SIZE, 'Minimum runs of a case to be ranked'),
+        limit: limit(MAX_PAGE_SIZE)
+    }),
+    'stats': querySchema('Project stats query', {
+        environment,
+        ...metadataFilters,
+        from,
+        to,
+        interval: { enum: STATS_INTERVALS, description: 'Trend bucket size' },
+        group_by: {
+            type: 'string',
+            pattern: `^(${STATS_GROUPS.join('|')}|label:${labelKey})$`,
+            'x-message': `must be one of: ${STATS_GROUPS.join(', ')}, or label:<key>`,
+            description: 'Break the totals down by a dimension'
+        }
+    }),
+    'failure-clusters': querySchema('Failure cluster query', {
+        environment,
+        from,
+        to,
+        failure_type: text('Only failures of this type'),
+        sort: { enum: FAILURE_CLUSTER_SORTS, description: 'Ranking order' },
+        limit: limit(MAX_PAGE_SIZE)
+    }),
+    'deliveries': querySchema('Webhook delivery query', {
+        status: { enum: DELIVERY_STATUSES, description: 'Only deliveries with this status' },
+        limit: limit(MAX_PAGE_SIZE)
+    }),
+    'metrics': querySchema('Metrics query', {
+        format: { enum: METRICS_FORMATS, description: 'Response format (Accept: text/plain also selects prometheus)' }
+    })
+};
+
+module.exports = {
+    QUERY_SCHEMAS
+};
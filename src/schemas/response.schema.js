@@ -0,0 +1,138 @@
+/**
+ * Response Schemas
+ * JSON Schemas of success response bodies, referenced from the operation catalogue
+ * (config/openapi.config.js). They list the fields clients rely on and allow additional ones,
+ * so adding a field to a response does not break the document.
+ */
+
+const { TEST_CASE_STATUSES } = require('./ingest.schema');
+
+const string = () => ({ type: 'string' });
+const count = () => ({ type: 'integer', minimum: 0 });
+// Run and suite counters are accepted as any non-negative number on ingest
+const counter = () => ({ type: 'number', minimum: 0 });
+const nullableString = () => ({ type: ['string', 'null'] });
+
+/**
+ * Object schema with the given properties, all required
+ * @param {string} title - Schema title
+ * @param {Object} properties - Property schemas
+ * @returns {Object} JSON Schema
+ */
+const responseObject = (title, properties) => ({
+    title,
+    type: 'object',
+    required: Object.keys(properties),
+    properties
+});
+
+const summarySchema = responseObject('Run summary', {
+    total_test_cases: counter(),
+    passed: counter(),
+    failed: counter(),
+    flaky: counter(),
+    skipped: counter(),
+    duration_ms: counter()
+});
+
+const testCaseSchema = {
+    type: 'object',
+    required: ['name', 'status'],
+    properties: {
+        name: string(),
+        status: { enum: TEST_CASE_STATUSES }
+    }
+};
+
+const testSuiteSchema = {
+    type: 'object',
+    required: ['suite_name', 'total_cases', 'passed', 'failed', 'duration_ms'],
+    properties: {
+        suite_name: string(),
+        total_cases: counter(),
+        passed: counter(),
+        failed: counter(),
+        duration_ms: counter(),
+        test_cases: { type: 'array', items: testCaseSchema }
+    }
+};
+
+const metadataSchema = { type: ['object', 'null'] };
+const gateSchema = {
+    type: ['object', 'null'],
+    required: ['status'],
+    properties: { status: { enum: ['passed', 'failed', 'skipped'] } }
+};
+
+const runProperties = {
+    run_id: string(),
+    environment: string(),
+    timestamp: string(),
+    summary: summarySchema,
+    metadata: metadataSchema,
+    created_at: string()
+};
+
+const RESPONSE_SCHEMAS = {
+    'created-organization': responseObject('Created organization', {
+        id: string(),
+        name: string(),
+        admin_key: responseObject('Admin key', { id: string(), name: string(), key: string() }),
+        message: string()
+    }),
+    'created-project': responseObject('Created project', {
+        id: string(),
+        org_id: string(),
+        name: string(),
+        message: string()
+    }),
+    'created-token': responseObject('Created API token', {
+        id: string(),
+        project_id: string(),
+        name: string(),
+        token: { type: 'string', pattern: '^tap_' },
+        scopes: { type: 'array', items: string() },
+        expires_at: nullableString(),
+        message: string()
+    }),
+    'ingested-run': responseObject('Ingested test run', {
+        message: string(),
+        run_id: string(),
+        environment: string(),
+        summary: summarySchema,
+        test_suites: { type: 'array', items: testSuiteSchema },
+        metadata: metadataSchema,
+        gate: gateSchema
+    }),
+    'run-page': responseObject('Page of test runs', {
+        runs: { type: 'array', items: responseObject('Test run', runProperties) },
+        next_cursor: nullableString(),
+        has_more: { type: 'boolean' }
+    }),
+    'run': responseObject('Test run', {
+        ...runProperties,
+        test_suites: { type: 'array', items: testSuiteSchema }
+    }),
+    'project-stats': responseObject('Project stats', {
+        project_id: string(),
+        interval: { enum: ['day', 'week'] },
+        totals: { type: 'object', required: ['pass_rate'], properties: { pass_rate: { type: ['number', 'null'] } } },
+        trends: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['bucket_start', 'runs', 'pass_rate'],
+                properties: { bucket_start: string(), runs: count(), pass_rate: { type: ['number', 'null'] } }
+            }
+        },
+        groups: { type: ['array', 'null'] }
+    }),
+    'health': responseObject('Health', {
+        status: { const: 'healthy' },
+        timestamp: string()
+    })
+};
+
+module.exports = {
+    RESPONSE_SCHEMAS
+};
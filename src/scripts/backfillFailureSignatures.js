@@ -0,0 +1,45 @@
+/**
+ * Migration: compute failure signatures for failed cases stored before clustering existed
+ * New ingestions store signatures directly; this fills them in for older cases so
+ * GET /projects/:id/failures covers them too. Safe to re-run: only cases without a
+ * signature are touched.
+ *
+ * Usage: npm run migrate:failure-signatures
+ */
+
+require('dotenv').config();
+const { connectDatabase, closeDatabase } = require('../config/db.config');
+const { TestCase } = require('../models/index.model');
+const { failureSignature } = require('../utils/failureSignature.util');
+
+const BATCH_SIZE = 500;
+
+const backfill = async () => {
+    await connectDatabase();
+
+    let updatedCases = 0;
+
+    try {
+        const cursor = TestCase.findFailedWithoutSignature();
+        let batch = [];
+
+        for await (const testCase of cursor) {
+            batch.push({ id: testCase._id, ...failureSignature(testCase) });
+
+            if (batch.length === BATCH_SIZE) {
+                updatedCases += await TestCase.setFailureSignatures(batch);
+                batch = [];
+            }
+        }
+        updatedCases += await TestCase.setFailureSignatures(batch);
+
+        console.log(`[FAILURE_SIGNATURES_BACKFILLED] cases=${updatedCases}`);
+    } finally {
+        await closeDatabase();
+    }
+};
+
+backfill().catch((error) => {
+    console.error('[MIGRATION_ERROR]', error);
+    process.exit(1);
+});
@@ -0,0 +1,154 @@
+/**
+ * Contract check: compare the routes with the OpenAPI document served at GET /openapi.json
+ * Fails when a route has no catalogue entry (config/openapi.config.js) or an entry has no
+ * route, when a referenced request or response schema is missing or does not compile, and
+ * when a route answers a request with a status or media type the document does not declare.
+ * The requests are sent without credentials, so no database is needed; public routes that
+ * need one are reported as skipped. Authenticated responses are checked by the contract
+ * tests (src/test/contract), which need a database.
+ *
+ * Usage: npm run check:openapi
+ */
+
+require('dotenv').config();
+const Ajv = require('ajv');
+const express = require('express');
+const router = require('../routes/routes');
+const { OPERATIONS } = require('../config/openapi.config');
+const { listRoutes, operationKey, toOpenApiPath, buildOpenApiDocument } = require('../utils/openapi.util');
+const { schemaErrors, queryErrors } = require('../utils/schema.util');
+const { getResponseSchema } = require('../schemas');
+
+const PATH_PARAMETER_VALUE = 'contract-check';
+
+const responseAjv = new Ajv({ allowUnionTypes: true });
+
+/**
+ * Static checks: catalogue coverage, operation IDs and schema references
+ * @returns {Array<string>} Problems found
+ */
+const checkDocument = (routes, document) => {
+    const problems = [];
+    const routeKeys = new Set(routes.map((route) => operationKey(route.method, route.path)));
+
+    routes.forEach((route) => {
+        const key = operationKey(route.method, route.path);
+        const operation = OPERATIONS[key];
+        if (!operation) {
+            problems.push(`${key}: route is missing from the operation catalogue`);
+            return;
+        }
+        if (!Object.keys(operation.responses || {}).some((status) => status < 400)) {
+            problems.push(`${key}: catalogue entry declares no success response`);
+        }
+        Object.entries(operation.schemas || {}).forEach(([status, name]) => {
+            if (!(operation.responses || {})[status]) {
+                problems.push(`${key}: response schema ${name} is given for undeclared status ${status}`);
+            } else if (!getResponseSchema(name)) {
+                problems.push(`${key}: response schema ${name} does not exist`);
+            } else {
+                try {
+                    responseAjv.compile(getResponseSchema(name));
+                } catch (error) {
+                    problems.push(`${key}: response schema ${name}: ${error.message}`);
+                }
+            }
+        });
+
+        ['body', 'query'].forEach((kind) => {
+            const name = route.metadata[kind];
+            if (!name) {
+                return;
+            }
+            try {
+                (kind === 'body' ? schemaErrors : queryErrors)(name, {});
+            } catch (error) {
+                problems.push(`${key}: ${kind} schema ${name}: ${error.message}`);
+            }
+        });
+    });
+
+    Object.keys(OPERATIONS)
+        .filter((key) => !routeKeys.has(key))
+        .forEach((key) => problems.push(`${key}: catalogue entry has no route`));
+
+    const operationIds = Object.values(document.paths).flatMap((methods) => Object.values(methods).map((operation) => operation.operationId));
+    operationIds
+        .filter((id, index) => !id || operationIds.indexOf(id) !== index)
+        .forEach((id) => problems.push(`operationId ${JSON.stringify(id)} is empty or used twice`));
+
+    return problems;
+};
+
+/**
+ * Send one unauthenticated request per operation and compare the answer with the document
+ * @returns {Promise<Object>} { problems, skipped }
+ */
+const probeRoutes = async (routes, document) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/', router);
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const problems = [];
+    const skipped = [];
+
+    try {
+        for (const route of routes) {
+            const key = operationKey(route.method, route.path);
+            const operation = document.paths[toOpenApiPath(route.path)][route.method];
+            const url = baseUrl + route.path.replace(/:\w+/g, PATH_PARAMETER_VALUE);
+
+            const response = await fetch(url, {
+                method: route.method.toUpperCase(),
+                ...(route.metadata.body && { headers: { 'Content-Type': 'application/json' }, body: '{}' })
+            });
+            const status = String(response.status);
+            const mediaType = (response.headers.get('content-type') || '').split(';')[0];
+            await response.arrayBuffer();
+
+            if (status >= 500) {
+                skipped.push(`${key}: answered ${status} (needs the database)`);
+                continue;
+            }
+
+            const declared = operation.responses[status];
+            if (!declared) {
+                problems.push(`${key}: answered ${status}, which is not declared (declared: ${Object.keys(operation.responses).join(', ')})`);
+            } else if (!Object.prototype.hasOwnProperty.call(declared.content || {}, mediaType)) {
+                problems.push(`${key}: answered ${status} as ${mediaType}, which is not declared`);
+            }
+            if (operation.security.length > 0 && status !== '401') {
+                problems.push(`${key}: answered ${status} without credentials, expected 401`);
+            }
+        }
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+    }
+
+    return { problems, skipped };
+};
+
+const check = async () => {
+    const routes = listRoutes(router);
+    const document = buildOpenApiDocument(router);
+
+    const problems = checkDocument(routes, document);
+    if (problems.length === 0) {
+        const probed = await probeRoutes(routes, document);
+        problems.push(...probed.problems);
+        probed.skipped.forEach((line) => console.log(`[OPENAPI_CHECK_SKIPPED] ${line}`));
+    }
+
+    problems.forEach((problem) => console.error(`[OPENAPI_CHECK_FAILED] ${problem}`));
+    console.log(`[OPENAPI_CHECKED] operations=${routes.length} problems=${problems.length}`);
+    process.exit(problems.length > 0 ? 1 : 0);
+};
+
+check().catch((error) => {
+    console.error('[OPENAPI_CHECK_ERROR]', error);
+    process.exit(1);
+});
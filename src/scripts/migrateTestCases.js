@@ -0,0 +1,49 @@
+/**
+ * Migration: move embedded test cases into the test_cases collection
+ * Runs stored before cases were normalized keep their cases inside test_suites;
+ * this copies them out and leaves only suite rollups on the run document.
+ * Safe to re-run: a run's cases are replaced before its suites are rewritten.
+ *
+ * Usage: npm run migrate:test-cases
+ */
+
+require('dotenv').config();
+const { connectDatabase, closeDatabase } = require('../config/db.config');
+const { TestRun, TestCase } = require('../models/index.model');
+const { toSuiteRollup } = require('../services/testRun.service');
+const { withFailureSignatures } = require('../utils/failureSignature.util');
+
+const migrate = async () => {
+    await connectDatabase();
+
+    let migratedRuns = 0;
+    let migratedCases = 0;
+
+    try {
+        const cursor = TestRun.findWithEmbeddedCases();
+
+        for await (const testRun of cursor) {
+            await TestCase.deleteByRun(testRun.project_id, testRun.run_id);
+            const stored = await TestCase.createForRun({
+                projectId: testRun.project_id,
+                runId: testRun.run_id,
+                environment: testRun.environment,
+                timestamp: testRun.timestamp,
+                testSuites: withFailureSignatures(testRun.test_suites)
+            });
+            await TestRun.setSuites(testRun._id, testRun.test_suites.map(toSuiteRollup));
+
+            migratedRuns++;
+            migratedCases += stored;
+        }
+
+        console.log(`[TEST_CASES_MIGRATED] runs=${migratedRuns} cases=${migratedCases}`);
+    } finally {
+        await closeDatabase();
+    }
+};
+
+migrate().catch((error) => {
+    console.error('[MIGRATION_ERROR]', error);
+    process.exit(1);
+});
@@ -0,0 +1,49 @@
+/**
+ * Migration: normalize run timestamps stored before ingestion converted them to ISO
+ * Older runs keep the timestamp string as it was sent (e.g. "2026-01-12 10:00:00+02:00"), which
+ * sorts and compares wrongly against the ISO strings of newer runs (list filters, cursors, stats
+ * trends). This rewrites them, and the copies on their test cases, with Date#toISOString().
+ * Safe to re-run: a run's cases are updated before the run itself, and only runs not yet in
+ * ISO form are touched. Timestamps that cannot be parsed are reported and left as they are.
+ *
+ * Usage: npm run migrate:run-timestamps
+ */
+
+require('dotenv').config();
+const { connectDatabase, closeDatabase } = require('../config/db.config');
+const { TestRun, TestCase } = require('../models/index.model');
+
+const migrate = async () => {
+    await connectDatabase();
+
+    let normalizedRuns = 0;
+    let normalizedCases = 0;
+    let skippedRuns = 0;
+
+    try {
+        const cursor = TestRun.findWithUnnormalizedTimestamps();
+
+        for await (const testRun of cursor) {
+            const date = new Date(testRun.timestamp);
+            if (testRun.timestamp == null || isNaN(date.getTime())) {
+                console.log(`[RUN_TIMESTAMP_SKIPPED] project_id=${testRun.project_id} run_id=${testRun.run_id} timestamp="${testRun.timestamp}"`);
+                skippedRuns++;
+                continue;
+            }
+
+            const timestamp = date.toISOString();
+            normalizedCases += await TestCase.setRunTimestamp(testRun.project_id, testRun.run_id, timestamp);
+            await TestRun.setTimestamp(testRun._id, timestamp);
+            normalizedRuns++;
+        }
+
+        console.log(`[RUN_TIMESTAMPS_NORMALIZED] runs=${normalizedRuns} cases=${normalizedCases} skipped=${skippedRuns}`);
+    } finally {
+        await closeDatabase();
+    }
+};
+
+migrate().catch((error) => {
+    console.error('[MIGRATION_ERROR]', error);
+    process.exit(1);
+});
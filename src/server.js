@@ -1,71 +1,27 @@
 require('dotenv').config();
-const express = require('express');
-const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
-const routes = require('./routes/routes');
+const app = require('./app');
 const { connectDatabase, closeDatabase } = require('./config/db.config');
+const { startDeliveryWorker, stopDeliveryWorker } = require('./services/webhookDelivery.service');
+const { startIngestWorker, stopIngestWorker } = require('./services/ingestJob.service');
 
-const app = express();
 const PORT = process.env.PORT || 3002;
 
-// Middleware
-app.use(express.json());
-
-// Rate Limiting: 100 requests per 15 minutes
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per `window` (here, per 15 minutes)
-  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-  message: {
-    error: 'Too Many Requests',
-    message: 'Too many requests from this IP, please try again after 15 minutes'
-  }
-});
-
-// Apply the rate limiting middleware to all requests
-app.use(limiter);
-
-// HTTP request logging with timing
-app.use(morgan(':method :url :status :res[content-length] - :response-time ms'));
-
-// Error handling for invalid JSON
-app.use((err, req, res, next) => {
-  if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'Invalid JSON payload'
-    });
-  }
-  next(err);
-});
-
-// Routes
-app.use('/', routes);
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Not Found',
-    message: `Route ${req.method} ${req.path} not found`
-  });
-});
-
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error('[UNHANDLED_ERROR]', err);
-  res.status(500).json({
-    error: 'Internal Server Error',
-    message: 'An unexpected error occurred'
-  });
-});
-
 // Start server after connecting to database
 async function startServer() {
   try {
     // Connect to MongoDB first
     await connectDatabase();
 
+    // Send queued webhook deliveries and retries
+    startDeliveryWorker();
+
+    // Store uploads queued with POST /ingest?async=true, and retry failed ones
+    startIngestWorker();
+
+    if (!process.env.ADMIN_API_KEY) {
+      console.warn('⚠ ADMIN_API_KEY is not set: organizations cannot be created until it is configured');
+    }
+
     // Then start the Express server
     app.listen(PORT, () => {
       console.log(`
@@ -80,8 +36,26 @@ async function startServer() {
 Endpoints:
   POST   /orgs           - Create organization
   POST   /projects       - Create project
+  GET    /projects/:id/stats - Project stats and trends (requires auth)
+  GET    /projects/:id/failures - Failure clusters (requires auth)
   POST   /tokens         - Create API token
-  POST   /ingest         - Ingest test results (requires auth)
+  GET    /projects/:id/tokens - List project tokens (requires auth)
+  DELETE /tokens/:id     - Revoke API token (requires auth)
+  POST   /tokens/:id/rotate - Rotate API token (requires auth)
+  POST   /projects/:id/gates - Quality gates: create, list, /:gateId (requires auth)
+  POST   /projects/:id/webhooks - Webhooks: create, list, /:webhookId, /deliveries (requires auth)
+  POST   /ingest         - Ingest test results, ?async=true queues them (requires auth)
+  GET    /ingest/jobs/:id - Status of a queued upload (requires auth)
+  POST   /ingest/sessions - Chunked ingestion: open, /batches, /finalize (requires auth)
+  GET    /runs           - List test runs (requires auth)
+  GET    /runs/:run_id   - Get test run details (requires auth)
+  PATCH  /runs/:run_id   - Append retries and late results (requires auth)
+  GET    /runs/:run_id/diff - Compare with a base run (requires auth)
+  GET    /runs/:run_id/gate - Quality gate verdict (requires auth)
+  GET    /cases/history  - Test case history (requires auth)
+  GET    /cases/flaky    - Flaky test case ranking (requires auth)
+  GET    /schemas        - Request body JSON Schemas, /:name
+  GET    /openapi.json   - OpenAPI document (browsable at /docs)
   GET    /health         - Health check
 
 Database: ${process.env.DB_NAME}
@@ -99,12 +73,16 @@ startServer();
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  stopDeliveryWorker();
+  stopIngestWorker();
   await closeDatabase();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully...');
+  stopDeliveryWorker();
+  stopIngestWorker();
   await closeDatabase();
   process.exit(0);
 });
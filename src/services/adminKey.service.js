@@ -0,0 +1,65 @@
+/**
+ * Admin Key Service
+ * Business logic for organization admin key operations
+ */
+
+const { AdminKey, Organization } = require('../models/index.model');
+
+/**
+ * Create an admin key for an organization
+ * @param {string} orgId - Organization ID
+ * @param {string} name - Key name
+ * @returns {Promise<Object>} Created key with raw key value
+ * @throws {Error} If organization not found
+ */
+const createAdminKey = async (orgId, name) => {
+    const org = await Organization.findById(orgId);
+    if (!org) {
+        const error = new Error('Organization not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    return await AdminKey.create(orgId, name);
+};
+
+/**
+ * List admin key metadata for an organization
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Array>}
+ */
+const listAdminKeys = async (orgId) => {
+    const keys = await AdminKey.findByOrgId(orgId);
+    return keys.map((key) => ({
+        id: key._id,
+        org_id: key.org_id,
+        name: key.name,
+        key_prefix: key.key_prefix,
+        created_at: key.created_at,
+        last_used_at: key.last_used_at || null
+    }));
+};
+
+/**
+ * Delete an admin key of an organization
+ * @param {string} orgId - Organization ID
+ * @param {string} keyId - Admin key ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the key does not exist in the organization
+ */
+const deleteAdminKey = async (orgId, keyId) => {
+    const key = await AdminKey.findById(keyId);
+    if (!key || key.org_id !== orgId) {
+        const error = new Error('Admin key not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    await AdminKey.delete(keyId);
+};
+
+module.exports = {
+    createAdminKey,
+    listAdminKeys,
+    deleteAdminKey
+};
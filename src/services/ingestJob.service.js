@@ -0,0 +1,352 @@
+/**
+ * Ingest Job Service
+ * Accepts test run uploads for background processing (POST /ingest?async=true) and stores them
+ * with the ingest worker. Jobs are claimed one at a time through MongoDB, so several instances
+ * can run the worker.
+ */
+
+const { IngestJob, IngestUsage } = require('../models/index.model');
+const testRunService = require('./testRun.service');
+const ingestQuotaService = require('./ingestQuota.service');
+const metricsController = require('../controllers/metrics.controller');
+const { prepareTestRun } = require('../middleware/validation.middleware');
+const { junitTestRun } = require('../utils/junit.util');
+
+const CLAIM_LOCK_MS = 2 * 60 * 1000;
+const POLL_INTERVAL_MS = 2 * 1000;
+// Waits before retrying a job whose run could not be stored; invalid payloads are not retried
+const RETRY_DELAYS_SECONDS = [5, 30, 120, 600, 1800];
+const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+
+let pollTimer = null;
+let processing = false;
+
+/**
+ * Shape a stored job for API responses
+ * @param {Object} job - Stored job document
+ * @returns {Object} Public job representation
+ */
+const formatJob = (job) => ({
+    job_id: job._id,
+    status: job.status,
+    run_id: job.run_id,
+    format: job.format,
+    attempts: job.attempts,
+    errors: job.errors,
+    result: job.result,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    next_attempt_at: job.status === 'queued' ? job.next_attempt_at : null,
+    completed_at: job.completed_at
+});
+
+/**
+ * Find the job queued by an earlier upload with the same Idempotency-Key
+ * @param {string} projectId - Project ID
+ * @param {Object} idempotency - { key, fingerprint }
+ * @returns {Promise<Object|null>} Stored job
+ * @throws {Error} 422 if the key was used for a different upload
+ */
+const findIdempotentJob = async (projectId, idempotency) => {
+    const existing = await IngestJob.findByIdempotencyKey(projectId, idempotency.key);
+    if (existing && existing.request_fingerprint !== idempotency.fingerprint) {
+        const error = new Error(`Idempotency-Key was already used for a different upload (job ${existing._id})`);
+        error.statusCode = 422;
+        throw error;
+    }
+    return existing;
+};
+
+/**
+ * Quota usage an upload reserves when it is queued
+ * @param {number} bodySize - Request body size in bytes
+ * @returns {Object} { runs, bytes }
+ */
+const reservedUsage = (bodySize) => ({ runs: 1, bytes: bodySize || 0 });
+
+/**
+ * Queue an upload and start processing it in the background
+ * An upload repeating an earlier Idempotency-Key returns the earlier job instead of queueing another.
+ * The upload's run and bytes count towards the daily quota from now on, so queued uploads cannot
+ * exceed it; the worker gives them back if the run is not stored.
+ * @param {Object} data - Upload
+ * @param {string} data.projectId - Project ID
+ * @param {string} data.tokenId - Token that uploaded the run
+ * @param {string} data.format - 'json' or 'junit'
+ * @param {string} data.payload - Raw request body
+ * @param {Object} data.query - Query parameters of the upload
+ * @param {number} data.bodySize - Request body size in bytes
+ * @param {string|null} data.runId - Run ID, if the upload names one
+ * @param {Object|null} [data.idempotency] - Idempotency-Key of the upload { key, fingerprint }
+ * @returns {Promise<Object>} { job, duplicate }
+ * @throws {Error} 422 if the Idempotency-Key was used for a different upload
+ */
+const queueTestRun = async (data) => {
+    if (data.idempotency) {
+        const existing = await findIdempotentJob(data.projectId, data.idempotency);
+        if (existing) {
+            return { job: formatJob(existing), duplicate: true };
+        }
+    }
+
+    const usageDay = IngestUsage.dayOf();
+    await ingestQuotaService.recordUsage(data.projectId, reservedUsage(data.bodySize), usageDay);
+
+    let job;
+    try {
+        job = await IngestJob.create({ ...data, usageDay });
+    } catch (error) {
+        const reserved = reservedUsage(data.bodySize);
+        ingestQuotaService.trackUsage(data.projectId, { runs: -reserved.runs, bytes: -reserved.bytes }, usageDay);
+
+        // A concurrent upload with the same key was queued first
+        if (data.idempotency && error.message.includes('duplicate')) {
+            return { job: formatJob(await findIdempotentJob(data.projectId, data.idempotency)), duplicate: true };
+        }
+        throw error;
+    }
+
+    // Start right away instead of waiting for the next poll
+    processDueJobs();
+
+    return { job: formatJob(job), duplicate: false };
+};
+
+/**
+ * Get a job of a project
+ * @param {string} projectId - Project ID
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} Job
+ * @throws {Error} If not found
+ */
+const getJob = async (projectId, id) => {
+    const job = await IngestJob.findByProjectAndId(projectId, id);
+    if (!job) {
+        const error = new Error('Ingest job not found');
+        error.statusCode = 404;
+        throw error;
+    }
+    return formatJob(job);
+};
+
+/**
+ * Turn a job's raw payload into a test run and check it like POST /ingest does
+ * @param {Object} job - Claimed job
+ * @returns {Object} { testRun, errors, datedByUpload }
+ */
+const parseJob = (job) => {
+    let body;
+    try {
+        body = job.format === 'junit' ? junitTestRun(job.payload, job.query, job.created_at) : JSON.parse(job.payload);
+    } catch (error) {
+        const message = job.format === 'junit' ? `Invalid JUnit XML payload: ${error.message}` : 'Invalid JSON payload';
+        return { testRun: null, errors: [message], datedByUpload: false };
+    }
+
+    return {
+        ...prepareTestRun(body, job.query),
+        datedByUpload: job.format === 'junit' && body.timestamp === job.created_at.toISOString()
+    };
+};
+
+/**
+ * Time to wait before the next attempt
+ * @param {number} attempts - Attempts made so far (including the one that just failed)
+ * @returns {number|null} Delay in milliseconds, or null when retries are exhausted
+ */
+const retryDelayMs = (attempts) => {
+    const delay = RETRY_DELAYS_SECONDS[attempts - 1];
+    return delay !== undefined ? delay * 1000 : null;
+};
+
+/**
+ * Give back the quota usage a job reserved when it was queued
+ * Jobs queued before uploads reserved usage have no usage_day and are counted when stored instead.
+ * @param {Object} job - Job whose run was not stored
+ */
+const releaseUsage = (job) => {
+    if (job.usage_day) {
+        const reserved = reservedUsage(job.body_size);
+        ingestQuotaService.trackUsage(job.project_id, { runs: -reserved.runs, bytes: -reserved.bytes }, job.usage_day);
+    }
+};
+
+/**
+ * Close a job without storing its run
+ * @param {Object} job - Claimed job
+ * @param {Object} outcome - { errors, runId, result }
+ * @returns {Promise<void>}
+ */
+const failJob = async (job, { errors, runId, result = null }) => {
+    await IngestJob.recordAttempt(job._id, { status: 'failed', errors, runId, result });
+    releaseUsage(job);
+};
+
+/**
+ * Process one claimed job and record the outcome
+ * @param {Object} job - Claimed job (attempts includes this claim)
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+    const startTime = Date.now();
+    const projectId = job.project_id;
+
+    // Only claims that never recorded an outcome (the worker stopped, e.g. out of memory on the payload)
+    // get past the retry schedule, so the payload is not processed again
+    if (job.attempts > MAX_ATTEMPTS) {
+        await failJob(job, {
+            errors: [`Gave up after ${MAX_ATTEMPTS} attempts; the last one did not finish`],
+            runId: job.run_id
+        });
+        console.log(`[INGEST_JOB_FAILED] project_id=${projectId} job_id=${job._id} attempts=${MAX_ATTEMPTS} error="interrupted"`);
+        return;
+    }
+
+    let parsed;
+    try {
+        parsed = parseJob(job);
+    } catch (error) {
+        // The same payload would throw again, so the job fails instead of being retried
+        await failJob(job, {
+            errors: [`Failed to process payload: ${error.message}`],
+            runId: null
+        });
+        console.error(`[INGEST_JOB_PARSE_ERROR] project_id=${projectId} job_id=${job._id}`, error);
+        return;
+    }
+
+    const { testRun, errors, datedByUpload } = parsed;
+    const runId = testRun && typeof testRun.run_id === 'string' ? testRun.run_id : null;
+
+    if (errors.length > 0) {
+        await failJob(job, { errors, runId });
+        console.log(`[INGEST_JOB_REJECTED] project_id=${projectId} job_id=${job._id} errors=${errors.length}`);
+        return;
+    }
+
+    let result;
+    try {
+        result = await testRunService.ingestTestRun({
+            projectId,
+            runId,
+            environment: testRun.environment,
+            timestamp: testRun.timestamp,
+            summary: testRun.summary,
+            testSuites: testRun.test_suites,
+            metadata: testRun.metadata,
+            idempotency: job.idempotency_key ? { key: job.idempotency_key, fingerprint: job.request_fingerprint } : null,
+            datedByUpload
+        });
+    } catch (error) {
+        // A conflicting run_id or Idempotency-Key will not resolve itself; only storage failures are retried
+        if (error.statusCode) {
+            await failJob(job, {
+                errors: [error.message],
+                runId,
+                result: error.differences ? { run_id: runId, duplicate: false, differences: error.differences } : null
+            });
+            console.log(`[INGEST_JOB_REJECTED] project_id=${projectId} job_id=${job._id} status=${error.statusCode}`);
+            return;
+        }
+
+        const attempts = job.attempts;
+        const delay = retryDelayMs(attempts);
+        const failure = `Failed to store test run: ${error.message}`;
+
+        if (delay === null) {
+            await failJob(job, { errors: [failure], runId });
+            console.log(`[INGEST_JOB_FAILED] project_id=${projectId} job_id=${job._id} attempts=${attempts} error="${error.message}"`);
+            return;
+        }
+
+        await IngestJob.recordAttempt(job._id, {
+            status: 'queued',
+            errors: [failure],
+            runId,
+            nextAttemptAt: new Date(Date.now() + delay)
+        });
+        console.log(`[INGEST_JOB_RETRY_SCHEDULED] project_id=${projectId} job_id=${job._id} attempts=${attempts} retry_in=${delay / 1000}s error="${error.message}"`);
+        return;
+    }
+
+    const duration = Date.now() - startTime;
+    const context = { projectId, tokenId: job.token_id };
+
+    if (result.duplicate) {
+        metricsController.increment('duplicate_runs_rejected', context);
+        releaseUsage(job);
+        console.log(`[DUPLICATE_RUN_REJECTED] project_id=${projectId} run_id=${runId} via=job job_id=${job._id} duration=${duration}ms`);
+    } else {
+        metricsController.increment('test_runs_ingested', context);
+        if (!job.usage_day) {
+            ingestQuotaService.trackUsage(projectId, reservedUsage(job.body_size));
+        }
+        console.log(`[TEST_RUN_INGESTED] project_id=${projectId} run_id=${runId} environment=${testRun.environment} total_cases=${testRun.summary.total_test_cases} via=job job_id=${job._id} duration=${duration}ms`);
+    }
+
+    await IngestJob.recordAttempt(job._id, {
+        status: 'succeeded',
+        runId,
+        result: {
+            run_id: runId,
+            duplicate: result.duplicate,
+            summary: result.duplicate ? null : result.summary,
+            metadata: result.duplicate ? null : result.metadata,
+            gate: result.gate || null
+        }
+    });
+};
+
+/**
+ * Process every job that is due, one at a time
+ * Overlapping calls in the same process return immediately.
+ * @returns {Promise<void>}
+ */
+const processDueJobs = async () => {
+    if (processing) {
+        return;
+    }
+    processing = true;
+
+    try {
+        let job = await IngestJob.claimDue(CLAIM_LOCK_MS);
+        while (job) {
+            await runJob(job);
+            job = await IngestJob.claimDue(CLAIM_LOCK_MS);
+        }
+    } catch (error) {
+        console.error('[INGEST_WORKER_ERROR]', error);
+    } finally {
+        processing = false;
+    }
+};
+
+/**
+ * Start polling for due jobs (retries, and anything left by a stopped instance)
+ */
+const startIngestWorker = () => {
+    if (pollTimer) {
+        return;
+    }
+    pollTimer = setInterval(processDueJobs, POLL_INTERVAL_MS);
+    pollTimer.unref();
+};
+
+/**
+ * Stop polling for due jobs
+ */
+const stopIngestWorker = () => {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+};
+
+module.exports = {
+    RETRY_DELAYS_SECONDS,
+    queueTestRun,
+    getJob,
+    processDueJobs,
+    startIngestWorker,
+    stopIngestWorker
+};
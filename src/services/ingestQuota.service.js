@@ -0,0 +1,107 @@
+/**
+ * Ingest Quota Service
+ * Daily per-project limits on stored runs and payload bytes
+ */
+
+const { Project, IngestUsage } = require('../models/index.model');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Read a positive integer limit from the environment
+ * @param {string} name - Variable name
+ * @returns {number|null} Limit, or null when unset (unlimited)
+ */
+const envLimit = (name) => {
+    const value = Number(process.env[name]);
+    return Number.isInteger(value) && value > 0 ? value : null;
+};
+
+/**
+ * Effective quota of a project: its own settings, falling back to the server defaults
+ * @param {Object|null} project - Stored project
+ * @returns {Object} { daily_runs, daily_bytes } (null = unlimited)
+ */
+const resolveQuota = (project) => {
+    const configured = (project && project.ingest_quota) || {};
+    return {
+        daily_runs: configured.daily_runs != null ? configured.daily_runs : envLimit('DEFAULT_DAILY_INGEST_RUNS'),
+        daily_bytes: configured.daily_bytes != null ? configured.daily_bytes : envLimit('DEFAULT_DAILY_INGEST_BYTES')
+    };
+};
+
+/**
+ * Seconds until the current UTC day ends (when daily usage resets)
+ * @param {Date} [now] - Current time
+ * @returns {number}
+ */
+const secondsUntilReset = (now = new Date()) => {
+    const nextDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.max(Math.ceil((nextDay - now.getTime()) / 1000), 1);
+};
+
+/**
+ * Check whether a project can ingest more today
+ * Usage is recorded after a run is stored (async uploads reserve it when queued), so concurrent
+ * requests may overshoot a quota slightly.
+ * @param {string} projectId - Project ID
+ * @param {Object} request - What the request would add
+ * @param {number} [request.runs=0] - Runs the request would store
+ * @param {number} [request.bytes=0] - Payload bytes the request would store
+ * @returns {Promise<Object>} { exceeded: 'runs'|'bytes'|null, quota, usage, reset_seconds }
+ */
+const checkQuota = async (projectId, { runs = 0, bytes = 0 } = {}) => {
+    const quota = resolveQuota(await Project.findById(projectId));
+    const resetSeconds = secondsUntilReset();
+
+    if (quota.daily_runs === null && quota.daily_bytes === null) {
+        return { exceeded: null, quota, usage: null, reset_seconds: resetSeconds };
+    }
+
+    const usage = await IngestUsage.findByProjectAndDay(projectId, IngestUsage.dayOf());
+
+    let exceeded = null;
+    if (runs > 0 && quota.daily_runs !== null && usage.runs + runs > quota.daily_runs) {
+        exceeded = 'runs';
+    } else if (bytes > 0 && quota.daily_bytes !== null && usage.bytes + bytes > quota.daily_bytes) {
+        exceeded = 'bytes';
+    }
+
+    return { exceeded, quota, usage, reset_seconds: resetSeconds };
+};
+
+/**
+ * Add stored runs and bytes to the usage of a project
+ * Negative amounts give back usage reserved for an upload that was not stored.
+ * @param {string} projectId - Project ID
+ * @param {Object} usage - { runs, bytes }
+ * @param {string} [day] - UTC day the usage belongs to (defaults to today)
+ * @returns {Promise<void>}
+ */
+const recordUsage = async (projectId, { runs = 0, bytes = 0 }, day = IngestUsage.dayOf()) => {
+    if (runs === 0 && bytes === 0) {
+        return;
+    }
+    await IngestUsage.add(projectId, day, { runs, bytes });
+};
+
+/**
+ * Record usage in the background; quota bookkeeping never fails an ingestion
+ * @param {string} projectId - Project ID
+ * @param {Object} usage - { runs, bytes }
+ * @param {string} [day] - UTC day the usage belongs to (defaults to today)
+ */
+const trackUsage = (projectId, usage, day) => {
+    recordUsage(projectId, usage, day).catch((error) => {
+        console.error('[INGEST_USAGE_ERROR]', error);
+    });
+};
+
+module.exports = {
+    DAY_SECONDS,
+    resolveQuota,
+    secondsUntilReset,
+    checkQuota,
+    recordUsage,
+    trackUsage
+};
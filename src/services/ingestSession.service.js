@@ -0,0 +1,237 @@
+/**
+ * Ingest Session Service
+ * Business logic for chunked test run ingestion (open, append batches, finalize)
+ */
+
+const { IngestSession, IngestBatch, TestRun } = require('../models/index.model');
+const testRunService = require('./testRun.service');
+const { reconcileTestRun } = require('../utils/summary.util');
+const { batchContentHash } = require('../utils/contentHash.util');
+
+/**
+ * Shape a stored session for API responses
+ * @param {Object} session - Stored session document
+ * @returns {Object} Public session representation
+ */
+const formatSession = (session) => ({
+    run_id: session.run_id,
+    environment: session.environment,
+    timestamp: session.timestamp,
+    metadata: session.metadata || null,
+    status: session.status,
+    batch_count: session.batch_count,
+    case_count: session.case_count,
+    created_at: session.created_at,
+    expires_at: session.expires_at,
+    result: session.result || null
+});
+
+/**
+ * Load a session or fail with 404
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object>} Stored session
+ */
+const findSessionOrFail = async (projectId, runId) => {
+    const session = await IngestSession.findByProjectAndRunId(projectId, runId);
+    if (!session) {
+        const error = new Error('Ingest session not found');
+        error.statusCode = 404;
+        throw error;
+    }
+    return session;
+};
+
+/**
+ * Merge batches into suites, concatenating cases of suites with the same name
+ * @param {Array} batches - Batches in append order
+ * @returns {Array} Merged suites (counters are derived later)
+ */
+const mergeBatches = (batches) => {
+    const suites = new Map();
+
+    batches.forEach((batch) => {
+        batch.test_suites.forEach((suite) => {
+            if (!suites.has(suite.suite_name)) {
+                suites.set(suite.suite_name, { suite_name: suite.suite_name, duration_ms: 0, test_cases: [] });
+            }
+            const merged = suites.get(suite.suite_name);
+            merged.duration_ms += suite.duration_ms || 0;
+            merged.test_cases.push(...suite.test_cases);
+        });
+    });
+
+    return [...suites.values()];
+};
+
+/**
+ * Open an ingest session for a run
+ * Re-opening an existing session returns it unchanged so the call is retry-safe.
+ * @param {Object} data - Session data
+ * @param {string} data.projectId - Project ID
+ * @param {string} data.runId - Run ID
+ * @param {string} data.environment - Environment name
+ * @param {string} data.timestamp - ISO timestamp
+ * @param {Object} [data.metadata] - Git/CI metadata for the run
+ * @returns {Promise<Object>} { session, created, duplicate }
+ */
+const openSession = async ({ projectId, runId, environment, timestamp, metadata }) => {
+    // A run that was already ingested (in one request or through a session) is a duplicate
+    const existingRun = await TestRun.findByProjectAndRunId(projectId, runId);
+    if (existingRun) {
+        return { session: null, created: false, duplicate: true };
+    }
+
+    try {
+        const session = await IngestSession.create({ projectId, runId, environment, timestamp, metadata });
+        return { session: formatSession(session), created: true, duplicate: false };
+    } catch (error) {
+        if (error.message.includes('already exists')) {
+            const session = await IngestSession.findByProjectAndRunId(projectId, runId);
+            return { session: formatSession(session), created: false, duplicate: false };
+        }
+        throw error;
+    }
+};
+
+/**
+ * Get the state of an ingest session
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object>} Session
+ */
+const getSession = async (projectId, runId) => {
+    const session = await findSessionOrFail(projectId, runId);
+    return formatSession(session);
+};
+
+/**
+ * Append a batch of suites/cases to an open session
+ * The append is registered on the session while it is still open, so a concurrent finalize
+ * either waits for it or rejects it. Re-sending a batch_id with the same content is
+ * acknowledged without storing it twice; with different content it is a conflict.
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID
+ * @param {Object} batch - Batch data
+ * @param {string} batch.batchId - Client-supplied batch ID
+ * @param {Array} batch.testSuites - Suites with cases
+ * @returns {Promise<Object>} { session, duplicate }
+ * @throws {Error} If the session does not exist or is no longer open, or batch_id holds different content
+ */
+const appendBatch = async (projectId, runId, { batchId, testSuites }) => {
+    const existing = await findSessionOrFail(projectId, runId);
+
+    const session = await IngestSession.beginAppend(existing._id);
+    if (!session) {
+        const current = await findSessionOrFail(projectId, runId);
+        const error = new Error(`Ingest session is ${current.status}; no more batches can be appended`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const caseCount = testSuites.reduce((sum, suite) => sum + suite.test_cases.length, 0);
+    const contentHash = batchContentHash(testSuites);
+
+    try {
+        await IngestBatch.create({
+            sessionId: session._id,
+            batchId,
+            testSuites,
+            contentHash,
+            expiresAt: session.expires_at
+        });
+    } catch (error) {
+        await IngestSession.endAppend(session._id);
+
+        if (error.message.includes('duplicate')) {
+            const stored = await IngestBatch.findBySessionAndBatchId(session._id, batchId);
+            if (stored && stored.content_hash && stored.content_hash !== contentHash) {
+                const conflict = new Error(`Batch ${batchId} was already appended with different content`);
+                conflict.statusCode = 409;
+                throw conflict;
+            }
+            return { session: formatSession(session), duplicate: true };
+        }
+        throw error;
+    }
+
+    const updated = await IngestSession.recordBatch(session._id, caseCount);
+    return { session: formatSession(updated), duplicate: false };
+};
+
+/**
+ * Finalize a session: merge its batches, recompute the summary and store the run
+ * Storage goes through testRunService.ingestTestRun, so run_id idempotency is the
+ * same as for single-request ingestion. Finalizing twice returns the first outcome.
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID
+ * @param {Object} options - Finalize options
+ * @param {number} [options.durationMs] - Wall-clock run duration (defaults to the sum of suites)
+ * @returns {Promise<Object>} { session, result, alreadyFinalized }
+ * @throws {Error} If the session does not exist or is being finalized concurrently
+ */
+const finalizeSession = async (projectId, runId, { durationMs } = {}) => {
+    const existing = await findSessionOrFail(projectId, runId);
+
+    if (existing.status === 'finalized') {
+        return { session: formatSession(existing), result: existing.result, alreadyFinalized: true };
+    }
+
+    const session = await IngestSession.beginFinalize(existing._id);
+    if (!session) {
+        const current = await findSessionOrFail(projectId, runId);
+        const error = new Error(current.status === 'open'
+            ? 'Batches are still being appended to the ingest session; retry the finalize'
+            : 'Ingest session is already being finalized');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    try {
+        const batches = await IngestBatch.findBySession(session._id);
+        const run = reconcileTestRun({
+            summary: durationMs !== undefined ? { duration_ms: durationMs } : {},
+            test_suites: mergeBatches(batches)
+        });
+
+        // An empty session still produces a (zero-case) run
+        const summary = batches.length > 0
+            ? run.summary
+            : { total_test_cases: 0, passed: 0, failed: 0, flaky: 0, skipped: 0, duration_ms: durationMs || 0 };
+
+        const ingested = await testRunService.ingestTestRun({
+            projectId,
+            runId,
+            environment: session.environment,
+            timestamp: session.timestamp,
+            summary,
+            testSuites: run.test_suites,
+            metadata: session.metadata
+        });
+
+        const result = {
+            duplicate: ingested.duplicate,
+            summary: ingested.duplicate ? null : summary,
+            gate: ingested.gate
+        };
+
+        await IngestSession.markFinalized(session._id, result);
+        await IngestBatch.deleteBySession(session._id);
+
+        return {
+            session: formatSession({ ...session, status: 'finalized', result }),
+            result,
+            alreadyFinalized: false
+        };
+    } catch (error) {
+        await IngestSession.reopen(session._id);
+        throw error;
+    }
+};
+
+module.exports = {
+    openSession,
+    getSession,
+    appendBatch,
+    finalizeSession
+};
@@ -3,22 +3,48 @@
  * Business logic for organization operations
  */
 
-const { Organization } = require('../models/index.model');
+const { Organization, Project, ApiToken, AdminKey } = require('../models/index.model');
+const { formatProject, purgeProject } = require('./project.service');
 
 /**
- * Create a new organization
+ * Shape a stored organization for API responses
+ * @param {Object} organization - Stored organization document
+ * @returns {Object} Public organization representation
+ */
+const formatOrganization = (organization) => ({
+    id: organization._id,
+    name: organization.name,
+    created_at: organization.created_at,
+    updated_at: organization.updated_at || null,
+    deleted_at: organization.deleted_at || null
+});
+
+/**
+ * Load an organization or fail with 404
+ * @param {string} id - Organization ID
+ * @returns {Promise<Object>} Stored organization
+ */
+const findOrganizationOrFail = async (id) => {
+    const organization = await Organization.findById(id);
+    if (!organization) {
+        const error = new Error('Organization not found');
+        error.statusCode = 404;
+        throw error;
+    }
+    return organization;
+};
+
+/**
+ * Create a new organization together with its first admin key
  * @param {string} name - Organization name
- * @returns {Promise<Object>} Created organization
+ * @returns {Promise<Object>} { organization, adminKey } - adminKey includes the raw key
  * @throws {Error} If organization already exists or creation fails
  */
 const createOrganization = async (name) => {
-    try {
-        const organization = await Organization.create(name);
-        return organization;
-    } catch (error) {
-        // Re-throw with context
-        throw error;
-    }
+    const organization = await Organization.create(name);
+    const adminKey = await AdminKey.create(organization._id, 'default');
+
+    return { organization, adminKey };
 };
 
 /**
@@ -30,7 +56,153 @@ const findOrganizationById = async (id) => {
     return await Organization.findById(id);
 };
 
+/**
+ * List organizations visible to the caller
+ * @param {string|null} orgId - Organization the caller administers (null for root admin)
+ * @returns {Promise<Array>} Organizations
+ */
+const listOrganizations = async (orgId) => {
+    if (orgId) {
+        const organization = await Organization.findById(orgId);
+        return organization ? [formatOrganization(organization)] : [];
+    }
+
+    const organizations = await Organization.findAll();
+    return organizations.map(formatOrganization);
+};
+
+/**
+ * Get an organization
+ * @param {string} id - Organization ID
+ * @returns {Promise<Object>} Organization with its project count
+ */
+const getOrganization = async (id) => {
+    const organization = await findOrganizationOrFail(id);
+    const projectCount = await Project.countByOrg(id);
+
+    return { ...formatOrganization(organization), project_count: projectCount };
+};
+
+/**
+ * Rename an organization
+ * @param {string} id - Organization ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} Updated organization
+ * @throws {Error} If not found, pending deletion or the name is taken
+ */
+const updateOrganization = async (id, name) => {
+    const organization = await findOrganizationOrFail(id);
+
+    if (organization.deleted_at) {
+        const error = new Error('Organization is pending deletion; restore it first');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const updated = await Organization.update(id, { name });
+    return formatOrganization(updated);
+};
+
+/**
+ * List the projects of an organization
+ * @param {string} id - Organization ID
+ * @param {boolean} includeDeleted - Include soft-deleted projects
+ * @returns {Promise<Array>} Projects
+ */
+const listProjects = async (id, includeDeleted) => {
+    await findOrganizationOrFail(id);
+    const projects = await Project.findByOrgId(id, { includeDeleted });
+    return projects.map(formatProject);
+};
+
+/**
+ * Soft-delete an organization, or permanently delete it once confirmed
+ * Soft deletion also soft-deletes its active projects and suspends their tokens.
+ * Permanent deletion (confirm = true) removes every project with its tokens and
+ * test runs, the organization's admin keys, and the organization itself.
+ * @param {string} id - Organization ID
+ * @param {boolean} confirm - Permanently delete a soft-deleted organization
+ * @returns {Promise<Object>} Deletion outcome
+ * @throws {Error} If not found, or confirming an organization that is not soft-deleted
+ */
+const deleteOrganization = async (id, confirm) => {
+    const organization = await findOrganizationOrFail(id);
+
+    if (confirm) {
+        if (!organization.deleted_at) {
+            const error = new Error('Organization must be soft-deleted before it can be permanently deleted');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const projects = await Project.findByOrgId(id);
+        let tokensDeleted = 0;
+        let runsDeleted = 0;
+
+        for (const project of projects) {
+            const purged = await purgeProject(project._id);
+            tokensDeleted += purged.tokens_deleted;
+            runsDeleted += purged.test_runs_deleted;
+        }
+
+        const adminKeysDeleted = await AdminKey.deleteByOrg(id);
+        await Organization.delete(id);
+
+        return {
+            id,
+            permanently_deleted: true,
+            projects_deleted: projects.length,
+            tokens_deleted: tokensDeleted,
+            test_runs_deleted: runsDeleted,
+            admin_keys_deleted: adminKeysDeleted
+        };
+    }
+
+    let deleted = organization;
+    if (!organization.deleted_at) {
+        deleted = await Organization.softDelete(id);
+        const projectIds = await Project.softDeleteByOrg(id);
+        await ApiToken.setSuspendedForProjects(projectIds, true);
+    }
+
+    const projectCount = await Project.countByOrg(id);
+
+    return {
+        ...formatOrganization(deleted),
+        permanently_deleted: false,
+        projects: projectCount
+    };
+};
+
+/**
+ * Restore a soft-deleted organization and the projects deleted with it
+ * @param {string} id - Organization ID
+ * @returns {Promise<Object>} Restored organization with restored project count
+ * @throws {Error} If not found or not deleted
+ */
+const restoreOrganization = async (id) => {
+    const organization = await findOrganizationOrFail(id);
+
+    if (!organization.deleted_at) {
+        const error = new Error('Organization is not deleted');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const restored = await Organization.restore(id);
+    const projectIds = await Project.restoreByOrg(id);
+    await ApiToken.setSuspendedForProjects(projectIds, false);
+
+    return { ...formatOrganization(restored), projects_restored: projectIds.length };
+};
+
 module.exports = {
     createOrganization,
-    findOrganizationById
+    findOrganizationById,
+    listOrganizations,
+    getOrganization,
+    updateOrganization,
+    listProjects,
+    deleteOrganization,
+    restoreOrganization
 };
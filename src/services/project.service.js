@@ -3,7 +3,63 @@
  * Business logic for project operations
  */
 
-const { Project, Organization } = require('../models/index.model');
+const {
+    Project,
+    Organization,
+    ApiToken,
+    TestRun,
+    TestCase,
+    QualityGate,
+    IngestUsage,
+    IngestJob,
+    IngestSession,
+    IngestBatch,
+    MetricCounter
+} = require('../models/index.model');
+const { deleteProjectWebhooks } = require('./webhook.service');
+
+/**
+ * Shape a stored project for API responses
+ * @param {Object} project - Stored project document
+ * @returns {Object} Public project representation
+ */
+const formatProject = (project) => ({
+    id: project._id,
+    org_id: project.org_id,
+    name: project.name,
+    // Daily ingest limits; null uses the server default (DEFAULT_DAILY_INGEST_RUNS / _BYTES)
+    ingest_quota: {
+        daily_runs: (project.ingest_quota && project.ingest_quota.daily_runs) || null,
+        daily_bytes: (project.ingest_quota && project.ingest_quota.daily_bytes) || null
+    },
+    created_at: project.created_at,
+    updated_at: project.updated_at || null,
+    deleted_at: project.deleted_at || null
+});
+
+/**
+ * Load a project the caller is allowed to manage
+ * @param {string} id - Project ID
+ * @param {string|null} orgId - Organization the caller administers (null for root admin)
+ * @returns {Promise<Object>} Stored project
+ * @throws {Error} If not found or owned by another organization
+ */
+const findManagedProject = async (id, orgId) => {
+    const project = await Project.findById(id);
+    if (!project) {
+        const error = new Error('Project not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (orgId && project.org_id !== orgId) {
+        const error = new Error('Admin key does not grant access to this project');
+        error.statusCode = 403;
+        throw error;
+    }
+
+    return project;
+};
 
 /**
  * Create a new project
@@ -21,6 +77,12 @@ const createProject = async (orgId, name) => {
         throw error;
     }
 
+    if (org.deleted_at) {
+        const error = new Error('Organization is pending deletion');
+        error.statusCode = 409;
+        throw error;
+    }
+
     try {
         const project = await Project.create(orgId, name);
         return project;
@@ -38,7 +100,151 @@ const findProjectById = async (id) => {
     return await Project.findById(id);
 };
 
+/**
+ * Get a project
+ * @param {string} id - Project ID
+ * @param {string|null} orgId - Organization the caller administers (null for root admin)
+ * @returns {Promise<Object>} Project
+ */
+const getProject = async (id, orgId) => {
+    const project = await findManagedProject(id, orgId);
+    return formatProject(project);
+};
+
+/**
+ * Rename a project and/or change its daily ingest quota
+ * @param {string} id - Project ID
+ * @param {Object} changes - Changes to apply
+ * @param {string} [changes.name] - New project name
+ * @param {Object} [changes.ingestQuota] - Any of { daily_runs, daily_bytes } (null restores the server default)
+ * @param {string|null} orgId - Organization the caller administers (null for root admin)
+ * @returns {Promise<Object>} Updated project
+ * @throws {Error} If not found, pending deletion or the name is taken
+ */
+const updateProject = async (id, { name, ingestQuota }, orgId) => {
+    const project = await findManagedProject(id, orgId);
+
+    if (project.deleted_at) {
+        const error = new Error('Project is pending deletion; restore it first');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const updates = {};
+    if (name !== undefined) {
+        updates.name = name;
+    }
+    if (ingestQuota) {
+        Object.entries(ingestQuota).forEach(([field, value]) => {
+            updates[`ingest_quota.${field}`] = value;
+        });
+    }
+
+    const updated = await Project.update(id, updates);
+    return formatProject(updated);
+};
+
+/**
+ * Soft-delete a project, or permanently delete it once confirmed
+ * The first step hides the project and suspends its tokens. Permanent deletion
+ * (confirm = true) is only allowed for soft-deleted projects and removes the
+ * project together with its tokens and test runs.
+ * @param {string} id - Project ID
+ * @param {boolean} confirm - Permanently delete a soft-deleted project
+ * @param {string|null} orgId - Organization the caller administers (null for root admin)
+ * @returns {Promise<Object>} Deletion outcome
+ * @throws {Error} If not found, or confirming a project that is not soft-deleted
+ */
+const deleteProject = async (id, confirm, orgId) => {
+    const project = await findManagedProject(id, orgId);
+
+    if (confirm) {
+        if (!project.deleted_at) {
+            const error = new Error('Project must be soft-deleted before it can be permanently deleted');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const purged = await purgeProject(id);
+        return { id, permanently_deleted: true, ...purged };
+    }
+
+    const deleted = project.deleted_at ? project : await Project.softDelete(id);
+    await ApiToken.setSuspendedForProjects([id], true);
+
+    const [tokenCount, runCount] = await Promise.all([
+        ApiToken.countByProject(id),
+        TestRun.countByProject(id)
+    ]);
+
+    return {
+        ...formatProject(deleted),
+        permanently_deleted: false,
+        tokens: tokenCount,
+        test_runs: runCount
+    };
+};
+
+/**
+ * Restore a soft-deleted project and reinstate its tokens
+ * @param {string} id - Project ID
+ * @param {string|null} orgId - Organization the caller administers (null for root admin)
+ * @returns {Promise<Object>} Restored project
+ * @throws {Error} If not found, not deleted, or its organization is pending deletion
+ */
+const restoreProject = async (id, orgId) => {
+    const project = await findManagedProject(id, orgId);
+
+    if (!project.deleted_at) {
+        const error = new Error('Project is not deleted');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const org = await Organization.findById(project.org_id);
+    if (org && org.deleted_at) {
+        const error = new Error('Organization is pending deletion; restore the organization first');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const restored = await Project.restore(id);
+    await ApiToken.setSuspendedForProjects([id], false);
+
+    return formatProject(restored);
+};
+
+/**
+ * Permanently remove a project with its tokens, test runs and everything else stored for it
+ * @param {string} id - Project ID
+ * @returns {Promise<Object>} { tokens_deleted, test_runs_deleted }
+ */
+const purgeProject = async (id) => {
+    const runsDeleted = await TestRun.deleteByProject(id);
+    await TestCase.deleteByProject(id);
+    await deleteProjectWebhooks(id);
+    await QualityGate.deleteByProject(id);
+    await IngestUsage.deleteByProject(id);
+    await IngestJob.deleteByProject(id);
+    await IngestBatch.deleteBySessions(await IngestSession.findIdsByProject(id));
+    await IngestSession.deleteByProject(id);
+    await MetricCounter.deleteByProject(id);
+    const tokensDeleted = await ApiToken.deleteByProject(id);
+    await Project.delete(id);
+
+    return {
+        tokens_deleted: tokensDeleted,
+        test_runs_deleted: runsDeleted
+    };
+};
+
 module.exports = {
+    formatProject,
     createProject,
-    findProjectById
+    findProjectById,
+    getProject,
+    updateProject,
+    deleteProject,
+    restoreProject,
+    purgeProject
 };
@@ -0,0 +1,234 @@
+/**
+ * Quality Gate Service
+ * Business logic for per-project gate rules and run verdicts
+ */
+
+const { QualityGate, TestRun } = require('../models/index.model');
+const { findNewFailures } = require('./testCase.service');
+const { thresholdError, evaluateGate } = require('../utils/qualityGate.util');
+
+/**
+ * Shape a stored gate for API responses
+ * @param {Object} gate - Stored gate document
+ * @returns {Object} Public gate representation
+ */
+const formatGate = (gate) => ({
+    id: gate._id,
+    project_id: gate.project_id,
+    name: gate.name,
+    type: gate.type,
+    threshold: gate.threshold,
+    environment: gate.environment,
+    baseline_environment: gate.baseline_environment,
+    baseline_branch: gate.baseline_branch || null,
+    created_at: gate.created_at,
+    updated_at: gate.updated_at
+});
+
+/**
+ * Normalize a baseline branch the way run metadata branches are stored
+ * @param {string|null} [branch] - Submitted branch (e.g. main or refs/heads/main)
+ * @returns {string|null}
+ */
+const normalizeBranch = (branch) => (branch ? branch.trim().replace(/^refs\/heads\//, '') : null);
+
+/**
+ * Reject a threshold that does not fit the gate type
+ * @param {string} type - Gate type
+ * @param {*} threshold - Threshold to check
+ * @throws {Error} With statusCode 400 if the threshold is invalid
+ */
+const checkThreshold = (type, threshold) => {
+    const message = thresholdError(type, threshold);
+    if (message) {
+        const error = new Error(message);
+        error.statusCode = 400;
+        throw error;
+    }
+};
+
+/**
+ * Load a gate of a project
+ * @param {string} projectId - Project ID
+ * @param {string} gateId - Gate ID
+ * @returns {Promise<Object>} Stored gate
+ * @throws {Error} If the gate does not exist in the project
+ */
+const findProjectGate = async (projectId, gateId) => {
+    const gate = await QualityGate.findByProjectAndId(projectId, gateId);
+    if (!gate) {
+        const error = new Error('Quality gate not found');
+        error.statusCode = 404;
+        throw error;
+    }
+    return gate;
+};
+
+/**
+ * Create a gate rule
+ * @param {string} projectId - Project ID
+ * @param {Object} data - { name, type, threshold, environment, baseline_environment, baseline_branch }
+ * @returns {Promise<Object>} Created gate
+ */
+const createGate = async (projectId, { name, type, threshold, environment, baseline_environment, baseline_branch }) => {
+    checkThreshold(type, threshold);
+
+    const gate = await QualityGate.create(projectId, {
+        name: name.trim(),
+        type,
+        threshold: threshold !== undefined ? threshold : null,
+        environment: environment || null,
+        baselineEnvironment: baseline_environment || null,
+        baselineBranch: normalizeBranch(baseline_branch)
+    });
+    return formatGate(gate);
+};
+
+/**
+ * List the gates of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>}
+ */
+const listGates = async (projectId) => {
+    const gates = await QualityGate.findByProjectId(projectId);
+    return gates.map(formatGate);
+};
+
+/**
+ * Update a gate rule (its type is fixed)
+ * @param {string} projectId - Project ID
+ * @param {string} gateId - Gate ID
+ * @param {Object} data - Any of { name, threshold, environment, baseline_environment, baseline_branch }
+ * @returns {Promise<Object>} Updated gate
+ */
+const updateGate = async (projectId, gateId, { name, threshold, environment, baseline_environment, baseline_branch }) => {
+    const gate = await findProjectGate(projectId, gateId);
+
+    const updates = {};
+    if (name !== undefined) {
+        updates.name = name.trim();
+    }
+    if (threshold !== undefined) {
+        checkThreshold(gate.type, threshold);
+        updates.threshold = threshold;
+    }
+    if (environment !== undefined) {
+        updates.environment = environment || null;
+    }
+    if (baseline_environment !== undefined) {
+        updates.baseline_environment = baseline_environment || null;
+    }
+    if (baseline_branch !== undefined) {
+        updates.baseline_branch = normalizeBranch(baseline_branch);
+    }
+
+    const updated = await QualityGate.update(projectId, gateId, updates);
+    return formatGate(updated);
+};
+
+/**
+ * Delete a gate rule
+ * @param {string} projectId - Project ID
+ * @param {string} gateId - Gate ID
+ * @returns {Promise<void>}
+ */
+const deleteGate = async (projectId, gateId) => {
+    await findProjectGate(projectId, gateId);
+    await QualityGate.delete(projectId, gateId);
+};
+
+/**
+ * Evaluate a run against the project's gates
+ * Gates scoped to another environment are left out. Baseline gates compare with the
+ * latest earlier run in their baseline environment, of their baseline branch when they
+ * have one (e.g. main for pull request runs); without such a run they are skipped.
+ * The run fails if any gate fails; skipped gates never fail a run.
+ * @param {string} projectId - Project ID
+ * @param {Object} run - { run_id, environment, timestamp, summary }
+ * @returns {Promise<Object>} { status, evaluated_at, results }
+ */
+const evaluateRun = async (projectId, run) => {
+    const gates = (await QualityGate.findByProjectId(projectId))
+        .filter((gate) => !gate.environment || gate.environment === run.environment);
+
+    // Baselines and new-failure lists are shared by gates using the same baseline environment and branch
+    const baselines = new Map();
+    const loadBaseline = async (environment, branch) => {
+        const key = JSON.stringify([environment, branch]);
+        if (!baselines.has(key)) {
+            const baseline = await TestRun.findPrevious(projectId, environment, run.timestamp, { branch });
+            const newFailures = baseline ? await findNewFailures(projectId, run.run_id, baseline.run_id) : [];
+            baselines.set(key, { baseline, newFailures });
+        }
+        return baselines.get(key);
+    };
+
+    const results = [];
+    for (const gate of gates) {
+        const context = QualityGate.BASELINE_TYPES.includes(gate.type)
+            ? await loadBaseline(gate.baseline_environment || run.environment, gate.baseline_branch || null)
+            : {};
+
+        results.push({
+            gate_id: gate._id,
+            name: gate.name,
+            type: gate.type,
+            baseline_run_id: context.baseline ? context.baseline.run_id : null,
+            ...evaluateGate(gate, run, context)
+        });
+    }
+
+    return {
+        status: results.some((result) => result.status === 'failed') ? 'failed' : 'passed',
+        evaluated_at: new Date(),
+        results
+    };
+};
+
+/**
+ * Evaluate a run and store the verdict on it
+ * @param {string} projectId - Project ID
+ * @param {Object} run - { run_id, environment, timestamp, summary }
+ * @returns {Promise<Object>} Verdict
+ */
+const recordRunGate = async (projectId, run) => {
+    const gate = await evaluateRun(projectId, run);
+    await TestRun.setGate(projectId, run.run_id, gate);
+    return gate;
+};
+
+/**
+ * Get the gate verdict of a run
+ * Runs ingested before any verdict was stored (or with refresh) are evaluated against the current gates.
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID
+ * @param {Object} options - { refresh }
+ * @returns {Promise<Object>} { run_id, environment, status, evaluated_at, results }
+ * @throws {Error} If the run does not exist
+ */
+const getRunGate = async (projectId, runId, { refresh = false } = {}) => {
+    const run = await TestRun.findByProjectAndRunId(projectId, runId);
+    if (!run) {
+        const error = new Error('Test run not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const gate = run.gate && !refresh ? run.gate : await recordRunGate(projectId, run);
+
+    return {
+        run_id: run.run_id,
+        environment: run.environment,
+        ...gate
+    };
+};
+
+module.exports = {
+    createGate,
+    listGates,
+    updateGate,
+    deleteGate,
+    evaluateRun,
+    recordRunGate,
+    getRunGate
+};
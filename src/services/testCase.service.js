@@ -0,0 +1,181 @@
+/**
+ * Test Case Service
+ * Business logic for per-case history and flakiness analysis
+ */
+
+const { TestRun, TestCase } = require('../models/index.model');
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const DEFAULT_WINDOW_RUNS = 50;
+const DEFAULT_CLUSTER_LIMIT = 20;
+const DEFAULT_FAILURE_WINDOW_DAYS = 14;
+
+/**
+ * Compute flakiness metrics from a chronological list of case statuses
+ * Skipped executions are ignored; a flip is a passed <-> failed transition
+ * between consecutive executed runs.
+ * @param {Array<string>} statuses - Case statuses ordered oldest to newest
+ * @returns {Object} Counts, rates and a flakiness score between 0 and 1
+ */
+const computeFlakiness = (statuses) => {
+    const counts = { passed: 0, failed: 0, flaky: 0, skipped: 0 };
+    let flips = 0;
+    let previous = null;
+
+    statuses.forEach((status) => {
+        if (counts[status] !== undefined) {
+            counts[status]++;
+        }
+        if (status === 'skipped') {
+            return;
+        }
+
+        // A flaky execution counts as a pass for transition purposes
+        const outcome = status === 'failed' ? 'failed' : 'passed';
+        if (previous && previous !== outcome) {
+            flips++;
+        }
+        previous = outcome;
+    });
+
+    const executed = counts.passed + counts.failed + counts.flaky;
+    const flipRate = executed > 1 ? flips / (executed - 1) : 0;
+    const flakyRate = executed > 0 ? counts.flaky / executed : 0;
+
+    return {
+        executions: executed,
+        ...counts,
+        flips,
+        flip_rate: Number(flipRate.toFixed(4)),
+        flaky_rate: Number(flakyRate.toFixed(4)),
+        flakiness_score: Number(((flipRate + flakyRate) / 2).toFixed(4))
+    };
+};
+
+/**
+ * Get the execution history of one test case
+ * @param {string} projectId - Project ID
+ * @param {Object} params - Query parameters
+ * @param {string} params.suiteName - Suite name
+ * @param {string} params.caseName - Test case name
+ * @param {string} [params.environment] - Environment name
+ * @param {number} [params.limit] - Maximum number of executions
+ * @returns {Promise<Object>} Case identity, flakiness summary and executions (newest first)
+ */
+const getCaseHistory = async (projectId, { suiteName, caseName, environment, limit }) => {
+    const history = await TestCase.findHistory(projectId, suiteName, caseName, {
+        environment,
+        limit: limit || DEFAULT_HISTORY_LIMIT
+    });
+
+    const chronological = history.map((execution) => execution.status).reverse();
+
+    return {
+        suite_name: suiteName,
+        name: caseName,
+        environment: environment || null,
+        flakiness: computeFlakiness(chronological),
+        history
+    };
+};
+
+/**
+ * Rank test cases by flakiness over the most recent runs
+ * @param {string} projectId - Project ID
+ * @param {Object} params - Query parameters
+ * @param {string} [params.environment] - Environment name
+ * @param {number} [params.windowRuns] - Number of recent runs to analyse
+ * @param {number} [params.minRuns] - Minimum executions for a case to be ranked
+ * @param {number} [params.limit] - Maximum number of cases to return
+ * @returns {Promise<Object>} Ranked cases, most flaky first
+ */
+const getFlakyCases = async (projectId, { environment, windowRuns, minRuns = 2, limit = 50 }) => {
+    const window = windowRuns || DEFAULT_WINDOW_RUNS;
+    const runIds = await TestRun.findRecentRunIds(projectId, { environment, limit: window });
+    const outcomes = runIds.length > 0 ? await TestCase.getOutcomes(projectId, runIds) : [];
+
+    const cases = outcomes
+        .map((outcome) => ({
+            environment: outcome.environment,
+            suite_name: outcome.suite_name,
+            name: outcome.name,
+            ...computeFlakiness(outcome.statuses)
+        }))
+        .filter((testCase) => testCase.executions >= minRuns && testCase.flakiness_score > 0)
+        .sort((a, b) => b.flakiness_score - a.flakiness_score || b.flips - a.flips)
+        .slice(0, limit);
+
+    return {
+        environment: environment || null,
+        window_runs: window,
+        cases
+    };
+};
+
+/**
+ * Find cases that fail in a run but did not fail in a baseline run
+ * Cases missing from the baseline count as new failures.
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run to check
+ * @param {string} baselineRunId - Run to compare against
+ * @returns {Promise<Array>} { suite_name, name, error_message }
+ */
+const findNewFailures = async (projectId, runId, baselineRunId) => {
+    const [current, baseline] = await Promise.all([
+        TestCase.findByRunAndStatus(projectId, runId, 'failed'),
+        TestCase.findByRunAndStatus(projectId, baselineRunId, 'failed')
+    ]);
+
+    const failedBefore = new Set(baseline.map((testCase) => `${testCase.suite_name}\u0000${testCase.name}`));
+    return current.filter((testCase) => !failedBefore.has(`${testCase.suite_name}\u0000${testCase.name}`));
+};
+
+/**
+ * Rank failure clusters of a project
+ * Failed cases are grouped by failure signature (failure type + normalized message), so one
+ * root cause breaking many tests shows up as one cluster. Without from/to, the last 14 days are used.
+ * @param {string} projectId - Project ID
+ * @param {Object} params - Query parameters
+ * @param {string} [params.environment] - Environment name
+ * @param {string} [params.from] - Inclusive lower bound on timestamp
+ * @param {string} [params.to] - Inclusive upper bound on timestamp
+ * @param {string} [params.failureType] - Failure type
+ * @param {string} [params.sort] - 'occurrences' (default) or 'affected_tests'
+ * @param {number} [params.limit] - Maximum number of clusters
+ * @returns {Promise<Object>} Clusters, highest ranked first
+ */
+const getFailureClusters = async (projectId, { environment, from, to, failureType, sort = 'occurrences', limit }) => {
+    const range = {
+        from: from ? new Date(from).toISOString() : null,
+        to: to ? new Date(to).toISOString() : null
+    };
+    if (!from && !to) {
+        range.from = new Date(Date.now() - DEFAULT_FAILURE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const clusters = await TestCase.getFailureClusters(projectId, {
+        environment,
+        from: range.from,
+        to: range.to,
+        failureType,
+        sort,
+        limit: limit || DEFAULT_CLUSTER_LIMIT
+    });
+
+    return {
+        project_id: projectId,
+        environment: environment || null,
+        from: range.from,
+        to: range.to,
+        sort,
+        clusters
+    };
+};
+
+module.exports = {
+    computeFlakiness,
+    findNewFailures,
+    getCaseHistory,
+    getFlakyCases,
+    getFailureClusters
+};
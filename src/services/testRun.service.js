@@ -3,7 +3,212 @@
  * Business logic for test run ingestion
  */
 
-const { TestRun } = require('../models/index.model');
+const { TestRun, TestCase } = require('../models/index.model');
+const { encodeCursor, decodeCursor } = require('../utils/pagination.util');
+const { passRate, reconcileTestRun } = require('../utils/summary.util');
+const { diffRuns } = require('../utils/runDiff.util');
+const { normalizeMetadata, parseLabelFilter, statsGroupField } = require('../utils/runMetadata.util');
+const { withFailureSignatures } = require('../utils/failureSignature.util');
+const { runContentHash, amendmentContentHash, contentDifferences } = require('../utils/contentHash.util');
+const { amendSuites } = require('../utils/runAmendment.util');
+const webhookService = require('./webhook.service');
+const qualityGateService = require('./qualityGate.service');
+
+const DEFAULT_PAGE_SIZE = 20;
+const DEFAULT_SLOWER_RATIO = 0.5;
+const DEFAULT_MIN_SLOWDOWN_MS = 100;
+
+/**
+ * Shape a stored test run for API responses
+ * @param {Object} testRun - Stored test run document
+ * @returns {Object} Public test run representation
+ */
+const formatTestRun = (testRun) => {
+    const formatted = {
+        run_id: testRun.run_id,
+        environment: testRun.environment,
+        timestamp: testRun.timestamp,
+        summary: testRun.summary,
+        metadata: testRun.metadata || null,
+        created_at: testRun.created_at
+    };
+
+    if (testRun.test_suites !== undefined) {
+        formatted.test_suites = testRun.test_suites;
+    }
+    if (testRun.amendments) {
+        formatted.amendments = testRun.amendments.map(({ content_hash, ...amendment }) => amendment);
+    }
+
+    return formatted;
+};
+
+/**
+ * Strip cases from a submitted suite, keeping its counters
+ * @param {Object} suite - Submitted suite
+ * @returns {Object} Suite rollup stored on the run document
+ */
+const toSuiteRollup = (suite) => {
+    const { test_cases, ...rollup } = suite;
+    return rollup;
+};
+
+/**
+ * Put stored cases back into suite rollups
+ * @param {Array} suites - Suite rollups
+ * @param {Array} cases - Stored cases in submission order
+ * @returns {Array} Suites with their test_cases
+ */
+const suitesWithCases = (suites, cases) => {
+    const testSuites = suites.map((suite) => ({ ...suite, test_cases: [] }));
+
+    cases.forEach((storedCase) => {
+        const suite = testSuites[storedCase.suite_index];
+        if (suite) {
+            suite.test_cases.push(TestCase.toPayload(storedCase));
+        }
+    });
+
+    return testSuites;
+};
+
+/**
+ * Attach stored cases to a run's suite rollups
+ * Runs stored before cases were normalized still embed them and are returned as-is.
+ * @param {Object} testRun - Stored test run document
+ * @returns {Promise<Object>} Test run whose suites carry test_cases
+ */
+const attachTestCases = async (testRun) => {
+    const suites = testRun.test_suites || [];
+    if (suites.some((suite) => Array.isArray(suite.test_cases))) {
+        return testRun;
+    }
+
+    const cases = await TestCase.findByRun(testRun.project_id, testRun.run_id);
+    return { ...testRun, test_suites: suitesWithCases(suites, cases) };
+};
+
+/**
+ * Build the MongoDB filter for run listing from query filters
+ * @param {Object} filters - Listing filters
+ * @returns {Object} MongoDB query conditions
+ */
+const buildRunFilter = ({ environment, from, to, status, minFailed, branch, commit, ciProvider, prNumber, label }) => {
+    const filter = {};
+
+    if (environment) {
+        filter.environment = environment;
+    }
+
+    // Metadata is normalized on ingest, so filters are normalized the same way
+    if (branch) {
+        filter['metadata.branch'] = branch.replace(/^refs\/heads\//, '');
+    }
+    if (commit) {
+        // Abbreviated hashes match as a prefix; the value is validated as hexadecimal
+        filter['metadata.commit_sha'] = { $regex: `^${commit.toLowerCase()}` };
+    }
+    if (ciProvider) {
+        filter['metadata.ci_provider'] = ciProvider;
+    }
+    if (prNumber !== undefined) {
+        filter['metadata.pr_number'] = prNumber;
+    }
+    if (label) {
+        const { key, value } = parseLabelFilter(label);
+        filter[`metadata.labels.${key}`] = value;
+    }
+
+    if (from || to) {
+        filter.timestamp = {};
+        if (from) {
+            filter.timestamp.$gte = new Date(from).toISOString();
+        }
+        if (to) {
+            filter.timestamp.$lte = new Date(to).toISOString();
+        }
+    }
+
+    // "passed" means a run with no failures; other statuses mean at least one case had it.
+    // Conditions on summary.failed are operator objects so min_failed can be combined with them.
+    if (status === 'passed') {
+        filter['summary.failed'] = { $eq: 0 };
+    } else if (status) {
+        filter[`summary.${status}`] = { $gt: 0 };
+    }
+
+    if (minFailed !== undefined) {
+        filter['summary.failed'] = { ...filter['summary.failed'], $gte: minFailed };
+    }
+
+    return filter;
+};
+
+/**
+ * Load a quality gate verdict for an ingest response
+ * The run is already stored at this point, so a failed evaluation is logged and reported as null;
+ * GET /runs/:run_id/gate evaluates it again later.
+ * @param {Function} load - Returns a promise of the verdict
+ * @returns {Promise<Object|null>}
+ */
+const loadGateVerdict = async (load) => {
+    try {
+        return await load();
+    } catch (error) {
+        console.error('[GATE_EVALUATION_ERROR]', error);
+        return null;
+    }
+};
+
+/**
+ * Result of an ingest that matched a stored run
+ * @param {string} projectId - Project ID
+ * @param {Object} existing - Stored run
+ * @returns {Promise<Object>}
+ */
+const duplicateResult = async (projectId, existing) => ({
+    success: true,
+    duplicate: true,
+    runId: existing.run_id,
+    environment: existing.environment,
+    gate: await loadGateVerdict(() => qualityGateService.getRunGate(projectId, existing.run_id))
+});
+
+/**
+ * Find the run stored by an earlier request with the same Idempotency-Key
+ * @param {string} projectId - Project ID
+ * @param {Object} idempotency - { key, fingerprint }
+ * @returns {Promise<Object|null>} Stored run
+ * @throws {Error} 422 if the key was used for a different request
+ */
+const findIdempotentRun = async (projectId, idempotency) => {
+    const existing = await TestRun.findByIdempotencyKey(projectId, idempotency.key);
+    if (existing && existing.request_fingerprint !== idempotency.fingerprint) {
+        const error = new Error(`Idempotency-Key was already used for a different request (run ${existing.run_id})`);
+        error.statusCode = 422;
+        throw error;
+    }
+    return existing;
+};
+
+/**
+ * Check that a stored run with the same run_id holds the same content
+ * Runs stored before content hashes existed cannot be compared and count as the same.
+ * @param {Object} existing - Stored run
+ * @param {Object} received - Run content, as passed to runContentHash
+ * @returns {Promise<void>}
+ * @throws {Error} 409 with the differences if the content differs
+ */
+const assertSameContent = async (existing, received) => {
+    if (!existing.content_hash || existing.content_hash === runContentHash(received)) {
+        return;
+    }
+
+    const error = new Error(`Test run ${existing.run_id} already exists with different content; use a new run_id for a new run`);
+    error.statusCode = 409;
+    error.differences = contentDifferences(await attachTestCases(existing), received);
+    throw error;
+};
 
 /**
  * Ingest a test run with comprehensive test execution data
@@ -14,42 +219,410 @@ const { TestRun } = require('../models/index.model');
  * @param {string} data.timestamp - ISO timestamp
  * @param {Object} data.summary - Test execution summary
  * @param {Array} data.testSuites - Test suites with test cases
+ * @param {Object} [data.metadata] - Git/CI metadata (branch, commit_sha, ci_provider, build_number, build_url, pr_number, labels)
+ * @param {Object|null} [data.idempotency] - Idempotency-Key of the request { key, fingerprint }
+ * @param {boolean} [data.datedByUpload] - The timestamp is the upload time (JUnit report without one), so a
+ *   retry is compared with the stored timestamp instead
  * @returns {Promise<Object>} Result object with success flag and data
+ * @throws {Error} 409 if run_id is stored with different content, 422 if the Idempotency-Key was used for another request
  */
 const ingestTestRun = async (data) => {
-    const { projectId, runId, environment, timestamp, summary, testSuites } = data;
+    const { projectId, runId, environment, timestamp, summary, testSuites, metadata, idempotency = null, datedByUpload = false } = data;
+    const received = { environment, timestamp, summary, testSuites, metadata: normalizeMetadata(metadata) };
+    const contentHash = runContentHash(received);
 
+    // A repeated Idempotency-Key returns the run of the first request, whatever run_id it had
+    if (idempotency) {
+        const existing = await findIdempotentRun(projectId, idempotency);
+        if (existing) {
+            return duplicateResult(projectId, existing);
+        }
+    }
+
+    let testRun;
     try {
-        await TestRun.create({
+        testRun = await TestRun.create({
             projectId,
             runId,
             environment,
             timestamp,
             summary,
-            testSuites
+            testSuites: (testSuites || []).map(toSuiteRollup),
+            metadata: received.metadata,
+            contentHash,
+            idempotency
         });
+    } catch (error) {
+        // Handle idempotency: an identical retry is a duplicate, different content under the same run_id a conflict
+        if (error.message.includes('duplicate')) {
+            const existing = (idempotency && await findIdempotentRun(projectId, idempotency))
+                || await TestRun.findByProjectAndRunId(projectId, runId);
+            if (!existing) {
+                throw error;
+            }
+            if (existing.run_id === runId) {
+                await assertSameContent(existing, datedByUpload ? { ...received, timestamp: existing.timestamp } : received);
+            }
+            return duplicateResult(projectId, existing);
+        }
+        throw error;
+    }
 
-        return {
-            success: true,
-            duplicate: false,
+    // The run document is the idempotency guard; if its cases cannot be stored, remove it so a retry starts clean
+    try {
+        await TestCase.createForRun({
+            projectId,
             runId,
-            environment,
-            summary
-        };
+            environment: testRun.environment,
+            timestamp: testRun.timestamp,
+            testSuites: withFailureSignatures(testSuites)
+        });
     } catch (error) {
-        // Handle idempotency: duplicate run_id
-        if (error.message.includes('duplicate')) {
-            return {
-                success: true,
-                duplicate: true,
-                runId,
-                environment
-            };
+        await TestCase.deleteByRun(projectId, runId);
+        await TestRun.deleteByProjectAndRunId(projectId, runId);
+        throw error;
+    }
+
+    const run = {
+        run_id: runId,
+        environment: testRun.environment,
+        timestamp: testRun.timestamp,
+        summary: testRun.summary,
+        metadata: testRun.metadata
+    };
+
+    const gate = await loadGateVerdict(() => qualityGateService.recordRunGate(projectId, run));
+
+    // Notify subscribers in the background; webhook problems never fail an ingestion
+    webhookService.notifyRunIngested(projectId, run).catch((error) => {
+        console.error('[WEBHOOK_NOTIFY_ERROR]', error);
+    });
+
+    return {
+        success: true,
+        duplicate: false,
+        runId,
+        environment,
+        summary,
+        metadata: testRun.metadata,
+        gate
+    };
+};
+
+/**
+ * Append retries and late results to a stored run
+ * Cases matching a stored case (by suite and name) gain an attempt and become flaky when they failed
+ * and then passed; other cases are appended. Suite counters, the run summary and the gate verdict
+ * are then recomputed. Repeating an amendment_id (by default a hash of the amendment) returns the
+ * stored amendment, so retried requests are safe.
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID
+ * @param {Object} data - Amendment data
+ * @param {string} [data.amendmentId] - Client-supplied amendment ID
+ * @param {Array} data.testSuites - Suites with the retried and late cases
+ * @param {number} [data.durationMs] - Wall-clock time added to the run (defaults to the added suite durations)
+ * @returns {Promise<Object>} { duplicate, amendment, summary, gate }
+ * @throws {Error} 404 if the run does not exist; 409 if the amendment_id was used for different content,
+ *   another amendment is stored concurrently, or the run's cases are not all stored
+ */
+const amendTestRun = async (projectId, runId, { amendmentId, testSuites, durationMs }) => {
+    const testRun = await TestRun.findByProjectAndRunId(projectId, runId);
+    if (!testRun) {
+        const error = new Error('Test run not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const contentHash = amendmentContentHash({ testSuites, durationMs });
+    const id = amendmentId || contentHash;
+    const previous = (testRun.amendments || []).find((amendment) => amendment.amendment_id === id);
+    if (previous) {
+        if (previous.content_hash !== contentHash) {
+            const error = new Error(`Amendment ${id} was already applied with different content`);
+            error.statusCode = 409;
+            throw error;
         }
+        return {
+            duplicate: true,
+            amendment: previous,
+            summary: testRun.summary,
+            gate: await loadGateVerdict(() => qualityGateService.getRunGate(projectId, runId))
+        };
+    }
+
+    const suites = testRun.test_suites || [];
+    if (suites.some((suite) => Array.isArray(suite.test_cases))) {
+        const error = new Error('Test run still embeds its test cases; run npm run migrate:test-cases before amending it');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    // Counters are recomputed from the cases, so every counted case must be stored
+    const storedCases = await TestCase.findByRun(projectId, runId);
+    const stored = suitesWithCases(suites, storedCases);
+    if (storedCases.length !== testRun.summary.total_test_cases || stored.some((suite) => suite.test_cases.length !== suite.total_cases)) {
+        const error = new Error('Test run was ingested without all of its test_cases, so its counters cannot be recomputed');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const merged = amendSuites(stored, testSuites);
+    const { summary, test_suites: amendedSuites } = reconcileTestRun({
+        summary: { ...testRun.summary, duration_ms: testRun.summary.duration_ms + (durationMs !== undefined ? durationMs : merged.durationMs) },
+        test_suites: merged.testSuites
+    });
+
+    const amendment = { amendment_id: id, content_hash: contentHash, changes: merged.changes, amended_at: new Date() };
+    const applied = await TestRun.applyAmendment(testRun._id, testRun.amendment_count, {
+        summary,
+        testSuites: amendedSuites.map(toSuiteRollup),
+        amendment
+    });
+    if (!applied) {
+        const error = new Error('Test run was amended by another request; retry the amendment');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const runCases = { projectId, runId, environment: testRun.environment, timestamp: testRun.timestamp };
+    const signedSuites = withFailureSignatures(amendedSuites);
+    try {
+        await TestCase.replaceAtPositions({
+            ...runCases,
+            cases: merged.changed.map(({ suiteIndex, caseIndex }) => ({
+                suiteName: signedSuites[suiteIndex].suite_name,
+                suiteIndex,
+                caseIndex,
+                testCase: signedSuites[suiteIndex].test_cases[caseIndex]
+            }))
+        });
+    } catch (error) {
+        // Put the run back as it was so the amendment can be retried
+        const originals = new Map(storedCases.map((storedCase) => [`${storedCase.suite_index}:${storedCase.case_index}`, storedCase]));
+        await TestCase.deleteAtPositions(projectId, runId, merged.changed.filter((position) => position.added));
+        await TestCase.replaceAtPositions({
+            ...runCases,
+            cases: merged.changed
+                .filter((position) => !position.added)
+                .map(({ suiteIndex, caseIndex }) => {
+                    const storedCase = originals.get(`${suiteIndex}:${caseIndex}`);
+                    return { suiteName: storedCase.suite_name, suiteIndex, caseIndex, testCase: storedCase };
+                })
+        });
+        await TestRun.revertAmendment(testRun._id, { summary: testRun.summary, testSuites: suites, amendmentId: id });
+        throw error;
+    }
+
+    const run = {
+        run_id: runId,
+        environment: testRun.environment,
+        timestamp: testRun.timestamp,
+        summary,
+        metadata: testRun.metadata
+    };
+
+    return {
+        duplicate: false,
+        amendment,
+        summary,
+        gate: await loadGateVerdict(() => qualityGateService.recordRunGate(projectId, run))
+    };
+};
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ * @param {Array<number>} values - Sample values
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null}
+ */
+const percentile = (values, p) => {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.max(rank, 1) - 1];
+};
+
+/**
+ * List test runs for a project using cursor pagination
+ * @param {string} projectId - Project ID
+ * @param {Object} filters - Listing filters
+ * @param {string} [filters.environment] - Environment name
+ * @param {string} [filters.from] - Inclusive lower bound on timestamp
+ * @param {string} [filters.to] - Inclusive upper bound on timestamp
+ * @param {string} [filters.status] - passed, failed, flaky or skipped
+ * @param {number} [filters.minFailed] - Minimum number of failed cases
+ * @param {string} [filters.branch] - Branch name
+ * @param {string} [filters.commit] - Commit hash or prefix
+ * @param {string} [filters.ciProvider] - CI provider
+ * @param {number} [filters.prNumber] - Pull request number
+ * @param {string} [filters.label] - Label written key:value
+ * @param {string} [filters.cursor] - Cursor returned by the previous page
+ * @param {number} [filters.limit] - Page size
+ * @returns {Promise<Object>} { runs, next_cursor, has_more }
+ */
+const listTestRuns = async (projectId, filters = {}) => {
+    const limit = filters.limit || DEFAULT_PAGE_SIZE;
+    const after = filters.cursor ? decodeCursor(filters.cursor) : null;
+
+    // Fetch one extra run to know whether another page exists
+    const testRuns = await TestRun.findPage(projectId, buildRunFilter(filters), {
+        after,
+        limit: limit + 1
+    });
+
+    const hasMore = testRuns.length > limit;
+    const page = hasMore ? testRuns.slice(0, limit) : testRuns;
+    const last = page[page.length - 1];
+
+    return {
+        runs: page.map(formatTestRun),
+        next_cursor: hasMore ? encodeCursor({ timestamp: last.timestamp, id: last._id.toString() }) : null,
+        has_more: hasMore
+    };
+};
+
+/**
+ * Get a single test run with its suites and cases
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object>} Test run
+ * @throws {Error} If the run does not exist in the project
+ */
+const getTestRun = async (projectId, runId) => {
+    const testRun = await TestRun.findByProjectAndRunId(projectId, runId);
+    if (!testRun) {
+        const error = new Error('Test run not found');
+        error.statusCode = 404;
         throw error;
     }
+
+    return formatTestRun(await attachTestCases(testRun));
+};
+
+/**
+ * Compare a run with a base run, case by case
+ * The base is an explicit run, or the latest earlier run of a baseline environment
+ * (the run's own environment when neither is given), optionally restricted to a baseline branch.
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run being reviewed
+ * @param {Object} options - Comparison options
+ * @param {string} [options.baseRunId] - Run to compare against
+ * @param {string} [options.baselineEnvironment] - Environment to take the base run from
+ * @param {string} [options.baselineBranch] - Branch to take the base run from (e.g. main for a pull request run)
+ * @param {number} [options.slowerRatio] - Minimum relative slowdown to report a case as slower
+ * @param {number} [options.minDeltaMs] - Minimum absolute slowdown to report a case as slower
+ * @returns {Promise<Object>} { base, head, totals, suites }
+ * @throws {Error} If either run does not exist
+ */
+const compareTestRuns = async (projectId, runId, { baseRunId, baselineEnvironment, baselineBranch, slowerRatio, minDeltaMs } = {}) => {
+    const head = await TestRun.findByProjectAndRunId(projectId, runId);
+    if (!head) {
+        const error = new Error('Test run not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    let base;
+    if (baseRunId) {
+        base = await TestRun.findByProjectAndRunId(projectId, baseRunId);
+        if (!base) {
+            const error = new Error(`Base run ${baseRunId} not found`);
+            error.statusCode = 404;
+            throw error;
+        }
+    } else {
+        const environment = baselineEnvironment || head.environment;
+        const branch = baselineBranch ? baselineBranch.replace(/^refs\/heads\//, '') : null;
+        const previous = await TestRun.findPrevious(projectId, environment, head.timestamp, { branch });
+        if (!previous) {
+            const scope = branch ? `environment "${environment}" on branch "${branch}"` : `environment "${environment}"`;
+            const error = new Error(`No earlier run found in ${scope} to compare against`);
+            error.statusCode = 404;
+            throw error;
+        }
+        base = await TestRun.findByProjectAndRunId(projectId, previous.run_id);
+    }
+
+    const [baseRun, headRun] = await Promise.all([attachTestCases(base), attachTestCases(head)]);
+
+    const describe = (run) => ({
+        run_id: run.run_id,
+        environment: run.environment,
+        timestamp: run.timestamp,
+        summary: run.summary,
+        metadata: run.metadata || null
+    });
+
+    return {
+        base: describe(baseRun),
+        head: describe(headRun),
+        ...diffRuns(baseRun.test_suites, headRun.test_suites, {
+            slowerRatio: slowerRatio !== undefined ? slowerRatio : DEFAULT_SLOWER_RATIO,
+            minDeltaMs: minDeltaMs !== undefined ? minDeltaMs : DEFAULT_MIN_SLOWDOWN_MS
+        })
+    };
+};
+
+/**
+ * Get aggregate statistics and time-bucketed trends for a project
+ * @param {string} projectId - Project ID
+ * @param {Object} filters - Stats filters
+ * @param {string} [filters.environment] - Environment name
+ * @param {string} [filters.from] - Inclusive lower bound on timestamp
+ * @param {string} [filters.to] - Inclusive upper bound on timestamp
+ * @param {string} [filters.interval] - Trend bucket size: 'day' (default) or 'week'
+ * @param {string} [filters.groupBy] - environment, branch, ci_provider, pr_number or label:<key>
+ * Metadata filters (branch, commit, ciProvider, prNumber, label) are the same as for listing.
+ * @returns {Promise<Object>} { totals, trends, groups }
+ */
+const getProjectStats = async (projectId, filters = {}) => {
+    const { environment, from, to, interval = 'day', groupBy } = filters;
+    const filter = buildRunFilter(filters);
+
+    const [stats, buckets, grouped] = await Promise.all([
+        TestRun.getStats(projectId, filter),
+        TestRun.getTrends(projectId, filter, interval),
+        groupBy ? TestRun.getGroupedStats(projectId, filter, statsGroupField(groupBy)) : null
+    ]);
+
+    const totals = {
+        ...stats,
+        pass_rate: passRate({
+            total_test_cases: stats.total_test_cases,
+            passed: stats.total_passed,
+            skipped: stats.total_skipped
+        })
+    };
+
+    const trends = buckets.map(({ durations, ...bucket }) => ({
+        ...bucket,
+        pass_rate: passRate(bucket),
+        duration_p50_ms: percentile(durations, 50),
+        duration_p95_ms: percentile(durations, 95)
+    }));
+
+    return {
+        project_id: projectId,
+        environment: environment || null,
+        from: from || null,
+        to: to || null,
+        interval,
+        group_by: groupBy || null,
+        totals,
+        trends,
+        groups: grouped ? grouped.map((group) => ({ ...group, pass_rate: passRate(group) })) : null
+    };
 };
 
 module.exports = {
-    ingestTestRun
+    toSuiteRollup,
+    attachTestCases,
+    ingestTestRun,
+    listTestRuns,
+    getTestRun,
+    amendTestRun,
+    compareTestRuns,
+    getProjectStats
 };
@@ -5,13 +5,67 @@
 
 const { ApiToken, Project } = require('../models/index.model');
 
+const DEFAULT_ROTATION_GRACE_SECONDS = 60 * 60;
+
+/**
+ * Shape a stored token for API responses (never includes secrets)
+ * @param {Object} token - Stored token document
+ * @returns {Object} Token metadata
+ */
+const formatToken = (token) => {
+    let status = 'active';
+    if (ApiToken.isExpired(token)) {
+        status = 'expired';
+    } else if (token.suspended_at) {
+        status = 'suspended';
+    } else if (token.rotated_at) {
+        status = 'rotating';
+    }
+
+    return {
+        id: token._id,
+        project_id: token.project_id,
+        name: token.name,
+        token_prefix: token.token_prefix || null,
+        scopes: ApiToken.scopesOf(token),
+        status,
+        created_at: token.created_at,
+        expires_at: token.expires_at || null,
+        last_used_at: token.last_used_at || null,
+        rotated_at: token.rotated_at || null,
+        replaced_by: token.replaced_by || null
+    };
+};
+
+/**
+ * Load a token and make sure it belongs to the project
+ * @param {string} projectId - Project ID
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<Object>} Stored token
+ * @throws {Error} If the token does not exist in the project
+ */
+const findProjectToken = async (projectId, tokenId) => {
+    const token = await ApiToken.findById(tokenId);
+    if (!token || token.project_id !== projectId) {
+        const error = new Error('Token not found');
+        error.statusCode = 404;
+        throw error;
+    }
+    return token;
+};
+
 /**
  * Create a new API token
  * @param {string} projectId - Project ID
+ * @param {string} name - Token name
+ * @param {Object} options - Token options
+ * @param {string} [options.expiresAt] - Optional ISO expiry time
+ * @param {Array<string>} [options.scopes] - Granted scopes (defaults to ApiToken.DEFAULT_SCOPES)
+ * @param {string|null} [options.orgId] - Organization the caller administers (null for root admin)
  * @returns {Promise<Object>} Created token with raw token value
- * @throws {Error} If project not found or token creation fails
+ * @throws {Error} If project not found, belongs to another organization, or token creation fails
  */
-const createToken = async (projectId, name) => {
+const createToken = async (projectId, name, { expiresAt, scopes, orgId = null } = {}) => {
     // Verify project exists
     const project = await Project.findById(projectId);
     if (!project) {
@@ -20,10 +74,79 @@ const createToken = async (projectId, name) => {
         throw error;
     }
 
-    const result = await ApiToken.create(projectId, name);
+    if (orgId && project.org_id !== orgId) {
+        const error = new Error('Admin key does not grant access to this project');
+        error.statusCode = 403;
+        throw error;
+    }
+
+    if (project.deleted_at) {
+        const error = new Error('Project is pending deletion');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const result = await ApiToken.create(projectId, name, {
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        scopes: scopes ? [...new Set(scopes)] : undefined
+    });
     return result;
 };
 
+/**
+ * List token metadata for a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} Token metadata, newest first
+ */
+const listTokens = async (projectId) => {
+    const tokens = await ApiToken.findByProjectId(projectId);
+    return tokens.map(formatToken);
+};
+
+/**
+ * Revoke (delete) a token
+ * @param {string} projectId - Project ID the caller is acting on
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the token does not exist in the project
+ */
+const revokeToken = async (projectId, tokenId) => {
+    await findProjectToken(projectId, tokenId);
+    await ApiToken.delete(tokenId);
+};
+
+/**
+ * Rotate a token, keeping the old one valid for a grace period
+ * @param {string} projectId - Project ID the caller is acting on
+ * @param {string} tokenId - Token ID
+ * @param {Object} options - Rotation options
+ * @param {number} [options.gracePeriodSeconds] - Grace period for the old token
+ * @param {string|null} [options.expiresAt] - ISO expiry for the replacement (defaults to the old token's expiry;
+ *   null for no expiry)
+ * @returns {Promise<Object>} Replacement token with raw token value
+ * @throws {Error} If the token does not exist, was already rotated or has expired
+ */
+const rotateToken = async (projectId, tokenId, { gracePeriodSeconds, expiresAt } = {}) => {
+    await findProjectToken(projectId, tokenId);
+
+    const graceSeconds = gracePeriodSeconds !== undefined ? gracePeriodSeconds : DEFAULT_ROTATION_GRACE_SECONDS;
+
+    try {
+        return await ApiToken.rotate(tokenId, {
+            gracePeriodMs: graceSeconds * 1000,
+            expiresAt: expiresAt === undefined || expiresAt === null ? expiresAt : new Date(expiresAt)
+        });
+    } catch (error) {
+        if (error.message.includes('already been rotated') || error.message.includes('has expired')) {
+            error.statusCode = 409;
+        }
+        throw error;
+    }
+};
+
 module.exports = {
-    createToken
+    createToken,
+    listTokens,
+    revokeToken,
+    rotateToken
 };
@@ -0,0 +1,311 @@
+/**
+ * Webhook Service
+ * Business logic for webhook subscriptions and run event notifications
+ */
+
+const { Webhook, WebhookDelivery, TestRun } = require('../models/index.model');
+const { findNewFailures } = require('./testCase.service');
+const { processDueDeliveries } = require('./webhookDelivery.service');
+const { checkWebhookUrl } = require('../utils/webhook.util');
+const { sampleNewFailures } = require('../utils/runDiff.util');
+
+const DEFAULT_DELIVERY_LIMIT = 50;
+
+/**
+ * Shape a stored webhook for API responses (never includes the secret)
+ * @param {Object} webhook - Stored webhook document
+ * @returns {Object} Webhook metadata
+ */
+const formatWebhook = (webhook) => ({
+    id: webhook._id,
+    project_id: webhook.project_id,
+    url: webhook.url,
+    events: webhook.events,
+    failure_threshold: webhook.failure_threshold,
+    active: webhook.active,
+    created_at: webhook.created_at,
+    updated_at: webhook.updated_at
+});
+
+/**
+ * Shape a stored delivery for API responses
+ * Response bodies recorded by earlier versions are left out of the attempt log.
+ * @param {Object} delivery - Stored delivery document
+ * @returns {Object} Delivery with its attempt log
+ */
+const formatDelivery = (delivery) => ({
+    id: delivery._id,
+    webhook_id: delivery.webhook_id,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    next_attempt_at: delivery.next_attempt_at,
+    created_at: delivery.created_at,
+    completed_at: delivery.completed_at,
+    payload: delivery.payload,
+    attempt_log: (delivery.attempt_log || []).map(({ response_body, ...attempt }) => attempt)
+});
+
+/**
+ * Reject subscriptions to run.failure_threshold without a threshold
+ * @param {Array<string>} events - Subscribed events
+ * @param {number|null} failureThreshold - Configured threshold
+ * @throws {Error} If the threshold is missing
+ */
+const checkThreshold = (events, failureThreshold) => {
+    if (events.includes('run.failure_threshold') && (failureThreshold === null || failureThreshold === undefined)) {
+        const error = new Error('failure_threshold is required when subscribing to run.failure_threshold');
+        error.statusCode = 400;
+        throw error;
+    }
+};
+
+/**
+ * Reject webhook URLs that reach loopback, private or link-local addresses
+ * Deliveries check the URL again before every attempt.
+ * @param {string} url - Webhook URL
+ * @returns {Promise<void>}
+ * @throws {Error} If the URL is refused
+ */
+const checkUrl = async (url) => {
+    const refused = await checkWebhookUrl(url);
+    if (refused) {
+        const error = new Error(refused);
+        error.statusCode = 400;
+        throw error;
+    }
+};
+
+/**
+ * Load a webhook of a project
+ * @param {string} projectId - Project ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object>} Stored webhook
+ * @throws {Error} If the webhook does not exist in the project
+ */
+const findProjectWebhook = async (projectId, webhookId) => {
+    const webhook = await Webhook.findByProjectAndId(projectId, webhookId);
+    if (!webhook) {
+        const error = new Error('Webhook not found');
+        error.statusCode = 404;
+        throw error;
+    }
+    return webhook;
+};
+
+/**
+ * Create a webhook
+ * @param {string} projectId - Project ID
+ * @param {Object} data - { url, events, failure_threshold }
+ * @returns {Promise<Object>} Webhook metadata plus its signing secret (returned only here)
+ */
+const createWebhook = async (projectId, { url, events, failure_threshold }) => {
+    const uniqueEvents = [...new Set(events)];
+    checkThreshold(uniqueEvents, failure_threshold);
+    await checkUrl(url);
+
+    const webhook = await Webhook.create(projectId, {
+        url,
+        events: uniqueEvents,
+        failureThreshold: failure_threshold !== undefined ? failure_threshold : null
+    });
+
+    return { ...formatWebhook(webhook), secret: webhook.secret };
+};
+
+/**
+ * List the webhooks of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} Webhook metadata
+ */
+const listWebhooks = async (projectId) => {
+    const webhooks = await Webhook.findByProjectId(projectId);
+    return webhooks.map(formatWebhook);
+};
+
+/**
+ * Get one webhook
+ * @param {string} projectId - Project ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object>} Webhook metadata
+ */
+const getWebhook = async (projectId, webhookId) => {
+    return formatWebhook(await findProjectWebhook(projectId, webhookId));
+};
+
+/**
+ * Update a webhook
+ * @param {string} projectId - Project ID
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} data - Any of { url, events, failure_threshold, active }
+ * @returns {Promise<Object>} Updated webhook metadata
+ */
+const updateWebhook = async (projectId, webhookId, { url, events, failure_threshold, active }) => {
+    const webhook = await findProjectWebhook(projectId, webhookId);
+
+    const updates = {};
+    if (url !== undefined) {
+        updates.url = url;
+    }
+    if (events !== undefined) {
+        updates.events = [...new Set(events)];
+    }
+    if (failure_threshold !== undefined) {
+        updates.failure_threshold = failure_threshold;
+    }
+    if (active !== undefined) {
+        updates.active = active;
+    }
+
+    checkThreshold(
+        updates.events || webhook.events,
+        updates.failure_threshold !== undefined ? updates.failure_threshold : webhook.failure_threshold
+    );
+    if (updates.url !== undefined) {
+        await checkUrl(updates.url);
+    }
+
+    const updated = await Webhook.update(projectId, webhookId, updates);
+    return formatWebhook(updated);
+};
+
+/**
+ * Delete a webhook and its delivery log
+ * @param {string} projectId - Project ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<void>}
+ */
+const deleteWebhook = async (projectId, webhookId) => {
+    await findProjectWebhook(projectId, webhookId);
+    await Webhook.delete(projectId, webhookId);
+    await WebhookDelivery.deleteByWebhook(webhookId);
+};
+
+/**
+ * List recent deliveries of a webhook
+ * @param {string} projectId - Project ID
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} options - { status, limit }
+ * @returns {Promise<Array>} Deliveries, newest first
+ */
+const listDeliveries = async (projectId, webhookId, { status, limit }) => {
+    await findProjectWebhook(projectId, webhookId);
+    const deliveries = await WebhookDelivery.findByWebhook(webhookId, {
+        status,
+        limit: limit || DEFAULT_DELIVERY_LIMIT
+    });
+    return deliveries.map(formatDelivery);
+};
+
+/**
+ * Link to the diff of a run against its baseline
+ * Absolute when PUBLIC_BASE_URL is set (e.g. https://tests.example.com), otherwise a path on this service.
+ * @param {string} runId - Run ID
+ * @param {string} baseRunId - Baseline run ID
+ * @returns {string}
+ */
+const diffUrl = (runId, baseRunId) => {
+    const baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+    return `${baseUrl}/runs/${encodeURIComponent(runId)}/diff?base=${encodeURIComponent(baseRunId)}`;
+};
+
+/**
+ * Queue webhook deliveries for a newly ingested run
+ * Each subscribed webhook receives one delivery per event that applies:
+ * - run.ingested: every run
+ * - run.failed: the run has failed cases
+ * - run.failure_threshold: more failed cases than the webhook's failure_threshold
+ * - run.new_failures: cases fail that did not fail in the previous run of the environment; the payload
+ *   counts them, lists a sample and links to the diff, so it stays small for large regressions
+ * @param {string} projectId - Project ID
+ * @param {Object} run - { run_id, environment, timestamp, summary, metadata }
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+const notifyRunIngested = async (projectId, run) => {
+    const webhooks = await Webhook.findSubscribers(projectId, Webhook.EVENTS);
+    if (webhooks.length === 0) {
+        return 0;
+    }
+
+    const runPayload = {
+        run_id: run.run_id,
+        environment: run.environment,
+        timestamp: run.timestamp,
+        summary: run.summary,
+        metadata: run.metadata || null
+    };
+
+    const wantsNewFailures = webhooks.some((webhook) => webhook.events.includes('run.new_failures'));
+    const previous = wantsNewFailures && run.summary.failed > 0
+        ? await TestRun.findPrevious(projectId, run.environment, run.timestamp)
+        : null;
+    const newFailures = previous ? await findNewFailures(projectId, run.run_id, previous.run_id) : null;
+
+    const deliveries = [];
+    webhooks.forEach((webhook) => {
+        const base = { project_id: projectId, run: runPayload };
+        const subscribed = (event) => webhook.events.includes(event);
+
+        if (subscribed('run.ingested')) {
+            deliveries.push({ webhook, event: 'run.ingested', payload: base });
+        }
+        if (subscribed('run.failed') && run.summary.failed > 0) {
+            deliveries.push({ webhook, event: 'run.failed', payload: base });
+        }
+        if (subscribed('run.failure_threshold') && webhook.failure_threshold !== null && run.summary.failed > webhook.failure_threshold) {
+            deliveries.push({
+                webhook,
+                event: 'run.failure_threshold',
+                payload: { ...base, failure_threshold: webhook.failure_threshold }
+            });
+        }
+        if (subscribed('run.new_failures') && newFailures && newFailures.length > 0) {
+            deliveries.push({
+                webhook,
+                event: 'run.new_failures',
+                payload: {
+                    ...base,
+                    previous_run_id: previous.run_id,
+                    new_failures_count: newFailures.length,
+                    new_failures: sampleNewFailures(newFailures),
+                    diff_url: diffUrl(run.run_id, previous.run_id)
+                }
+            });
+        }
+    });
+
+    const createdAt = new Date().toISOString();
+    for (const delivery of deliveries) {
+        await WebhookDelivery.create({
+            ...delivery,
+            payload: { event: delivery.event, created_at: createdAt, ...delivery.payload }
+        });
+    }
+
+    if (deliveries.length > 0) {
+        processDueDeliveries();
+    }
+
+    return deliveries.length;
+};
+
+/**
+ * Delete all webhooks of a project with their delivery logs
+ * @param {string} projectId - Project ID
+ * @returns {Promise<number>} Number of deleted webhooks
+ */
+const deleteProjectWebhooks = async (projectId) => {
+    await WebhookDelivery.deleteByProject(projectId);
+    return await Webhook.deleteByProject(projectId);
+};
+
+module.exports = {
+    createWebhook,
+    listWebhooks,
+    getWebhook,
+    updateWebhook,
+    deleteWebhook,
+    listDeliveries,
+    notifyRunIngested,
+    deleteProjectWebhooks
+};
@@ -0,0 +1,183 @@
+/**
+ * Webhook Delivery Service
+ * Sends queued webhook deliveries and retries failures with backoff
+ * Deliveries are claimed one at a time through MongoDB, so several instances can run the worker.
+ */
+
+const { Agent, fetch } = require('undici');
+const { Webhook, WebhookDelivery } = require('../models/index.model');
+const { signPayload, retryDelayMs, checkWebhookUrl, lookupPublicAddress } = require('../utils/webhook.util');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const CLAIM_LOCK_MS = 60 * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+
+// Connections resolve webhook hosts through lookupPublicAddress, so the checked address is the one connected to
+const deliveryAgent = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+let pollTimer = null;
+let processing = false;
+
+/**
+ * POST one delivery to its webhook
+ * The URL is checked again before every attempt (its DNS may have changed since the webhook was
+ * saved, and IP literals are never looked up), the connection only opens to an address that passes
+ * the same check, and redirects are not followed, so deliveries only reach public addresses.
+ * Response bodies are discarded: they could echo content from the receiving network.
+ * @param {Object} webhook - Stored webhook (with secret)
+ * @param {Object} delivery - Claimed delivery
+ * @returns {Promise<Object>} Attempt log entry { at, status_code, error, duration_ms }
+ */
+const sendDelivery = async (webhook, delivery) => {
+    const at = new Date();
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(at.getTime() / 1000);
+
+    try {
+        const refused = await checkWebhookUrl(webhook.url);
+        if (refused) {
+            return { at, status_code: null, error: refused, duration_ms: Date.now() - at.getTime() };
+        }
+
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'test-result-ingestion-webhooks/1.0',
+                'X-Webhook-Id': webhook._id,
+                'X-Webhook-Delivery': delivery._id.toString(),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+            },
+            body,
+            redirect: 'manual',
+            dispatcher: deliveryAgent,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        if (response.body) {
+            await response.body.cancel();
+        }
+
+        let error = null;
+        if (response.status >= 300 && response.status < 400) {
+            error = `Endpoint redirected with ${response.status}; redirects are not followed`;
+        } else if (!response.ok) {
+            error = `Endpoint responded with ${response.status}`;
+        }
+
+        return {
+            at,
+            status_code: response.status,
+            error,
+            duration_ms: Date.now() - at.getTime()
+        };
+    } catch (error) {
+        let message = error.message;
+        if (error.name === 'TimeoutError') {
+            message = `Timed out after ${REQUEST_TIMEOUT_MS}ms`;
+        } else if (error.cause && error.cause.message) {
+            // fetch reports connection failures (including blocked addresses) as "fetch failed" with a cause
+            message = error.cause.message;
+        }
+
+        return {
+            at,
+            status_code: null,
+            error: message,
+            duration_ms: Date.now() - at.getTime()
+        };
+    }
+};
+
+/**
+ * Attempt one claimed delivery and record the outcome
+ * @param {Object} delivery - Claimed delivery
+ * @returns {Promise<void>}
+ */
+const attemptDelivery = async (delivery) => {
+    const webhook = await Webhook.findByProjectAndId(delivery.project_id, delivery.webhook_id);
+
+    if (!webhook || !webhook.active) {
+        await WebhookDelivery.recordAttempt(delivery._id, {
+            at: new Date(),
+            status_code: null,
+            error: webhook ? 'Webhook is disabled' : 'Webhook was deleted',
+            duration_ms: 0
+        }, { status: 'failed' });
+        return;
+    }
+
+    const attempt = await sendDelivery(webhook, delivery);
+    const attempts = delivery.attempts + 1;
+
+    if (!attempt.error) {
+        await WebhookDelivery.recordAttempt(delivery._id, attempt, { status: 'succeeded' });
+        console.log(`[WEBHOOK_DELIVERED] webhook_id=${webhook._id} event=${delivery.event} attempts=${attempts} duration=${attempt.duration_ms}ms`);
+        return;
+    }
+
+    const delay = retryDelayMs(attempts);
+    if (delay === null) {
+        await WebhookDelivery.recordAttempt(delivery._id, attempt, { status: 'failed' });
+        console.log(`[WEBHOOK_FAILED] webhook_id=${webhook._id} event=${delivery.event} attempts=${attempts} error="${attempt.error}"`);
+        return;
+    }
+
+    await WebhookDelivery.recordAttempt(delivery._id, attempt, {
+        status: 'pending',
+        nextAttemptAt: new Date(Date.now() + delay)
+    });
+    console.log(`[WEBHOOK_RETRY_SCHEDULED] webhook_id=${webhook._id} event=${delivery.event} attempts=${attempts} retry_in=${delay / 1000}s error="${attempt.error}"`);
+};
+
+/**
+ * Send every delivery that is due, one at a time
+ * Overlapping calls in the same process return immediately.
+ * @returns {Promise<void>}
+ */
+const processDueDeliveries = async () => {
+    if (processing) {
+        return;
+    }
+    processing = true;
+
+    try {
+        let delivery = await WebhookDelivery.claimDue(CLAIM_LOCK_MS);
+        while (delivery) {
+            await attemptDelivery(delivery);
+            delivery = await WebhookDelivery.claimDue(CLAIM_LOCK_MS);
+        }
+    } catch (error) {
+        console.error('[WEBHOOK_WORKER_ERROR]', error);
+    } finally {
+        processing = false;
+    }
+};
+
+/**
+ * Start polling for due deliveries (retries, and anything left by a stopped instance)
+ */
+const startDeliveryWorker = () => {
+    if (pollTimer) {
+        return;
+    }
+    pollTimer = setInterval(processDueDeliveries, POLL_INTERVAL_MS);
+    pollTimer.unref();
+};
+
+/**
+ * Stop polling for due deliveries
+ */
+const stopDeliveryWorker = () => {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+};
+
+module.exports = {
+    processDueDeliveries,
+    startDeliveryWorker,
+    stopDeliveryWorker
+};
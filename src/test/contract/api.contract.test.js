@@ -0,0 +1,198 @@
+/**
+ * API contract tests: call the routes with real credentials against a test database and check
+ * every answer against the OpenAPI document served at GET /openapi.json (declared status, media
+ * type and, where the document gives one, the body schema).
+ *
+ * Needs MONGODB_TEST_URI (e.g. mongodb://localhost:27017). Each run uses a fresh database that is
+ * dropped afterwards; without the variable, or when the server cannot be reached, the tests are skipped.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { MongoClient } = require('mongodb');
+const Ajv = require('ajv');
+
+const TEST_URI = process.env.MONGODB_TEST_URI;
+const CONNECT_TIMEOUT_MS = 3000;
+
+/**
+ * Whether the test database answers
+ * @returns {Promise<string|null>} Why it cannot be used, or null when it can
+ */
+const unreachableReason = async () => {
+    const client = new MongoClient(TEST_URI, { serverSelectionTimeoutMS: CONNECT_TIMEOUT_MS });
+    try {
+        await client.connect();
+        await client.db('admin').command({ ping: 1 });
+        return null;
+    } catch (error) {
+        return `MongoDB at MONGODB_TEST_URI is not reachable: ${error.message}`;
+    } finally {
+        await client.close();
+    }
+};
+
+/**
+ * Validator of the schemas in an OpenAPI document
+ * @param {Object} document - OpenAPI document
+ * @returns {Function} (schema, body) => Array<string> of errors
+ */
+const documentValidator = (document) => {
+    const ajv = new Ajv({ strict: false, allErrors: true, allowUnionTypes: true });
+    ajv.addSchema({ $id: 'openapi.json', components: document.components });
+
+    return (schema, body) => {
+        const validate = ajv.compile(schema.$ref ? { $ref: `openapi.json${schema.$ref}` } : schema);
+        return validate(body) ? [] : validate.errors.map((error) => `${error.instancePath || 'body'} ${error.message}`);
+    };
+};
+
+test('API contract', {
+    skip: !TEST_URI && 'MONGODB_TEST_URI is not set'
+}, async (t) => {
+    const reason = await unreachableReason();
+    if (reason) {
+        t.skip(reason);
+        return;
+    }
+
+    // db.config reads these when it is loaded
+    process.env.MONGODB_URI = TEST_URI;
+    process.env.DB_NAME = `contract_test_${crypto.randomBytes(4).toString('hex')}`;
+    process.env.ADMIN_API_KEY = process.env.ADMIN_API_KEY || crypto.randomBytes(24).toString('hex');
+
+    const { connectDatabase, closeDatabase, getDb } = require('../../config/db.config');
+    const { toOpenApiPath } = require('../../utils/openapi.util');
+    const app = require('../../app');
+
+    await connectDatabase();
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    t.after(async () => {
+        await new Promise((resolve) => server.close(resolve));
+        await getDb().dropDatabase();
+        await closeDatabase();
+    });
+
+    const document = await (await fetch(`${baseUrl}/openapi.json`)).json();
+    const validate = documentValidator(document);
+
+    /**
+     * Call a route and check the answer against its operation in the document
+     * @param {string} method - HTTP method
+     * @param {string} route - Express route path, e.g. /runs/:run_id
+     * @param {Object} [options] - { params, query, credential, body }
+     * @returns {Promise<Object>} { status, body }
+     */
+    const call = async (method, route, { params = {}, query = '', credential = null, body } = {}) => {
+        const path = route.replace(/:(\w+)/g, (match, name) => encodeURIComponent(params[name]));
+        const response = await fetch(`${baseUrl}${path}${query}`, {
+            method: method.toUpperCase(),
+            headers: {
+                ...(credential && { Authorization: `Bearer ${credential}` }),
+                ...(body !== undefined && { 'Content-Type': 'application/json' })
+            },
+            ...(body !== undefined && { body: JSON.stringify(body) })
+        });
+        const status = String(response.status);
+        const mediaType = (response.headers.get('content-type') || '').split(';')[0];
+        const responseBody = mediaType === 'application/json' ? await response.json() : await response.text();
+
+        const operation = document.paths[toOpenApiPath(route)][method];
+        const declared = operation.responses[status];
+        assert.ok(declared, `${method} ${route} answered ${status}, which is not declared: ${JSON.stringify(responseBody)}`);
+        assert.ok(
+            Object.prototype.hasOwnProperty.call(declared.content || {}, mediaType),
+            `${method} ${route} answered ${status} as ${mediaType}, which is not declared`
+        );
+
+        const { schema } = declared.content[mediaType];
+        if (schema) {
+            assert.deepEqual(validate(schema, responseBody), [], `${method} ${route} ${status} body does not match its schema`);
+        }
+
+        return { status: response.status, body: responseBody };
+    };
+
+    const rootKey = process.env.ADMIN_API_KEY;
+    let adminKey;
+    let projectId;
+    let token;
+    const run = {
+        run_id: `tr_contract_${crypto.randomBytes(4).toString('hex')}`,
+        environment: 'staging',
+        timestamp: '2026-01-12T10:00:00Z',
+        summary: { total_test_cases: 2, passed: 1, failed: 1, flaky: 0, skipped: 0, duration_ms: 30 },
+        test_suites: [{
+            suite_name: 'Checkout',
+            total_cases: 2,
+            passed: 1,
+            failed: 1,
+            duration_ms: 30,
+            test_cases: [
+                { name: 'pays', status: 'passed', duration_ms: 10 },
+                { name: 'refunds', status: 'failed', duration_ms: 20, error_message: 'expected 200 but got 500' }
+            ]
+        }],
+        metadata: { branch: 'main' }
+    };
+
+    await t.test('health', async () => {
+        assert.equal((await call('get', '/health')).status, 200);
+    });
+
+    await t.test('organization, project and token setup', async () => {
+        const organization = await call('post', '/orgs', { credential: rootKey, body: { name: `contract-${crypto.randomBytes(4).toString('hex')}` } });
+        assert.equal(organization.status, 201);
+        adminKey = organization.body.admin_key.key;
+
+        const project = await call('post', '/projects', { credential: adminKey, body: { org_id: organization.body.id, name: 'contract' } });
+        assert.equal(project.status, 201);
+        projectId = project.body.id;
+
+        const created = await call('post', '/tokens', { credential: adminKey, body: { project_id: projectId, name: 'ci', scopes: ['admin'] } });
+        assert.equal(created.status, 201);
+        token = created.body.token;
+    });
+
+    await t.test('ingest and replay a run', async () => {
+        const ingested = await call('post', '/ingest', { credential: token, body: run });
+        assert.equal(ingested.status, 201);
+        assert.equal(ingested.body.run_id, run.run_id);
+
+        const replayed = await call('post', '/ingest', { credential: token, body: run });
+        assert.equal(replayed.status, 200);
+        assert.equal(replayed.body.duplicate, true);
+
+        const invalid = await call('post', '/ingest', { credential: token, body: {} });
+        assert.equal(invalid.status, 400);
+    });
+
+    await t.test('read runs and stats', async () => {
+        const page = await call('get', '/runs', { credential: token, query: '?environment=staging' });
+        assert.equal(page.status, 200);
+        assert.deepEqual(page.body.runs.map((listed) => listed.run_id), [run.run_id]);
+
+        const stored = await call('get', '/runs/:run_id', { credential: token, params: { run_id: run.run_id } });
+        assert.equal(stored.status, 200);
+        assert.deepEqual(stored.body.test_suites[0].test_cases.map((testCase) => testCase.name), ['pays', 'refunds']);
+
+        const missing = await call('get', '/runs/:run_id', { credential: token, params: { run_id: 'tr_missing' } });
+        assert.equal(missing.status, 404);
+
+        const stats = await call('get', '/projects/:id/stats', { credential: token, params: { id: projectId } });
+        assert.equal(stats.status, 200);
+        assert.equal(stats.body.totals.pass_rate, 0.5);
+    });
+
+    await t.test('credentials are required and checked', async () => {
+        assert.equal((await call('get', '/runs')).status, 401);
+        const wrongSecret = `${token.slice(0, -1)}${token.endsWith('0') ? '1' : '0'}`;
+        assert.equal((await call('get', '/runs', { credential: wrongSecret })).status, 401);
+        assert.equal((await call('post', '/tokens', { credential: token, body: { project_id: projectId, name: 'other' } })).status, 401);
+    });
+});
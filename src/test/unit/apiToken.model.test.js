@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ApiToken = require('../../models/apiToken.model');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * In-memory stand-in for the api_tokens collection, covering the queries ApiToken makes
+ */
+const fakeCollection = () => {
+    const documents = [];
+
+    const matches = (document, filter) => Object.entries(filter).every(([field, condition]) => {
+        if (field === '$or') {
+            return condition.some((alternative) => matches(document, alternative));
+        }
+        const value = document[field];
+        if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+            if ('$exists' in condition) {
+                return (value !== undefined) === condition.$exists;
+            }
+            if ('$lt' in condition) {
+                return value < condition.$lt;
+            }
+        }
+        return value === condition || (value == null && condition === null);
+    });
+
+    return {
+        documents,
+        findOne: async (filter) => documents.find((document) => matches(document, filter)) || null,
+        insertOne: async (document) => {
+            documents.push({ ...document });
+        },
+        updateOne: async (filter, update) => {
+            const document = documents.find((candidate) => matches(candidate, filter));
+            if (!document) {
+                return { matchedCount: 0 };
+            }
+            Object.assign(document, update.$set);
+            Object.keys(update.$unset || {}).forEach((field) => delete document[field]);
+            return { matchedCount: 1 };
+        }
+    };
+};
+
+test.beforeEach((t) => {
+    const collection = fakeCollection();
+    t.mock.method(ApiToken, 'getCollection', () => collection);
+});
+
+test('a created token authenticates until it expires', async () => {
+    const permanent = await ApiToken.create('proj_1', 'ci');
+    assert.match(permanent.token, /^tap_[0-9a-f]{12}_[0-9a-f]{32}$/);
+    assert.deepEqual(await ApiToken.authenticate(permanent.token), {
+        tokenId: permanent.id,
+        projectId: 'proj_1',
+        scopes: ApiToken.DEFAULT_SCOPES
+    });
+
+    const expired = await ApiToken.create('proj_1', 'old', { expiresAt: new Date(Date.now() - 1000) });
+    assert.equal(await ApiToken.authenticate(expired.token), null);
+    assert.equal(await ApiToken.authenticate(`${permanent.token.slice(0, -1)}0`), null);
+});
+
+test('rotate issues a replacement and keeps the old token for the grace period', async () => {
+    const original = await ApiToken.create('proj_1', 'ci', { scopes: ['runs:write'] });
+    const before = Date.now();
+
+    const replacement = await ApiToken.rotate(original.id, { gracePeriodMs: HOUR_MS });
+
+    assert.notEqual(replacement.token, original.token);
+    assert.equal(replacement.name, 'ci');
+    assert.deepEqual(replacement.scopes, ['runs:write']);
+    assert.equal(replacement.expires_at, null);
+    assert.ok(replacement.previous_token_expires_at.getTime() >= before + HOUR_MS);
+
+    const old = await ApiToken.findById(original.id);
+    assert.equal(old.replaced_by, replacement.id);
+    assert.ok(await ApiToken.authenticate(original.token));
+    assert.ok(await ApiToken.authenticate(replacement.token));
+});
+
+test('rotate never extends the old token past its own expiry and passes that expiry on', async () => {
+    const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+    const original = await ApiToken.create('proj_1', 'ci', { expiresAt });
+
+    const replacement = await ApiToken.rotate(original.id, { gracePeriodMs: HOUR_MS });
+
+    assert.equal(replacement.previous_token_expires_at, expiresAt);
+    assert.equal(replacement.expires_at, expiresAt);
+});
+
+test('rotate uses an explicit expiry for the replacement', async () => {
+    const original = await ApiToken.create('proj_1', 'ci', { expiresAt: new Date(Date.now() + HOUR_MS) });
+    const expiresAt = new Date(Date.now() + 30 * 24 * HOUR_MS);
+
+    assert.equal((await ApiToken.rotate(original.id, { gracePeriodMs: 0, expiresAt })).expires_at, expiresAt);
+});
+
+test('rotate refuses a token that was already rotated', async () => {
+    const original = await ApiToken.create('proj_1', 'ci');
+    await ApiToken.rotate(original.id, { gracePeriodMs: HOUR_MS });
+
+    await assert.rejects(ApiToken.rotate(original.id, { gracePeriodMs: HOUR_MS }), /already been rotated/);
+});
+
+test('rotate refuses an expired token instead of issuing an expired replacement', async () => {
+    const original = await ApiToken.create('proj_1', 'ci', { expiresAt: new Date(Date.now() - 1000) });
+
+    await assert.rejects(
+        ApiToken.rotate(original.id, { gracePeriodMs: HOUR_MS, expiresAt: new Date(Date.now() + HOUR_MS) }),
+        /has expired/
+    );
+    const stored = await ApiToken.findById(original.id);
+    assert.equal(stored.rotated_at, undefined);
+    assert.equal(await ApiToken.findByNameAndProject('ci', 'proj_1'), stored);
+});
+
+test('rotate returns null for an unknown token', async () => {
+    assert.equal(await ApiToken.rotate('missing', { gracePeriodMs: HOUR_MS }), null);
+});
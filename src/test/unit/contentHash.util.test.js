@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    canonicalJson,
+    runContentHash,
+    requestFingerprint,
+    amendmentContentHash,
+    contentDifferences
+} = require('../../utils/contentHash.util');
+
+const run = {
+    environment: 'staging',
+    timestamp: '2026-01-12T10:00:00Z',
+    summary: { total_test_cases: 2, passed: 1, failed: 1, flaky: 0, skipped: 0, duration_ms: 30 },
+    testSuites: [{
+        suite_name: 'Checkout',
+        test_cases: [{ name: 'pays', status: 'passed' }, { name: 'refunds', status: 'failed' }]
+    }],
+    metadata: { branch: 'main' }
+};
+
+test('canonicalJson sorts keys, drops undefined properties and uses toJSON', () => {
+    assert.equal(canonicalJson({ b: 1, a: [{ d: undefined, c: null }] }), '{"a":[{"c":null}],"b":1}');
+    assert.equal(canonicalJson(new Date('2026-01-12T10:00:00Z')), '"2026-01-12T10:00:00.000Z"');
+    assert.equal(canonicalJson(undefined), 'null');
+});
+
+test('runContentHash is stable across key order and timestamp notation', () => {
+    const reordered = {
+        metadata: { branch: 'main' },
+        testSuites: run.testSuites,
+        summary: { duration_ms: 30, skipped: 0, flaky: 0, failed: 1, passed: 1, total_test_cases: 2 },
+        timestamp: '2026-01-12T12:00:00+02:00',
+        environment: 'staging'
+    };
+    assert.equal(runContentHash(reordered), runContentHash(run));
+    assert.match(runContentHash(run), /^[0-9a-f]{64}$/);
+});
+
+test('runContentHash changes with the content', () => {
+    const failedTwice = { ...run, summary: { ...run.summary, failed: 2 } };
+    assert.notEqual(runContentHash(failedTwice), runContentHash(run));
+    assert.notEqual(runContentHash({ ...run, environment: undefined }), runContentHash(run));
+    assert.equal(runContentHash({ ...run, environment: undefined }), runContentHash({ ...run, environment: 'unknown' }));
+});
+
+test('requestFingerprint and amendmentContentHash tell requests apart', () => {
+    const request = { format: 'json', payload: { run_id: 'tr_1' }, query: {} };
+    assert.equal(requestFingerprint(request), requestFingerprint({ ...request, payload: { run_id: 'tr_1' } }));
+    assert.notEqual(requestFingerprint(request), requestFingerprint({ ...request, query: { reconcile: 'true' } }));
+
+    assert.notEqual(
+        amendmentContentHash({ testSuites: run.testSuites }),
+        amendmentContentHash({ testSuites: run.testSuites, durationMs: 0 })
+    );
+});
+
+test('contentDifferences lists the fields and cases that differ', () => {
+    const stored = {
+        environment: 'staging',
+        timestamp: '2026-01-12T10:00:00.000Z',
+        summary: run.summary,
+        metadata: { branch: 'main' },
+        test_suites: run.testSuites
+    };
+    const received = {
+        ...run,
+        summary: { ...run.summary, passed: 2, failed: 0 },
+        testSuites: [{
+            suite_name: 'Checkout',
+            test_cases: [{ name: 'pays', status: 'passed' }, { name: 'refunds', status: 'passed' }, { name: 'voids', status: 'passed' }]
+        }]
+    };
+
+    const differences = contentDifferences(stored, received);
+    assert.deepEqual(differences.fields, ['summary', 'test_suites']);
+    assert.deepEqual(differences.test_cases, { added: 1, removed: 0, changed: 1, status_changed: 1 });
+    assert.equal(differences.summary.stored.failed, 1);
+    assert.equal(differences.summary.received.failed, 0);
+});
+
+test('contentDifferences blames the suites when nothing else differs', () => {
+    const stored = { environment: 'staging', timestamp: '2026-01-12T10:00:00.000Z', summary: run.summary, metadata: { branch: 'main' }, test_suites: run.testSuites };
+    assert.deepEqual(contentDifferences(stored, run).fields, ['test_suites']);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeFailureMessage, failureSignature, withFailureSignatures } = require('../../utils/failureSignature.util');
+
+test('normalizeFailureMessage replaces variable parts with placeholders', () => {
+    assert.equal(
+        normalizeFailureMessage('Timeout after 3000ms waiting for https://shop.test/cart?id=42 in /app/src/cart.js:12:5'),
+        'Timeout after <n>ms waiting for <url> in <path>'
+    );
+    assert.equal(
+        normalizeFailureMessage('Order 9f1c2a3b-1d2e-4f50-8a9b-0c1d2e3f4a5b for user_42 failed at 2026-01-12T10:00:00Z (0xdeadbeef)'),
+        'Order <uuid> for <id> failed at <date> (<hex>)'
+    );
+});
+
+test('normalizeFailureMessage keeps only the first non-empty line', () => {
+    assert.equal(normalizeFailureMessage('\n  expected 1 to equal 2  \n- 1\n+ 2'), 'expected <n> to equal <n>');
+    assert.equal(normalizeFailureMessage(null), '');
+});
+
+test('failureSignature groups failures with the same cause and type', () => {
+    const first = failureSignature({ failure_type: 'AssertionError', error_message: 'expected 200 but got 500 for order 17' });
+    const second = failureSignature({ failure_type: 'AssertionError', error_message: 'expected 200 but got 502 for order 99' });
+    const otherType = failureSignature({ failure_type: 'TimeoutError', error_message: 'expected 200 but got 500 for order 17' });
+
+    assert.equal(first.signature, second.signature);
+    assert.match(first.signature, /^[0-9a-f]{16}$/);
+    assert.equal(first.pattern, 'expected <n> but got <n> for order <n>');
+    assert.notEqual(first.signature, otherType.signature);
+});
+
+test('failureSignature falls back to the stack trace', () => {
+    const { pattern } = failureSignature({ stack_trace: 'Error: socket hang up\n    at TLSSocket.onend (node:_tls_wrap:1)' });
+    assert.equal(pattern, 'Error: socket hang up');
+});
+
+test('withFailureSignatures only signs failed cases', () => {
+    const [suite] = withFailureSignatures([{
+        suite_name: 'Checkout',
+        test_cases: [{ name: 'pays', status: 'passed' }, { name: 'refunds', status: 'failed', error_message: 'boom' }]
+    }]);
+
+    assert.equal(suite.test_cases[0].failure_signature, undefined);
+    assert.equal(suite.test_cases[1].failure_pattern, 'boom');
+    assert.match(suite.test_cases[1].failure_signature, /^[0-9a-f]{16}$/);
+    assert.deepEqual(withFailureSignatures(undefined), []);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { thresholdError, evaluateGate } = require('../../utils/qualityGate.util');
+const { NEW_FAILURES_SAMPLE_SIZE } = require('../../utils/runDiff.util');
+
+const run = { summary: { total_test_cases: 10, passed: 8, failed: 2, flaky: 0, skipped: 0, duration_ms: 1200 } };
+const baseline = { run_id: 'tr_prev', summary: { total_test_cases: 10, passed: 10, failed: 0, flaky: 0, skipped: 0, duration_ms: 1000 } };
+
+test('thresholdError checks the threshold of each rule type', () => {
+    assert.equal(thresholdError('pass_rate', 0.9), null);
+    assert.match(thresholdError('pass_rate', 1.5), /between 0 and 1/);
+    assert.equal(thresholdError('max_failed', 0), null);
+    assert.match(thresholdError('max_failed', 1.5), /non-negative integer/);
+    assert.equal(thresholdError('duration_regression', 0.2), null);
+    assert.match(thresholdError('duration_regression', -1), /non-negative number/);
+    assert.equal(thresholdError('no_new_failures', null), null);
+    assert.match(thresholdError('no_new_failures', 1), /not used/);
+});
+
+test('pass_rate and max_failed gates compare the run summary with the threshold', () => {
+    assert.equal(evaluateGate({ type: 'pass_rate', threshold: 0.8 }, run).status, 'passed');
+    assert.deepEqual(evaluateGate({ type: 'pass_rate', threshold: 0.9 }, run), {
+        status: 'failed', expected: 0.9, actual: 0.8, message: 'Pass rate 80.00% (minimum 90.00%)'
+    });
+    assert.equal(evaluateGate({ type: 'pass_rate', threshold: 0.9 }, { summary: { total_test_cases: 1, passed: 0, skipped: 1 } }).status, 'skipped');
+
+    assert.equal(evaluateGate({ type: 'max_failed', threshold: 2 }, run).status, 'passed');
+    assert.equal(evaluateGate({ type: 'max_failed', threshold: 1 }, run).status, 'failed');
+});
+
+test('baseline gates are skipped without a baseline', () => {
+    assert.equal(evaluateGate({ type: 'no_new_failures' }, run).status, 'skipped');
+    assert.equal(evaluateGate({ type: 'duration_regression', threshold: 0.1 }, run).status, 'skipped');
+});
+
+test('duration_regression gates compare with the baseline duration', () => {
+    const result = evaluateGate({ type: 'duration_regression', threshold: 0.1 }, run, { baseline });
+    assert.equal(result.status, 'failed');
+    assert.equal(result.actual, 0.2);
+    assert.equal(evaluateGate({ type: 'duration_regression', threshold: 0.25 }, run, { baseline }).status, 'passed');
+});
+
+test('no_new_failures gates count every new failure but keep only a sample', () => {
+    const newFailures = Array.from({ length: NEW_FAILURES_SAMPLE_SIZE + 20 }, (_, index) => ({
+        suite_name: 'Checkout',
+        name: `case ${index}`,
+        error_message: 'boom'
+    }));
+
+    const result = evaluateGate({ type: 'no_new_failures' }, run, { baseline, newFailures });
+    assert.equal(result.status, 'failed');
+    assert.equal(result.actual, NEW_FAILURES_SAMPLE_SIZE + 20);
+    assert.equal(result.new_failures.length, NEW_FAILURES_SAMPLE_SIZE);
+    assert.deepEqual(result.new_failures[0], { suite_name: 'Checkout', name: 'case 0' });
+
+    assert.equal(evaluateGate({ type: 'no_new_failures' }, run, { baseline, newFailures: [] }).status, 'passed');
+});
+
+test('unknown gate types are skipped', () => {
+    assert.equal(evaluateGate({ type: 'coverage' }, run).status, 'skipped');
+});
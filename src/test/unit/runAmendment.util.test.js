@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { amendSuites } = require('../../utils/runAmendment.util');
+
+const stored = [{
+    suite_name: 'Checkout',
+    duration_ms: 100,
+    test_cases: [
+        { name: 'pays', status: 'failed', duration_ms: 40, error_message: 'timeout' },
+        { name: 'refunds', status: 'passed', duration_ms: 60 }
+    ]
+}];
+
+test('amendSuites turns a passing retry of a failed case into a flaky case with attempts', () => {
+    const result = amendSuites(stored, [{ suite_name: 'Checkout', test_cases: [{ name: 'pays', status: 'passed', duration_ms: 35 }] }]);
+    const pays = result.testSuites[0].test_cases[0];
+
+    assert.equal(pays.status, 'flaky');
+    assert.equal(pays.duration_ms, 35);
+    assert.equal(pays.error_message, undefined);
+    assert.deepEqual(pays.attempts, [
+        { status: 'failed', duration_ms: 40, error_message: 'timeout' },
+        { status: 'passed', duration_ms: 35 }
+    ]);
+    assert.deepEqual(result.changes, { retried: 1, added: 0, flaky: 1 });
+    assert.deepEqual(result.changed, [{ suiteIndex: 0, caseIndex: 0, added: false }]);
+    assert.equal(result.testSuites[0].duration_ms, 135);
+    assert.equal(result.durationMs, 35);
+});
+
+test('amendSuites keeps a case failed when its last executed attempt failed', () => {
+    const result = amendSuites(stored, [{
+        suite_name: 'Checkout',
+        test_cases: [{ name: 'refunds', status: 'failed', duration_ms: 5 }, { name: 'refunds', status: 'skipped' }]
+    }]);
+    const refunds = result.testSuites[0].test_cases[1];
+
+    assert.equal(refunds.status, 'failed');
+    assert.equal(refunds.attempts.length, 3);
+    assert.deepEqual(result.changes, { retried: 2, added: 0, flaky: 0 });
+    assert.deepEqual(result.changed, [{ suiteIndex: 0, caseIndex: 1, added: false }]);
+});
+
+test('amendSuites appends late cases and new suites', () => {
+    const result = amendSuites(stored, [
+        { suite_name: 'Checkout', test_cases: [{ name: 'voids', status: 'passed', duration_ms: 7 }] },
+        { suite_name: 'Search', duration_ms: 50, test_cases: [{ name: 'finds', status: 'passed', duration_ms: 20 }] }
+    ]);
+
+    assert.deepEqual(result.testSuites.map((suite) => suite.test_cases.map((testCase) => testCase.name)), [
+        ['pays', 'refunds', 'voids'],
+        ['finds']
+    ]);
+    assert.deepEqual(result.changed, [
+        { suiteIndex: 0, caseIndex: 2, added: true },
+        { suiteIndex: 1, caseIndex: 0, added: true }
+    ]);
+    assert.deepEqual(result.changes, { retried: 0, added: 2, flaky: 0 });
+    assert.equal(result.testSuites[1].duration_ms, 50);
+    assert.equal(result.durationMs, 57);
+});
+
+test('amendSuites leaves the stored suites untouched', () => {
+    const before = JSON.stringify(stored);
+    amendSuites(stored, [{ suite_name: 'Checkout', test_cases: [{ name: 'pays', status: 'passed' }, { name: 'new', status: 'passed' }] }]);
+    assert.equal(JSON.stringify(stored), before);
+});
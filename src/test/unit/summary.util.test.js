@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { countStatuses, passRate, reconcileTestRun, checkConsistency } = require('../../utils/summary.util');
+
+const suite = (suiteName, statuses, extra = {}) => ({
+    suite_name: suiteName,
+    ...extra,
+    test_cases: statuses.map((status, index) => ({ name: `case ${index}`, status, duration_ms: 10 }))
+});
+
+test('countStatuses counts known statuses and skips entries that are not objects', () => {
+    const counts = countStatuses([{ status: 'passed' }, { status: 'failed' }, { status: 'flaky' }, null, 'x', { status: 'unknown' }]);
+    assert.deepEqual(counts, { passed: 1, failed: 1, flaky: 1, skipped: 0 });
+});
+
+test('passRate ignores skipped cases and is null when nothing executed', () => {
+    assert.equal(passRate({ total_test_cases: 10, passed: 6, skipped: 2 }), 0.75);
+    assert.equal(passRate({ total_test_cases: 3, passed: 2, skipped: 0 }), 0.6667);
+    assert.equal(passRate({ total_test_cases: 2, passed: 0, skipped: 2 }), null);
+});
+
+test('reconcileTestRun rebuilds suite and run counters from the cases', () => {
+    const reconciled = reconcileTestRun({
+        summary: { total_test_cases: 99, passed: 99, failed: 0 },
+        test_suites: [suite('A', ['passed', 'failed']), suite('B', ['skipped'], { duration_ms: 500 })]
+    });
+
+    assert.deepEqual(reconciled.test_suites.map(({ test_cases, ...counters }) => counters), [
+        { suite_name: 'A', total_cases: 2, passed: 1, failed: 1, flaky: 0, skipped: 0, duration_ms: 20 },
+        { suite_name: 'B', total_cases: 1, passed: 0, failed: 0, flaky: 0, skipped: 1, duration_ms: 500 }
+    ]);
+    assert.deepEqual(reconciled.summary, {
+        total_test_cases: 3, passed: 1, failed: 1, flaky: 0, skipped: 1, duration_ms: 520
+    });
+});
+
+test('reconcileTestRun keeps the counters of suites without cases and of runs without suites', () => {
+    const rollup = { suite_name: 'A', total_cases: 4, passed: 4, failed: 0, duration_ms: 40 };
+    const reconciled = reconcileTestRun({ summary: { duration_ms: 7 }, test_suites: [rollup] });
+    assert.deepEqual(reconciled.test_suites, [rollup]);
+    assert.equal(reconciled.summary.total_test_cases, 4);
+    assert.equal(reconciled.summary.duration_ms, 7);
+
+    const withoutSuites = { summary: { total_test_cases: 1 }, test_suites: [] };
+    assert.equal(reconcileTestRun(withoutSuites), withoutSuites);
+});
+
+test('checkConsistency accepts a reconciled run', () => {
+    const reconciled = reconcileTestRun({ summary: {}, test_suites: [suite('A', ['passed', 'flaky', 'failed'])] });
+    assert.deepEqual(checkConsistency(reconciled), []);
+});
+
+test('checkConsistency reports counters that disagree', () => {
+    const errors = checkConsistency({
+        summary: { total_test_cases: 3, passed: 1, failed: 1, flaky: 0, skipped: 0 },
+        test_suites: [{ ...suite('A', ['passed', 'failed']), total_cases: 3, passed: 2, failed: 1 }]
+    });
+
+    assert.deepEqual(errors, [
+        'summary counts do not add up: passed + failed + flaky + skipped = 2, but total_test_cases = 3',
+        'test_suites[0].total_cases is 3 but 2 test_cases were submitted',
+        'test_suites[0].passed is 2 but 1 test_cases have status "passed"',
+        'summary.passed is 1 but test_suites add up to 2'
+    ]);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signPayload, retryDelayMs, checkWebhookUrl, lookupPublicAddress } = require('../../utils/webhook.util');
+
+const lookup = (hostname, options) => new Promise((resolve) => {
+    lookupPublicAddress(hostname, options, (error, ...result) => resolve({ error, result }));
+});
+
+test('signPayload signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signPayload('secret', 1700000000, '{"a":1}'), `sha256=${expected}`);
+});
+
+test('retryDelayMs follows the retry schedule and then gives up', () => {
+    assert.equal(retryDelayMs(1), 30 * 1000);
+    assert.equal(retryDelayMs(5), 6 * 60 * 60 * 1000);
+    assert.equal(retryDelayMs(6), null);
+});
+
+test('checkWebhookUrl refuses loopback, private, link-local and mapped addresses', async () => {
+    for (const url of [
+        'http://127.0.0.1/hook',
+        'http://10.1.2.3/hook',
+        'http://192.168.0.10:8080/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://100.64.0.1/hook',
+        'http://[::1]/hook',
+        'http://[fd00::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'http://localhost/hook'
+    ]) {
+        assert.match(await checkWebhookUrl(url), /loopback, private or link-local/, url);
+    }
+});
+
+test('checkWebhookUrl accepts public addresses', async () => {
+    assert.equal(await checkWebhookUrl('https://8.8.8.8/hook'), null);
+    assert.equal(await checkWebhookUrl('https://[2001:4860:4860::8888]/hook'), null);
+});
+
+test('lookupPublicAddress fails the connection for blocked addresses', async () => {
+    const { error } = await lookup('localhost', {});
+    assert.equal(error.code, 'EBLOCKEDADDRESS');
+});
+
+test('lookupPublicAddress answers like dns.lookup for public addresses', async () => {
+    assert.deepEqual(await lookup('8.8.8.8', {}), { error: null, result: ['8.8.8.8', 4] });
+    assert.deepEqual(await lookup('8.8.8.8', { all: true }), { error: null, result: [[{ address: '8.8.8.8', family: 4 }]] });
+});
@@ -0,0 +1,174 @@
+/**
+ * Content hash utility functions
+ * Fingerprints of test run content and ingest requests, used to tell a retry from a different
+ * payload that reuses a run_id or an Idempotency-Key
+ */
+
+const crypto = require('crypto');
+
+const SUMMARY_FIELDS = ['total_test_cases', 'passed', 'failed', 'flaky', 'skipped', 'duration_ms'];
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal content gives equal text
+ * Undefined object properties are left out, as JSON.stringify does.
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+const canonicalJson = (value) => {
+    if (value && typeof value.toJSON === 'function') {
+        return canonicalJson(value.toJSON());
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter((key) => value[key] !== undefined)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * SHA-256 of the canonical JSON of a value
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Hex digest
+ */
+const sha256 = (value) => crypto.createHash('sha256').update(canonicalJson(value)).digest('hex');
+
+/**
+ * Summary counters as the run document stores them
+ */
+const storedSummary = (summary = {}) => Object.fromEntries(SUMMARY_FIELDS.map((field) => [field, summary[field] || 0]));
+
+/**
+ * Hash of what a run stores, normalized the way the run document is
+ * @param {Object} run - Run content
+ * @param {string} run.environment - Environment name
+ * @param {string} run.timestamp - Run date
+ * @param {Object} run.summary - Summary counters
+ * @param {Array} run.testSuites - Suites with their test_cases
+ * @param {Object|null} run.metadata - Normalized git/CI metadata
+ * @returns {string} Hex digest
+ */
+const runContentHash = ({ environment, timestamp, summary, testSuites, metadata }) => sha256({
+    environment: environment || 'unknown',
+    timestamp: new Date(timestamp).toISOString(),
+    summary: storedSummary(summary),
+    test_suites: testSuites || [],
+    metadata: metadata || null
+});
+
+/**
+ * Hash of an ingest request, for Idempotency-Key checks
+ * @param {Object} request - Request as received
+ * @param {string} request.format - 'json' or 'junit'
+ * @param {Object|string} request.payload - Parsed JSON body or XML text
+ * @param {Object} request.query - Query parameters that shape the run
+ * @returns {string} Hex digest
+ */
+const requestFingerprint = ({ format, payload, query }) => sha256({ format, payload, query });
+
+/**
+ * Hash of a run amendment, to recognize a retried PATCH /runs/:run_id
+ * @param {Object} amendment - Amendment as received
+ * @param {Array} amendment.testSuites - Suites with their test_cases
+ * @param {number} [amendment.durationMs] - Duration added to the run
+ * @returns {string} Hex digest
+ */
+const amendmentContentHash = ({ testSuites, durationMs }) => sha256({
+    test_suites: testSuites,
+    duration_ms: durationMs === undefined ? null : durationMs
+});
+
+/**
+ * Hash of an ingest session batch, to tell a re-sent batch_id from a different batch
+ * @param {Array} testSuites - Suites with their test_cases
+ * @returns {string} Hex digest
+ */
+const batchContentHash = (testSuites) => sha256({ test_suites: testSuites });
+
+/**
+ * Index the cases of a run by suite and case name (first occurrence wins)
+ * @param {Array} testSuites - Suites with their test_cases
+ * @returns {Map} JSON [suite_name, name] -> case
+ */
+const indexCases = (testSuites) => {
+    const cases = new Map();
+    (testSuites || []).forEach((suite) => {
+        (suite.test_cases || []).forEach((testCase) => {
+            const key = JSON.stringify([suite.suite_name, testCase.name]);
+            if (!cases.has(key)) {
+                cases.set(key, testCase);
+            }
+        });
+    });
+    return cases;
+};
+
+/**
+ * Describe how received run content differs from a stored run
+ * @param {Object} stored - Stored run document whose suites carry test_cases
+ * @param {Object} received - Run content, as passed to runContentHash
+ * @returns {Object} { fields, summary?, test_cases } - fields lists the top-level fields that differ
+ */
+const contentDifferences = (stored, received) => {
+    const fields = [];
+    if ((received.environment || 'unknown') !== stored.environment) {
+        fields.push('environment');
+    }
+    if (new Date(received.timestamp).toISOString() !== stored.timestamp) {
+        fields.push('timestamp');
+    }
+    if (canonicalJson(storedSummary(received.summary)) !== canonicalJson(storedSummary(stored.summary))) {
+        fields.push('summary');
+    }
+    if (canonicalJson(received.metadata || null) !== canonicalJson(stored.metadata || null)) {
+        fields.push('metadata');
+    }
+
+    const storedCases = indexCases(stored.test_suites);
+    const receivedCases = indexCases(received.testSuites);
+    const testCases = { added: 0, removed: 0, changed: 0, status_changed: 0 };
+
+    receivedCases.forEach((testCase, key) => {
+        const storedCase = storedCases.get(key);
+        if (!storedCase) {
+            testCases.added++;
+        } else if (canonicalJson(testCase) !== canonicalJson(storedCase)) {
+            testCases.changed++;
+            if (testCase.status !== storedCase.status) {
+                testCases.status_changed++;
+            }
+        }
+    });
+    storedCases.forEach((storedCase, key) => {
+        if (!receivedCases.has(key)) {
+            testCases.removed++;
+        }
+    });
+
+    // The hashes differ, so when no other field does, the suites do (e.g. a suite's duration)
+    if (testCases.added + testCases.removed + testCases.changed > 0 || fields.length === 0) {
+        fields.push('test_suites');
+    }
+
+    return {
+        fields,
+        ...(fields.includes('summary') && {
+            summary: { stored: storedSummary(stored.summary), received: storedSummary(received.summary) }
+        }),
+        test_cases: testCases
+    };
+};
+
+module.exports = {
+    canonicalJson,
+    runContentHash,
+    requestFingerprint,
+    amendmentContentHash,
+    batchContentHash,
+    contentDifferences
+};
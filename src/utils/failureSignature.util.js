@@ -0,0 +1,90 @@
+/**
+ * Failure signature utility functions
+ * Normalize failure messages so failures with the same root cause share a signature
+ */
+
+const crypto = require('crypto');
+
+const MAX_ERROR_MESSAGE_LENGTH = 10000;
+const MAX_STACK_TRACE_LENGTH = 65536;
+const MAX_FAILURE_TYPE_LENGTH = 255;
+const MAX_ATTACHMENTS = 20;
+const MAX_PATTERN_LENGTH = 500;
+
+// Applied in order: the broad shapes (URLs, paths, UUIDs) go before plain numbers,
+// otherwise their digits would be replaced first and the shapes would no longer match
+const NORMALIZERS = [
+    [/\b[a-z][a-z0-9+.-]*:\/\/[^\s'"<>()]+/gi, '<url>'],
+    [/\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?/g, '<date>'],
+    [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+    [/(?:[A-Za-z]:)?(?:[\\/][\w.@~-]+){2,}(?::\d+)*/g, '<path>'],
+    [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+    [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<hex>'],
+    [/\b[A-Za-z]+_[A-Za-z0-9]*\d[A-Za-z0-9]*\b/g, '<id>'],
+    [/\d+(?:\.\d+)?/g, '<n>']
+];
+
+/**
+ * Reduce a failure message to the pattern it shares with failures of the same cause
+ * Numbers, IDs, UUIDs, hashes, dates, URLs and file paths are replaced by placeholders and
+ * only the first line is kept (later lines are usually diffs or stack frames).
+ * @param {string|null} message - Failure message
+ * @returns {string} Normalized pattern ('' when there is no message)
+ */
+const normalizeFailureMessage = (message) => {
+    if (!message) {
+        return '';
+    }
+
+    const firstLine = message.split(/\r?\n/).find((line) => line.trim().length > 0) || '';
+    const normalized = NORMALIZERS
+        .reduce((text, [pattern, placeholder]) => text.replace(pattern, placeholder), firstLine)
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return normalized.slice(0, MAX_PATTERN_LENGTH);
+};
+
+/**
+ * Compute the failure signature of a failed case
+ * The message falls back to the first line of the stack trace when the case has none.
+ * @param {Object} testCase - { failure_type, error_message, stack_trace }
+ * @returns {Object} { signature, pattern }
+ */
+const failureSignature = (testCase) => {
+    const pattern = normalizeFailureMessage(testCase.error_message || testCase.stack_trace);
+    const failureType = testCase.failure_type || '';
+    const signature = crypto
+        .createHash('sha256')
+        .update(`${failureType}\n${pattern}`)
+        .digest('hex')
+        .slice(0, 16);
+
+    return { signature, pattern };
+};
+
+/**
+ * Attach failure signatures to the failed cases of a run before they are stored
+ * @param {Array} testSuites - Suites with their test_cases
+ * @returns {Array} Copies of the suites; failed cases gain failure_signature and failure_pattern
+ */
+const withFailureSignatures = (testSuites) => (testSuites || []).map((suite) => ({
+    ...suite,
+    test_cases: (suite.test_cases || []).map((testCase) => {
+        if (testCase.status !== 'failed') {
+            return testCase;
+        }
+        const { signature, pattern } = failureSignature(testCase);
+        return { ...testCase, failure_signature: signature, failure_pattern: pattern };
+    })
+}));
+
+module.exports = {
+    MAX_ERROR_MESSAGE_LENGTH,
+    MAX_STACK_TRACE_LENGTH,
+    MAX_FAILURE_TYPE_LENGTH,
+    MAX_ATTACHMENTS,
+    normalizeFailureMessage,
+    failureSignature,
+    withFailureSignatures
+};
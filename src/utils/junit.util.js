@@ -0,0 +1,215 @@
+/**
+ * JUnit XML utility functions
+ * Converts JUnit reports into the test run shape accepted by /ingest
+ */
+
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { countStatuses } = require('./summary.util');
+const { MAX_ERROR_MESSAGE_LENGTH, MAX_FAILURE_TYPE_LENGTH, MAX_STACK_TRACE_LENGTH } = require('./failureSignature.util');
+const { MAX_TEST_NAME_LENGTH, MAX_SUITE_NAME_LENGTH } = require('../schemas/ingest.schema');
+const { METADATA_FIELDS } = require('./runMetadata.util');
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    parseAttributeValue: false,
+    parseTagValue: false,
+    isArray: (name) => ['testsuites', 'testsuite', 'testcase', 'failure', 'error', 'flakyFailure', 'flakyError', 'rerunFailure', 'rerunError'].includes(name)
+});
+
+/**
+ * Convert a JUnit `time` attribute (seconds) to milliseconds
+ * @param {string|undefined} time - Time in seconds
+ * @returns {number}
+ */
+const secondsToMs = (time) => {
+    const seconds = parseFloat(time);
+    return Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds * 1000) : 0;
+};
+
+/**
+ * Normalize a JUnit timestamp; reporters commonly omit the timezone, which is taken as UTC
+ * @param {string|undefined} timestamp - Timestamp attribute
+ * @returns {string|null}
+ */
+const normalizeTimestamp = (timestamp) => {
+    if (!timestamp) {
+        return null;
+    }
+    return /(Z|[+-]\d{2}:?\d{2})$/.test(timestamp) ? timestamp : `${timestamp}Z`;
+};
+
+/**
+ * Extract a message from a failure/error element
+ * @param {Object|string} element - Parsed element
+ * @returns {string|null}
+ */
+const elementMessage = (element) => {
+    if (typeof element === 'string') {
+        return element.trim() || null;
+    }
+    return element['@_message'] || (element['#text'] || '').trim() || null;
+};
+
+/**
+ * Extract failure details from a failure/error element
+ * The element text is the stack trace; the type attribute is the exception class.
+ * Both are cut to the lengths accepted for JSON payloads.
+ * @param {Object|string} element - Parsed element
+ * @returns {Object} { error_message, failure_type, stack_trace }
+ */
+const elementDetails = (element) => {
+    const text = typeof element === 'string' ? element.trim() : (element['#text'] || '').trim();
+    const type = typeof element === 'string' ? null : element['@_type'] || null;
+    const message = elementMessage(element);
+
+    return {
+        error_message: message ? message.slice(0, MAX_ERROR_MESSAGE_LENGTH) : null,
+        failure_type: type ? type.slice(0, MAX_FAILURE_TYPE_LENGTH) : null,
+        stack_trace: text && text !== message ? text.slice(0, MAX_STACK_TRACE_LENGTH) : null
+    };
+};
+
+/**
+ * Map a JUnit <testcase> to a test case object
+ * Surefire-style flakyFailure/rerunFailure elements without a final failure mark the case flaky
+ * @param {Object} testcase - Parsed <testcase> element
+ * @returns {Object} { name, status, duration_ms, error_message, failure_type, stack_trace }
+ */
+const mapTestCase = (testcase) => {
+    const failures = [...(testcase.failure || []), ...(testcase.error || [])];
+    const retries = [
+        ...(testcase.flakyFailure || []),
+        ...(testcase.flakyError || []),
+        ...(testcase.rerunFailure || []),
+        ...(testcase.rerunError || [])
+    ];
+
+    let status = 'passed';
+    let details = { error_message: null, failure_type: null, stack_trace: null };
+
+    if (failures.length > 0) {
+        status = 'failed';
+        details = elementDetails(failures[0]);
+    } else if (testcase.skipped !== undefined) {
+        status = 'skipped';
+    } else if (retries.length > 0) {
+        status = 'flaky';
+        details = elementDetails(retries[0]);
+    }
+
+    return {
+        name: (testcase['@_name'] || testcase['@_classname'] || 'unnamed').slice(0, MAX_TEST_NAME_LENGTH),
+        status,
+        duration_ms: secondsToMs(testcase['@_time']),
+        ...details
+    };
+};
+
+/**
+ * Flatten (possibly nested) <testsuite> elements into a list
+ * @param {Array} suites - Parsed <testsuite> elements
+ * @returns {Array}
+ */
+const flattenSuites = (suites = []) => {
+    return suites.flatMap((suite) => [suite, ...flattenSuites(suite.testsuite)]);
+};
+
+/**
+ * Parse a JUnit XML report into test run fields
+ * @param {string} xml - JUnit XML document
+ * @returns {Object} { timestamp, summary, test_suites }
+ * @throws {Error} If the document is not well-formed JUnit XML
+ */
+const parseJUnitReport = (xml) => {
+    if (typeof xml !== 'string' || XMLValidator.validate(xml) !== true) {
+        throw new Error('Invalid XML document');
+    }
+
+    const document = parser.parse(xml);
+    const root = document.testsuites ? document.testsuites[0] : null;
+    const topLevelSuites = root ? root.testsuite : document.testsuite;
+
+    if (!topLevelSuites) {
+        throw new Error('Document has no <testsuites> or <testsuite> root element');
+    }
+
+    const suites = flattenSuites(topLevelSuites);
+
+    // Nested suites only contribute their own direct test cases
+    const testSuites = suites
+        .filter((suite) => (suite.testcase || []).length > 0 || !suite.testsuite)
+        .map((suite) => {
+            const testCases = (suite.testcase || []).map(mapTestCase);
+            const counts = countStatuses(testCases);
+            const caseDuration = testCases.reduce((sum, testCase) => sum + testCase.duration_ms, 0);
+
+            return {
+                suite_name: (suite['@_name'] || 'unnamed').slice(0, MAX_SUITE_NAME_LENGTH),
+                total_cases: testCases.length,
+                passed: counts.passed,
+                failed: counts.failed,
+                flaky: counts.flaky,
+                skipped: counts.skipped,
+                duration_ms: suite['@_time'] !== undefined ? secondsToMs(suite['@_time']) : caseDuration,
+                test_cases: testCases
+            };
+        });
+
+    const allCases = testSuites.flatMap((suite) => suite.test_cases);
+    const counts = countStatuses(allCases);
+    const suiteDuration = testSuites.reduce((sum, suite) => sum + suite.duration_ms, 0);
+
+    const timestamp = (root && root['@_timestamp']) || suites.map((suite) => suite['@_timestamp']).find(Boolean);
+
+    return {
+        timestamp: normalizeTimestamp(timestamp),
+        summary: {
+            total_test_cases: allCases.length,
+            ...counts,
+            duration_ms: root && root['@_time'] !== undefined ? secondsToMs(root['@_time']) : suiteDuration
+        },
+        test_suites: testSuites
+    };
+};
+
+/**
+ * Build a test run body from a JUnit XML report and the query string of its upload
+ * run_id and environment come from the query; timestamp comes from the query, the report,
+ * or the time of upload. Git/CI metadata comes from the query too (branch, commit_sha, ..., labels[key]=value).
+ * @param {string} xml - JUnit XML document
+ * @param {Object} query - Parsed query string
+ * @param {Date} [uploadedAt] - Time of upload
+ * @returns {Object} Test run body in the JSON ingest format
+ * @throws {Error} If the document is not well-formed JUnit XML
+ */
+const junitTestRun = (xml, query, uploadedAt = new Date()) => {
+    const report = parseJUnitReport(xml);
+    const { run_id, environment, timestamp } = query;
+
+    const body = {
+        run_id,
+        environment,
+        timestamp: timestamp || report.timestamp || uploadedAt.toISOString(),
+        summary: report.summary,
+        test_suites: report.test_suites
+    };
+
+    const metadata = {};
+    METADATA_FIELDS
+        .filter((field) => query[field] !== undefined)
+        .forEach((field) => {
+            // Query values are strings; pr_number is validated as an integer like in JSON bodies
+            metadata[field] = field === 'pr_number' ? Number(query[field]) : query[field];
+        });
+    if (Object.keys(metadata).length > 0) {
+        body.metadata = metadata;
+    }
+
+    return body;
+};
+
+module.exports = {
+    parseJUnitReport,
+    junitTestRun
+};
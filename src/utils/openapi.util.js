@@ -0,0 +1,229 @@
+/**
+ * OpenAPI utility functions
+ * Middleware carries what it contributes to an operation (credentials, scope, body and query
+ * schemas, error responses), so the OpenAPI document is read off the routes themselves.
+ */
+
+const { INFO, SECURITY_SCHEMES, TAGS, OPERATIONS } = require('../config/openapi.config');
+const { SCHEMA_NAMES, RESPONSE_SCHEMA_NAMES, getSchema, getQuerySchema, getResponseSchema } = require('../schemas');
+
+const ERROR_SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['error', 'message'],
+        properties: {
+            error: { type: 'string', description: 'HTTP status text' },
+            message: { type: 'string' }
+        }
+    },
+    ValidationError: {
+        type: 'object',
+        required: ['error', 'details'],
+        properties: {
+            error: { const: 'Validation Error' },
+            details: { type: 'array', items: { type: 'string' } }
+        }
+    }
+};
+
+const XML_MEDIA_TYPES = ['application/xml', 'text/xml'];
+
+/**
+ * Attach OpenAPI metadata to a middleware
+ * @param {Function} middleware - Express middleware
+ * @param {Object} metadata - What the middleware contributes to the operations using it
+ * @param {string} [metadata.security] - Security scheme ('apiToken' or 'adminKey')
+ * @param {string} [metadata.scope] - Required token scope
+ * @param {string} [metadata.body] - Request body schema name
+ * @param {string} [metadata.query] - Query schema name
+ * @param {boolean} [metadata.xml] - Also accepts a JUnit XML body
+ * @param {Object} [metadata.responses] - Error responses by status code
+ * @returns {Function} The same middleware
+ */
+const documented = (middleware, metadata) => {
+    middleware.openapi = metadata;
+    return middleware;
+};
+
+/**
+ * Convert an Express route path to an OpenAPI path
+ * @param {string} path - e.g. /runs/:run_id
+ * @returns {string} e.g. /runs/{run_id}
+ */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * List the routes of a router with the merged metadata of their middleware
+ * Later middleware wins when two describe the same response status.
+ * @param {Object} router - Express router
+ * @returns {Array<Object>} { method, path, handler, metadata }
+ */
+const listRoutes = (router) => router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) => {
+        const handles = layer.route.stack.map((routeLayer) => routeLayer.handle);
+        const metadata = handles.reduce((merged, handle) => {
+            const described = handle.openapi || {};
+            return {
+                ...merged,
+                ...described,
+                responses: { ...merged.responses, ...described.responses }
+            };
+        }, { responses: {} });
+
+        return Object.keys(layer.route.methods).map((method) => ({
+            method,
+            path: layer.route.path,
+            handler: handles[handles.length - 1],
+            metadata
+        }));
+    });
+
+/**
+ * Catalogue key of a route
+ * @returns {string} e.g. "get /runs/:run_id"
+ */
+const operationKey = (method, path) => `${method} ${path}`;
+
+/**
+ * Component name of a schema
+ * @param {string} name - e.g. quality-gate-update
+ * @returns {string} e.g. QualityGateUpdate
+ */
+const componentName = (name) => name
+    .split('-')
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Path and query parameters of a route
+ */
+const buildParameters = (route, operation) => {
+    const pathParameters = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+    }));
+
+    const querySchema = route.metadata.query ? getQuerySchema(route.metadata.query) : null;
+    const queryParameters = querySchema
+        ? Object.entries(querySchema.properties).map(([name, { description, ...schema }]) => ({
+            name,
+            in: 'query',
+            required: querySchema.required.includes(name),
+            ...(schema.type === 'object' && { style: 'deepObject', explode: true }),
+            schema,
+            ...(description && { description })
+        }))
+        : [];
+
+    return [...pathParameters, ...queryParameters, ...(operation.parameters || [])];
+};
+
+/**
+ * Request body of a route, or undefined if it takes none
+ */
+const buildRequestBody = ({ body, xml }) => {
+    if (!body) {
+        return undefined;
+    }
+
+    const content = { 'application/json': { schema: schemaRef(componentName(body)) } };
+    if (xml) {
+        XML_MEDIA_TYPES.forEach((type) => {
+            content[type] = { schema: { type: 'string', description: 'JUnit XML report' } };
+        });
+    }
+    return { required: true, content };
+};
+
+/**
+ * Responses of a route: success and controller errors from the catalogue, middleware errors
+ * from the route, and 404 for routes addressing a resource
+ */
+const buildResponses = (route, operation) => {
+    const validated = Boolean(route.metadata.body || route.metadata.query);
+    const responses = {};
+
+    Object.entries({
+        ...(route.path.includes(':') && { 404: 'Not found' }),
+        ...route.metadata.responses,
+        ...operation.responses
+    }).forEach(([status, description]) => {
+        if (status < 400) {
+            const mediaTypes = operation.content || ['application/json'];
+            const schemaName = operation.schemas && operation.schemas[status];
+            responses[status] = {
+                description,
+                content: Object.fromEntries(mediaTypes.map((type) => [
+                    type,
+                    schemaName && type === 'application/json' ? { schema: schemaRef(componentName(schemaName)) } : {}
+                ]))
+            };
+            return;
+        }
+
+        const schema = schemaRef(status === '400' && validated ? 'ValidationError' : 'Error');
+        responses[status] = { description, content: { 'application/json': { schema } } };
+    });
+
+    return responses;
+};
+
+/**
+ * Build the OpenAPI document of a router
+ * Routes missing from the operation catalogue are still listed, without a summary.
+ * @param {Object} router - Express router
+ * @returns {Object} OpenAPI 3.1 document
+ */
+const buildOpenApiDocument = (router) => {
+    const paths = {};
+
+    listRoutes(router).forEach((route) => {
+        const operation = OPERATIONS[operationKey(route.method, route.path)] || {};
+        const { security, scope } = route.metadata;
+        const parameters = buildParameters(route, operation);
+        const requestBody = buildRequestBody(route.metadata);
+
+        const path = toOpenApiPath(route.path);
+        paths[path] = paths[path] || {};
+        paths[path][route.method] = {
+            operationId: operation.operationId || route.handler.name,
+            ...(operation.summary && { summary: operation.summary }),
+            ...(scope && { description: `Requires a token with the \`${scope}\` scope.` }),
+            ...(operation.tag && { tags: [operation.tag] }),
+            security: security ? [{ [security]: [] }] : [],
+            ...(parameters.length > 0 && { parameters }),
+            ...(requestBody && { requestBody }),
+            responses: buildResponses(route, operation)
+        };
+    });
+
+    const schemas = Object.fromEntries([
+        ...SCHEMA_NAMES.map((name) => [componentName(name), getSchema(name)]),
+        ...RESPONSE_SCHEMA_NAMES.map((name) => [componentName(name), getResponseSchema(name)])
+    ]);
+
+    return {
+        openapi: '3.1.0',
+        info: INFO,
+        tags: TAGS,
+        paths,
+        components: {
+            schemas: { ...schemas, ...ERROR_SCHEMAS },
+            securitySchemes: SECURITY_SCHEMES
+        }
+    };
+};
+
+module.exports = {
+    documented,
+    toOpenApiPath,
+    listRoutes,
+    operationKey,
+    componentName,
+    buildOpenApiDocument
+};
@@ -0,0 +1,31 @@
+/**
+ * Pagination utility functions for cursor-based list endpoints
+ */
+
+/**
+ * Encode a cursor from the sort keys of the last item in a page
+ * @param {Object} keys - Sort key values (e.g. { timestamp, id })
+ * @returns {string} Opaque base64url cursor
+ */
+const encodeCursor = (keys) => {
+    return Buffer.from(JSON.stringify(keys)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor string
+ * @returns {Object|null} Decoded sort keys, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const keys = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return keys && typeof keys === 'object' ? keys : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor
+};
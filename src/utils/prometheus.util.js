@@ -0,0 +1,141 @@
+/**
+ * Prometheus utility functions
+ * Labelled counters and histograms rendered in the text exposition format (version 0.0.4)
+ */
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+const escapeLabelValue = (value) => {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+};
+
+/**
+ * Render a label set as {name="value",...}
+ * @param {Object} labels - Label names to values
+ * @returns {string} Empty string when there are no labels
+ */
+const formatLabels = (labels) => {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Stable key for a label set, used to index series
+ * @param {Object} labels - Label names to values
+ * @returns {string}
+ */
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels));
+
+/**
+ * Create an empty labelled counter
+ * @returns {Map} Series keyed by label set
+ */
+const createCounter = () => new Map();
+
+/**
+ * Add to a counter series
+ * @param {Map} counter - Counter created by createCounter
+ * @param {Object} labels - Label set
+ * @param {number} [value=1] - Amount to add
+ */
+const incrementCounter = (counter, labels, value = 1) => {
+    const key = seriesKey(labels);
+    const series = counter.get(key) || { labels, value: 0 };
+    series.value += value;
+    counter.set(key, series);
+};
+
+/**
+ * Create an empty labelled histogram
+ * @param {Array<number>} buckets - Ascending upper bounds (+Inf is implicit)
+ * @returns {Object} { buckets, series }
+ */
+const createHistogram = (buckets) => ({ buckets, series: new Map() });
+
+/**
+ * Record an observation in a histogram series
+ * @param {Object} histogram - Histogram created by createHistogram
+ * @param {Object} labels - Label set
+ * @param {number} value - Observed value
+ */
+const observeHistogram = (histogram, labels, value) => {
+    const key = seriesKey(labels);
+    let series = histogram.series.get(key);
+    if (!series) {
+        series = { labels, counts: histogram.buckets.map(() => 0), sum: 0, count: 0 };
+        histogram.series.set(key, series);
+    }
+
+    histogram.buckets.forEach((bound, index) => {
+        if (value <= bound) {
+            series.counts[index]++;
+        }
+    });
+    series.sum += value;
+    series.count++;
+};
+
+/**
+ * Render a counter or gauge
+ * @param {string} name - Metric name
+ * @param {string} help - HELP text
+ * @param {string} type - 'counter' or 'gauge'
+ * @param {Array<Object>} samples - { labels, value }
+ * @returns {string}
+ */
+const renderSamples = (name, help, type, samples) => {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    samples.forEach(({ labels, value }) => {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+    });
+    return lines.join('\n');
+};
+
+/**
+ * Render a labelled counter
+ * @param {string} name - Metric name (should end in _total)
+ * @param {string} help - HELP text
+ * @param {Map} counter - Counter created by createCounter
+ * @returns {string}
+ */
+const renderCounter = (name, help, counter) => {
+    return renderSamples(name, help, 'counter', [...counter.values()]);
+};
+
+/**
+ * Render a labelled histogram with cumulative buckets, _sum and _count
+ * @param {string} name - Metric name
+ * @param {string} help - HELP text
+ * @param {Object} histogram - Histogram created by createHistogram
+ * @returns {string}
+ */
+const renderHistogram = (name, help, histogram) => {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+
+    histogram.series.forEach(({ labels, counts, sum, count }) => {
+        histogram.buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+    });
+
+    return lines.join('\n');
+};
+
+module.exports = {
+    PROMETHEUS_CONTENT_TYPE,
+    createCounter,
+    incrementCounter,
+    createHistogram,
+    observeHistogram,
+    renderSamples,
+    renderCounter,
+    renderHistogram
+};
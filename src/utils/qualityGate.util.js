@@ -0,0 +1,104 @@
+/**
+ * Quality gate utility functions
+ * Pure evaluation of gate rules against a run and its baseline
+ */
+
+const { passRate } = require('./summary.util');
+const { sampleNewFailures } = require('./runDiff.util');
+
+/**
+ * Describe why a threshold is invalid for a rule type
+ * @param {string} type - Rule type
+ * @param {*} threshold - Submitted threshold
+ * @returns {string|null} Error message, or null if the threshold is valid
+ */
+const thresholdError = (type, threshold) => {
+    switch (type) {
+        case 'pass_rate':
+            return typeof threshold === 'number' && threshold >= 0 && threshold <= 1
+                ? null
+                : 'threshold must be a number between 0 and 1 for pass_rate gates';
+        case 'max_failed':
+            return Number.isInteger(threshold) && threshold >= 0
+                ? null
+                : 'threshold must be a non-negative integer for max_failed gates';
+        case 'duration_regression':
+            return typeof threshold === 'number' && threshold >= 0
+                ? null
+                : 'threshold must be a non-negative number (allowed increase, e.g. 0.2 for 20%) for duration_regression gates';
+        case 'no_new_failures':
+            return threshold === undefined || threshold === null ? null : 'threshold is not used by no_new_failures gates';
+        default:
+            return null;
+    }
+};
+
+/**
+ * Evaluate one gate rule
+ * @param {Object} gate - Stored gate rule
+ * @param {Object} run - { summary }
+ * @param {Object} context - Baseline data gathered by the caller
+ * @param {Object|null} [context.baseline] - Previous run in the gate's baseline environment
+ * @param {Array} [context.newFailures] - Cases failing in the run but not in the baseline
+ * @returns {Object} { status: 'passed'|'failed'|'skipped', expected, actual, message }; no_new_failures results
+ *   also list a sample of the new failures (see sampleNewFailures), as verdicts are stored on the run
+ */
+const evaluateGate = (gate, run, { baseline = null, newFailures = [] } = {}) => {
+    const { summary } = run;
+
+    switch (gate.type) {
+        case 'pass_rate': {
+            const actual = passRate(summary);
+            if (actual === null) {
+                return { status: 'skipped', expected: gate.threshold, actual, message: 'No executed test cases' };
+            }
+            return {
+                status: actual >= gate.threshold ? 'passed' : 'failed',
+                expected: gate.threshold,
+                actual,
+                message: `Pass rate ${(actual * 100).toFixed(2)}% (minimum ${(gate.threshold * 100).toFixed(2)}%)`
+            };
+        }
+
+        case 'max_failed':
+            return {
+                status: summary.failed <= gate.threshold ? 'passed' : 'failed',
+                expected: gate.threshold,
+                actual: summary.failed,
+                message: `${summary.failed} failed test cases (maximum ${gate.threshold})`
+            };
+
+        case 'no_new_failures':
+            if (!baseline) {
+                return { status: 'skipped', expected: 0, actual: null, message: 'No baseline run to compare against' };
+            }
+            return {
+                status: newFailures.length === 0 ? 'passed' : 'failed',
+                expected: 0,
+                actual: newFailures.length,
+                message: `${newFailures.length} new failures compared with run ${baseline.run_id}`,
+                new_failures: sampleNewFailures(newFailures)
+            };
+
+        case 'duration_regression': {
+            if (!baseline || !baseline.summary.duration_ms) {
+                return { status: 'skipped', expected: gate.threshold, actual: null, message: 'No baseline run duration to compare against' };
+            }
+            const increase = Number(((summary.duration_ms - baseline.summary.duration_ms) / baseline.summary.duration_ms).toFixed(4));
+            return {
+                status: increase <= gate.threshold ? 'passed' : 'failed',
+                expected: gate.threshold,
+                actual: increase,
+                message: `Duration ${summary.duration_ms}ms vs ${baseline.summary.duration_ms}ms in run ${baseline.run_id} (${(increase * 100).toFixed(1)}% change, maximum +${(gate.threshold * 100).toFixed(1)}%)`
+            };
+        }
+
+        default:
+            return { status: 'skipped', expected: null, actual: null, message: `Unknown gate type "${gate.type}"` };
+    }
+};
+
+module.exports = {
+    thresholdError,
+    evaluateGate
+};
@@ -18,11 +18,13 @@ const sendSuccess = (res, statusCode, data) => {
  * @param {number} statusCode - HTTP status code
  * @param {string} error - Error type
  * @param {string} message - Error message
+ * @param {Object} [details] - Additional fields for the response body
  */
-const sendError = (res, statusCode, error, message) => {
+const sendError = (res, statusCode, error, message, details = {}) => {
     res.status(statusCode).json({
         error,
-        message
+        message,
+        ...details
     });
 };
 
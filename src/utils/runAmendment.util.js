@@ -0,0 +1,133 @@
+/**
+ * Run amendment utility functions
+ * Merge retried and late test cases into the suites of a stored run
+ */
+
+/**
+ * One execution of a case, as kept in its attempts list
+ * @param {Object} testCase - Submitted or stored case
+ * @returns {Object} Case fields without name and attempts
+ */
+const toAttempt = (testCase) => {
+    const { name, attempts, ...attempt } = testCase;
+    return attempt;
+};
+
+/**
+ * Status of a case from its attempts, oldest first
+ * Skipped attempts do not count; a case that failed and then passed is flaky.
+ * @param {Array} attempts - Attempts of the case
+ * @returns {string} 'passed', 'failed', 'flaky' or 'skipped'
+ */
+const attemptsStatus = (attempts) => {
+    const executed = attempts.filter((attempt) => attempt.status !== 'skipped');
+    if (executed.length === 0) {
+        return 'skipped';
+    }
+    if (executed[executed.length - 1].status === 'failed') {
+        return 'failed';
+    }
+    return executed.some((attempt) => attempt.status === 'failed' || attempt.status === 'flaky') ? 'flaky' : 'passed';
+};
+
+/**
+ * Record a retry of a case
+ * The case keeps the details of its latest executed attempt and the status of all attempts;
+ * the first retry turns the original execution into the first attempt.
+ * @param {Object} testCase - Current case
+ * @param {Object} retry - Submitted retry
+ * @returns {Object} Updated case with attempts
+ */
+const addAttempt = (testCase, retry) => {
+    const attempts = [...(testCase.attempts || [toAttempt(testCase)]), toAttempt(retry)];
+    const executed = attempts.filter((attempt) => attempt.status !== 'skipped');
+    const latest = executed.length > 0 ? executed[executed.length - 1] : attempts[attempts.length - 1];
+
+    return { name: testCase.name, ...latest, status: attemptsStatus(attempts), attempts };
+};
+
+/**
+ * Sum the durations of cases
+ * @param {Array} testCases - Cases
+ * @returns {number}
+ */
+const sumDurations = (testCases) => testCases.reduce((sum, testCase) => sum + (testCase.duration_ms || 0), 0);
+
+/**
+ * Merge an amendment into the suites of a stored run
+ * Cases are matched by suite and case name (first occurrence wins): a match gains an attempt,
+ * anything else is appended to its suite (or a new suite) as a late result. A suite's duration
+ * grows by the amendment suite's duration_ms, or by the duration of its cases.
+ * @param {Array} testSuites - Stored suites with their test_cases
+ * @param {Array} amendmentSuites - Amendment suites { suite_name, duration_ms?, test_cases }
+ * @returns {Object} { testSuites, changed, changes, durationMs } - changed lists the { suiteIndex, caseIndex, added }
+ *   positions to store; changes counts retried attempts, added cases and cases that became flaky;
+ *   durationMs is the duration added to the suites
+ */
+const amendSuites = (testSuites, amendmentSuites) => {
+    const suites = testSuites.map((suite) => ({ ...suite, test_cases: [...(suite.test_cases || [])] }));
+    const positions = suites.map((suite) => {
+        const byName = new Map();
+        suite.test_cases.forEach((testCase, caseIndex) => {
+            if (!byName.has(testCase.name)) {
+                byName.set(testCase.name, caseIndex);
+            }
+        });
+        return byName;
+    });
+
+    const changed = new Map();
+    const changes = { retried: 0, added: 0, flaky: 0 };
+    let durationMs = 0;
+
+    amendmentSuites.forEach((amendment) => {
+        let suiteIndex = suites.findIndex((suite) => suite.suite_name === amendment.suite_name);
+        if (suiteIndex === -1) {
+            suites.push({ suite_name: amendment.suite_name, duration_ms: 0, test_cases: [] });
+            positions.push(new Map());
+            suiteIndex = suites.length - 1;
+        }
+
+        const suite = suites[suiteIndex];
+        const byName = positions[suiteIndex];
+        const suiteDuration = typeof amendment.duration_ms === 'number' ? amendment.duration_ms : sumDurations(amendment.test_cases);
+        suite.duration_ms = (suite.duration_ms || 0) + suiteDuration;
+        durationMs += suiteDuration;
+
+        amendment.test_cases.forEach((testCase) => {
+            if (!byName.has(testCase.name)) {
+                const caseIndex = suite.test_cases.length;
+                suite.test_cases.push(testCase);
+                byName.set(testCase.name, caseIndex);
+                changed.set(`${suiteIndex}:${caseIndex}`, { suiteIndex, caseIndex, added: true, previousStatus: null });
+                changes.added++;
+                return;
+            }
+
+            const caseIndex = byName.get(testCase.name);
+            const key = `${suiteIndex}:${caseIndex}`;
+            if (!changed.has(key)) {
+                changed.set(key, { suiteIndex, caseIndex, added: false, previousStatus: suite.test_cases[caseIndex].status });
+            }
+            suite.test_cases[caseIndex] = addAttempt(suite.test_cases[caseIndex], testCase);
+            changes.retried++;
+        });
+    });
+
+    changed.forEach(({ suiteIndex, caseIndex, previousStatus }) => {
+        if (suites[suiteIndex].test_cases[caseIndex].status === 'flaky' && previousStatus !== 'flaky') {
+            changes.flaky++;
+        }
+    });
+
+    return {
+        testSuites: suites,
+        changed: [...changed.values()].map(({ suiteIndex, caseIndex, added }) => ({ suiteIndex, caseIndex, added })),
+        changes,
+        durationMs
+    };
+};
+
+module.exports = {
+    amendSuites
+};
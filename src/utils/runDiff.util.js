@@ -0,0 +1,131 @@
+/**
+ * Run diff utility functions
+ * Case-by-case comparison of two test runs
+ */
+
+const DIFF_CATEGORIES = ['newly_failing', 'newly_passing', 'added', 'removed', 'slower'];
+
+// New failures listed where the list is stored or sent (gate verdicts, webhook payloads);
+// GET /runs/:run_id/diff serves the complete comparison
+const NEW_FAILURES_SAMPLE_SIZE = 50;
+
+/**
+ * Index the cases of a run by suite and case name
+ * @param {Array} testSuites - Suites with their test_cases
+ * @returns {Map} suite_name -> Map(case name -> case)
+ */
+const indexCases = (testSuites) => {
+    const suites = new Map();
+    (testSuites || []).forEach((suite) => {
+        if (!suites.has(suite.suite_name)) {
+            suites.set(suite.suite_name, new Map());
+        }
+        const cases = suites.get(suite.suite_name);
+        (suite.test_cases || []).forEach((testCase) => {
+            if (!cases.has(testCase.name)) {
+                cases.set(testCase.name, testCase);
+            }
+        });
+    });
+    return suites;
+};
+
+/**
+ * Whether a status counts as passing (flaky runs eventually passed)
+ * @param {string} status - Case status
+ * @returns {boolean}
+ */
+const isPassing = (status) => status === 'passed' || status === 'flaky';
+
+/**
+ * Compare the cases of two runs
+ * A case is "slower" when both runs executed it and its duration grew by at least
+ * slowerRatio and by at least minDeltaMs (so tiny cases do not flap in and out).
+ * @param {Array} baseSuites - Suites of the base run
+ * @param {Array} headSuites - Suites of the run being reviewed
+ * @param {Object} options - Comparison options
+ * @param {number} options.slowerRatio - Minimum relative increase (0.5 = 50% slower)
+ * @param {number} options.minDeltaMs - Minimum absolute increase in milliseconds
+ * @returns {Object} { totals, suites } where suites only lists suites with changes
+ */
+const diffRuns = (baseSuites, headSuites, { slowerRatio, minDeltaMs }) => {
+    const base = indexCases(baseSuites);
+    const head = indexCases(headSuites);
+    const suiteNames = [...new Set([...head.keys(), ...base.keys()])];
+
+    const totals = Object.fromEntries(DIFF_CATEGORIES.map((category) => [category, 0]));
+    const suites = [];
+
+    suiteNames.forEach((suiteName) => {
+        const baseCases = base.get(suiteName) || new Map();
+        const headCases = head.get(suiteName) || new Map();
+        const diff = Object.fromEntries(DIFF_CATEGORIES.map((category) => [category, []]));
+
+        headCases.forEach((headCase, name) => {
+            const baseCase = baseCases.get(name);
+            if (!baseCase) {
+                diff.added.push({ name, status: headCase.status });
+                return;
+            }
+
+            if (headCase.status === 'failed' && baseCase.status !== 'failed') {
+                diff.newly_failing.push({
+                    name,
+                    base_status: baseCase.status,
+                    head_status: headCase.status,
+                    error_message: headCase.error_message || null
+                });
+            } else if (baseCase.status === 'failed' && isPassing(headCase.status)) {
+                diff.newly_passing.push({ name, base_status: baseCase.status, head_status: headCase.status });
+            }
+
+            const executed = headCase.status !== 'skipped' && baseCase.status !== 'skipped';
+            const baseDuration = baseCase.duration_ms || 0;
+            const headDuration = headCase.duration_ms || 0;
+            const delta = headDuration - baseDuration;
+            if (executed && baseDuration > 0 && delta >= minDeltaMs && delta / baseDuration >= slowerRatio) {
+                diff.slower.push({
+                    name,
+                    base_duration_ms: baseDuration,
+                    head_duration_ms: headDuration,
+                    change: Number((delta / baseDuration).toFixed(4))
+                });
+            }
+        });
+
+        baseCases.forEach((baseCase, name) => {
+            if (!headCases.has(name)) {
+                diff.removed.push({ name, status: baseCase.status });
+            }
+        });
+
+        diff.slower.sort((a, b) => b.change - a.change);
+
+        if (DIFF_CATEGORIES.some((category) => diff[category].length > 0)) {
+            DIFF_CATEGORIES.forEach((category) => {
+                totals[category] += diff[category].length;
+            });
+            suites.push({ suite_name: suiteName, ...diff });
+        }
+    });
+
+    return { totals, suites };
+};
+
+/**
+ * First new failures, without their error messages
+ * A large regression would otherwise make run documents and webhook payloads grow with every failure.
+ * @param {Array} newFailures - { suite_name, name, error_message }
+ * @returns {Array} At most NEW_FAILURES_SAMPLE_SIZE { suite_name, name }
+ */
+const sampleNewFailures = (newFailures) => {
+    return newFailures
+        .slice(0, NEW_FAILURES_SAMPLE_SIZE)
+        .map(({ suite_name, name }) => ({ suite_name, name }));
+};
+
+module.exports = {
+    NEW_FAILURES_SAMPLE_SIZE,
+    diffRuns,
+    sampleNewFailures
+};
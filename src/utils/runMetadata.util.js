@@ -0,0 +1,81 @@
+/**
+ * Run metadata utility functions
+ * Git/CI context attached to a test run (branch, commit, CI build, pull request, labels)
+ */
+
+const METADATA_FIELDS = ['branch', 'commit_sha', 'ci_provider', 'build_number', 'build_url', 'pr_number', 'labels'];
+const COMMIT_SHA_PATTERN = /^[0-9a-fA-F]{7,64}$/;
+const CI_PROVIDER_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+// No dots or colons: keys become MongoDB field names and label filters are written key:value
+const LABEL_KEY_PATTERN = /^[A-Za-z0-9_-]{1,63}$/;
+const MAX_LABELS = 20;
+
+// Dimensions GET /stats can group by; label:<key> groups by the value of one label
+const STATS_GROUPS = ['environment', 'branch', 'ci_provider', 'pr_number'];
+
+/**
+ * Normalize validated metadata for storage
+ * Branch refs lose their refs/heads/ prefix, commit hashes are lowercased and build numbers
+ * become strings, so filters match however the CI system reported them.
+ * @param {Object} [metadata] - Validated metadata
+ * @returns {Object|null} Stored metadata (null when none was sent)
+ */
+const normalizeMetadata = (metadata) => {
+    if (!metadata) {
+        return null;
+    }
+
+    return {
+        branch: metadata.branch !== undefined ? metadata.branch.trim().replace(/^refs\/heads\//, '') : null,
+        commit_sha: metadata.commit_sha !== undefined ? metadata.commit_sha.toLowerCase() : null,
+        ci_provider: metadata.ci_provider !== undefined ? metadata.ci_provider : null,
+        build_number: metadata.build_number !== undefined ? String(metadata.build_number).trim() : null,
+        build_url: metadata.build_url !== undefined ? metadata.build_url : null,
+        pr_number: metadata.pr_number !== undefined ? metadata.pr_number : null,
+        labels: metadata.labels || {}
+    };
+};
+
+/**
+ * Parse a label filter written key:value
+ * @param {string} label - Filter value
+ * @returns {Object|null} { key, value }, or null if it is malformed
+ */
+const parseLabelFilter = (label) => {
+    if (typeof label !== 'string') {
+        return null;
+    }
+    const separator = label.indexOf(':');
+    const key = separator > 0 ? label.slice(0, separator) : '';
+    if (!LABEL_KEY_PATTERN.test(key)) {
+        return null;
+    }
+    return { key, value: label.slice(separator + 1) };
+};
+
+/**
+ * Path of the run document field a stats group_by value groups on
+ * @param {string} groupBy - Valid group_by value
+ * @returns {string} Field path
+ */
+const statsGroupField = (groupBy) => {
+    if (groupBy === 'environment') {
+        return 'environment';
+    }
+    if (groupBy.startsWith('label:')) {
+        return `metadata.labels.${groupBy.slice('label:'.length)}`;
+    }
+    return `metadata.${groupBy}`;
+};
+
+module.exports = {
+    METADATA_FIELDS,
+    COMMIT_SHA_PATTERN,
+    CI_PROVIDER_PATTERN,
+    LABEL_KEY_PATTERN,
+    MAX_LABELS,
+    STATS_GROUPS,
+    normalizeMetadata,
+    parseLabelFilter,
+    statsGroupField
+};
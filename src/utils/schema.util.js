@@ -0,0 +1,193 @@
+/**
+ * Schema utility functions
+ * Validate request bodies against the JSON Schemas in src/schemas and word the errors
+ * the way the API always has (field path first, e.g. "test_suites[0].test_cases[2].name is required")
+ */
+
+const Ajv = require('ajv');
+const { getSchema, getQuerySchema, isVersioned, DEFAULT_INGEST_SCHEMA_VERSION } = require('../schemas');
+
+const AJV_OPTIONS = { allErrors: true, verbose: true, allowUnionTypes: true };
+
+// Reports unknown fields as errors
+const strictAjv = new Ajv(AJV_OPTIONS);
+// Drops unknown fields (ingest schema version 1)
+const lenientAjv = new Ajv({ ...AJV_OPTIONS, removeAdditional: true });
+// Query values are strings; "10" passes as an integer
+const queryAjv = new Ajv({ ...AJV_OPTIONS, coerceTypes: true });
+
+[strictAjv, lenientAjv, queryAjv].forEach((ajv) => ajv.addKeyword({ keyword: 'x-message', schemaType: 'string' }));
+
+const compiled = new Map();
+
+/**
+ * Compiled validator of a schema, cached per name and version
+ * @param {string} name - Schema name
+ * @param {number} version - Schema version (ingest schemas only)
+ * @returns {Function|null} Ajv validate function, or null if the schema is unknown
+ */
+const getValidator = (name, version) => {
+    const key = `${name}@${version}`;
+    if (!compiled.has(key)) {
+        const schema = getSchema(name, version);
+        if (!schema) {
+            return null;
+        }
+        const ajv = isVersioned(name) && version === 1 ? lenientAjv : strictAjv;
+        compiled.set(key, ajv.compile(schema));
+    }
+    return compiled.get(key);
+};
+
+/**
+ * Compiled validator of a query schema
+ * @param {string} name - Query schema name
+ * @returns {Function|null} Ajv validate function, or null if the schema is unknown
+ */
+const getQueryValidator = (name) => {
+    const key = `query:${name}`;
+    if (!compiled.has(key)) {
+        const schema = getQuerySchema(name);
+        if (!schema) {
+            return null;
+        }
+        compiled.set(key, queryAjv.compile(schema));
+    }
+    return compiled.get(key);
+};
+
+/**
+ * Turn a JSON pointer into the field path used in error messages
+ * @param {string} pointer - e.g. /test_suites/0/name
+ * @returns {string} e.g. test_suites[0].name
+ */
+const fieldPath = (pointer) => pointer
+    .split('/')
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((path, segment) => {
+        if (/^\d+$/.test(segment)) {
+            return `${path}[${segment}]`;
+        }
+        return path ? `${path}.${segment}` : segment;
+    }, '');
+
+/**
+ * Join a parent path and a property name
+ */
+const childPath = (path, property) => (path ? `${path}.${property}` : property);
+
+/**
+ * Describe a JSON Schema type with an article ("a string", "an integer or null")
+ */
+const describeType = (type) => String(type)
+    .split(',')
+    .map((name) => (name === 'null' ? 'null' : `${/^[aeiou]/.test(name) ? 'an' : 'a'} ${name}`))
+    .join(' or ');
+
+/**
+ * Word one Ajv error
+ * @param {Object} error - Ajv error (verbose)
+ * @returns {Object} { field, message }
+ */
+const formatError = (error) => {
+    const path = fieldPath(error.instancePath);
+    const schema = error.parentSchema || {};
+    const subject = path || 'request body';
+    const params = error.params;
+
+    switch (error.keyword) {
+        case 'required':
+            return { field: childPath(path, params.missingProperty), message: `${childPath(path, params.missingProperty)} is required` };
+        case 'additionalProperties': {
+            const field = childPath(path, params.additionalProperty);
+            const allowed = Object.keys(schema.properties || {});
+            return {
+                field,
+                message: allowed.length > 0
+                    ? `${field} is not supported (allowed: ${allowed.join(', ')})`
+                    : `${field} is not supported`
+            };
+        }
+        case 'minProperties': {
+            const fields = Object.keys(schema.properties || {}).join(', ');
+            return { field: path, message: path ? `${path} must include at least one of: ${fields}` : `at least one of ${fields} is required` };
+        }
+        case 'type':
+            return { field: path, message: `${subject} must be ${describeType(params.type)}` };
+        case 'enum':
+            return { field: path, message: `${subject} must be one of: ${params.allowedValues.join(', ')}` };
+        case 'const':
+            return { field: path, message: `${subject} must be ${JSON.stringify(params.allowedValue)}` };
+        case 'pattern':
+            return { field: path, message: `${subject} ${schema['x-message'] || `must match ${params.pattern}`}` };
+        case 'minLength':
+            return { field: path, message: params.limit === 1 ? `${subject} cannot be empty` : `${subject} must be at least ${params.limit} characters` };
+        case 'maxLength':
+            return { field: path, message: `${subject} must be at most ${params.limit} characters` };
+        case 'minItems':
+            return { field: path, message: params.limit === 1 ? `${subject} must be a non-empty array` : `${subject} must have at least ${params.limit} entries` };
+        case 'maxItems':
+        case 'maxProperties':
+            return { field: path, message: `${subject} can have at most ${params.limit} entries` };
+        case 'minimum':
+            return { field: path, message: `${subject} must be at least ${params.limit}` };
+        case 'exclusiveMinimum':
+            return { field: path, message: `${subject} must be greater than ${params.limit}` };
+        case 'maximum':
+            return { field: path, message: `${subject} must be at most ${params.limit}` };
+        default:
+            return { field: path, message: `${subject} ${error.message}` };
+    }
+};
+
+/**
+ * Collect the worded errors of a failed validation, at most one per field
+ * @param {Array} ajvErrors - Ajv errors
+ * @returns {Array<string>} Error messages
+ */
+const collectErrors = (ajvErrors) => {
+    const errors = new Map();
+    ajvErrors.map(formatError).forEach(({ field, message }) => {
+        if (!errors.has(field)) {
+            errors.set(field, message);
+        }
+    });
+    return [...errors.values()];
+};
+
+/**
+ * Validate a request body against a schema
+ * With ingest schema version 1, unknown fields are removed from data in place.
+ * @param {string} name - Schema name
+ * @param {Object} data - Request body
+ * @param {number} [version] - Ingest schema version
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+const schemaErrors = (name, data, version = DEFAULT_INGEST_SCHEMA_VERSION) => {
+    const validate = getValidator(name, version);
+    if (!validate) {
+        throw new Error(`Unknown schema ${name} version ${version}`);
+    }
+    return validate(data) ? [] : collectErrors(validate.errors);
+};
+
+/**
+ * Validate a query string against a query schema
+ * A copy is checked, so the request keeps its original string values.
+ * @param {string} name - Query schema name
+ * @param {Object} query - Parsed query string
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+const queryErrors = (name, query) => {
+    const validate = getQueryValidator(name);
+    if (!validate) {
+        throw new Error(`Unknown query schema ${name}`);
+    }
+    return validate({ ...query }) ? [] : collectErrors(validate.errors);
+};
+
+module.exports = {
+    schemaErrors,
+    queryErrors
+};
@@ -0,0 +1,164 @@
+/**
+ * Summary utility functions
+ * Derive and cross-check test run counters from suites and cases
+ */
+
+const STATUS_FIELDS = ['passed', 'failed', 'flaky', 'skipped'];
+
+/**
+ * Whether a value is a non-null object (submitted entries are not validated yet when reconciling)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isObject = (value) => value !== null && typeof value === 'object';
+
+/**
+ * Count case statuses
+ * Entries that are not objects are skipped; the validator reports them.
+ * @param {Array} testCases - Test case objects with a status field
+ * @returns {Object} { passed, failed, flaky, skipped }
+ */
+const countStatuses = (testCases) => {
+    const counts = { passed: 0, failed: 0, flaky: 0, skipped: 0 };
+    testCases.forEach((testCase) => {
+        if (isObject(testCase) && counts[testCase.status] !== undefined) {
+            counts[testCase.status]++;
+        }
+    });
+    return counts;
+};
+
+/**
+ * Sum a numeric field across items, treating missing values (and entries that are not objects) as 0
+ * @param {Array} items - Objects to sum over
+ * @param {string} field - Field name
+ * @returns {number}
+ */
+const sumField = (items, field) => {
+    return items.reduce((sum, item) => sum + (isObject(item) && typeof item[field] === 'number' ? item[field] : 0), 0);
+};
+
+/**
+ * Recompute suite and summary counters from the submitted test cases
+ * Suites without a test_cases array keep their own counters and feed the summary as-is.
+ * The run summary is only rebuilt when suites are present.
+ * @param {Object} data - Test run payload
+ * @returns {Object} Payload with reconciled counters
+ */
+const reconcileTestRun = (data) => {
+    if (!Array.isArray(data.test_suites) || data.test_suites.length === 0) {
+        return data;
+    }
+
+    const testSuites = data.test_suites.map((suite) => {
+        if (!suite || !Array.isArray(suite.test_cases)) {
+            return suite;
+        }
+
+        return {
+            ...suite,
+            total_cases: suite.test_cases.length,
+            ...countStatuses(suite.test_cases),
+            duration_ms: typeof suite.duration_ms === 'number'
+                ? suite.duration_ms
+                : sumField(suite.test_cases, 'duration_ms')
+        };
+    });
+
+    const summary = data.summary && typeof data.summary === 'object' ? data.summary : {};
+
+    return {
+        ...data,
+        summary: {
+            ...summary,
+            total_test_cases: sumField(testSuites, 'total_cases'),
+            passed: sumField(testSuites, 'passed'),
+            failed: sumField(testSuites, 'failed'),
+            flaky: sumField(testSuites, 'flaky'),
+            skipped: sumField(testSuites, 'skipped'),
+            duration_ms: typeof summary.duration_ms === 'number'
+                ? summary.duration_ms
+                : sumField(testSuites, 'duration_ms')
+        },
+        test_suites: testSuites
+    };
+};
+
+/**
+ * Check that run, suite and case counters agree with each other
+ * Assumes the counters have already passed type validation.
+ * @param {Object} data - Test run payload
+ * @returns {Array<string>} Consistency errors
+ */
+const checkConsistency = (data) => {
+    const errors = [];
+    const { summary } = data;
+
+    const statusSum = STATUS_FIELDS.reduce((sum, field) => sum + summary[field], 0);
+    if (statusSum !== summary.total_test_cases) {
+        errors.push(`summary counts do not add up: passed + failed + flaky + skipped = ${statusSum}, but total_test_cases = ${summary.total_test_cases}`);
+    }
+
+    const suites = data.test_suites || [];
+
+    suites.forEach((suite, suiteIndex) => {
+        if (!Array.isArray(suite.test_cases)) {
+            return;
+        }
+
+        if (suite.test_cases.length !== suite.total_cases) {
+            errors.push(`test_suites[${suiteIndex}].total_cases is ${suite.total_cases} but ${suite.test_cases.length} test_cases were submitted`);
+        }
+
+        const counts = countStatuses(suite.test_cases);
+        STATUS_FIELDS.forEach((field) => {
+            // flaky and skipped are optional at suite level
+            if (suite[field] === undefined && (field === 'flaky' || field === 'skipped')) {
+                return;
+            }
+            if (suite[field] !== counts[field]) {
+                errors.push(`test_suites[${suiteIndex}].${field} is ${suite[field]} but ${counts[field]} test_cases have status "${field}"`);
+            }
+        });
+    });
+
+    if (suites.length > 0) {
+        const suiteTotals = {
+            total_test_cases: sumField(suites, 'total_cases'),
+            passed: sumField(suites, 'passed'),
+            failed: sumField(suites, 'failed')
+        };
+
+        // Only compare flaky/skipped when every suite reports them
+        ['flaky', 'skipped'].forEach((field) => {
+            if (suites.every((suite) => suite[field] !== undefined)) {
+                suiteTotals[field] = sumField(suites, field);
+            }
+        });
+
+        Object.entries(suiteTotals).forEach(([field, total]) => {
+            if (total !== summary[field]) {
+                errors.push(`summary.${field} is ${summary[field]} but test_suites add up to ${total}`);
+            }
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Pass rate over executed (non-skipped) cases
+ * @param {Object} counts - { total_test_cases, passed, skipped }
+ * @returns {number|null} Ratio between 0 and 1, or null when nothing executed
+ */
+const passRate = ({ total_test_cases, passed, skipped }) => {
+    const executed = total_test_cases - skipped;
+    return executed > 0 ? Number((passed / executed).toFixed(4)) : null;
+};
+
+module.exports = {
+    countStatuses,
+    passRate,
+    reconcileTestRun,
+    checkConsistency
+};
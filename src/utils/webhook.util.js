@@ -0,0 +1,120 @@
+/**
+ * Webhook utility functions
+ * Payload signing, retry scheduling and target address checks for webhook deliveries
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+// Delay before each retry after a failed attempt; the delivery fails once these run out
+const RETRY_DELAYS_SECONDS = [30, 2 * 60, 10 * 60, 60 * 60, 6 * 60 * 60];
+
+// Addresses a webhook may not reach: this host, private networks, link-local (including cloud
+// metadata endpoints), carrier-grade NAT, multicast and reserved ranges. One list per family,
+// since a BlockList also matches IPv4 addresses against the IPv4-mapped IPv6 range.
+const BLOCKED_ADDRESSES = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.ipv4.addSubnet(network, prefix, 'ipv4'));
+[
+    // IPv4-mapped and NAT64 addresses are refused outright rather than unwrapped
+    ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.ipv6.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Sign a webhook body
+ * Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it with the
+ * X-Webhook-Signature header; including the timestamp lets them reject replays.
+ * @param {string} secret - Webhook signing secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature in the form sha256=<hex>
+ */
+const signPayload = (secret, timestamp, body) => {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+};
+
+/**
+ * Time to wait before the next attempt
+ * @param {number} attempts - Attempts made so far (including the one that just failed)
+ * @returns {number|null} Delay in milliseconds, or null when retries are exhausted
+ */
+const retryDelayMs = (attempts) => {
+    const delay = RETRY_DELAYS_SECONDS[attempts - 1];
+    return delay !== undefined ? delay * 1000 : null;
+};
+
+/**
+ * Whether a resolved address is one a webhook may not reach
+ * @param {Object} resolved - { address, family } as returned by dns.lookup
+ * @returns {boolean}
+ */
+const isBlockedAddress = ({ address, family }) => {
+    const type = family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4';
+    return BLOCKED_ADDRESSES[type].check(address, type);
+};
+
+/**
+ * Message for a host that resolves to a blocked address
+ * @param {string} hostname - Webhook host
+ * @returns {string}
+ */
+const blockedHostMessage = (hostname) => `Webhook host ${hostname} resolves to a loopback, private or link-local address`;
+
+/**
+ * Check that a webhook URL only reaches public addresses
+ * Every address the host resolves to is checked, so neither an IP literal nor a DNS name can
+ * point deliveries at the service's own network. This gives a clear error when a webhook is
+ * saved; deliveries also check the address they connect to (see lookupPublicAddress).
+ * @param {string} url - Webhook URL
+ * @returns {Promise<string|null>} Why the URL is refused, or null when it may be called
+ */
+const checkWebhookUrl = async (url) => {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+        return `Webhook host ${hostname} could not be resolved`;
+    }
+
+    return addresses.some(isBlockedAddress) ? blockedHostMessage(hostname) : null;
+};
+
+/**
+ * DNS lookup for webhook connections that fails on blocked addresses
+ * Used as the connection's lookup function, so the address that is actually connected to is the
+ * one that was checked: a short-TTL name cannot pass a check and then resolve elsewhere.
+ * Same signature as dns.lookup.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - (error, address, family), or (error, addresses) when options.all is set
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+            const blocked = new Error(blockedHostMessage(hostname));
+            blocked.code = 'EBLOCKEDADDRESS';
+            return callback(blocked);
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+module.exports = {
+    RETRY_DELAYS_SECONDS,
+    signPayload,
+    retryDelayMs,
+    checkWebhookUrl,
+    lookupPublicAddress
+};